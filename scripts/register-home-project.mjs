@@ -0,0 +1,36 @@
+// Registers the home project in the project registry and makes the given account its admin. Clients may not
+// create that entry (see firestore.rules), so this runs once per deployment, with admin credentials that
+// bypass the rules:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run register-home-project -- <admin uid>
+// Running it again adds another admin and leaves the rest of the entry as it is. To take the project away
+// from an account, that admin gives it a lower role on the Roles page; an assigned role overrides the
+// creator's.
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+// HARDCODED_APP_ID and DEFAULT_PROJECT in src/App.jsx.
+const HOME_APP_ID = 'tmods-overall';
+const HOME_PROJECT = { id: HOME_APP_ID, name: 'MCR4', description: 'Unit 4 Major Component Replacement', readOnly: false };
+
+const adminUid = process.argv[2];
+if (!adminUid) {
+    console.error('Usage: npm run register-home-project -- <admin uid>');
+    process.exit(1);
+}
+
+const db = getFirestore(initializeApp());
+const entryRef = db.doc(`artifacts/${HOME_APP_ID}/public/data/projects/${HOME_APP_ID}`);
+
+const existingCreator = await db.runTransaction(async (transaction) => {
+    const entry = await transaction.get(entryRef);
+    if (!entry.exists) {
+        transaction.set(entryRef, { ...HOME_PROJECT, createdAt: new Date().toISOString(), createdBy: adminUid, roles: { [adminUid]: 'admin' } });
+        return null;
+    }
+    transaction.set(entryRef, { roles: { [adminUid]: 'admin' } }, { merge: true });
+    return entry.get('createdBy') || '(none)';
+});
+
+console.log(existingCreator
+    ? `${HOME_PROJECT.name} was already registered (created by ${existingCreator}); ${adminUid} is now one of its admins.`
+    : `Registered ${HOME_PROJECT.name} with ${adminUid} as its admin.`);
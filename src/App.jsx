@@ -1,9 +1,9 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { getAuth, signInWithCustomToken, onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink, signOut } from 'firebase/auth';
 import { initializeApp } from 'firebase/app';
-import { getFirestore, doc, setDoc, collection, query, onSnapshot, writeBatch } from 'firebase/firestore';
-import { getStorage, ref, uploadString, getDownloadURL, deleteObject } from 'firebase/storage'; // NEW: Storage Imports
-import { Menu, X, Plus, Trash2, Edit, Check, ChevronDown, CheckCircle, Clock, XOctagon, Upload, Loader2 } from 'lucide-react';
+import { getFirestore, doc, setDoc, getDoc, getDocs, collection, query, where, orderBy, limit, onSnapshot, writeBatch, runTransaction, deleteField } from 'firebase/firestore';
+import { getStorage, ref, uploadBytesResumable, getDownloadURL, deleteObject, listAll } from 'firebase/storage';
+import { Menu, X, Plus, Trash2, Edit, Check, ChevronDown, CheckCircle, Clock, XOctagon, Upload, Loader2, CloudOff, AlertTriangle, ChevronUp, Archive, ArchiveRestore, Settings, Lock, FolderPlus, History, RotateCcw, HardDrive, Images, ImagePlus, Camera, Columns2, ChevronLeft, ChevronRight, FileText, FileWarning, FilePlus, ZoomIn, ZoomOut, ExternalLink, Pencil, MoveUpRight, Square, Type, Eraser, Eye, EyeOff, Undo2, PenLine, LogOut, UserCircle, UserCog, Mail, KeyRound, ClipboardCheck, Scale, ClipboardList, AlarmClock, GanttChartSquare, LayoutGrid, CalendarRange, Link2, Network } from 'lucide-react';
 // setLogLevel is imported here to debug firestore connection issues
 import { setLogLevel } from 'firebase/firestore'; 
 
@@ -58,6 +58,9 @@ const sanitizeData = (data) => {
     return JSON.parse(JSON.stringify(data));
 };
 
+// Returns a copy of the object without the listed keys.
+const omitKeys = (obj, keys) => Object.fromEntries(Object.entries(obj).filter(([key]) => !keys.includes(key)));
+
 // Calculates the status badge color based on completion percentage.
 const getStatusColor = (percent) => {
     if (percent === 100) return 'bg-green-600';
@@ -97,1461 +100,7528 @@ const calculateStepCompletion = (steps) => {
 const createDefaultPart = (title) => ({
     id: crypto.randomUUID(),
     title: title || `New Part ${crypto.randomUUID().slice(0, 4)}`,
-    imageUrl: '', // Stores permanent Firebase Storage URL
-    imageStoragePath: '', // Stores the path to delete it later
+    photos: [], // Ordered gallery, see PHOTO_TAGS
+    documents: [], // Attached PDFs with revisions, see DOCUMENT_KINDS
     actions: [],
     // For Lead Abatement, this is used to link to other scopes
     relatedScopeId: 'none', 
     percentComplete: 0,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
 });
 
-// Defines the initial structure for all scopes (TMODs)
+// Tags for gallery photos. Before/after comparisons default to the first "as-found" and last "as-left" photo.
+const PHOTO_TAGS = [
+    { id: 'as-found', label: 'As-Found', className: 'bg-blue-100 text-blue-800' },
+    { id: 'in-progress', label: 'In-Progress', className: 'bg-yellow-100 text-yellow-800' },
+    { id: 'as-left', label: 'As-Left', className: 'bg-green-100 text-green-800' },
+    { id: 'other', label: 'Other', className: 'bg-gray-100 text-gray-700' },
+];
+
+// Kinds of document that can be attached to parts and actions (see Documents).
+const DOCUMENT_KINDS = [
+    { id: 'drawing', label: 'Drawing' },
+    { id: 'procedure', label: 'Procedure' },
+    { id: 'datasheet', label: 'Data Sheet' },
+    { id: 'other', label: 'Other' },
+];
+
+// Scope types available in the catalogue. Abatement-style scopes track "things needing abating" with
+// simple checkboxes and link each item to the standard scope it unblocks.
+const SCOPE_TYPES = [
+    { id: 'standard', label: 'Standard Scope' },
+    { id: 'lead_abatement', label: 'Abatement Scope' },
+];
+
+// Seed catalogue written on first run. After that the catalogue lives in the backend and is managed from
+// the "Manage Scopes" admin page; this list is never consulted again.
 const initialScopesData = [
     { id: 'summary', title: 'MCR4 TMODs Summary', type: 'summary' },
-    { id: 'lead_abatement', title: 'Lead Abatement', type: 'scope' },
-    { id: '4113a', title: '4113a Civil Mod Interferences', type: 'scope' },
-    { id: '4113b', title: '4113b FIF and Monorail', type: 'scope' },
-    { id: '4113c', title: '4113c Feeder Lifting Frame', type: 'scope' },
-    { id: '4115a', title: '4115a MET Civil', type: 'scope' },
-    { id: '4115b', title: '4115b MET Mechanical', type: 'scope' },
-    { id: 'helium_removal', title: 'Helium Supply Line removal', type: 'scope' },
-    { id: '4219', title: "4219 'Header restraints Install'", type: 'scope' },
+    { id: 'lead_abatement', title: 'Lead Abatement', type: 'scope', scopeType: 'lead_abatement' },
+    { id: '4113a', title: '4113a Civil Mod Interferences', type: 'scope', scopeType: 'standard' },
+    { id: '4113b', title: '4113b FIF and Monorail', type: 'scope', scopeType: 'standard' },
+    { id: '4113c', title: '4113c Feeder Lifting Frame', type: 'scope', scopeType: 'standard' },
+    { id: '4115a', title: '4115a MET Civil', type: 'scope', scopeType: 'standard' },
+    { id: '4115b', title: '4115b MET Mechanical', type: 'scope', scopeType: 'standard' },
+    { id: 'helium_removal', title: 'Helium Supply Line removal', type: 'scope', scopeType: 'standard' },
+    { id: '4219', title: "4219 'Header restraints Install'", type: 'scope', scopeType: 'standard' },
 ];
 
-// Creates the default data structure for a standard scope page (non-Lead Abatement).
-const createDefaultScopeData = (scopeId) => ({
-    id: scopeId,
-    // Prereqs that use simple dropdown status
-    prereqStatusLeadAbatement: 'Not Started', 
-    
-    // Prereqs that use step tracking (initial status is set by step completion)
-    prereqStatusMaterials: {
-        status: 'Not Started',
-        notes: '',
-        steps: [
-            { id: crypto.randomUUID(), text: 'Material Order Placed', completed: false },
+// Creates the default data structure for a scope page. Abatement scopes have no prerequisites of their own.
+const createDefaultScopeData = (scopeId, scopeType = 'standard') => {
+    if (scopeType === 'lead_abatement') {
+        return {
+            id: scopeId,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            scopeType,
+            archived: false,
+            prereqStatusLeadAbatement: 'N/A',
+            prereqStatusMaterials: { status: 'N/A', notes: '', steps: [] },
+            prereqStatusGeneral: { status: 'N/A', notes: '', steps: [] },
+            parts: [
+                createDefaultPart('Piping Section A1'),
+                createDefaultPart('Containment Area B'),
+            ]
+        };
+    }
+
+    return {
+        id: scopeId,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        scopeType,
+        archived: false,
+        // Prereqs that use simple dropdown status
+        prereqStatusLeadAbatement: 'Not Started', 
+
+        // Prereqs that use step tracking (initial status is set by step completion)
+        prereqStatusMaterials: {
+            status: 'Not Started',
+            notes: '',
+            steps: [
+                { id: crypto.randomUUID(), text: 'Material Order Placed', completed: false },
+            ]
+        },
+        prereqStatusGeneral: {
+            status: 'Not Started',
+            notes: '',
+            steps: [
+                { id: crypto.randomUUID(), text: 'Welders Certified', completed: false },
+            ]
+        },
+        parts: [
+            createDefaultPart('Drawing 01-A'),
+            createDefaultPart('Drawing 01-B'),
         ]
+    };
+};
+
+// Builds the full set of scope documents written on first run (shared by every persistence adapter).
+const buildDefaultScopes = () => initialScopesData.map((scope, index) => {
+    if (scope.type === 'summary') return scope;
+    return { ...scope, ...createDefaultScopeData(scope.id, scope.scopeType), order: index };
+});
+
+// Sorts the catalogue for display: the summary page first, then scopes in their admin-defined order.
+const sortCatalogue = (scopes) => [...scopes].sort((a, b) => {
+    if (a.type === 'summary') return -1;
+    if (b.type === 'summary') return 1;
+    return (a.order ?? 0) - (b.order ?? 0);
+});
+
+const isAbatementScope = (scope) => scope?.scopeType === 'lead_abatement';
+
+
+// --- Schema Versioning ---
+// Every stored scope, part and action carries a `schemaVersion`. Migrations are listed in order; each
+// upgrades documents of a given kind ('scope', 'part', 'action') to its `version`. Documents are upgraded
+// when read and written back by the adapters, so a new field only needs a migration entry here instead of
+// defensive checks throughout the components.
+
+// Older records stored a prerequisite as a bare status string, or as an object without steps/notes.
+const normalizePrereq = (prereq) => {
+    if (prereq && typeof prereq === 'object') {
+        return { status: 'Not Started', notes: '', ...prereq, steps: normalizeSteps(prereq.steps) };
+    }
+    return { status: prereq || 'Not Started', notes: '', steps: [] };
+};
+
+const normalizeSteps = (steps) => (steps || []).map(step => ({
+    ...step,
+    id: step.id || crypto.randomUUID(),
+    text: step.text || '',
+    completed: Boolean(step.completed),
+}));
+
+// Steps completed before verification existed were never going to be signed off; they count as verified.
+const grandfatherSteps = (steps) => (steps || []).map(step => ({
+    verification: step.completed ? 'verified' : null,
+    ...step,
+}));
+
+// The old single image becomes the first gallery photo. Its ID is derived from the owner so every client
+// that upgrades the same record ends up with the same photo ID.
+const migrateImageToPhotos = (data) => {
+    const { imageUrl, imageStoragePath, ...rest } = data;
+    const legacyPhotos = imageUrl
+        ? [{ id: `${data.id}-image`, url: imageUrl, storagePath: imageStoragePath || '', caption: '', tag: 'other', uploadedBy: null, uploadedAt: null }]
+        : [];
+    return { ...rest, photos: data.photos || legacyPhotos };
+};
+
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in fields that were added after the first release',
+        scope: (data) => data.type === 'summary' ? data : ({
+            prereqStatusLeadAbatement: 'Not Started',
+            ...data,
+            prereqStatusMaterials: normalizePrereq(data.prereqStatusMaterials),
+            prereqStatusGeneral: normalizePrereq(data.prereqStatusGeneral),
+        }),
+        part: (data) => ({
+            imageUrl: '',
+            imageStoragePath: '',
+            relatedScopeId: 'none',
+            ...data,
+        }),
+        action: (data) => ({
+            notes: '',
+            imageUrl: '',
+            imageStoragePath: '',
+            percentComplete: 0,
+            ...data,
+            steps: normalizeSteps(data.steps),
+        }),
     },
-    prereqStatusGeneral: {
-        status: 'Not Started',
-        notes: '',
-        steps: [
-            { id: crypto.randomUUID(), text: 'Welders Certified', completed: false },
-        ]
+    {
+        version: 2,
+        description: 'Catalogue fields: scope type, display order and archive flag',
+        scope: (data) => {
+            if (data.type === 'summary') return data;
+            const seedIndex = initialScopesData.findIndex(seed => seed.id === data.id);
+            return {
+                scopeType: data.id === 'lead_abatement' ? 'lead_abatement' : 'standard',
+                order: seedIndex === -1 ? initialScopesData.length : seedIndex,
+                archived: false,
+                ...data,
+            };
+        },
     },
-    parts: [
-        createDefaultPart('Drawing 01-A'),
-        createDefaultPart('Drawing 01-B'),
-    ]
-});
+    {
+        version: 3,
+        description: 'Single image replaced by an ordered photo gallery',
+        part: (data) => migrateImageToPhotos(data),
+        action: (data) => migrateImageToPhotos(data),
+    },
+    {
+        version: 4,
+        description: 'Document attachments (PDF drawings, procedures, data sheets)',
+        part: (data) => ({ documents: [], ...data }),
+        action: (data) => ({ documents: [], ...data }),
+    },
+    {
+        version: 5,
+        description: 'Step verification; work completed before sign-off existed counts as verified',
+        scope: (data) => data.type === 'summary' ? data : ({
+            ...data,
+            prereqStatusMaterials: { ...data.prereqStatusMaterials, steps: grandfatherSteps(data.prereqStatusMaterials?.steps) },
+            prereqStatusGeneral: { ...data.prereqStatusGeneral, steps: grandfatherSteps(data.prereqStatusGeneral?.steps) },
+        }),
+        action: (data) => ({ ...data, steps: grandfatherSteps(data.steps) }),
+    },
+];
 
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
 
-// --- Firebase Hook ---
+// Runs every migration newer than the document's version. Returns { data, changed }.
+const migrateDocument = (kind, data) => {
+    const fromVersion = data.schemaVersion || 0;
+    if (fromVersion >= CURRENT_SCHEMA_VERSION) return { data, changed: false };
 
-const useFirebase = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [storage, setStorage] = useState(null); // NEW: Storage state
-    const [userId, setUserId] = useState(null);
-    const [scopes, setScopes] = useState([]);
-    const [isLoading, setIsLoading] = useState(true);
-    const [error, setError] = useState('');
+    const upgraded = SCHEMA_MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => ({
+            ...(migration[kind] ? migration[kind](current) : current),
+            schemaVersion: migration.version,
+        }), data);
 
-    const firebaseConfig = useMemo(() => {
-        try {
-            return getFirebaseConfig();
-        } catch (e) {
-            setError(e.message);
-            return {};
-        }
-    }, []);
-    
-    const firebaseApp = useMemo(() => {
-        // Log levels for better debugging in the console
-        setLogLevel('debug');
-        
-        const config = firebaseConfig;
+    return { data: upgraded, changed: true };
+};
 
-        if (!config.apiKey) {
-            if (!error) { // Only set this generic error if a more specific one hasn't been thrown by getFirebaseConfig
-                setError("Configuration Error: Firebase settings are missing. Please ensure Firebase Config is correctly provided.");
-            }
-            setIsLoading(false);
-            return null;
-        }
-        return initializeApp(config);
-    }, [firebaseConfig, error]); // Depend on error to potentially re-run if error state clears
+// Upgrades a scope stored as one nested record (scope + parts + actions).
+const migrateScopeTree = (scope) => {
+    let changed = false;
+    const upgrade = (kind, data) => {
+        const result = migrateDocument(kind, data);
+        changed = changed || result.changed;
+        return result.data;
+    };
 
-    // 1. Initialization and Authentication
-    useEffect(() => {
-        if (!firebaseApp) return;
+    const upgraded = upgrade('scope', scope);
+    if (Array.isArray(scope.parts)) {
+        upgraded.parts = scope.parts.map(part => ({
+            ...upgrade('part', part),
+            actions: (part.actions || []).map(action => upgrade('action', action)),
+        }));
+    }
+    return { data: upgraded, changed };
+};
 
-        const firestore = getFirestore(firebaseApp);
-        const firebaseAuth = getAuth(firebaseApp);
-        const firebaseStorage = getStorage(firebaseApp); // NEW: Get Storage instance
 
-        setDb(firestore);
-        setAuth(firebaseAuth);
-        setStorage(firebaseStorage); // NEW: Set Storage state
+// --- Scope Operations ---
+// Edits are described as small operation objects instead of whole-scope copies. The same reducer runs
+// inside the backend transaction (against the latest stored document) and over the local snapshot for
+// queued edits, so concurrent changes to different parts, actions or steps never overwrite each other.
+//
+//   { type: 'createScope', scope }
+//   { type: 'updateScopeFields', fields }
+//   { type: 'updatePrereq', prereqKey, fields, stepChanges }
+//   { type: 'addPart', part, index? }
+//   { type: 'updatePart', partId, fields }
+//   { type: 'deletePart', partId }                         (permanent; the UI trashes instead)
+//   { type: 'trashPart', partId, deletedBy, deletedAt }
+//   { type: 'restorePart', partId }
+//   { type: 'addAction', partId, action, index? }
+//   { type: 'updateAction', partId, actionId, fields, stepChanges }
+//   { type: 'setActionCompletion', partId, actionId, completed, completedBy, completedAt }
+//   { type: 'deleteAction', partId, actionId }             (permanent; the UI trashes instead)
+//   { type: 'trashAction', partId, actionId, deletedBy, deletedAt }
+//   { type: 'restoreAction', partId, actionId }
+//   { type: 'addPhoto', partId, actionId?, photo, index? }   (no actionId: the part's own gallery)
+//   { type: 'updatePhoto', partId, actionId?, photoId, fields }
+//   { type: 'removePhoto', partId, actionId?, photoId }
+//   { type: 'movePhoto', partId, actionId?, photoId, toIndex }
+//   { type: 'addDocument', partId, actionId?, document, index? }
+//   { type: 'updateDocument', partId, actionId?, documentId, fields }
+//   { type: 'removeDocument', partId, actionId?, documentId }
+
+// Keeps only the fields whose values differ from the original object.
+const pickChangedFields = (original, edited) => Object.keys(edited).reduce((changed, key) => {
+    if (JSON.stringify(edited[key]) !== JSON.stringify(original?.[key])) changed[key] = edited[key];
+    return changed;
+}, {});
+
+// Compares the step list a modal opened with against the edited list: { added, removedIds, updated }.
+const diffSteps = (originalSteps = [], editedSteps = []) => {
+    const added = editedSteps.filter(step => !originalSteps.some(s => s.id === step.id));
+    const removedIds = originalSteps.filter(step => !editedSteps.some(s => s.id === step.id)).map(step => step.id);
+    const updated = {};
+    editedSteps.forEach(step => {
+        const original = originalSteps.find(s => s.id === step.id);
+        if (!original) return;
+        const patch = pickChangedFields(original, step);
+        if (Object.keys(patch).length > 0) updated[step.id] = patch;
+    });
+    return { added, removedIds, updated };
+};
 
-        const authenticate = async () => {
-            try {
-                if (INITIAL_AUTH_TOKEN && INITIAL_AUTH_TOKEN !== 'dummy-auth-token-for-prod') {
-                    // Try to sign in with the provided custom token
-                    await signInWithCustomToken(firebaseAuth, INITIAL_AUTH_TOKEN);
-                } else {
-                    // Fallback to anonymous sign-in
-                    await signInAnonymously(firebaseAuth);
-                }
-            } catch (err) {
-                console.error("Firebase Authentication Failed:", err);
-                setError(`Authentication failed. Check your Firebase rules.`);
-            }
-        };
+const applyStepChanges = (steps = [], changes) => {
+    if (!changes) return steps;
+    const kept = steps
+        .filter(step => !changes.removedIds.includes(step.id))
+        .map(step => changes.updated[step.id] ? { ...step, ...changes.updated[step.id] } : step);
+    return [...kept, ...changes.added.filter(step => !steps.some(s => s.id === step.id))];
+};
 
-        const unsubscribe = onAuthStateChanged(firebaseAuth, (user) => {
-            if (user) {
-                setUserId(user.uid);
-                console.log(`User Authenticated. UID: ${user.uid}`);
-            } else {
-                // We use the temporary user ID (from anon sign-in or a new UUID) 
-                // but wait for the auth process to finish.
-                setUserId(firebaseAuth.currentUser?.uid || crypto.randomUUID()); 
-                console.log("Authentication state changed: User is logged out or anonymous.");
-            }
-        });
+// Appends unless a position is given (used when an undo restores a deleted part or action in place).
+const insertAt = (list, item, index) => {
+    if (typeof index !== 'number') return [...list, item];
+    return [...list.slice(0, index), item, ...list.slice(index)];
+};
 
-        authenticate();
-        return () => unsubscribe();
-    }, [firebaseApp]);
-    
-    // NEW: Function to upload image to Firebase Storage
-    const uploadImage = useCallback(async (base64Data, path) => {
-        if (!storage) {
-            console.error("Firebase Storage not initialized.");
-            return null;
-        }
+// Parts and actions in the Recycle Bin carry `deletedAt`/`deletedBy` and are left out of all progress.
+const isTrashed = (item) => Boolean(item?.deletedAt);
 
-        const storageRef = ref(storage, path);
-        const MAX_RETRIES = 3;
-        let lastError = null;
+const updatePartIn = (scope, partId, updater) => ({
+    ...scope,
+    parts: (scope.parts || []).map(part => part.id === partId ? updater(part) : part),
+});
 
-        for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-            try {
-                // Upload the base64 string
-                await uploadString(storageRef, base64Data, 'data_url');
-                // Get the public download URL
-                const url = await getDownloadURL(storageRef);
-                return url;
-            } catch (e) {
-                lastError = e;
-                console.warn(`Upload attempt ${attempt + 1} failed for path ${path}. Retrying in ${Math.pow(2, attempt)}s... Error:`, e.message);
-                if (attempt < MAX_RETRIES - 1) {
-                    await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
-                }
-            }
+// Applies an update to a part's action list and recalculates the part completion from the result.
+const updateActionsIn = (scope, partId, updater) => updatePartIn(scope, partId, part => {
+    const actions = updater(part.actions || []);
+    return { ...part, actions, percentComplete: calculateOverallCompletion(actions.filter(action => !isTrashed(action))) };
+});
+
+// Applies an update to an attachment list ('photos' or 'documents') of a part, or of one of its actions
+// when the operation names one.
+const updateAttachmentsIn = (scope, op, listKey, updater) => op.actionId
+    ? updateActionsIn(scope, op.partId, actions => actions.map(action => action.id === op.actionId
+        ? { ...action, [listKey]: updater(action[listKey] || []) }
+        : action
+    ))
+    : updatePartIn(scope, op.partId, part => ({ ...part, [listKey]: updater(part[listKey] || []) }));
+
+const movePhoto = (photos, photoId, toIndex) => {
+    const photo = photos.find(p => p.id === photoId);
+    if (!photo) return photos;
+    const rest = photos.filter(p => p.id !== photoId);
+    return insertAt(rest, photo, Math.max(0, Math.min(toIndex, rest.length)));
+};
+
+// Pure reducer: returns the scope with one operation applied. Targets that no longer exist are left alone.
+const applyScopeOperation = (scope, op) => {
+    switch (op.type) {
+        case 'createScope':
+            // Never overwrite an existing scope with the same ID
+            if (scope.title) return scope;
+            return { ...op.scope, id: scope.id };
+
+        case 'updateScopeFields':
+            return { ...scope, ...op.fields };
+
+        case 'updatePrereq': {
+            const prereq = scope[op.prereqKey] || {};
+            const steps = applyStepChanges(prereq.steps, op.stepChanges);
+            return {
+                ...scope,
+                [op.prereqKey]: { ...prereq, ...op.fields, steps, status: getStatusLabel(calculateStepCompletion(steps)) },
+            };
         }
-        console.error(`Failed to upload image after ${MAX_RETRIES} attempts. Last error:`, lastError);
-        // Do not use setError here, just return null so the component can handle it locally
-        return null;
 
-    }, [storage]);
+        case 'addPart':
+            if ((scope.parts || []).some(part => part.id === op.part.id)) return scope;
+            return { ...scope, parts: insertAt(scope.parts || [], op.part, op.index) };
 
+        case 'updatePart':
+            return updatePartIn(scope, op.partId, part => ({ ...part, ...op.fields }));
 
-    // 2. Data Synchronization (Scopes and Parts)
-    useEffect(() => {
-        // Wait for db and authenticated userId to be ready, or if an error occurred.
-        if (!db || !userId || error) return; 
+        case 'deletePart':
+            return { ...scope, parts: (scope.parts || []).filter(part => part.id !== op.partId) };
 
-        // Public collection path as per security rules
-        const scopesColRef = collection(db, 'artifacts', APP_ID, 'public', 'data', 'scopes');
-        const scopesQuery = query(scopesColRef);
+        case 'trashPart':
+            return updatePartIn(scope, op.partId, part => ({ ...part, deletedAt: op.deletedAt, deletedBy: op.deletedBy }));
 
-        const unsubscribe = onSnapshot(scopesQuery, async (querySnapshot) => {
-            console.log("Firestore Snapshot received.");
-            
-            let fetchedScopes = [];
+        case 'restorePart':
+            return updatePartIn(scope, op.partId, part => ({ ...part, deletedAt: null, deletedBy: null }));
 
-            if (querySnapshot.empty) {
-                console.log("Scopes collection is empty. Initializing data...");
-                setIsLoading(true);
-                await initializeDefaultData(db, userId);
-                // Keep loading until the next snapshot confirms data presence
-                return; 
-            }
+        case 'addAction':
+            return updateActionsIn(scope, op.partId, actions =>
+                actions.some(action => action.id === op.action.id) ? actions : insertAt(actions, op.action, op.index)
+            );
 
-            // Process fetched data
-            querySnapshot.forEach(doc => {
-                // Ensure doc data exists before adding
-                const data = doc.data();
-                if (data) {
-                    fetchedScopes.push(sanitizeData(data));
+        case 'updateAction':
+            return updateActionsIn(scope, op.partId, actions => actions.map(action => {
+                if (action.id !== op.actionId) return action;
+                const updated = { ...action, ...op.fields };
+                if (!op.stepChanges) return updated;
+                const steps = applyStepChanges(action.steps, op.stepChanges);
+                return { ...updated, steps, percentComplete: calculateStepCompletion(steps) };
+            }));
+
+        case 'setActionCompletion':
+            return updateActionsIn(scope, op.partId, actions => actions.map(action => action.id === op.actionId
+                ? {
+                    ...action,
+                    percentComplete: op.completed ? 100 : 0,
+                    steps: (action.steps || []).map(step => ({ ...step, ...getStepCompletionFields(op.completed, op.completedBy, op.completedAt) })),
                 }
-            });
+                : action
+            ));
 
-            // Merge fetched data with default structure to ensure all scopes are present
-            const updatedScopes = initialScopesData.map(defaultScope => {
-                const fetchedScope = fetchedScopes.find(s => s.id === defaultScope.id);
-                if (fetchedScope) {
-                    // Deep merge the fetched data over the defaults
-                    return { ...defaultScope, ...fetchedScope };
-                }
-                // If a default scope is missing from the database, use its structure
-                if (defaultScope.type === 'scope') {
-                    return { ...defaultScope, ...createDefaultScopeData(defaultScope.id) };
-                }
-                return defaultScope;
-            });
-            
-            console.log(`Found ${updatedScopes.length} scopes. Loading complete.`);
-            setScopes(updatedScopes);
-            setIsLoading(false);
+        case 'deleteAction':
+            return updateActionsIn(scope, op.partId, actions => actions.filter(action => action.id !== op.actionId));
 
-        }, (e) => {
-            console.error("Firestore Snapshot Error:", e);
-            // Crucial: The main reason for this failure is usually security rules blocking the read.
-            // A 400 Bad Request error on the stream often indicates 'permission-denied'.
-            setError(`Failed to load data. Please check your Firebase Firestore Security Rules for read access on 'artifacts/${APP_ID}/public/data/'. Error: ${e.message}`);
-            setIsLoading(false);
-        });
+        case 'trashAction':
+            return updateActionsIn(scope, op.partId, actions => actions.map(action => action.id === op.actionId
+                ? { ...action, deletedAt: op.deletedAt, deletedBy: op.deletedBy }
+                : action
+            ));
 
-        return () => unsubscribe();
-    }, [db, userId, error]);
+        case 'restoreAction':
+            return updateActionsIn(scope, op.partId, actions => actions.map(action => action.id === op.actionId
+                ? { ...action, deletedAt: null, deletedBy: null }
+                : action
+            ));
 
+        case 'addPhoto':
+            return updateAttachmentsIn(scope, op, 'photos', photos => photos.some(photo => photo.id === op.photo.id) ? photos : insertAt(photos, op.photo, op.index));
 
-    // Data initialization helper
-    const initializeDefaultData = async (firestore, currentUserId) => {
-        const batch = writeBatch(firestore);
+        case 'updatePhoto':
+            return updateAttachmentsIn(scope, op, 'photos', photos => photos.map(photo => photo.id === op.photoId ? { ...photo, ...op.fields } : photo));
 
-        // 1. Create a public user document to store the user's ID
-        const userDocRef = doc(firestore, 'artifacts', APP_ID, 'public', 'data', 'users', currentUserId);
-        batch.set(userDocRef, { userId: currentUserId, createdAt: new Date() });
+        case 'removePhoto':
+            return updateAttachmentsIn(scope, op, 'photos', photos => photos.filter(photo => photo.id !== op.photoId));
 
-        // 2. Create documents for all scope pages
-        const allScopesToInit = initialScopesData.map(scope => {
-            if (scope.type === 'scope') {
-                return { ...scope, ...createDefaultScopeData(scope.id) };
-            } else if (scope.id === 'summary') {
-                return scope;
-            }
-            return null;
-        }).filter(Boolean);
-
-        // Special handling for Lead Abatement to avoid default prereqs
-        const leadAbatementScopeId = 'lead_abatement';
-        const leadAbatementIndex = allScopesToInit.findIndex(s => s.id === leadAbatementScopeId);
-        if (leadAbatementIndex !== -1) {
-            allScopesToInit[leadAbatementIndex] = {
-                ...allScopesToInit[leadAbatementIndex],
-                prereqStatusLeadAbatement: 'N/A',
-                prereqStatusMaterials: { status: 'N/A', notes: '', steps: [] },
-                prereqStatusGeneral: { status: 'N/A', notes: '', steps: [] },
-                parts: [
-                    createDefaultPart('Piping Section A1'),
-                    createDefaultPart('Containment Area B'),
-                ]
+        case 'movePhoto':
+            return updateAttachmentsIn(scope, op, 'photos', photos => movePhoto(photos, op.photoId, op.toIndex));
+
+        case 'addDocument':
+            return updateAttachmentsIn(scope, op, 'documents', documents => documents.some(d => d.id === op.document.id) ? documents : insertAt(documents, op.document, op.index));
+
+        case 'updateDocument':
+            return updateAttachmentsIn(scope, op, 'documents', documents => documents.map(d => d.id === op.documentId ? { ...d, ...op.fields } : d));
+
+        case 'removeDocument':
+            return updateAttachmentsIn(scope, op, 'documents', documents => documents.filter(d => d.id !== op.documentId));
+
+        default:
+            console.warn(`Unknown scope operation "${op.type}" ignored.`);
+            return scope;
+    }
+};
+
+// The part cards an operation touches, used for the per-card sync badge.
+const getOperationPartIds = (op) => {
+    const partId = op.partId || op.part?.id;
+    return partId ? [partId] : [];
+};
+
+// Previous values of the given fields, so an inverse only touches what the edit changed.
+const pickPreviousFields = (original, fields = {}) =>
+    Object.fromEntries(Object.keys(fields).map(key => [key, original?.[key] ?? null]));
+
+const invertStepChanges = (steps = [], changes) => {
+    if (!changes) return undefined;
+    return {
+        added: steps.filter(step => changes.removedIds.includes(step.id)),
+        removedIds: changes.added.map(step => step.id).filter(id => !steps.some(step => step.id === id)),
+        updated: Object.fromEntries(steps
+            .filter(step => changes.updated[step.id])
+            .map(step => [step.id, pickPreviousFields(step, changes.updated[step.id])])),
+    };
+};
+
+// Returns the operation that undoes `op` when applied after it, computed from the scope as it was before
+// `op`. Inverses are targeted operations themselves, so undoing never reverts anything else on the scope.
+// Returns null for operations that cannot be undone or that would change nothing.
+const invertScopeOperation = (scope, op) => {
+    const parts = scope.parts || [];
+    const part = parts.find(p => p.id === (op.partId || op.part?.id));
+    const actions = part?.actions || [];
+    const action = actions.find(a => a.id === (op.actionId || op.action?.id));
+    const attachmentOwner = op.actionId ? action : part;
+    const photos = attachmentOwner?.photos || [];
+    const photo = photos.find(p => p.id === (op.photoId || op.photo?.id));
+    const documents = attachmentOwner?.documents || [];
+    const attachedDocument = documents.find(d => d.id === (op.documentId || op.document?.id));
+    const attachmentTarget = { partId: op.partId, actionId: op.actionId };
+
+    switch (op.type) {
+        case 'updateScopeFields':
+            return { type: 'updateScopeFields', fields: pickPreviousFields(scope, op.fields) };
+
+        case 'updatePrereq': {
+            const prereq = scope[op.prereqKey] || {};
+            return {
+                type: 'updatePrereq',
+                prereqKey: op.prereqKey,
+                fields: pickPreviousFields(prereq, op.fields),
+                stepChanges: invertStepChanges(prereq.steps, op.stepChanges),
             };
         }
 
-        allScopesToInit.forEach(scope => {
-            const scopeData = {
-                ...scope,
-                createdAt: new Date(),
+        case 'addPart':
+            return part ? null : { type: 'deletePart', partId: op.part.id };
+
+        case 'updatePart':
+            return part ? { type: 'updatePart', partId: op.partId, fields: pickPreviousFields(part, op.fields) } : null;
+
+        case 'deletePart':
+            return part ? { type: 'addPart', part, index: parts.indexOf(part) } : null;
+
+        case 'trashPart':
+            return part && !isTrashed(part) ? { type: 'restorePart', partId: op.partId } : null;
+
+        case 'restorePart':
+            return isTrashed(part) ? { type: 'trashPart', partId: op.partId, deletedBy: part.deletedBy, deletedAt: part.deletedAt } : null;
+
+        case 'addAction':
+            return part && !action ? { type: 'deleteAction', partId: op.partId, actionId: op.action.id } : null;
+
+        case 'updateAction':
+            if (!action) return null;
+            return {
+                type: 'updateAction',
+                partId: op.partId,
+                actionId: op.actionId,
+                fields: pickPreviousFields(action, op.fields),
+                stepChanges: invertStepChanges(action.steps, op.stepChanges),
             };
-            const docRef = doc(firestore, 'artifacts', APP_ID, 'public', 'data', 'scopes', scope.id);
-            batch.set(docRef, scopeData);
-        });
-        
-        try {
-            await batch.commit();
-            console.log("Default data committed. Waiting for Snapshot update...");
-        } catch (e) {
-            console.error("Batch commit failed:", e);
-            setError(`Database Initialization Failed: ${e.message}. Please verify your network connection and Firebase security rules.`);
-        }
-    };
 
+        // A completion toggle rewrites every step, so the inverse restores each step's own progress.
+        case 'setActionCompletion':
+            if (!action) return null;
+            if (!action.steps?.length) {
+                return { type: 'updateAction', partId: op.partId, actionId: op.actionId, fields: { percentComplete: action.percentComplete ?? 0 } };
+            }
+            return {
+                type: 'updateAction',
+                partId: op.partId,
+                actionId: op.actionId,
+                fields: {},
+                stepChanges: {
+                    added: [],
+                    removedIds: [],
+                    updated: Object.fromEntries(action.steps.map(step => [step.id, pickStepProgress(step)])),
+                },
+            };
 
-    // Update function for scope data
-    const updateScopeData = useCallback(async (scopeId, data) => {
-        if (!db) {
-            console.error("Firestore not initialized.");
-            return;
-        }
+        case 'deleteAction':
+            return action ? { type: 'addAction', partId: op.partId, action, index: actions.indexOf(action) } : null;
 
-        try {
-            const docRef = doc(db, 'artifacts', APP_ID, 'public', 'data', 'scopes', scopeId);
-            // Use setDoc with merge: true for partial updates
-            await setDoc(docRef, sanitizeData(data), { merge: true });
-        } catch (e) {
-            console.error("Error updating document:", e);
-            setError(`Error updating document: ${e.message}`);
-        }
-    }, [db]);
+        case 'trashAction':
+            return action && !isTrashed(action) ? { type: 'restoreAction', partId: op.partId, actionId: op.actionId } : null;
 
+        case 'restoreAction':
+            return isTrashed(action)
+                ? { type: 'trashAction', partId: op.partId, actionId: op.actionId, deletedBy: action.deletedBy, deletedAt: action.deletedAt }
+                : null;
 
-    return { scopes, userId, updateScopeData, isLoading, error, db, uploadImage }; // NEW: Return uploadImage
-};
+        case 'addPhoto':
+            return attachmentOwner && !photo ? { type: 'removePhoto', ...attachmentTarget, photoId: op.photo.id } : null;
 
+        case 'updatePhoto':
+            return photo ? { type: 'updatePhoto', ...attachmentTarget, photoId: op.photoId, fields: pickPreviousFields(photo, op.fields) } : null;
 
-// --- Component Utilities ---
+        case 'removePhoto':
+            return photo ? { type: 'addPhoto', ...attachmentTarget, photo, index: photos.indexOf(photo) } : null;
 
-// Generates a status indicator circle and label
-const StatusBadge = ({ percent, readOnly }) => {
-    const color = getStatusColor(percent);
-    const label = getStatusLabel(percent);
-    // const icon = percent === 100 ? CheckCircle : percent > 0 ? Clock : XOctagon;
+        case 'movePhoto':
+            return photo ? { type: 'movePhoto', ...attachmentTarget, photoId: op.photoId, toIndex: photos.indexOf(photo) } : null;
 
-    return (
-        <div className={`flex items-center space-x-2 text-sm font-semibold ${readOnly ? 'text-gray-500' : 'text-gray-800'}`}>
-            <span className={`w-3 h-3 rounded-full ${color}`} />
-            <span>{label}</span>
-        </div>
-    );
-};
+        case 'addDocument':
+            return attachmentOwner && !attachedDocument ? { type: 'removeDocument', ...attachmentTarget, documentId: op.document.id } : null;
 
-// Generates a small progress circle for the summary view
-const MiniCircularProgress = ({ percent }) => {
-    const radius = 15;
-    const circumference = 2 * Math.PI * radius;
-    const offset = circumference - (percent / 100) * circumference;
-    const strokeColor = getTextColor(percent);
+        case 'updateDocument':
+            return attachedDocument ? { type: 'updateDocument', ...attachmentTarget, documentId: op.documentId, fields: pickPreviousFields(attachedDocument, op.fields) } : null;
 
-    return (
-        <div className="relative w-10 h-10 flex items-center justify-center">
-            <svg className="w-full h-full transform -rotate-90" viewBox="0 0 32 32">
-                {/* Background track */}
-                <circle
-                    cx="16"
-                    cy="16"
-                    r={radius}
-                    fill="transparent"
-                    stroke="#e5e7eb"
-                    strokeWidth="3"
-                />
-                {/* Progress bar */}
-                <circle
-                    cx="16"
-                    cy="16"
-                    r={radius}
-                    fill="transparent"
-                    stroke="currentColor"
-                    strokeWidth="3"
-                    strokeDasharray={circumference}
-                    strokeDashoffset={offset}
-                    className={strokeColor}
-                />
-            </svg>
-            <span className="absolute text-[10px] font-bold text-gray-700">
-                {percent}%
-            </span>
-        </div>
-    );
-};
+        case 'removeDocument':
+            return attachedDocument ? { type: 'addDocument', ...attachmentTarget, document: attachedDocument, index: documents.indexOf(attachedDocument) } : null;
 
-// Calculates overall progress for Lead Abatement based on linked parts
-const getLeadAbatementProgressForScope = (scopeId, allScopes) => {
-    const leadAbatementScope = allScopes.find(s => s.id === 'lead_abatement');
-    if (!leadAbatementScope || !leadAbatementScope.parts) {
-        return { percent: 0, count: 0 };
+        default:
+            return null;
     }
+};
 
-    const linkedParts = leadAbatementScope.parts.filter(part => part.relatedScopeId === scopeId);
 
-    if (linkedParts.length === 0) {
-        return { percent: 0, count: 0, isLinked: false };
-    }
+// --- Normalized Firestore Model ---
+// A scope document only holds scope-level fields (title, prerequisites). Its parts, actions and steps live in
+// subcollections so no single document grows towards the 1 MiB limit and a checkbox click only rewrites
+// the one step it touches:
+//   scopes/{scopeId}
+//   scopes/{scopeId}/parts/{partId}       -> part fields + scopeId + order (no actions)
+//   scopes/{scopeId}/actions/{actionId}   -> action fields + scopeId + partId + order (no steps)
+//   scopes/{scopeId}/steps/{stepId}       -> step fields + scopeId + order, and partId + actionId, or the
+//                                            prereqKey of the prerequisite it belongs to
+// Steps have documents of their own so the security rules can check who completes and who verifies each one;
+// they cannot look into a list. Part completion is derived from its actions when the tree is assembled, so it
+// is never stored.
+
+const WRITE_BATCH_SIZE = 400;
+
+// Operations that target a part or action document rather than the scope document.
+const ENTITY_OPERATIONS = [
+    'addPart', 'updatePart', 'deletePart', 'trashPart', 'restorePart',
+    'addAction', 'updateAction', 'setActionCompletion', 'deleteAction', 'trashAction', 'restoreAction',
+    'addPhoto', 'updatePhoto', 'removePhoto', 'movePhoto',
+    'addDocument', 'updateDocument', 'removeDocument',
+];
 
-    // Calculate total steps completed vs total steps available across all linked parts
-    const totalSteps = linkedParts.reduce((sum, part) => sum + part.actions.reduce((s, a) => s + (a.steps?.length || 0), 0), 0);
-    const completedSteps = linkedParts.reduce((sum, part) => sum + part.actions.reduce((s, a) => s + (a.steps?.filter(step => step.completed).length || 0), 0), 0);
-    
-    const percent = totalSteps === 0 ? 0 : Math.round((completedSteps / totalSteps) * 100);
+const toPartDocument = (scopeId, part, order) => ({ ...omitKeys(part, ['actions', 'percentComplete']), scopeId, order });
 
-    return { percent, count: linkedParts.length, isLinked: true };
-};
+const toActionDocument = (scopeId, partId, action, order) => ({ ...omitKeys(action, ['steps']), scopeId, partId, order });
 
+// `owner` is { partId, actionId } for an action's step, { prereqKey } for a prerequisite's.
+const toStepDocument = (scopeId, owner, step, order) => ({ ...step, ...owner, scopeId, order });
 
-// --- Modals ---
+// Prerequisite steps are stored as step documents, not in the scope document.
+const toScopeDocument = (scope) => ({
+    ...omitKeys(scope, ['parts']),
+    ...Object.fromEntries(Object.keys(STEP_PREREQ_TITLES)
+        .filter(key => Array.isArray(scope[key]?.steps))
+        .map(key => [key, omitKeys(scope[key], ['steps'])])),
+});
 
-// Modal for tracking steps and notes for Materials and General Prerequisites (No change needed here)
-const PrereqModal = ({ isOpen, onClose, prereqKey, scope, updateScopeData }) => {
-    if (!isOpen) return null;
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
 
-    const prereqData = scope[prereqKey];
-    const [notes, setNotes] = useState(prereqData.notes || '');
-    const [steps, setSteps] = useState(prereqData.steps || []);
-    const [newStepText, setNewStepText] = useState('');
+const isOwnedBy = (stepDoc, owner) => Object.entries(owner).every(([key, value]) => stepDoc[key] === value);
 
-    const calculatedPercent = calculateStepCompletion(steps);
+// Whether a stored document already holds exactly these fields, so rewriting it can be skipped.
+const isStoredAs = (stored, data) => Boolean(stored)
+    && Object.keys({ ...stored, ...data }).every(key => JSON.stringify(stored[key]) === JSON.stringify(data[key]));
 
-    const handleStepToggle = (id) => {
-        setSteps(steps.map(step =>
-            step.id === id ? { ...step, completed: !step.completed } : step
-        ));
-    };
+// The steps of one action or prerequisite, in order, without their storage bookkeeping.
+const pickOwnedSteps = (stepDocs, owner) => stepDocs
+    .filter(stepDoc => isOwnedBy(stepDoc, owner))
+    .sort(byOrder)
+    .map(stepDoc => omitKeys(stepDoc, ['scopeId', 'partId', 'actionId', 'prereqKey', 'order']));
 
-    const handleAddStep = () => {
-        if (newStepText.trim()) {
-            setSteps([...steps, { id: crypto.randomUUID(), text: newStepText.trim(), completed: false }]);
-            setNewStepText('');
-        }
-    };
+// Whether a scope or action document still holds step lists from before steps had documents of their own.
+const hasEmbeddedSteps = (kind, data) => kind === 'action'
+    ? Array.isArray(data.steps)
+    : Object.keys(STEP_PREREQ_TITLES).some(key => Array.isArray(data[key]?.steps));
 
-    const handleDeleteStep = (id) => {
-        setSteps(steps.filter(step => step.id !== id));
-    };
+// Gives the prerequisites of a stored scope document their steps. Lists still embedded are kept.
+const attachPrereqSteps = (scopeData, stepDocs) => ({
+    ...scopeData,
+    ...Object.fromEntries(Object.keys(STEP_PREREQ_TITLES)
+        .filter(key => scopeData[key] && typeof scopeData[key] === 'object' && !Array.isArray(scopeData[key].steps))
+        .map(key => [key, { ...scopeData[key], steps: pickOwnedSteps(stepDocs, { prereqKey: key }) }])),
+});
 
-    const handleSave = () => {
-        const newStatus = getStatusLabel(calculatedPercent);
-
-        const updatedScope = {
-            ...scope,
-            [prereqKey]: {
-                ...prereqData,
-                status: newStatus,
-                notes: notes,
-                steps: steps,
-            }
-        };
+// Rebuilds the nested scope shape the components use. A scope document that still carries a legacy
+// `parts` array (not yet migrated) is used as-is, as is an action that still holds its step list.
+const assembleScope = (scopeData, partDocs = [], actionDocs = [], stepDocs = []) => {
+    if (Array.isArray(scopeData.parts)) return scopeData;
+
+    const parts = [...partDocs].sort(byOrder).map(part => {
+        const actions = actionDocs
+            .filter(action => action.partId === part.id)
+            .sort(byOrder)
+            .map(action => hasEmbeddedSteps('action', action) ? action : { ...action, steps: pickOwnedSteps(stepDocs, { actionId: action.id }) });
+        return { ...part, actions, percentComplete: calculateOverallCompletion(actions.filter(action => !isTrashed(action))) };
+    });
+    return { ...attachPrereqSteps(scopeData, stepDocs), parts };
+};
 
-        updateScopeData(scope.id, updatedScope);
-        onClose();
+// Runs a part/action operation against a single entity by wrapping it in a one-item scope for the reducer.
+const applyOperationToPart = (part, op) =>
+    omitKeys(applyScopeOperation({ parts: [{ ...part, actions: [] }] }, op).parts[0], ['actions', 'percentComplete']);
+
+const applyOperationToAction = (action, op) =>
+    applyScopeOperation({ parts: [{ id: op.partId, actions: [action] }] }, op).parts[0].actions[0];
+
+
+// --- Audit Log ---
+// Every applied operation leaves an append-only entry recording who made the edit, when, which entity it
+// touched and the before/after values of the fields that changed. Entries live next to the scope they
+// describe (scopes/{scopeId}/audit/{entryId}) and are written in the same transaction as the edit itself.
+// The entry ID is the outbox entry ID, so an edit that was applied but whose acknowledgement was lost is
+// recognised on replay and not applied (or logged) twice.
+const AUDIT_PAGE_SIZE = 500;
+
+const AUDIT_ENTITY_KINDS = {
+    createScope: 'scope', updateScopeFields: 'scope', updatePrereq: 'scope',
+    addPart: 'part', updatePart: 'part', deletePart: 'part', trashPart: 'part', restorePart: 'part',
+    addAction: 'action', updateAction: 'action', setActionCompletion: 'action', deleteAction: 'action',
+    trashAction: 'action', restoreAction: 'action',
+    addPhoto: 'attachment', updatePhoto: 'attachment', removePhoto: 'attachment', movePhoto: 'attachment',
+    addDocument: 'attachment', updateDocument: 'attachment', removeDocument: 'attachment',
+};
+
+// Readable operation names for the history timeline and the undo/redo notices.
+const AUDIT_OPERATION_LABELS = {
+    createScope: 'Created scope',
+    updateScopeFields: 'Updated scope',
+    updatePrereq: 'Updated prerequisite',
+    addPart: 'Added part',
+    updatePart: 'Updated part',
+    deletePart: 'Permanently deleted part',
+    trashPart: 'Moved part to Recycle Bin',
+    restorePart: 'Restored part',
+    addAction: 'Added action',
+    updateAction: 'Updated action',
+    setActionCompletion: 'Changed action completion',
+    deleteAction: 'Permanently deleted action',
+    trashAction: 'Moved action to Recycle Bin',
+    restoreAction: 'Restored action',
+    addPhoto: 'Added photo',
+    updatePhoto: 'Edited photo details',
+    removePhoto: 'Removed photo',
+    movePhoto: 'Reordered photos',
+    addDocument: 'Attached document',
+    updateDocument: 'Edited document details',
+    removeDocument: 'Removed document',
+};
+
+// Identifies the entity an operation touches: { kind, scopeId, partId, actionId, entityPath }.
+const getAuditTarget = (scopeId, op) => {
+    const operationKind = AUDIT_ENTITY_KINDS[op.type] || 'scope';
+    // Photo and document operations are recorded against the part or action that owns them
+    const kind = operationKind === 'attachment' ? (op.actionId ? 'action' : 'part') : operationKind;
+    const partId = kind === 'scope' ? null : (op.partId || op.part?.id || null);
+    const actionId = kind === 'action' ? (op.actionId || op.action?.id || null) : null;
+    const entityPath = [`scopes/${scopeId}`, partId && `parts/${partId}`, actionId && `actions/${actionId}`].filter(Boolean).join('/');
+    return { kind, scopeId, partId, actionId, entityPath };
+};
+
+// Strips nested children and storage bookkeeping so only the entity's own fields are compared and recorded.
+const toAuditSnapshot = (entity) => entity ? omitKeys(entity, ['parts', 'actions', 'scopeId', 'partId', 'order', 'schemaVersion', 'createdAt']) : null;
+
+// Finds the targeted entity in a nested scope tree (the local backend and legacy scope documents).
+const pickAuditEntity = (scope, target) => {
+    if (!scope) return null;
+    if (target.kind === 'scope') return scope.title || scope.parts ? scope : null;
+    const part = (scope.parts || []).find(p => p.id === target.partId);
+    if (target.kind === 'part' || !part) return part || null;
+    return (part.actions || []).find(a => a.id === target.actionId) || null;
+};
+
+// Returns the entry to store, or null when the operation changed nothing.
+const createAuditEntry = (target, op, before, after, context) => {
+    const beforeSnapshot = toAuditSnapshot(before);
+    const afterSnapshot = toAuditSnapshot(after);
+    let changedBefore = beforeSnapshot;
+    let changedAfter = afterSnapshot;
+
+    if (beforeSnapshot && afterSnapshot) {
+        const changedKeys = [...new Set([...Object.keys(beforeSnapshot), ...Object.keys(afterSnapshot)])]
+            .filter(key => JSON.stringify(beforeSnapshot[key]) !== JSON.stringify(afterSnapshot[key]));
+        if (changedKeys.length === 0) return null;
+        changedBefore = Object.fromEntries(changedKeys.map(key => [key, beforeSnapshot[key] ?? null]));
+        changedAfter = Object.fromEntries(changedKeys.map(key => [key, afterSnapshot[key] ?? null]));
+    } else if (!beforeSnapshot && !afterSnapshot) {
+        return null;
+    }
+
+    return {
+        id: context.entryId,
+        ...target,
+        opType: op.type,
+        entityTitle: after?.title || before?.title || after?.text || before?.text || '',
+        userId: context.userId || null,
+        timestamp: context.timestamp,
+        before: changedBefore,
+        after: changedAfter,
     };
+};
 
-    const titleMap = {
-        prereqStatusMaterials: 'Materials Tracking',
-        prereqStatusGeneral: 'General Prereqs Tracking',
+// The operation context passed to applyOperation when none is supplied (direct adapter use).
+const createOperationContext = (userId) => ({ entryId: crypto.randomUUID(), userId, timestamp: new Date().toISOString() });
+
+
+// --- Persistence Adapters ---
+// Every backend implements the same interface so the hook and components never call a specific SDK:
+//   name                                   -> 'firestore' | 'local'
+//   connectUser(onUser, onError)           -> unsubscribe; reports onUser(userId, email) on sign-in and onUser(null) when signed out
+//   signInWithPassword(email, password), createAccount(email, password), sendSignInLink(email), signOut()
+//                                          -> Promise; account actions (the local backend has a single built-in user)
+//   subscribeProfiles(onProfiles, onError) -> unsubscribe; every user profile ({ id, displayName, company, trade, email })
+//   saveProfile(profile)                   -> Promise; creates or merges the profile with that id
+//   subscribeScopes(onScopes, onError)     -> unsubscribe; onScopes(scopes, unmigratedScopeIds) receives an array of
+//                                             plain scope objects and the IDs of those still stored in an old shape
+//   migrateScopes(scopeIds)                -> Promise; moves those scopes to the current storage shape (admins only)
+//   initializeDefaults(userId, scopes?)    -> Promise; seeds an empty project (default scopes unless given)
+//   applyOperation(scopeId, op, context)   -> Promise; atomically applies a scope operation to the latest stored scope
+//                                             and appends its audit entry (context: { entryId, userId, timestamp })
+//   listAuditEntries(scopeId, { from, to }) -> Promise<entry[]>; a scope's audit entries, newest first
+//   listProgressSnapshots()                -> Promise<snapshot[]>; the daily progress history, oldest first
+//   saveProgressSnapshot(snapshot)         -> Promise<snapshot>; stores the day's snapshot unless one exists and
+//                                             resolves with the stored one
+//   uploadBlob(blob, path, { onProgress, signal })
+//                                          -> Promise<string>; stores the file and resolves with a displayable URL.
+//                                             onProgress(bytesTransferred) reports progress; aborting `signal` cancels
+//   deleteBlob(path)                       -> Promise; removes a previously uploaded file
+//   listBlobs(prefix)                      -> Promise<string[]>; paths of all stored files under a prefix
+//   subscribeProjects(onProjects, onError) -> unsubscribe; the project registry (shared by all projects)
+//   saveProject(project)                   -> Promise; creates or merges a project registry entry
+// An adapter instance is bound to one project; each project is its own namespace (artifacts/{projectId}).
+// Accounts, profiles and the project registry are shared by all projects.
+
+// Selects the backend: the Canvas global wins, then a `?backend=local` URL parameter, then Firestore.
+const STORAGE_BACKEND = typeof __storage_backend !== 'undefined'
+    ? __storage_backend
+    : (new URLSearchParams(window.location.search).get('backend') || 'firestore');
+
+// The address an email sign-in link was sent to, needed again when the link is opened in this browser.
+const EMAIL_FOR_SIGN_IN_KEY = `tmods-email-for-sign-in-${APP_ID}`;
+
+// Firestore + Firebase Storage implementation (the production backend).
+const createFirestoreAdapter = (firebaseApp, projectId) => {
+    const firestore = getFirestore(firebaseApp);
+    const firebaseAuth = getAuth(firebaseApp);
+    const firebaseStorage = getStorage(firebaseApp);
+
+    // Public collection path as per security rules
+    const scopesColRef = collection(firestore, 'artifacts', projectId, 'public', 'data', 'scopes');
+    const snapshotsColRef = collection(firestore, 'artifacts', projectId, 'public', 'data', 'snapshots');
+    // The project registry always lives in the home namespace
+    const projectsColRef = collection(firestore, 'artifacts', APP_ID, 'public', 'data', 'projects');
+    const profilesColRef = collection(firestore, 'artifacts', APP_ID, 'public', 'data', 'profiles');
+
+    // Writes a schema upgrade back to the document it was read from. The transaction re-runs the upgrade on
+    // the latest data, so a concurrent edit is never overwritten with the stale copy that was read. Users whose
+    // role may not write the document leave the upgrade to someone who can.
+    const upgradesInFlight = new Set();
+    const refusedUpgrades = new Set();
+    const writeBackUpgrade = (docRef, upgrade) => {
+        if (upgradesInFlight.has(docRef.path) || refusedUpgrades.has(docRef.path)) return;
+        upgradesInFlight.add(docRef.path);
+        runTransaction(firestore, async (transaction) => {
+            const latest = await transaction.get(docRef);
+            if (!latest.exists()) return;
+            const { data, changed } = upgrade(sanitizeData(latest.data()));
+            if (changed) transaction.set(docRef, sanitizeData(data));
+        })
+            .catch(e => {
+                if (e.code === 'permission-denied') refusedUpgrades.add(docRef.path);
+                else console.warn(`Schema upgrade of ${docRef.path} was not saved; it will be retried on the next load:`, e);
+            })
+            .finally(() => upgradesInFlight.delete(docRef.path));
     };
 
-    return (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
-            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
-                {/* Header */}
-                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
-                    <h2 className="text-xl font-bold text-gray-800">{titleMap[prereqKey]}</h2>
-                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
-                        <X size={20} />
-                    </button>
-                </div>
-                
-                <div className="overflow-y-auto p-6 space-y-6">
-                    {/* Progress Bar */}
-                    <div className="bg-gray-100 rounded-lg p-4">
-                        <div className="font-semibold text-lg mb-2 text-gray-700">Completion: {calculatedPercent}%</div>
-                        <div className="w-full bg-gray-200 rounded-full h-3">
-                            <div 
-                                className={`h-3 rounded-full transition-all duration-500 ${getStatusColor(calculatedPercent)}`} 
-                                style={{ width: `${calculatedPercent}%` }}
-                            />
-                        </div>
-                    </div>
+    // [ref, data] pairs; null data deletes the document. Firestore caps a batch at 500 writes.
+    const commitInBatches = async (writes) => {
+        for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+            const batch = writeBatch(firestore);
+            writes.slice(i, i + WRITE_BATCH_SIZE).forEach(([entityRef, data]) => {
+                if (data === null) batch.delete(entityRef);
+                else batch.set(entityRef, sanitizeData(data));
+            });
+            await batch.commit();
+        }
+    };
 
-                    {/* Step List */}
-                    <div className="space-y-3">
-                        <h3 className="text-lg font-bold text-gray-800 border-b pb-2">Execution Steps ({steps.length})</h3>
-                        {steps.map(step => (
-                            <div key={step.id} className="flex items-center justify-between bg-white p-3 border rounded-lg shadow-sm">
-                                <label className="flex items-center flex-grow cursor-pointer">
-                                    <input 
-                                        type="checkbox" 
-                                        checked={step.completed} 
-                                        onChange={() => handleStepToggle(step.id)} 
-                                        className="form-checkbox h-5 w-5 text-indigo-600 rounded"
-                                    />
-                                    <span className={`ml-3 text-gray-700 ${step.completed ? 'line-through text-gray-500' : ''}`}>
-                                        {step.text}
-                                    </span>
-                                </label>
-                                <button onClick={() => handleDeleteStep(step.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full transition ml-4">
-                                    <Trash2 size={16} />
-                                </button>
-                            </div>
-                        ))}
+    // One-time migration of a legacy scope document whose parts (and their actions and steps) are nested in a
+    // `parts` array. Part, action and step documents are written first; the array is only removed from the
+    // scope document in a final transaction that checks nobody changed it in the meantime, otherwise the
+    // whole migration runs again. Re-writing the same documents is harmless, so an interrupted run is safe;
+    // documents an earlier run wrote for parts, actions or steps deleted since are removed, so they cannot
+    // come back. Returns whether it has to run again.
+    const migrateLegacyScope = async (scopeId) => {
+        const scopeRef = doc(scopesColRef, scopeId);
+        const legacyParts = (await getDoc(scopeRef)).data()?.parts;
+        if (!Array.isArray(legacyParts)) return false;
+
+        const writes = [];
+        // Upgraded once, so steps that get an ID from the upgrade keep it
+        const upgradedParts = legacyParts.map(part => ({
+            ...migrateDocument('part', part).data,
+            actions: (part.actions || []).map(action => migrateDocument('action', action).data),
+        }));
+        const legacyActions = upgradedParts.flatMap(part => part.actions);
+        const legacyPartIds = new Set(upgradedParts.map(part => part.id));
+        const legacyActionIds = new Set(legacyActions.map(action => action.id));
+        const legacyStepIds = new Set(legacyActions.flatMap(action => action.steps.map(step => step.id)));
+        const [writtenParts, writtenActions, writtenSteps] = await Promise.all([
+            getDocs(collection(scopeRef, 'parts')),
+            getDocs(collection(scopeRef, 'actions')),
+            getDocs(collection(scopeRef, 'steps')),
+        ]);
+        writtenParts.docs.filter(entityDoc => !legacyPartIds.has(entityDoc.id)).forEach(entityDoc => writes.push([entityDoc.ref, null]));
+        writtenActions.docs.filter(entityDoc => !legacyActionIds.has(entityDoc.id)).forEach(entityDoc => writes.push([entityDoc.ref, null]));
+        writtenSteps.docs.filter(entityDoc => entityDoc.data().actionId && !legacyStepIds.has(entityDoc.id)).forEach(entityDoc => writes.push([entityDoc.ref, null]));
+        upgradedParts.forEach((part, partIndex) => {
+            writes.push([doc(scopeRef, 'parts', part.id), toPartDocument(scopeId, part, partIndex)]);
+            part.actions.forEach((action, actionIndex) => {
+                writes.push([doc(scopeRef, 'actions', action.id), toActionDocument(scopeId, part.id, action, actionIndex)]);
+                action.steps.forEach((step, stepIndex) => {
+                    writes.push([doc(scopeRef, 'steps', step.id), toStepDocument(scopeId, { partId: part.id, actionId: action.id }, step, stepIndex)]);
+                });
+            });
+        });
+        await commitInBatches(writes);
+
+        return runTransaction(firestore, async (transaction) => {
+            const latest = await transaction.get(scopeRef);
+            if (JSON.stringify(sanitizeData(latest.data()?.parts)) !== JSON.stringify(sanitizeData(legacyParts))) return true;
+            transaction.update(scopeRef, { parts: deleteField(), partsMigratedAt: new Date() });
+            console.log(`Migrated scope ${scopeId}: ${legacyParts.length} parts moved to subcollections.`);
+            return false;
+        });
+    };
 
-                        {/* Add Step Input */}
-                        <div className="flex space-x-2 pt-2">
-                            <input 
-                                type="text" 
-                                value={newStepText} 
-                                onChange={(e) => setNewStepText(e.target.value)} 
-                                placeholder="Add new step..."
-                                className="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                            />
-                            <button onClick={handleAddStep} className="bg-indigo-600 text-white p-2 rounded-lg hover:bg-indigo-700 transition flex items-center">
-                                <Plus size={18} />
-                            </button>
-                        </div>
-                    </div>
+    // One-time move of the step lists that scope prerequisites and action documents held before steps had
+    // documents of their own. The step documents are written first; each list is then removed from its owner
+    // in a transaction that checks nobody changed it in the meantime, otherwise the move runs again. Documents
+    // an earlier run wrote for steps removed since are deleted. Returns whether it has to run again.
+    const migrateEmbeddedSteps = async (scopeId) => {
+        const scopeRef = doc(scopesColRef, scopeId);
+        const [scopeDoc, actionsSnapshot, stepsSnapshot] = await Promise.all([
+            getDoc(scopeRef),
+            getDocs(collection(scopeRef, 'actions')),
+            getDocs(collection(scopeRef, 'steps')),
+        ]);
+        if (!scopeDoc.exists()) return false;
+
+        // Owners still holding steps, upgraded to the current schema first as they would be when read
+        const owners = [
+            { kind: 'scope', ref: scopeRef, data: migrateDocument('scope', sanitizeData(scopeDoc.data())).data },
+            ...actionsSnapshot.docs.map(actionDoc => ({ kind: 'action', ref: actionDoc.ref, data: migrateDocument('action', sanitizeData(actionDoc.data())).data })),
+        ].filter(owner => hasEmbeddedSteps(owner.kind, owner.data));
+        if (owners.length === 0) return false;
+
+        // Each owner's lists with the owner fields of their step documents
+        const getStepLists = ({ kind, data }) => kind === 'action'
+            ? [{ owner: { partId: data.partId, actionId: data.id }, steps: data.steps }]
+            : Object.keys(STEP_PREREQ_TITLES).filter(key => Array.isArray(data[key]?.steps)).map(key => ({ owner: { prereqKey: key }, steps: data[key].steps }));
+
+        const writes = [];
+        owners.flatMap(getStepLists).forEach(({ owner, steps }) => {
+            const listedIds = new Set(steps.map(step => step.id));
+            stepsSnapshot.docs
+                .filter(stepDoc => !listedIds.has(stepDoc.id) && isOwnedBy(stepDoc.data(), owner))
+                .forEach(stepDoc => writes.push([stepDoc.ref, null]));
+            steps.forEach((step, index) => writes.push([doc(scopeRef, 'steps', step.id), toStepDocument(scopeId, owner, step, index)]));
+        });
+        await commitInBatches(writes);
+
+        const results = await Promise.all(owners.map(owner => runTransaction(firestore, async (transaction) => {
+            const latest = await transaction.get(owner.ref);
+            if (!latest.exists()) return false;
+            const upgraded = migrateDocument(owner.kind, sanitizeData(latest.data())).data;
+            const written = JSON.stringify(getStepLists(owner).map(list => list.steps));
+            if (JSON.stringify(getStepLists({ ...owner, data: upgraded }).map(list => list.steps)) !== written) return true;
+            transaction.set(owner.ref, sanitizeData(owner.kind === 'action' ? omitKeys(upgraded, ['steps']) : toScopeDocument(upgraded)));
+            return false;
+        })));
+        if (results.some(Boolean)) return true;
+        console.log(`Migrated scope ${scopeId}: steps of ${owners.length} prerequisites and actions moved to step documents.`);
+        return false;
+    };
 
-                    {/* Notes Section */}
-                    <div>
-                        <h3 className="text-lg font-bold text-gray-800 mb-2 border-b pb-1">Notes</h3>
-                        <textarea
-                            value={notes}
-                            onChange={(e) => setNotes(e.target.value)}
-                            rows="4"
-                            placeholder="Add detailed notes here..."
-                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none"
-                        />
-                    </div>
-                </div>
+    // Only admins may rewrite the documents involved; a refused migration is not tried again until the next
+    // load.
+    const migrationsInFlight = new Set();
+    const refusedMigrations = new Set();
+    const migrateScope = async (scopeId) => {
+        if (migrationsInFlight.has(scopeId) || refusedMigrations.has(scopeId)) return;
+        migrationsInFlight.add(scopeId);
+        let shouldRetry = false;
+        try {
+            shouldRetry = await migrateLegacyScope(scopeId) || await migrateEmbeddedSteps(scopeId);
+        } catch (e) {
+            if (e.code === 'permission-denied') {
+                refusedMigrations.add(scopeId);
+                console.warn(`Migration of scope ${scopeId} was refused; it needs an admin of this project.`);
+            } else {
+                console.warn(`Migration of scope ${scopeId} did not complete and will be retried on the next load:`, e);
+            }
+        } finally {
+            migrationsInFlight.delete(scopeId);
+        }
 
-                {/* Footer */}
-                <div className="p-4 border-t flex justify-end bg-gray-50 rounded-b-xl">
-                    <button 
-                        onClick={handleSave} 
-                        className="bg-green-600 text-white px-5 py-2 rounded-lg font-semibold hover:bg-green-700 transition shadow-md"
-                    >
-                        Save Changes
-                    </button>
-                </div>
-            </div>
-        </div>
-    );
-};
+        if (shouldRetry) migrateScope(scopeId);
+    };
 
+    return {
+        name: 'firestore',
+
+        // There is no anonymous fallback: without a custom token or a completed email link, the user is
+        // reported as signed out and the app shows the sign-in page.
+        connectUser: (onUser, onError) => {
+            const authenticate = async () => {
+                try {
+                    if (isSignInWithEmailLink(firebaseAuth, window.location.href)) {
+                        // Opened from a sign-in email; another browser has to confirm the address
+                        const email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || window.prompt('Confirm your email address to finish signing in:');
+                        if (email) {
+                            await signInWithEmailLink(firebaseAuth, email, window.location.href);
+                            localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+                        }
+                        window.history.replaceState(null, '', window.location.pathname);
+                    } else if (INITIAL_AUTH_TOKEN && INITIAL_AUTH_TOKEN !== 'dummy-auth-token-for-prod') {
+                        // Try to sign in with the provided custom token
+                        await signInWithCustomToken(firebaseAuth, INITIAL_AUTH_TOKEN);
+                    }
+                } catch (err) {
+                    console.error("Firebase Authentication Failed:", err);
+                    onError(`Authentication failed. Check your Firebase rules.`);
+                }
+            };
 
-// NEW: Modal for tracking steps, notes, and PERMANENT image for Part Actions
-const ActionModal = ({ isOpen, onClose, action, scope, part, updateScopeData, uploadImage, userId }) => {
-    if (!isOpen) return null;
+            const unsubscribe = onAuthStateChanged(firebaseAuth, (user) => {
+                if (user) {
+                    onUser(user.uid, user.email || '');
+                    console.log(`User Authenticated. UID: ${user.uid}`);
+                } else {
+                    onUser(null);
+                    console.log("Authentication state changed: User is signed out.");
+                }
+            });
 
-    const [steps, setSteps] = useState(action.steps || []);
-    const [notes, setNotes] = useState(action.notes || '');
-    const [newStepText, setNewStepText] = useState('');
-    
-    // State to manage the image during the modal session
-    const [imageState, setImageState] = useState({
-        url: action.imageUrl || null, // Permanent URL from Firestore
-        storagePath: action.imageStoragePath || null,
-        tempDataURL: null, // Temporary Base64 for instant preview of new upload
-    });
-    
-    const [isUploading, setIsUploading] = useState(false);
-    const [uploadError, setUploadError] = useState('');
+            authenticate();
+            return unsubscribe;
+        },
+
+        signInWithPassword: async (email, password) => {
+            await signInWithEmailAndPassword(firebaseAuth, email, password);
+        },
+
+        createAccount: async (email, password) => {
+            await createUserWithEmailAndPassword(firebaseAuth, email, password);
+        },
+
+        sendSignInLink: async (email) => {
+            await sendSignInLinkToEmail(firebaseAuth, email, { url: `${window.location.origin}${window.location.pathname}`, handleCodeInApp: true });
+            localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+        },
+
+        signOut: () => signOut(firebaseAuth),
+
+        // Listens to the scope documents and, per scope, to its parts, actions and steps subcollections. Nothing
+        // is reported until every subcollection has delivered its first snapshot, so scopes never flash empty.
+        subscribeScopes: (onScopes, onError) => {
+            const scopeDocs = new Map();
+            const partDocsByScope = new Map();
+            const actionDocsByScope = new Map();
+            const stepDocsByScope = new Map();
+            const childUnsubscribes = new Map();
+            let scopesReceived = false;
+
+            const handleError = (e) => {
+                console.error("Firestore Snapshot Error:", e);
+                // Crucial: The main reason for this failure is usually security rules blocking the read.
+                // A 400 Bad Request error on the stream often indicates 'permission-denied'.
+                onError(`Failed to load data. Please check your Firebase Firestore Security Rules for read access on 'artifacts/${projectId}/public/data/'. Error: ${e.message}`);
+            };
 
-    const calculatedPercent = calculateStepCompletion(steps);
+            const emit = () => {
+                if (!scopesReceived) return;
+                const allLoaded = [...scopeDocs.keys()].every(id => partDocsByScope.has(id) && actionDocsByScope.has(id) && stepDocsByScope.has(id));
+                if (!allLoaded) return;
+                const scopeList = [...scopeDocs.values()];
+                const isUnmigrated = (scopeData) => Array.isArray(scopeData.parts)
+                    || hasEmbeddedSteps('scope', scopeData)
+                    || actionDocsByScope.get(scopeData.id).some(action => hasEmbeddedSteps('action', action));
+                onScopes(
+                    scopeList.map(scopeData => assembleScope(
+                        scopeData, partDocsByScope.get(scopeData.id), actionDocsByScope.get(scopeData.id), stepDocsByScope.get(scopeData.id)
+                    )),
+                    scopeList.filter(isUnmigrated).map(scopeData => scopeData.id),
+                );
+            };
 
-    const handleStepToggle = (id) => {
-        setSteps(steps.map(step =>
-            step.id === id ? { ...step, completed: !step.completed } : step
-        ));
+            // Reads entity documents, upgrading old schema versions in memory and writing them back.
+            const toUpgradedList = (snapshot, kind) => snapshot.docs.map(entityDoc => {
+                const { data, changed } = migrateDocument(kind, sanitizeData(entityDoc.data()));
+                if (changed) writeBackUpgrade(entityDoc.ref, latest => migrateDocument(kind, latest));
+                return data;
+            });
+
+            const watchChildren = (scopeId) => {
+                const scopeRef = doc(scopesColRef, scopeId);
+                const unsubscribeParts = onSnapshot(collection(scopeRef, 'parts'), (snapshot) => {
+                    partDocsByScope.set(scopeId, toUpgradedList(snapshot, 'part'));
+                    emit();
+                }, handleError);
+                const unsubscribeActions = onSnapshot(collection(scopeRef, 'actions'), (snapshot) => {
+                    actionDocsByScope.set(scopeId, toUpgradedList(snapshot, 'action'));
+                    emit();
+                }, handleError);
+                const unsubscribeSteps = onSnapshot(collection(scopeRef, 'steps'), (snapshot) => {
+                    stepDocsByScope.set(scopeId, snapshot.docs.map(stepDoc => sanitizeData(stepDoc.data())));
+                    emit();
+                }, handleError);
+                childUnsubscribes.set(scopeId, () => { unsubscribeParts(); unsubscribeActions(); unsubscribeSteps(); });
+            };
+
+            const unsubscribeScopes = onSnapshot(query(scopesColRef), (querySnapshot) => {
+                console.log("Firestore Snapshot received.");
+                scopeDocs.clear();
+                querySnapshot.forEach(scopeDoc => {
+                    // Ensure doc data exists before adding
+                    const data = scopeDoc.data();
+                    if (data) {
+                        const { data: upgraded, changed } = migrateScopeTree({ ...sanitizeData(data), id: scopeDoc.id });
+                        // A legacy scope's parts are upgraded when it is migrated
+                        if (changed && !Array.isArray(upgraded.parts)) writeBackUpgrade(scopeDoc.ref, migrateScopeTree);
+                        scopeDocs.set(scopeDoc.id, upgraded);
+                    }
+                });
+
+                // Attach listeners for new scopes, drop listeners for removed ones
+                scopeDocs.forEach((scopeData, scopeId) => {
+                    if (!childUnsubscribes.has(scopeId)) watchChildren(scopeId);
+                });
+                childUnsubscribes.forEach((unsubscribeChildren, scopeId) => {
+                    if (scopeDocs.has(scopeId)) return;
+                    unsubscribeChildren();
+                    childUnsubscribes.delete(scopeId);
+                    partDocsByScope.delete(scopeId);
+                    actionDocsByScope.delete(scopeId);
+                    stepDocsByScope.delete(scopeId);
+                });
+
+                scopesReceived = true;
+                if (scopeDocs.size === 0) {
+                    onScopes([], []);
+                    return;
+                }
+                emit();
+            }, handleError);
+
+            return () => {
+                unsubscribeScopes();
+                childUnsubscribes.forEach(unsubscribeChildren => unsubscribeChildren());
+            };
+        },
+
+        migrateScopes: (scopeIds) => Promise.all(scopeIds.map(migrateScope)),
+
+        initializeDefaults: async (currentUserId, scopes = buildDefaultScopes()) => {
+            const writes = [];
+
+            // 1. Create a public user document to store the user's ID
+            const userDocRef = doc(firestore, 'artifacts', projectId, 'public', 'data', 'users', currentUserId);
+            writes.push([userDocRef, { userId: currentUserId, createdAt: new Date() }]);
+
+            // 2. Create documents for all scope pages, with their parts, actions and steps in subcollections
+            scopes.forEach(scope => {
+                const scopeRef = doc(scopesColRef, scope.id);
+                const addSteps = (owner, steps) => (steps || []).forEach((step, stepIndex) => {
+                    writes.push([doc(scopeRef, 'steps', step.id), toStepDocument(scope.id, owner, step, stepIndex)]);
+                });
+                writes.push([scopeRef, { ...toScopeDocument(scope), createdAt: new Date() }]);
+                Object.keys(STEP_PREREQ_TITLES).forEach(key => addSteps({ prereqKey: key }, scope[key]?.steps));
+                (scope.parts || []).forEach((part, partIndex) => {
+                    writes.push([doc(scopeRef, 'parts', part.id), toPartDocument(scope.id, part, partIndex)]);
+                    (part.actions || []).forEach((action, actionIndex) => {
+                        writes.push([doc(scopeRef, 'actions', action.id), toActionDocument(scope.id, part.id, action, actionIndex)]);
+                        addSteps({ partId: part.id, actionId: action.id }, action.steps);
+                    });
+                });
+            });
+
+            // Scope documents come before their parts, so a partially committed seed still shows scopes
+            await commitInBatches(writes);
+        },
+
+        // Scope-level operations run in a transaction on the scope document; part and action operations
+        // only touch their own documents, and step changes the documents of the steps they change.
+        // Transactions re-read and retry if someone else wrote in between.
+        applyOperation: async (scopeId, op, context = createOperationContext(null)) => {
+            const scopeRef = doc(scopesColRef, scopeId);
+            const partRef = (partId) => doc(scopeRef, 'parts', partId);
+            const actionRef = (actionId) => doc(scopeRef, 'actions', actionId);
+            const stepRef = (stepId) => doc(scopeRef, 'steps', stepId);
+            const auditRef = doc(scopeRef, 'audit', context.entryId);
+            const target = getAuditTarget(scopeId, op);
+
+            // Queries are not allowed inside transactions, so a part's actions, and the steps the operation
+            // works on, are looked up beforehand.
+            const findIds = async (subcollection, constraint) =>
+                (await getDocs(query(collection(scopeRef, subcollection), constraint))).docs.map(d => d.id);
+            const partActionIds = op.type === 'deletePart' ? await findIds('actions', where('partId', '==', op.partId)) : [];
+            let stepIds = [];
+            if (['updateAction', 'setActionCompletion', 'trashAction', 'restoreAction', 'deleteAction'].includes(op.type)) {
+                stepIds = await findIds('steps', where('actionId', '==', op.actionId));
+            } else if (op.type === 'deletePart') {
+                stepIds = await findIds('steps', where('partId', '==', op.partId));
+            } else if (!ENTITY_OPERATIONS.includes(op.type)) {
+                stepIds = await findIds('steps', where('prereqKey', 'in', Object.keys(STEP_PREREQ_TITLES)));
+            }
+
+            await runTransaction(firestore, async (transaction) => {
+                // Already applied on an earlier attempt whose acknowledgement never arrived
+                if ((await transaction.get(auditRef)).exists()) return;
+
+                const scopeDoc = await transaction.get(scopeRef);
+                const scopeData = scopeDoc.exists() ? sanitizeData(scopeDoc.data()) : { id: scopeId };
+                const stepDocs = (await Promise.all(stepIds.map(stepId => transaction.get(stepRef(stepId)))))
+                    .filter(stepDoc => stepDoc.exists())
+                    .map(stepDoc => sanitizeData(stepDoc.data()));
+                let before = null;
+                let after = null;
+
+                // Stores the step list of one action or prerequisite: documents whose fields or position changed
+                // are rewritten and those no longer listed are removed.
+                const writeSteps = (owner, steps = []) => {
+                    const stored = new Map(stepDocs.filter(stepDoc => isOwnedBy(stepDoc, owner)).map(stepDoc => [stepDoc.id, stepDoc]));
+                    steps.forEach((step, index) => {
+                        const stepDoc = sanitizeData(toStepDocument(scopeId, owner, step, index));
+                        if (!isStoredAs(stored.get(step.id), stepDoc)) transaction.set(stepRef(step.id), stepDoc);
+                        stored.delete(step.id);
+                    });
+                    stored.forEach((_, stepId) => transaction.delete(stepRef(stepId)));
+                };
+
+                // Not yet migrated: the legacy nested document is still the source of truth.
+                if (!ENTITY_OPERATIONS.includes(op.type) || Array.isArray(scopeData.parts)) {
+                    const current = attachPrereqSteps(scopeData, stepDocs);
+                    const updated = applyScopeOperation(current, op);
+                    // Prerequisites that still hold their step list keep it until the scope is migrated
+                    const storedKeys = Object.keys(STEP_PREREQ_TITLES)
+                        .filter(key => !Array.isArray(scopeData[key]?.steps) && Array.isArray(updated[key]?.steps));
+                    storedKeys.forEach(key => writeSteps({ prereqKey: key }, updated[key].steps));
+                    transaction.set(scopeRef, sanitizeData({
+                        ...updated,
+                        ...Object.fromEntries(storedKeys.map(key => [key, omitKeys(updated[key], ['steps'])])),
+                    }));
+                    before = pickAuditEntity(current, target);
+                    after = pickAuditEntity(updated, target);
+                } else {
+                    switch (op.type) {
+                        case 'addPart': {
+                            // A restored part keeps its original position
+                            const order = op.part.order ?? Date.now();
+                            transaction.set(partRef(op.part.id), sanitizeData(toPartDocument(scopeId, op.part, order)));
+                            (op.part.actions || []).forEach((action, index) => {
+                                transaction.set(actionRef(action.id), sanitizeData(toActionDocument(scopeId, op.part.id, action, action.order ?? order + index)));
+                                writeSteps({ partId: op.part.id, actionId: action.id }, action.steps);
+                            });
+                            after = op.part;
+                            break;
+                        }
+                        case 'updatePart':
+                        case 'trashPart':
+                        case 'restorePart': {
+                            const partDoc = await transaction.get(partRef(op.partId));
+                            if (!partDoc.exists()) return;
+                            before = partDoc.data();
+                            after = applyOperationToPart(before, op);
+                            transaction.set(partRef(op.partId), sanitizeData(after));
+                            break;
+                        }
+                        case 'deletePart': {
+                            const partDoc = await transaction.get(partRef(op.partId));
+                            before = partDoc.exists() ? partDoc.data() : null;
+                            stepIds.forEach(stepId => transaction.delete(stepRef(stepId)));
+                            partActionIds.forEach(actionId => transaction.delete(actionRef(actionId)));
+                            transaction.delete(partRef(op.partId));
+                            break;
+                        }
+                        case 'addAction':
+                            transaction.set(actionRef(op.action.id), sanitizeData(toActionDocument(scopeId, op.partId, op.action, op.action.order ?? Date.now())));
+                            writeSteps({ partId: op.partId, actionId: op.action.id }, op.action.steps);
+                            after = op.action;
+                            break;
+                        case 'updateAction':
+                        case 'setActionCompletion':
+                        case 'trashAction':
+                        case 'restoreAction': {
+                            const actionDoc = await transaction.get(actionRef(op.actionId));
+                            if (!actionDoc.exists()) return;
+                            const stored = sanitizeData(actionDoc.data());
+                            // An action that still holds its step list keeps it until the scope is migrated
+                            const embedded = hasEmbeddedSteps('action', stored);
+                            before = embedded ? stored : { ...stored, steps: pickOwnedSteps(stepDocs, { actionId: op.actionId }) };
+                            after = applyOperationToAction(before, op);
+                            transaction.set(actionRef(op.actionId), sanitizeData(embedded ? after : omitKeys(after, ['steps'])));
+                            if (!embedded) writeSteps({ partId: op.partId, actionId: op.actionId }, after.steps);
+                            break;
+                        }
+                        case 'deleteAction': {
+                            const actionDoc = await transaction.get(actionRef(op.actionId));
+                            const stored = actionDoc.exists() ? sanitizeData(actionDoc.data()) : null;
+                            before = stored && !hasEmbeddedSteps('action', stored) ? { ...stored, steps: pickOwnedSteps(stepDocs, { actionId: op.actionId }) } : stored;
+                            stepIds.forEach(stepId => transaction.delete(stepRef(stepId)));
+                            transaction.delete(actionRef(op.actionId));
+                            break;
+                        }
+                        // Attachment changes rewrite the one part or action document that owns the list
+                        case 'addPhoto':
+                        case 'updatePhoto':
+                        case 'removePhoto':
+                        case 'movePhoto':
+                        case 'addDocument':
+                        case 'updateDocument':
+                        case 'removeDocument': {
+                            const ownerRef = op.actionId ? actionRef(op.actionId) : partRef(op.partId);
+                            const ownerDoc = await transaction.get(ownerRef);
+                            if (!ownerDoc.exists()) return;
+                            before = ownerDoc.data();
+                            after = op.actionId ? applyOperationToAction(before, op) : applyOperationToPart(before, op);
+                            transaction.set(ownerRef, sanitizeData(after));
+                            break;
+                        }
+                    }
+                }
+
+                const auditEntry = createAuditEntry(target, op, before, after, context);
+                if (auditEntry) transaction.set(auditRef, sanitizeData(auditEntry));
+            });
+        },
+
+        listAuditEntries: async (scopeId, { from, to } = {}) => {
+            const constraints = [orderBy('timestamp', 'desc'), limit(AUDIT_PAGE_SIZE)];
+            if (from) constraints.unshift(where('timestamp', '>=', from));
+            if (to) constraints.unshift(where('timestamp', '<=', to));
+            const snapshot = await getDocs(query(collection(doc(scopesColRef, scopeId), 'audit'), ...constraints));
+            return snapshot.docs.map(auditDoc => sanitizeData(auditDoc.data()));
+        },
+
+        listProgressSnapshots: async () => {
+            const snapshot = await getDocs(query(snapshotsColRef, orderBy('date')));
+            return snapshot.docs.map(snapshotDoc => sanitizeData(snapshotDoc.data()));
+        },
+
+        // Another client may have written the day's snapshot first; theirs is kept.
+        saveProgressSnapshot: async (progressSnapshot) => {
+            const snapshotRef = doc(snapshotsColRef, progressSnapshot.date);
+            return runTransaction(firestore, async (transaction) => {
+                const existing = await transaction.get(snapshotRef);
+                if (existing.exists()) return sanitizeData(existing.data());
+                transaction.set(snapshotRef, sanitizeData(progressSnapshot));
+                return progressSnapshot;
+            });
+        },
+
+        // Resumable upload: the SDK sends the file in chunks and resumes after dropped connections.
+        uploadBlob: async (blob, path, { onProgress, signal } = {}) => {
+            const storageRef = ref(firebaseStorage, path);
+            const task = uploadBytesResumable(storageRef, blob, { contentType: blob.type });
+            const cancel = () => task.cancel();
+            signal?.addEventListener('abort', cancel);
+            task.on('state_changed', (snapshot) => onProgress?.(snapshot.bytesTransferred));
+            try {
+                await task;
+            } finally {
+                signal?.removeEventListener('abort', cancel);
+            }
+            // Get the public download URL
+            return getDownloadURL(storageRef);
+        },
+
+        deleteBlob: async (path) => {
+            await deleteObject(ref(firebaseStorage, path));
+        },
+
+        listBlobs: async (prefix) => {
+            const listFolder = async (folderRef) => {
+                const { items, prefixes } = await listAll(folderRef);
+                const nested = await Promise.all(prefixes.map(listFolder));
+                return [...items.map(item => item.fullPath), ...nested.flat()];
+            };
+            return listFolder(ref(firebaseStorage, prefix));
+        },
+
+        subscribeProjects: (onProjects, onError) => onSnapshot(projectsColRef, (snapshot) => {
+            onProjects(snapshot.docs.map(projectDoc => sanitizeData(projectDoc.data())));
+        }, (e) => {
+            console.error("Project registry Snapshot Error:", e);
+            onError(`Failed to load the project list. Error: ${e.message}`);
+        }),
+
+        saveProject: async (project) => {
+            await setDoc(doc(projectsColRef, project.id), sanitizeData(project), { merge: true });
+        },
+
+        subscribeProfiles: (onProfiles, onError) => onSnapshot(profilesColRef, (snapshot) => {
+            onProfiles(snapshot.docs.map(profileDoc => sanitizeData(profileDoc.data())));
+        }, (e) => {
+            console.error("Profiles Snapshot Error:", e);
+            onError(`Failed to load user profiles. Error: ${e.message}`);
+        }),
+
+        saveProfile: async (profile) => {
+            await setDoc(doc(profilesColRef, profile.id), sanitizeData(profile), { merge: true });
+        },
     };
+};
 
-    const handleAddStep = () => {
-        if (newStepText.trim()) {
-            setSteps([...steps, { id: crypto.randomUUID(), text: newStepText.trim(), completed: false }]);
-            setNewStepText('');
+// Local IndexedDB implementation: a fully offline backend for demo/training instances and testing
+// without a live Firebase project. Other tabs on the same origin are kept in sync through a BroadcastChannel.
+// Each project gets its own database; the home project's database also holds the project registry.
+const LOCAL_HOME_DB_NAME = `tmods-local-${APP_ID}`;
+const LOCAL_USER_KEY = `${LOCAL_HOME_DB_NAME}-user`;
+const LOCAL_STORES = { scopes: 'id', blobs: 'path', projects: 'id', audit: 'id', profiles: 'id', snapshots: 'date' };
+
+const openLocalDatabase = (dbName) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 5);
+    request.onupgradeneeded = () => {
+        const localDb = request.result;
+        Object.entries(LOCAL_STORES).forEach(([storeName, keyPath]) => {
+            if (!localDb.objectStoreNames.contains(storeName)) localDb.createObjectStore(storeName, { keyPath });
+        });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Runs `work(store)` inside a single-store transaction and resolves with the request result once it commits.
+const runLocalTransaction = async (dbPromise, storeName, mode, work) => {
+    const localDb = await dbPromise;
+    return new Promise((resolve, reject) => {
+        const transaction = localDb.transaction(storeName, mode);
+        const request = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+const createIndexedDbAdapter = (projectId) => {
+    const dbName = `tmods-local-${projectId}`;
+    const dbPromise = openLocalDatabase(dbName);
+    const homeDbPromise = dbName === LOCAL_HOME_DB_NAME ? dbPromise : openLocalDatabase(LOCAL_HOME_DB_NAME);
+    const listeners = new Set();
+    const projectListeners = new Set();
+    const profileListeners = new Set();
+    const hasChannels = typeof BroadcastChannel !== 'undefined';
+    const channel = hasChannels ? new BroadcastChannel(dbName) : null;
+    const projectsChannel = hasChannels ? new BroadcastChannel(`${LOCAL_HOME_DB_NAME}-projects`) : null;
+    const profilesChannel = hasChannels ? new BroadcastChannel(`${LOCAL_HOME_DB_NAME}-profiles`) : null;
+
+    const readScopes = () => runLocalTransaction(dbPromise, 'scopes', 'readonly', store => store.getAll());
+
+    // Pushes the current contents to every subscriber in this tab, upgrading and re-saving old records.
+    const notifyListeners = async () => {
+        try {
+            const results = (await readScopes()).map(migrateScopeTree);
+            const upgraded = results.filter(result => result.changed).map(result => result.data);
+            if (upgraded.length > 0) {
+                await runLocalTransaction(dbPromise, 'scopes', 'readwrite', store => {
+                    upgraded.forEach(scope => store.put(sanitizeData(scope)));
+                });
+            }
+            listeners.forEach(listener => listener.onScopes(results.map(result => sanitizeData(result.data))));
+        } catch (e) {
+            console.error("IndexedDB read failed:", e);
+            listeners.forEach(listener => listener.onError(`Failed to load local data from IndexedDB. Error: ${e?.message}`));
         }
     };
 
-    const handleDeleteStep = (id) => {
-        setSteps(steps.filter(step => step.id !== id));
+    // Notifies this tab and any other open tabs after a write.
+    const publishChange = () => {
+        notifyListeners();
+        if (channel) channel.postMessage('changed');
     };
 
-    const handleImageUpload = async (e) => {
-        const file = e.target.files[0];
-        setUploadError('');
-        if (!file) return;
+    if (channel) channel.onmessage = () => notifyListeners();
 
-        // Note: Real file size limit is set by Firebase Storage rules, but 1MB is a good practice limit.
-        if (file.size > 1024 * 1024) { 
-            setUploadError('File size exceeds 1MB limit.');
-            return;
+    const notifyProjectListeners = async () => {
+        try {
+            const projects = await runLocalTransaction(homeDbPromise, 'projects', 'readonly', store => store.getAll());
+            projectListeners.forEach(listener => listener.onProjects(projects));
+        } catch (e) {
+            console.error("IndexedDB project registry read failed:", e);
+            projectListeners.forEach(listener => listener.onError(`Failed to load the project list. Error: ${e?.message}`));
         }
+    };
 
-        const reader = new FileReader();
-        reader.onloadend = async () => {
-            const base64Data = reader.result;
-            setImageState(prev => ({ ...prev, tempDataURL: base64Data })); // Local Preview
-            setIsUploading(true);
-            setUploadError('');
-            
-            const now = new Date().getTime();
-            // Store images publicly under /artifacts/{appId}/public/images/actions/{scopeId}/{partId}/{actionId}/{userId}_{timestamp}_{filename}
-            const storagePath = `artifacts/${APP_ID}/public/images/actions/${scope.id}/${part.id}/${action.id}/${userId}_${now}_${file.name}`;
-            
-            // Upload to Firebase Storage
-            const permanentUrl = await uploadImage(base64Data, storagePath);
-
-            setIsUploading(false);
-
-            if (permanentUrl) {
-                setImageState({
-                    url: permanentUrl,
-                    storagePath: storagePath,
-                    tempDataURL: null, 
-                });
-            } else {
-                setUploadError('Image upload failed. Check the console for details.');
-                setImageState(prev => ({ ...prev, tempDataURL: null })); 
+    if (projectsChannel) projectsChannel.onmessage = () => notifyProjectListeners();
+
+    const notifyProfileListeners = async () => {
+        try {
+            const profiles = await runLocalTransaction(homeDbPromise, 'profiles', 'readonly', store => store.getAll());
+            profileListeners.forEach(listener => listener.onProfiles(profiles));
+        } catch (e) {
+            console.error("IndexedDB profile read failed:", e);
+            profileListeners.forEach(listener => listener.onError(`Failed to load user profiles. Error: ${e?.message}`));
+        }
+    };
+
+    if (profilesChannel) profilesChannel.onmessage = () => notifyProfileListeners();
+
+    // Merges `record` into the stored record with the same id in a home database store.
+    const mergeHomeRecord = async (storeName, record) => {
+        const localDb = await homeDbPromise;
+        await new Promise((resolve, reject) => {
+            const transaction = localDb.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const getRequest = store.get(record.id);
+            getRequest.onsuccess = () => store.put({ ...(getRequest.result || {}), ...sanitizeData(record) });
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    // Adds the home project to the registry, with `userId` as its creator, unless it is already there.
+    const registerLocalHomeProject = async (userId) => {
+        const localDb = await homeDbPromise;
+        await new Promise((resolve, reject) => {
+            const transaction = localDb.transaction('projects', 'readwrite');
+            const store = transaction.objectStore('projects');
+            const getRequest = store.get(DEFAULT_PROJECT.id);
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) store.put({ ...DEFAULT_PROJECT, createdAt: new Date().toISOString(), createdBy: userId });
+            };
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+        notifyProjectListeners();
+        if (projectsChannel) projectsChannel.postMessage('changed');
+    };
+
+    const accountsUnavailable = async () => {
+        throw new Error('Accounts are not available in local demo mode.');
+    };
+
+    return {
+        name: 'local',
+
+        connectUser: (onUser) => {
+            let localUserId = localStorage.getItem(LOCAL_USER_KEY);
+            if (!localUserId) {
+                localUserId = crypto.randomUUID();
+                localStorage.setItem(LOCAL_USER_KEY, localUserId);
             }
-        };
-        reader.readAsDataURL(file);
+            // There is no deployment step in demo mode, so this browser's user registers the home project.
+            registerLocalHomeProject(localUserId).catch(e => console.error("Failed to register the home project locally:", e));
+            onUser(localUserId, '');
+            console.log(`Local demo user. UID: ${localUserId}`);
+            return () => {};
+        },
+
+        signInWithPassword: accountsUnavailable,
+        createAccount: accountsUnavailable,
+        sendSignInLink: accountsUnavailable,
+        signOut: accountsUnavailable,
+
+        subscribeScopes: (onScopes, onError) => {
+            const listener = { onScopes, onError };
+            listeners.add(listener);
+            notifyListeners();
+            return () => listeners.delete(listener);
+        },
+
+        // Local scopes are stored as whole trees, which is the only shape they have ever had.
+        migrateScopes: async () => {},
+
+        initializeDefaults: async (currentUserId, scopes = buildDefaultScopes()) => {
+            const localDb = await dbPromise;
+            await new Promise((resolve, reject) => {
+                const transaction = localDb.transaction('scopes', 'readwrite');
+                const store = transaction.objectStore('scopes');
+                scopes.forEach(scope => store.put(sanitizeData({ ...scope, createdAt: new Date() })));
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+            publishChange();
+        },
+
+        applyOperation: async (scopeId, op, context = createOperationContext(null)) => {
+            const localDb = await dbPromise;
+            const target = getAuditTarget(scopeId, op);
+            await new Promise((resolve, reject) => {
+                const transaction = localDb.transaction(['scopes', 'audit'], 'readwrite');
+                const store = transaction.objectStore('scopes');
+                const auditStore = transaction.objectStore('audit');
+                // Read and write in the same transaction so the operation always sees the latest record
+                const auditRequest = auditStore.get(context.entryId);
+                auditRequest.onsuccess = () => {
+                    if (auditRequest.result) return;
+                    const getRequest = store.get(scopeId);
+                    getRequest.onsuccess = () => {
+                        const current = getRequest.result || { id: scopeId };
+                        const updated = applyScopeOperation(current, op);
+                        store.put(sanitizeData(updated));
+                        const auditEntry = createAuditEntry(target, op, pickAuditEntity(current, target), pickAuditEntity(updated, target), context);
+                        if (auditEntry) auditStore.put(sanitizeData(auditEntry));
+                    };
+                };
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+            publishChange();
+        },
+
+        listAuditEntries: async (scopeId, { from, to } = {}) => {
+            const entries = await runLocalTransaction(dbPromise, 'audit', 'readonly', store => store.getAll());
+            return entries
+                .filter(entry => entry.scopeId === scopeId && (!from || entry.timestamp >= from) && (!to || entry.timestamp <= to))
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+                .slice(0, AUDIT_PAGE_SIZE);
+        },
+
+        listProgressSnapshots: async () => {
+            const snapshots = await runLocalTransaction(dbPromise, 'snapshots', 'readonly', store => store.getAll());
+            return snapshots.sort((a, b) => a.date.localeCompare(b.date));
+        },
+
+        saveProgressSnapshot: async (progressSnapshot) => {
+            const localDb = await dbPromise;
+            return new Promise((resolve, reject) => {
+                const transaction = localDb.transaction('snapshots', 'readwrite');
+                const store = transaction.objectStore('snapshots');
+                let stored = progressSnapshot;
+                const getRequest = store.get(progressSnapshot.date);
+                getRequest.onsuccess = () => {
+                    if (getRequest.result) stored = getRequest.result;
+                    else store.put(sanitizeData(progressSnapshot));
+                };
+                transaction.oncomplete = () => resolve(stored);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        },
+
+        // The data URL itself is the displayable URL, so images survive reloads without a server.
+        uploadBlob: async (blob, path, { onProgress, signal } = {}) => {
+            const dataUrl = await readBlobAsDataUrl(blob);
+            if (signal?.aborted) throw new Error('Upload cancelled.');
+            await runLocalTransaction(dbPromise, 'blobs', 'readwrite', store => store.put({ path, dataUrl, createdAt: Date.now() }));
+            onProgress?.(blob.size);
+            return dataUrl;
+        },
+
+        deleteBlob: async (path) => {
+            await runLocalTransaction(dbPromise, 'blobs', 'readwrite', store => store.delete(path));
+        },
+
+        listBlobs: async (prefix) => {
+            const paths = await runLocalTransaction(dbPromise, 'blobs', 'readonly', store => store.getAllKeys());
+            return paths.filter(path => path.startsWith(prefix));
+        },
+
+        subscribeProjects: (onProjects, onError) => {
+            const listener = { onProjects, onError };
+            projectListeners.add(listener);
+            notifyProjectListeners();
+            return () => projectListeners.delete(listener);
+        },
+
+        saveProject: async (project) => {
+            await mergeHomeRecord('projects', project);
+            notifyProjectListeners();
+            if (projectsChannel) projectsChannel.postMessage('changed');
+        },
+
+        subscribeProfiles: (onProfiles, onError) => {
+            const listener = { onProfiles, onError };
+            profileListeners.add(listener);
+            notifyProfileListeners();
+            return () => profileListeners.delete(listener);
+        },
+
+        saveProfile: async (profile) => {
+            await mergeHomeRecord('profiles', profile);
+            notifyProfileListeners();
+            if (profilesChannel) profilesChannel.postMessage('changed');
+        },
     };
+};
 
 
-    const handleSave = () => {
-        const newPercent = calculateStepCompletion(steps);
+// --- Offline Write Queue ---
+// Every edit is written to a durable outbox in localStorage before it is sent, then replayed in order
+// whenever the backend is reachable. An entry only leaves the outbox once the backend acknowledges it,
+// so edits made in the reactor building without connectivity survive reloads.
 
-        const updatedAction = {
-            ...action,
-            notes: notes,
-            steps: steps,
-            percentComplete: newPercent,
-            imageUrl: imageState.url, // Save the permanent URL
-            imageStoragePath: imageState.storagePath, // Save the path
-        };
+// Each project and user keeps their own outbox, so queued edits always replay into the project they were made
+// in, and only while their author is signed in: on a shared tablet, the next person to sign in neither sees
+// nor sends them. They go out once their author signs in again.
+const getOutboxKey = (projectId, userId) => `tmods-outbox-${projectId}-${userId}`;
+const OUTBOX_RETRY_MS = 15000;
+// Error codes that retrying will not fix; these entries wait for the user to retry or discard them.
+const PERMANENT_WRITE_ERRORS = ['permission-denied', 'invalid-argument', 'unauthenticated', 'not-found'];
 
-        const updatedParts = scope.parts.map(p => {
-            if (p.id === part.id) {
-                const updatedActions = p.actions.map(a => 
-                    a.id === action.id ? updatedAction : a
-                );
-                // Recalculate part completion based on updated actions
-                const partCompletion = calculateOverallCompletion(updatedActions);
-                return { ...p, actions: updatedActions, percentComplete: partCompletion };
+const loadOutbox = (outboxKey) => {
+    try {
+        return JSON.parse(localStorage.getItem(outboxKey) || '[]');
+    } catch (e) {
+        console.warn("Outbox could not be read, starting with an empty queue:", e);
+        return [];
+    }
+};
+
+const saveOutbox = (outboxKey, entries) => {
+    localStorage.setItem(outboxKey, JSON.stringify(entries));
+};
+
+// Layers queued edits over the latest snapshot so offline changes stay visible until they sync. Edits the
+// backend refused ('failed') are left out, so the screen shows what was actually saved.
+const applyOutboxToScopes = (scopes, outbox) => outbox.filter(entry => entry.status !== 'failed').reduce((current, entry) => {
+    if (!current.some(scope => scope.id === entry.scopeId)) {
+        // A scope created while offline only exists in the outbox so far
+        return entry.op.type === 'createScope'
+            ? sortCatalogue([...current, applyScopeOperation({ id: entry.scopeId }, entry.op)])
+            : current;
+    }
+    return current.map(scope => scope.id === entry.scopeId ? applyScopeOperation(scope, entry.op) : scope);
+}, scopes);
+
+const useWriteQueue = (adapter, outboxKey) => {
+    const [outbox, setOutbox] = useState(() => loadOutbox(outboxKey));
+    const outboxRef = useRef(outbox);
+    const outboxKeyRef = useRef(outboxKey);
+    const isFlushingRef = useRef(false);
+
+    // Switching projects or users swaps in their outbox
+    useEffect(() => {
+        if (outboxKeyRef.current === outboxKey) return;
+        outboxKeyRef.current = outboxKey;
+        outboxRef.current = loadOutbox(outboxKey);
+        setOutbox(outboxRef.current);
+    }, [outboxKey]);
+
+    // Single place that mutates the queue: keeps the ref, localStorage and React state in step.
+    const commitOutbox = useCallback((updater) => {
+        outboxRef.current = updater(outboxRef.current);
+        saveOutbox(outboxKeyRef.current, outboxRef.current);
+        setOutbox(outboxRef.current);
+    }, []);
+
+    // Sends pending entries oldest-first. A transient failure stops the run so later edits never overtake it.
+    const flushOutbox = useCallback(async () => {
+        if (!adapter || isFlushingRef.current || !navigator.onLine) return;
+        isFlushingRef.current = true;
+        const flushKey = outboxKeyRef.current;
+
+        try {
+            let entry;
+            while ((entry = outboxRef.current.find(e => e.status === 'pending'))) {
+                try {
+                    await adapter.applyOperation(entry.scopeId, entry.op, {
+                        entryId: entry.id,
+                        userId: entry.userId || null,
+                        timestamp: new Date(entry.createdAt).toISOString(),
+                    });
+                    // The project or user was switched mid-flush; its outbox is no longer the one loaded
+                    if (outboxKeyRef.current !== flushKey) break;
+                    const sentId = entry.id;
+                    commitOutbox(entries => entries.filter(e => e.id !== sentId));
+                } catch (e) {
+                    if (outboxKeyRef.current !== flushKey) break;
+                    const isPermanent = PERMANENT_WRITE_ERRORS.includes(e?.code);
+                    const failedId = entry.id;
+                    console.warn(`Queued write for scope ${entry.scopeId} failed (${isPermanent ? 'needs retry' : 'will retry'}):`, e);
+                    commitOutbox(entries => entries.map(queued => queued.id === failedId
+                        ? { ...queued, status: isPermanent ? 'failed' : 'pending', attempts: queued.attempts + 1, lastError: e.message }
+                        : queued
+                    ));
+                    if (!isPermanent) break;
+                }
             }
-            return p;
+        } finally {
+            isFlushingRef.current = false;
+        }
+    }, [adapter, commitOutbox]);
+
+    // The author and creation time travel with the entry, so the audit log records when an offline edit was made.
+    const enqueueWrite = useCallback((scopeId, op, userId) => {
+        commitOutbox(entries => [...entries, {
+            id: crypto.randomUUID(),
+            scopeId,
+            userId,
+            op: sanitizeData(op),
+            partIds: getOperationPartIds(op),
+            status: 'pending',
+            attempts: 0,
+            createdAt: Date.now(),
+        }]);
+        flushOutbox();
+    }, [commitOutbox, flushOutbox]);
+
+    const retryFailedWrites = useCallback(() => {
+        commitOutbox(entries => entries.map(entry => entry.status === 'failed' ? { ...entry, status: 'pending' } : entry));
+        flushOutbox();
+    }, [commitOutbox, flushOutbox]);
+
+    // Gives up on failed entries: those touching `partId`, or all of them.
+    const discardFailedWrites = useCallback((partId = null) => {
+        commitOutbox(entries => entries.filter(entry => entry.status !== 'failed' || (partId !== null && !(entry.partIds || []).includes(partId))));
+    }, [commitOutbox]);
+
+    // Replay on startup, whenever the browser reports it is back online, and periodically while anything is queued.
+    useEffect(() => {
+        flushOutbox();
+        window.addEventListener('online', flushOutbox);
+        return () => window.removeEventListener('online', flushOutbox);
+    }, [flushOutbox]);
+
+    const hasPending = outbox.some(entry => entry.status === 'pending');
+    useEffect(() => {
+        if (!hasPending) return;
+        const timer = setInterval(flushOutbox, OUTBOX_RETRY_MS);
+        return () => clearInterval(timer);
+    }, [hasPending, flushOutbox]);
+
+    // Per part: `{ status, count }`, where 'failed' wins over 'pending' and `count` is the number of edits in
+    // that state. Parts with nothing queued are missing (synced).
+    const syncStatusByPart = useMemo(() => {
+        const statuses = {};
+        outbox.forEach(entry => {
+            (entry.partIds || []).forEach(partId => {
+                const current = statuses[partId];
+                if (current?.status === entry.status) current.count += 1;
+                else if (current?.status !== 'failed') statuses[partId] = { status: entry.status, count: 1 };
+            });
         });
+        return statuses;
+    }, [outbox]);
 
-        const updatedScope = { ...scope, parts: updatedParts };
-        updateScopeData(scope.id, updatedScope);
-        onClose();
+    return { outbox, enqueueWrite, retryFailedWrites, discardFailedWrites, syncStatusByPart };
+};
+
+
+// --- Undo / Redo ---
+// Session-only stacks of inverse operations. The inverse is computed from the scopes on screen at the moment
+// of the edit and only targets what that edit changed, so other users' changes that arrive in the meantime
+// are kept. If someone else has since changed the very same values, the undo is refused rather than
+// silently overwriting their work.
+const UNDO_STACK_LIMIT = 50;
+
+// Checks whether the values an inverse would write still hold what our edit left there.
+const hasUndoConflict = (scope, item) => {
+    const current = toAuditSnapshot(pickAuditEntity(scope, item.target));
+    // Our edit removed the entity: undo re-creates it, unless someone else already did
+    if (item.expected === null) return current !== null;
+    if (current === null) return true;
+
+    const { inverse } = item;
+    // Undoing an add deletes the entity, so any later change to it (by anyone) would be lost
+    if (inverse.type === 'deletePart' || inverse.type === 'deleteAction') {
+        return JSON.stringify(current) !== JSON.stringify(item.expected);
+    }
+
+    const differs = (a, b) => JSON.stringify(a ?? null) !== JSON.stringify(b ?? null);
+
+    // Attachment steps only care about the one photo or document they move, edit, remove or bring back
+    const attachment = (inverse.photoId || inverse.photo) ? { listKey: 'photos', id: inverse.photoId || inverse.photo.id }
+        : (inverse.documentId || inverse.document) ? { listKey: 'documents', id: inverse.documentId || inverse.document.id }
+        : null;
+    if (attachment) {
+        const findAttachment = (entity) => (entity[attachment.listKey] || []).find(entry => entry.id === attachment.id);
+        if (inverse.type === 'addPhoto' || inverse.type === 'addDocument') return Boolean(findAttachment(current));
+        if (inverse.type === 'movePhoto') return !findAttachment(current);
+        return differs(findAttachment(item.expected), findAttachment(current));
+    }
+
+    const pickContainer = (entity) => inverse.type === 'updatePrereq' ? (entity[inverse.prereqKey] || {}) : entity;
+    const expected = pickContainer(item.expected);
+    const actual = pickContainer(current);
+
+    if (Object.keys(inverse.fields || {}).some(key => differs(expected[key], actual[key]))) return true;
+
+    const changes = inverse.stepChanges;
+    if (!changes) return false;
+    const touchedStepIds = [...Object.keys(changes.updated), ...changes.removedIds, ...changes.added.map(step => step.id)];
+    const findStep = (steps, stepId) => (steps || []).find(step => step.id === stepId);
+    return touchedStepIds.some(stepId => differs(findStep(expected.steps, stepId), findStep(actual.steps, stepId)));
+};
+
+// Builds a stack entry for `op` applied to `scope`: the inverse plus the entity state the op leaves behind.
+const createUndoItem = (scope, op, label) => {
+    const inverse = invertScopeOperation(scope, op);
+    if (!inverse) return null;
+    const target = getAuditTarget(scope.id, op);
+    return {
+        id: crypto.randomUUID(),
+        label,
+        scopeId: scope.id,
+        target,
+        inverse,
+        expected: toAuditSnapshot(pickAuditEntity(applyScopeOperation(scope, op), target)),
     };
-    
-    const displayImageUrl = imageState.url || imageState.tempDataURL;
+};
 
-    return (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
-            <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col">
-                {/* Header */}
-                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
-                    <h2 className="text-xl font-bold text-gray-800">Action: {action.title}</h2>
-                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
-                        <X size={20} />
-                    </button>
-                </div>
-                
-                <div className="overflow-y-auto p-6 grid grid-cols-1 md:grid-cols-2 gap-8">
-                    {/* Left Column: Steps and Notes */}
-                    <div className="space-y-6">
-                        {/* Progress Bar */}
-                        <div className="bg-gray-100 rounded-lg p-4 shadow-inner">
-                            <div className="font-semibold text-lg mb-2 text-gray-700">Action Progress: {calculatedPercent}%</div>
-                            <div className="w-full bg-gray-200 rounded-full h-3">
-                                <div 
-                                    className={`h-3 rounded-full transition-all duration-500 ${getStatusColor(calculatedPercent)}`} 
-                                    style={{ width: `${calculatedPercent}%` }}
-                                />
-                            </div>
-                        </div>
+// Wraps the edit function: `recordEdit` applies and remembers an edit; `undo`/`redo` replay inverses.
+// `notice` describes the last step for the toast; stacks are cleared when `resetKey` (the project) changes.
+const useUndoHistory = (scopes, applyEdit, resetKey) => {
+    const scopesRef = useRef(scopes);
+    scopesRef.current = scopes;
+    const stacksRef = useRef({ undo: [], redo: [] });
+    const [stacks, setStacks] = useState(stacksRef.current);
+    const [notice, setNotice] = useState(null);
+
+    const commitStacks = useCallback((updater) => {
+        stacksRef.current = updater(stacksRef.current);
+        setStacks(stacksRef.current);
+    }, []);
+
+    useEffect(() => {
+        commitStacks(() => ({ undo: [], redo: [] }));
+        setNotice(null);
+    }, [resetKey, commitStacks]);
+
+    const recordEdit = useCallback((scopeId, op) => {
+        const scope = scopesRef.current.find(s => s.id === scopeId);
+        const item = scope ? createUndoItem(scope, op, AUDIT_OPERATION_LABELS[op.type] || op.type) : null;
+        if (!applyEdit(scopeId, op) || !item) return;
+        commitStacks(current => ({ undo: [...current.undo, item].slice(-UNDO_STACK_LIMIT), redo: [] }));
+        setNotice({ id: item.id, message: item.label, available: 'undo' });
+    }, [applyEdit, commitStacks]);
+
+    // Pops from one stack, applies the stored inverse and pushes its own inverse onto the other stack.
+    const replay = useCallback((from, to) => {
+        const item = stacksRef.current[from][stacksRef.current[from].length - 1];
+        if (!item) return;
+        const scope = scopesRef.current.find(s => s.id === item.scopeId);
+        const verb = from === 'undo' ? 'Undo' : 'Redo';
+
+        if (!scope || hasUndoConflict(scope, item)) {
+            commitStacks(current => ({ ...current, [from]: current[from].slice(0, -1) }));
+            setNotice({ id: crypto.randomUUID(), message: `${verb} skipped: "${item.label}" was changed by someone else since`, available: null });
+            return;
+        }
+
+        const counterpart = createUndoItem(scope, item.inverse, item.label);
+        if (!applyEdit(item.scopeId, item.inverse)) return;
+        commitStacks(current => ({
+            ...current,
+            [from]: current[from].slice(0, -1),
+            [to]: counterpart ? [...current[to], counterpart].slice(-UNDO_STACK_LIMIT) : current[to],
+        }));
+        setNotice({ id: crypto.randomUUID(), message: `${verb}: ${item.label}`, available: counterpart ? to : null });
+    }, [applyEdit, commitStacks]);
+
+    // Whether an undo/redo step could still write this value back (e.g. a replaced image's storage path).
+    const isReferencedInHistory = useCallback((value) =>
+        [...stacks.undo, ...stacks.redo].some(item => JSON.stringify(item.inverse).includes(value)),
+    [stacks]);
+
+    const undo = useCallback(() => replay('undo', 'redo'), [replay]);
+    const redo = useCallback(() => replay('redo', 'undo'), [replay]);
+    const dismissNotice = useCallback(() => setNotice(null), []);
+
+    return {
+        recordEdit, undo, redo, canUndo: stacks.undo.length > 0, canRedo: stacks.redo.length > 0, notice, dismissNotice, isReferencedInHistory,
+    };
+};
+
+
+// --- Recycle Bin ---
+// Deleting a part or action only flags it (`deletedAt`, `deletedBy`). Flagged items are split out of the
+// scopes the views render into `scope.recycleBin`, where they can be restored. Once the retention period has
+// passed they are purged for good: the entity is deleted and its uploaded files are removed from storage.
+const RECYCLE_BIN_RETENTION_DAYS = 30;
+
+const getPurgeDate = (item) => new Date(Date.parse(item.deletedAt) + RECYCLE_BIN_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Storage paths of the files an entity owns.
+const getEntityStoragePaths = (entity) => [
+    ...(entity.photos || []).flatMap(photo => [photo.storagePath, photo.thumbnailStoragePath]),
+    ...(entity.documents || []).map(d => d.storagePath),
+].filter(Boolean);
+
+// Live view of a scope: trashed parts and actions move to `recycleBin` and part completion ignores them.
+const separateRecycleBin = (scope) => {
+    if (!Array.isArray(scope.parts)) return scope;
+    const parts = [];
+    const recycleBin = { parts: [], actions: [] };
+
+    scope.parts.forEach(part => {
+        if (isTrashed(part)) {
+            recycleBin.parts.push(part);
+            return;
+        }
+        const actions = (part.actions || []).filter(action => !isTrashed(action));
+        (part.actions || []).filter(isTrashed).forEach(action => {
+            recycleBin.actions.push({ ...action, partId: part.id, partTitle: part.title });
+        });
+        parts.push({ ...part, actions, percentComplete: calculateOverallCompletion(actions) });
+    });
+
+    return { ...scope, parts, recycleBin };
+};
+
+// Trashed items past their retention period: [{ scopeId, op, storagePaths }]. A trashed part is purged
+// with all of its actions; actions inside it are not purged on their own.
+const findExpiredRecycleBinItems = (scopes, now) => {
+    const isExpired = (item) => isTrashed(item) && getPurgeDate(item).getTime() <= now;
+    const expired = [];
+
+    scopes.forEach(scope => {
+        (scope.parts || []).forEach(part => {
+            if (isExpired(part)) {
+                expired.push({
+                    scopeId: scope.id,
+                    op: { type: 'deletePart', partId: part.id },
+                    storagePaths: [part, ...(part.actions || [])].flatMap(getEntityStoragePaths),
+                });
+                return;
+            }
+            if (isTrashed(part)) return;
+            (part.actions || []).filter(isExpired).forEach(action => {
+                expired.push({
+                    scopeId: scope.id,
+                    op: { type: 'deleteAction', partId: part.id, actionId: action.id },
+                    storagePaths: getEntityStoragePaths(action),
+                });
+            });
+        });
+    });
+    return expired;
+};
+
+
+// --- Verification ---
+// Ticking a step marks it completed by the worker; it then waits in the verification queue until a
+// supervisor other than the worker verifies it, or rejects it with a comment. A rejected step is unticked and
+// keeps the comment until it is completed again. Progress counts completed steps unless the project sets
+// `countUnverifiedWork: false`, in which case the SummaryPage only counts verified ones (see "Progress Roll-up").
+// Step fields: completedBy, completedAt, verification ('pending' | 'verified' | 'rejected' | null),
+// verifiedBy, verifiedAt, verificationComment.
+
+const VERIFICATION_STATES = {
+    pending: { label: 'Awaiting verification', className: 'bg-amber-100 text-amber-800' },
+    verified: { label: 'Verified', className: 'bg-green-100 text-green-800' },
+    rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+};
+
+// Everything a completion toggle or a verdict can change on a step.
+const STEP_PROGRESS_FIELDS = ['completed', 'completedBy', 'completedAt', 'completionComment', 'verification', 'verifiedBy', 'verifiedAt', 'verificationComment'];
+
+// Prerequisites tracked with steps, which go through verification like action steps.
+const STEP_PREREQ_TITLES = { prereqStatusMaterials: 'Materials', prereqStatusGeneral: 'General Prereqs' };
+
+const pickStepProgress = (step) => Object.fromEntries(STEP_PROGRESS_FIELDS.map(key => [key, step[key] ?? null]));
+
+// Re-completing a rejected step keeps the rejection comment, so the verifier sees what was asked for.
+const getStepCompletionFields = (completed, userId, timestamp) => completed
+    ? { completed: true, completedBy: userId || null, completedAt: timestamp, verification: 'pending', verifiedBy: null, verifiedAt: null }
+    : { completed: false, completedBy: null, completedAt: null, completionComment: null, verification: null, verifiedBy: null, verifiedAt: null, verificationComment: null };
+
+const getVerdictFields = (verdict, userId, timestamp, comment) => ({
+    ...(verdict === 'rejected' ? { completed: false } : {}),
+    verification: verdict,
+    verifiedBy: userId || null,
+    verifiedAt: timestamp,
+    verificationComment: comment || null,
+});
+
+const getStepVerification = (step) => step.verification || (step.completed ? 'pending' : null);
+
+// An action follows its steps: rejected if any step is, pending while any awaits a verdict, verified once all are.
+const getActionVerification = (action) => {
+    const states = (action.steps || []).map(getStepVerification);
+    if (states.length === 0) return null;
+    if (states.includes('rejected')) return 'rejected';
+    if (states.includes('pending')) return 'pending';
+    return states.every(state => state === 'verified') ? 'verified' : null;
+};
+
+// Whether an operation records a verdict, or puts back a step that carries one (an undo), which needs the
+// verifyWork permission rather than editProgress.
+const isVerdictOperation = (op) => [...Object.values(op.stepChanges?.updated || {}), ...(op.stepChanges?.added || [])]
+    .some(fields => fields.verification === 'verified' || fields.verification === 'rejected');
+
+// Every completed step still waiting for a verdict, oldest completion first.
+const collectPendingVerifications = (scopes) => scopes
+    .filter(scope => scope.type === 'scope')
+    .flatMap(scope => [
+        ...Object.keys(STEP_PREREQ_TITLES).flatMap(prereqKey =>
+            (scope[prereqKey]?.steps || []).map(step => ({ scope, prereqKey, step }))
+        ),
+        ...(scope.parts || []).flatMap(part => (part.actions || []).flatMap(action =>
+            (action.steps || []).map(step => ({ scope, part, action, step }))
+        )),
+    ])
+    .filter(item => getStepVerification(item.step) === 'pending')
+    .sort((a, b) => (a.step.completedAt || '').localeCompare(b.step.completedAt || ''));
+
+// The operation that records `fields` on a queued step, on whichever action or prerequisite holds it.
+const createStepUpdateOperation = (item, fields) => {
+    const stepChanges = { added: [], removedIds: [], updated: { [item.step.id]: fields } };
+    return item.prereqKey
+        ? { type: 'updatePrereq', prereqKey: item.prereqKey, fields: {}, stepChanges }
+        : { type: 'updateAction', partId: item.part.id, actionId: item.action.id, fields: {}, stepChanges };
+};
+
+
+// --- Step Details ---
+// Steps can name an assignee (`assigneeId`, a user ID) and a `dueDate` (YYYY-MM-DD), and keep a short
+// `completionComment` next to who completed them and when (see "Verification"). A step still open after its
+// due date is overdue and is flagged on its part card.
+
+const STEP_COMMENT_MAX_LENGTH = 200;
+
+// Local calendar date as YYYY-MM-DD, the format of `<input type="date">` and of `dueDate`.
+const toDateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+// Due dates are calendar days, so they are shown without a time zone conversion.
+const formatDateKey = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString();
+
+const isStepOverdue = (step, todayKey) => Boolean(step.dueDate) && !step.completed && step.dueDate < todayKey;
+
+// A part's overdue steps with the action each belongs to, earliest due first.
+const collectOverdueSteps = (part, todayKey) => (part.actions || [])
+    .filter(action => !isTrashed(action))
+    .flatMap(action => (action.steps || []).filter(step => isStepOverdue(step, todayKey)).map(step => ({ action, step })))
+    .sort((a, b) => a.step.dueDate.localeCompare(b.step.dueDate));
+
+
+// --- Schedule ---
+// Parts and actions can carry planned and actual dates (YYYY-MM-DD): `plannedStart`, `plannedFinish`,
+// `actualStart` and `actualFinish`. Planned dates belong to supervisors, who set them on the card or by
+// dragging bars on the Gantt view; actual dates are progress. Unless recorded, actual dates are taken from
+// when steps were completed, and an item only has an actual finish once it reaches 100%.
+
+const PLANNED_DATE_FIELDS = ['plannedStart', 'plannedFinish'];
+const ACTUAL_DATE_FIELDS = ['actualStart', 'actualFinish'];
+
+// An item's recorded dates, with blanks as null so edits can be diffed against it.
+const pickScheduleDates = (item) => Object.fromEntries([...PLANNED_DATE_FIELDS, ...ACTUAL_DATE_FIELDS].map(key => [key, item[key] || null]));
+
+// Days a newly planned item spans when it is first placed on the Gantt view.
+const DEFAULT_PLANNED_DAYS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date keys are handled as UTC midnights so day arithmetic never trips over daylight saving changes.
+const parseDateKey = (dateKey) => new Date(`${dateKey}T00:00:00Z`);
+
+const addDays = (dateKey, days) => new Date(parseDateKey(dateKey).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (fromKey, toKey) => Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+
+const getActualDates = (item) => {
+    const childDates = item.actions
+        ? item.actions.filter(action => !isTrashed(action)).map(getActualDates)
+        : (item.steps || []).filter(step => step.completed && step.completedAt).map(step => {
+            const dateKey = toDateKey(new Date(step.completedAt));
+            return { actualStart: dateKey, actualFinish: dateKey };
+        });
+    const starts = childDates.map(dates => dates.actualStart).filter(Boolean).sort();
+    const finishes = childDates.map(dates => dates.actualFinish).filter(Boolean).sort();
+    return {
+        actualStart: item.actualStart || starts[0] || null,
+        actualFinish: item.actualFinish || (item.percentComplete === 100 ? finishes[finishes.length - 1] || null : null),
+    };
+};
+
+const SCHEDULE_FLAGS = {
+    late: { label: 'Late', className: 'bg-red-100 text-red-800' },
+    lateStart: { label: 'Late start', className: 'bg-orange-100 text-orange-800' },
+    finishedLate: { label: 'Finished late', className: 'bg-amber-100 text-amber-800' },
+};
+
+// How a (rolled-up) part or action compares with its plan today, or null when it is on time or unplanned.
+const getScheduleFlag = (item, todayKey) => {
+    const percent = item.percentComplete || 0;
+    const { actualStart, actualFinish } = getActualDates(item);
+    if (item.plannedFinish && percent < 100 && item.plannedFinish < todayKey) return 'late';
+    if (item.plannedStart && percent === 0 && !actualStart && item.plannedStart < todayKey) return 'lateStart';
+    if (item.plannedFinish && actualFinish && actualFinish > item.plannedFinish) return 'finishedLate';
+    return null;
+};
+
+// Gantt rows: a scope's parts, each followed by its actions, or with `summarizeScopes` one summary row per
+// scope (spanning its parts' plans) followed by its parts. Given `dependencyItems`, part and action rows carry
+// the unfinished predecessors holding them up (see "Dependencies").
+const buildScheduleRows = (scopes, { summarizeScopes = false, dependencyItems = new Map() } = {}) => scopes.flatMap(scope => {
+    const parts = (scope.parts || []).filter(part => !isTrashed(part));
+    const partRows = parts.flatMap(part => [
+        {
+            id: part.id, kind: 'part', depth: summarizeScopes ? 1 : 0, scope, part, item: part, label: part.title,
+            blockers: findBlockers(dependencyItems, { partId: part.id }),
+        },
+        ...(summarizeScopes ? [] : part.actions.filter(action => !isTrashed(action)).map(action => ({
+            id: action.id, kind: 'action', depth: 1, scope, part, action, item: action, label: action.title,
+            blockers: findBlockers(dependencyItems, { actionId: action.id }),
+        }))),
+    ]);
+    if (!summarizeScopes) return partRows;
+
+    const starts = parts.map(part => part.plannedStart).filter(Boolean).sort();
+    const finishes = parts.map(part => part.plannedFinish).filter(Boolean).sort();
+    const summary = {
+        plannedStart: starts[0] || null,
+        plannedFinish: finishes[finishes.length - 1] || null,
+        percentComplete: scope.percentComplete || 0,
+        actions: parts.flatMap(part => part.actions),
+    };
+    return [{ id: scope.id, kind: 'scope', depth: 0, scope, item: summary, label: scope.title, blockers: [] }, ...partRows];
+});
+
+// The operation that records new dates on a part or action row.
+const createScheduleOperation = (row, fields) => row.kind === 'part'
+    ? { type: 'updatePart', partId: row.part.id, fields }
+    : { type: 'updateAction', partId: row.part.id, actionId: row.action.id, fields };
+
+// --- Dependencies ---
+// A part or action can wait on other parts or actions in any scope. The links are stored on the successor as
+// `dependsOn: [{ partId }]` or `[{ actionId }]`, by ID alone, so they survive the predecessor moving to another
+// part or scope. An unfinished item is blocked while any of its predecessors is unfinished, and an action also
+// waits on whatever its part waits on. A part cannot finish before its own actions, which the loop check and
+// the critical chain take into account. Links to trashed, archived or removed items are ignored until the item
+// is back.
+
+// Older links also carry `scopeId`, and `partId` next to `actionId`; only the item's own ID counts.
+const getDependencyKey = ({ partId, actionId }) => actionId || partId;
+
+// Every live part and action of the given scopes, by key: { key, ref, scope, part, action, title, percent, dependsOn }.
+const indexDependencyItems = (scopes) => {
+    const items = new Map();
+    const add = (ref, scope, part, action) => {
+        const entity = action || part;
+        const key = getDependencyKey(ref);
+        items.set(key, { key, ref, scope, part, action, title: entity.title, percent: entity.percentComplete || 0, dependsOn: entity.dependsOn || [] });
+    };
+    scopes.filter(scope => scope.type === 'scope' && !scope.archived).forEach(scope => {
+        (scope.parts || []).filter(part => !isTrashed(part)).forEach(part => {
+            add({ partId: part.id }, scope, part, null);
+            (part.actions || []).filter(action => !isTrashed(action)).forEach(action => add({ actionId: action.id }, scope, part, action));
+        });
+    });
+    return items;
+};
+
+const formatDependencyLabel = (item) => [item.scope.title, item.part.title, item.action?.title].filter(Boolean).join(' › ');
+
+const getPredecessors = (item, items) => item.dependsOn.map(ref => items.get(getDependencyKey(ref))).filter(Boolean);
+
+// An item's own predecessors and, for an action, those of its part.
+const getInheritedPredecessors = (item, items) => {
+    const part = item.action && items.get(item.part.id);
+    return part ? [...getPredecessors(item, items), ...getPredecessors(part, items)] : getPredecessors(item, items);
+};
+
+// The actions a part contains; a part cannot finish before them.
+const getContainedActions = (item, items) => (item.action ? [] : (item.part.actions || []).map(action => items.get(action.id)).filter(Boolean));
+
+// The unfinished predecessors holding up the item at `ref`; empty once the item itself is finished.
+const findBlockers = (items, ref) => {
+    const item = items.get(getDependencyKey(ref));
+    if (!item || item.percent >= 100) return [];
+    return getInheritedPredecessors(item, items).filter(predecessor => predecessor.percent < 100);
+};
+
+const describeBlockers = (blockers) => `Waiting on:\n${blockers.map(blocker => `${formatDependencyLabel(blocker)} (${blocker.percent}%)`).join('\n')}`;
+
+// Whether the item at `key` may wait on `candidateKey`: not itself, not its own part or actions, not already
+// linked, and not something that already waits on it, which would close a loop. Waiting follows links, an
+// action waits on its part's predecessors and a part on its actions, so the candidate must not reach the item
+// (or, for a part, any of its actions, which would inherit the new link).
+const canDependOn = (items, key, candidateKey) => {
+    const item = items.get(key);
+    const candidate = items.get(candidateKey);
+    if (!item || !candidate || key === candidateKey) return false;
+    if (candidate.part.id === item.part.id && (!item.action || !candidate.action)) return false;
+    if (item.dependsOn.some(ref => getDependencyKey(ref) === candidateKey)) return false;
+
+    const targets = new Set([key, ...getContainedActions(item, items).map(action => action.key)]);
+    const visited = new Set();
+    const reachesItem = (current) => {
+        if (targets.has(current.key)) return true;
+        if (visited.has(current.key)) return false;
+        visited.add(current.key);
+        return [...getInheritedPredecessors(current, items), ...getContainedActions(current, items)].some(reachesItem);
+    };
+    return !reachesItem(candidate);
+};
+
+// Working days left on an item: its planned span (or DEFAULT_PLANNED_DAYS) scaled by the work still to do.
+const getRemainingDays = (item) => {
+    const entity = item.action || item.part;
+    const spanDays = entity.plannedStart ? daysBetween(entity.plannedStart, entity.plannedFinish || entity.plannedStart) + 1 : DEFAULT_PLANNED_DAYS;
+    return (spanDays * (100 - item.percent)) / 100;
+};
+
+// The linked items laid out for the dependency graph. Each node's `column` is the length of the longest chain
+// of predecessors before it. Edges are the links, plus a `contains` edge from an action to its part when both
+// are shown. The critical chain is the run of items with the most working days left: it decides how soon the
+// last of them can finish. A part finishes after its own work and after its slowest action, whose days
+// already overlap the part's.
+const buildDependencyGraph = (scopes) => {
+    const items = indexDependencyItems(scopes);
+    const links = [];
+    items.forEach(item => getPredecessors(item, items).forEach(predecessor => links.push({ from: predecessor.key, to: item.key })));
+    const linkedKeys = [...new Set(links.flatMap(link => [link.from, link.to]))];
+    const containment = linkedKeys
+        .map(key => items.get(key))
+        .flatMap(item => getContainedActions(item, items).filter(action => linkedKeys.includes(action.key)).map(action => ({ from: action.key, to: item.key, contains: true })));
+
+    // Longest chain ending at each item, both in steps (`column`) and in remaining days (`days`, `path`).
+    // The pickers refuse loops, but `visiting` keeps a loop written by an older client from recursing forever.
+    const chains = new Map();
+    const visiting = new Set();
+    const getChain = (key) => {
+        if (chains.has(key)) return chains.get(key);
+        if (visiting.has(key)) return { column: -1, days: 0, path: [] };
+        visiting.add(key);
+        const item = items.get(key);
+        const unfinished = item.percent < 100;
+        let column = 0;
+        let longest = { days: 0, path: [] };
+        getInheritedPredecessors(item, items).forEach(predecessor => {
+            const chain = getChain(predecessor.key);
+            column = Math.max(column, chain.column + 1);
+            if (chain.days > longest.days) longest = chain;
+        });
+        const remainingDays = getRemainingDays(item);
+        let chain = { days: longest.days + remainingDays, path: remainingDays > 0 ? [...longest.path, key] : longest.path };
+        getContainedActions(item, items).forEach(action => {
+            const actionChain = getChain(action.key);
+            if (linkedKeys.includes(action.key)) column = Math.max(column, actionChain.column + 1);
+            if (actionChain.days > chain.days) chain = { days: actionChain.days, path: unfinished ? [...actionChain.path, key] : actionChain.path };
+        });
+        visiting.delete(key);
+        chains.set(key, { ...chain, column });
+        return chains.get(key);
+    };
+
+    // An unlinked action still adds its days to its part's chain, but only drawn items make up the path.
+    const longestChain = linkedKeys.map(getChain).reduce((best, chain) => (chain.days > best.days ? chain : best), { days: 0, path: [] });
+    const critical = { ...longestChain, path: longestChain.path.filter(key => linkedKeys.includes(key)) };
+    const criticalKeys = new Set(critical.path);
+    const criticalLinks = new Set(critical.path.slice(1).map((key, index) => `${critical.path[index]}>${key}`));
+    const rowsByColumn = new Map();
+    const nodes = linkedKeys
+        .map(key => items.get(key))
+        .sort((a, b) => formatDependencyLabel(a).localeCompare(formatDependencyLabel(b)))
+        .map(item => {
+            const { column } = getChain(item.key);
+            const row = rowsByColumn.get(column) || 0;
+            rowsByColumn.set(column, row + 1);
+            return { ...item, column, row, blockers: findBlockers(items, item.ref), critical: criticalKeys.has(item.key) };
+        });
+
+    return {
+        nodes,
+        edges: [...links, ...containment].map(edge => ({ ...edge, critical: criticalLinks.has(`${edge.from}>${edge.to}`) })),
+        criticalChain: critical.path.map(key => items.get(key)),
+        criticalDays: Math.round(critical.days * 10) / 10,
+    };
+};
+
+// --- Progress Roll-up ---
+// The percentages stored on actions and parts count every step and action the same. A project in weighted
+// mode (`progressMode: 'weighted'`) recounts them from optional `weight` estimates on steps, actions and
+// parts, in the project's `weightUnit`. An item without an estimate takes the sum of its children's, or else
+// the average of its estimated siblings, so a half-estimated list still adds up sensibly. A scope's total
+// blends its field work with its prerequisites by the project's `prereqShare`. The app rolls the scopes up
+// once before rendering, so part cards, the summary, Lead Abatement links and the export agree.
+
+const PROGRESS_MODES = [
+    { id: 'count', label: 'Count-based', description: 'Every step, action and part counts the same' },
+    { id: 'weighted', label: 'Weighted', description: 'Steps, actions and parts count by their effort estimates' },
+];
+
+const WEIGHT_UNITS = [
+    { id: 'hours', label: 'Hours', short: 'h' },
+    { id: 'points', label: 'Points', short: 'pt' },
+];
+
+const isWeightedProject = (project) => project?.progressMode === 'weighted';
+
+const getWeightUnit = (project) => WEIGHT_UNITS.find(unit => unit.id === project?.weightUnit) || WEIGHT_UNITS[0];
+
+const getWeight = (item) => (Number(item?.weight) > 0 ? Number(item.weight) : null);
+
+// Input value for a weight field: blank clears the estimate.
+const parseWeight = (value) => (Number(value) > 0 ? Number(value) : null);
+
+const sumKnownEfforts = (efforts) => {
+    const known = efforts.filter(effort => effort !== null);
+    return known.length ? known.reduce((sum, effort) => sum + effort, 0) : null;
+};
+
+// Estimated effort of an item: its own weight, else the sum of its children's, else null (unknown).
+const getActionEffort = (action) => getWeight(action) ?? sumKnownEfforts((action.steps || []).map(getWeight));
+
+const getPartEffort = (part) => getWeight(part)
+    ?? sumKnownEfforts((part.actions || []).filter(action => !isTrashed(action)).map(getActionEffort));
+
+const getScopeEffort = (scope) => sumKnownEfforts((scope.parts || []).filter(part => !isTrashed(part)).map(getPartEffort));
+
+// Unknown (null) efforts count as the average of the known ones; with none known, every item counts the same.
+const resolveEfforts = (efforts) => {
+    const known = efforts.filter(effort => effort !== null);
+    const fallback = known.length ? known.reduce((sum, effort) => sum + effort, 0) / known.length : 1;
+    return efforts.map(effort => effort ?? fallback);
+};
+
+// Rounded average of `percents`, each counted by the matching effort (see resolveEfforts).
+const calculateWeightedCompletion = (percents, efforts) => {
+    if (percents.length === 0) return 0;
+    const weights = resolveEfforts(efforts);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return Math.round(percents.reduce((sum, percent, index) => sum + percent * weights[index], 0) / total);
+};
+
+const formatEffort = (effort) => String(Math.round(effort * 10) / 10);
+
+// Tooltip lines for a weighted average: one per item, with the effort it counted with when weighted.
+const describeContributions = (entries, efforts, unit) => {
+    const weights = resolveEfforts(efforts);
+    return entries.map(({ label, percent }, index) => {
+        if (!unit) return `  ${label}: ${percent}%`;
+        const assumed = efforts[index] === null ? ', no estimate' : '';
+        return `  ${label}: ${percent}% of ${formatEffort(weights[index])} ${unit.short}${assumed}`;
+    });
+};
+
+// How much of a scope's total its prerequisites make up; field work counts for the rest.
+const DEFAULT_PREREQ_SHARE = 20;
+
+const PREREQ_TITLES = { ...STEP_PREREQ_TITLES, prereqStatusLeadAbatement: 'Lead Abatement' };
+
+const getPrereqShare = (project) => {
+    const share = Number(project?.prereqShare ?? DEFAULT_PREREQ_SHARE);
+    return Number.isFinite(share) ? Math.min(100, Math.max(0, share)) : DEFAULT_PREREQ_SHARE;
+};
+
+// Percentage for a prerequisite tracked as a bare status.
+const getStatusPercent = (status) => (status === 'Complete' ? 100 : status === 'In Progress' ? 50 : 0);
+
+// Everything the roll-up needs from a project's settings.
+const getRollUpOptions = (project) => ({
+    weighted: isWeightedProject(project),
+    weightUnit: getWeightUnit(project),
+    prereqShare: getPrereqShare(project),
+});
+
+// Scopes with action, part and scope completion recounted, each with a `progressBreakdown` tooltip text.
+// `weighted` counts effort estimates, `verifiedOnly` only counts verified steps and `prereqShare` is the
+// percentage of a scope's total taken by its prerequisites. Actions without steps keep their own percentage.
+// Lead Abatement parts are rolled up first because other scopes' Lead Abatement prerequisite follows them.
+const rollUpProgress = (scopes, { weighted = false, verifiedOnly = false, weightUnit = WEIGHT_UNITS[0], prereqShare = 0 } = {}) => {
+    const unit = weighted ? weightUnit : null;
+    const effortOf = (getEffort) => (item) => (weighted ? getEffort(item) : null);
+    const isCounted = (step) => step.completed && (!verifiedOnly || getStepVerification(step) === 'verified');
+    const doneLabel = verifiedOnly ? 'verified' : 'done';
+
+    const rollUpSteps = (steps) => {
+        const efforts = steps.map(effortOf(getWeight));
+        const percent = calculateWeightedCompletion(steps.map(step => (isCounted(step) ? 100 : 0)), efforts);
+        const weights = resolveEfforts(efforts);
+        const doneEffort = steps.reduce((sum, step, index) => sum + (isCounted(step) ? weights[index] : 0), 0);
+        const breakdown = unit
+            ? `${formatEffort(doneEffort)} of ${formatEffort(weights.reduce((sum, weight) => sum + weight, 0))} ${unit.short} of steps ${doneLabel}`
+            : `${steps.filter(isCounted).length} of ${steps.length} steps ${doneLabel}`;
+        return { percent, breakdown };
+    };
+
+    const rollUpParts = (scope) => {
+        const parts = scope.parts.map(part => {
+            const actions = (part.actions || []).map(action => {
+                if (!action.steps?.length) return { ...action, progressBreakdown: 'Set directly (no steps)' };
+                const { percent, breakdown } = rollUpSteps(action.steps);
+                return { ...action, percentComplete: percent, progressBreakdown: breakdown };
+            });
+            const activeActions = actions.filter(action => !isTrashed(action));
+            const efforts = activeActions.map(effortOf(getActionEffort));
+            const entries = activeActions.map(action => ({ label: action.title, percent: action.percentComplete || 0 }));
+            return {
+                ...part,
+                actions,
+                percentComplete: calculateWeightedCompletion(entries.map(entry => entry.percent), efforts),
+                progressBreakdown: [`${unit ? 'Weighted average' : 'Average'} of ${activeActions.length} action(s)`, ...describeContributions(entries, efforts, unit)].join('\n'),
+            };
+        });
+        const activeParts = parts.filter(part => !isTrashed(part));
+        const efforts = activeParts.map(effortOf(getPartEffort));
+        const entries = activeParts.map(part => ({ label: part.title, percent: part.percentComplete }));
+        return { parts, fieldWork: calculateWeightedCompletion(entries.map(entry => entry.percent), efforts), fieldWorkLines: describeContributions(entries, efforts, unit) };
+    };
+
+    const withParts = scopes.map(scope => (Array.isArray(scope.parts) ? { ...scope, ...rollUpParts(scope) } : scope));
+
+    return withParts.map(scope => {
+        if (!Array.isArray(scope.parts)) return scope;
+        const { fieldWork, fieldWorkLines, ...rolled } = scope;
+
+        // Step-tracked prerequisites count their steps; Lead Abatement only counts once parts are linked to it.
+        const prereqs = isAbatementScope(scope) ? [] : Object.keys(PREREQ_TITLES).flatMap(key => {
+            if (key === 'prereqStatusLeadAbatement') {
+                const linked = getLeadAbatementProgressForScope(scope.id, withParts, { weighted, isCounted });
+                return linked.isLinked ? [{ label: PREREQ_TITLES[key], percent: linked.percent }] : [];
+            }
+            const prereq = scope[key];
+            const percent = prereq?.steps?.length ? rollUpSteps(prereq.steps).percent : getStatusPercent(prereq?.status);
+            return [{ label: PREREQ_TITLES[key], percent }];
+        });
+        const prereqPercent = calculateWeightedCompletion(prereqs.map(prereq => prereq.percent), prereqs.map(() => null));
+        const share = prereqs.length ? prereqShare : 0;
+
+        return {
+            ...rolled,
+            fieldWorkPercent: fieldWork,
+            percentComplete: Math.round((fieldWork * (100 - share) + prereqPercent * share) / 100),
+            progressBreakdown: [
+                `Field work: ${fieldWork}% (counts ${100 - share}%)`,
+                ...fieldWorkLines,
+                ...(prereqs.length ? [`Prerequisites: ${prereqPercent}% (counts ${share}%)`, ...describeContributions(prereqs, prereqs.map(() => null), null)] : []),
+            ].join('\n'),
+        };
+    });
+};
+
+// Project-wide completion of rolled-up scopes (or of their `fieldWorkPercent` only). Weighted projects count
+// each scope by its estimated field work.
+const calculateProjectCompletion = (scopes, weighted, field = 'percentComplete') => calculateWeightedCompletion(
+    scopes.map(scope => scope[field] || 0),
+    scopes.map(scope => (weighted ? getScopeEffort(scope) : null))
+);
+
+const describeProjectCompletion = (scopes, { weighted, weightUnit }) => [
+    `${weighted ? 'Weighted average' : 'Average'} of ${scopes.length} scope(s)`,
+    ...describeContributions(
+        scopes.map(scope => ({ label: scope.title, percent: scope.percentComplete || 0 })),
+        scopes.map(scope => (weighted ? getScopeEffort(scope) : null)),
+        weighted ? weightUnit : null
+    ),
+].join('\n');
+
+// --- Progress History ---
+// A snapshot of the project's progress is kept per day (`date`, YYYY-MM-DD), as the SummaryPage counts it:
+//   { date, takenAt, takenBy, percent, fieldWork, remaining,
+//     scopes: { [scopeId]: { percent, fieldWork, remaining, parts: { [partId]: percent } } } }
+// `remaining` counts actions not yet at 100%. The first client to load the project on a day writes that day's
+// snapshot; a snapshot is never changed afterwards. It measures progress at the moment it was taken (`takenAt`),
+// which is where the charts plot it. The S-curve compares field work with the planned dates.
+
+// The roll-up the SummaryPage shows, which may only count verified work.
+const getSummaryRollUpOptions = (project) => ({ ...getRollUpOptions(project), verifiedOnly: project.countUnverifiedWork === false });
+
+const countRemainingActions = (parts) => parts
+    .flatMap(part => part.actions.filter(action => !isTrashed(action)))
+    .filter(action => (action.percentComplete || 0) < 100)
+    .length;
+
+// Today's snapshot of the active scopes, or null for a project without any.
+const buildProgressSnapshot = (scopes, project, dateKey, userId) => {
+    const options = getSummaryRollUpOptions(project);
+    const catalogue = rollUpProgress(scopes.filter(scope => scope.type === 'scope' && !scope.archived), options);
+    if (catalogue.length === 0) return null;
+
+    return {
+        date: dateKey,
+        takenAt: new Date().toISOString(),
+        takenBy: userId || null,
+        percent: calculateProjectCompletion(catalogue, options.weighted),
+        fieldWork: calculateProjectCompletion(catalogue, options.weighted, 'fieldWorkPercent'),
+        remaining: countRemainingActions(catalogue.flatMap(scope => scope.parts)),
+        scopes: Object.fromEntries(catalogue.map(scope => [scope.id, {
+            percent: scope.percentComplete,
+            fieldWork: scope.fieldWorkPercent,
+            remaining: countRemainingActions(scope.parts),
+            parts: Object.fromEntries(scope.parts.map(part => [part.id, part.percentComplete])),
+        }])),
+    };
+};
+
+// Field work due by the end of `dateKey` according to the planned dates, each planned part spread evenly over
+// its days. Null when nothing is planned.
+const calculatePlannedPercent = (scopes, dateKey, weighted) => {
+    const parts = scopes.flatMap(scope => scope.parts || []).filter(part => part.plannedStart && !isTrashed(part));
+    if (parts.length === 0) return null;
+    const percents = parts.map(part => {
+        const spanDays = daysBetween(part.plannedStart, part.plannedFinish || part.plannedStart) + 1;
+        const elapsedDays = daysBetween(part.plannedStart, dateKey) + 1;
+        return Math.min(100, Math.max(0, (elapsedDays / spanDays) * 100));
+    });
+    return calculateWeightedCompletion(percents, parts.map(part => (weighted ? getPartEffort(part) : null)));
+};
+
+// First and last planned day of the given scopes' parts, or null when nothing is planned.
+const getPlannedRange = (scopes) => {
+    const parts = scopes.flatMap(scope => scope.parts || []).filter(part => part.plannedStart && !isTrashed(part));
+    if (parts.length === 0) return null;
+    const starts = parts.map(part => part.plannedStart).sort();
+    const finishes = parts.map(part => part.plannedFinish || part.plannedStart).sort();
+    return { start: starts[0], finish: finishes[finishes.length - 1] };
+};
+
+// --- Storage Lifecycle ---
+// Uploaded files are owned by the part or action that references them. A replaced image is deleted once
+// nothing (including the undo history, which may still restore it) points at it; purged Recycle Bin items
+// take their files with them. Anything that slips through (a closed tab, a failed delete) is found by the
+// storage audit: files under the project's image and document folders that nothing references.
+const getImagesPrefix = (projectId) => `artifacts/${projectId}/public/images/`;
+const getDocumentsPrefix = (projectId) => `artifacts/${projectId}/public/documents/`;
+const getStoragePrefixes = (projectId) => [getImagesPrefix(projectId), getDocumentsPrefix(projectId)];
+
+// Files uploaded this recently may belong to an edit that has not been saved yet, so the audit leaves them.
+const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const collectReferencedStoragePaths = (scopes) => new Set(scopes.flatMap(scope =>
+    (scope.parts || []).flatMap(part => [part, ...(part.actions || [])].flatMap(getEntityStoragePaths))
+));
+
+// Uploaded files are named `{uploadId}_{filename}`, where the ID starts with the upload time. A photo and its
+// thumbnail share one ID.
+const createUploadId = (timestamp) => `${timestamp}-${crypto.randomUUID()}`;
+
+// Returns the upload time from a file name, or 0 when it can't be read. Files uploaded before upload IDs
+// were named `{userId}_{timestamp}_{filename}`.
+const getUploadTimestamp = (path) => Number(path.split('/').pop().match(/^(\d{13})-|_(\d{13})_/)?.slice(1).find(Boolean) || 0);
+
+const findOrphanedPaths = (paths, referencedPaths, now) =>
+    paths.filter(path => !referencedPaths.has(path) && now - getUploadTimestamp(path) > ORPHAN_GRACE_MS);
+
+
+// --- Upload Queue ---
+// Files are uploaded in the background, a few at a time, with byte-level progress and a cancel button in
+// the app footer. A job groups the files that belong together (a photo and its thumbnail): it resolves with
+// their URLs once all are stored, or with null if it failed or was cancelled, in which case the files it
+// did store are removed again.
+// Whoever started a job records the stored files through the project and user active at that time, so a job
+// belongs to its `resetKey` (project and user): switching project or signing out stops every job of the old
+// key, which then stays in the footer as failed.
+const MAX_CONCURRENT_UPLOADS = 2;
+const STOPPED_UPLOAD_MESSAGE = 'Stopped when the project was switched or you signed out. Add the file again.';
+
+const useUploadQueue = (adapter, resetKey) => {
+    // Display state per job: { id, label, status: 'queued' | 'uploading' | 'failed', progress, error }
+    const [uploads, setUploads] = useState([]);
+    // Per job: { files: [{ blob, path }], adapter, resetKey, controller, resolve, started, stopped }
+    const jobsRef = useRef(new Map());
+    const resetKeyRef = useRef(resetKey);
+
+    const updateUpload = useCallback((id, fields) => {
+        setUploads(list => list.map(upload => upload.id === id ? { ...upload, ...fields } : upload));
+    }, []);
+
+    const removeUpload = useCallback((id) => {
+        setUploads(list => list.filter(upload => upload.id !== id));
+    }, []);
+
+    const runJob = useCallback(async (id) => {
+        const job = jobsRef.current.get(id);
+        if (!job || job.started) return;
+        job.started = true;
+        job.stopped = job.stopped || job.resetKey !== resetKeyRef.current;
+        updateUpload(id, { status: 'uploading' });
+
+        const totalBytes = job.files.reduce((sum, file) => sum + file.blob.size, 0) || 1;
+        const stored = [];
+        let bytesBefore = 0;
+        try {
+            for (const file of job.files) {
+                if (job.stopped) break;
+                const url = await job.adapter.uploadBlob(file.blob, file.path, {
+                    signal: job.controller.signal,
+                    onProgress: (bytes) => updateUpload(id, { progress: Math.round((bytesBefore + bytes) / totalBytes * 100) }),
+                });
+                stored.push({ path: file.path, url });
+                bytesBefore += file.blob.size;
+            }
+            // Stopped after the last file was stored: nothing may record it any more
+            if (job.stopped) throw new Error(STOPPED_UPLOAD_MESSAGE);
+            removeUpload(id);
+            job.resolve(stored.map(file => file.url));
+        } catch (e) {
+            // Nothing references these yet, so they can go straight away
+            stored.forEach(file => job.adapter.deleteBlob(file.path).catch(() => {}));
+            if (job.stopped) {
+                updateUpload(id, { status: 'failed', error: STOPPED_UPLOAD_MESSAGE });
+            } else if (job.controller.signal.aborted) {
+                removeUpload(id);
+            } else {
+                console.error(`Upload "${job.label}" failed:`, e);
+                updateUpload(id, { status: 'failed', error: e.message });
+            }
+            job.resolve(null);
+        } finally {
+            jobsRef.current.delete(id);
+        }
+    }, [updateUpload, removeUpload]);
+
+    useEffect(() => {
+        if (resetKeyRef.current === resetKey) return;
+        resetKeyRef.current = resetKey;
+        jobsRef.current.forEach((job, id) => {
+            job.stopped = true;
+            if (job.started) {
+                job.controller.abort();
+                return;
+            }
+            jobsRef.current.delete(id);
+            updateUpload(id, { status: 'failed', error: STOPPED_UPLOAD_MESSAGE });
+            job.resolve(null);
+        });
+    }, [resetKey, updateUpload]);
+
+    // Starts queued jobs, oldest first, while fewer than MAX_CONCURRENT_UPLOADS are running.
+    useEffect(() => {
+        const runningCount = uploads.filter(upload => upload.status === 'uploading').length;
+        uploads
+            .filter(upload => upload.status === 'queued')
+            .slice(0, Math.max(0, MAX_CONCURRENT_UPLOADS - runningCount))
+            .forEach(upload => runJob(upload.id));
+    }, [uploads, runJob]);
+
+    // Closing the tab would drop whatever is still queued or uploading, so the browser asks first.
+    const hasActiveUploads = uploads.some(upload => upload.status !== 'failed');
+    useEffect(() => {
+        if (!hasActiveUploads) return;
+        const handleBeforeUnload = (e) => { e.preventDefault(); e.returnValue = ''; };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+    }, [hasActiveUploads]);
+
+    // Resolves with the URLs of `files` ([{ blob, path }]) in order, or null.
+    const enqueueUpload = useCallback(({ label, files }) => {
+        if (!adapter) {
+            console.error("Persistence adapter not initialized.");
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => {
+            const id = crypto.randomUUID();
+            jobsRef.current.set(id, { label, files, adapter, resetKey, controller: new AbortController(), resolve, started: false, stopped: false });
+            setUploads(list => [...list, { id, label, status: 'queued', progress: 0, error: null }]);
+        });
+    }, [adapter, resetKey]);
+
+    const cancelUpload = useCallback((id) => {
+        const job = jobsRef.current.get(id);
+        if (!job) return;
+        if (job.started) {
+            job.controller.abort();
+            return;
+        }
+        jobsRef.current.delete(id);
+        removeUpload(id);
+        job.resolve(null);
+    }, [removeUpload]);
+
+    return { uploads, enqueueUpload, cancelUpload, dismissUpload: removeUpload };
+};
+
+
+// --- Projects ---
+// Each outage/unit is a project with its own scopes, parts and images. The registry of projects lives in the
+// home namespace (APP_ID), which is also the project the app used before projects existed, so its data is
+// picked up as-is. The home project is registered outside the app, by scripts/register-home-project.mjs, which
+// names its first admin; until then it is read-only for everyone. New projects are registered by admins of
+// the home project.
+const PROJECT_STORAGE_KEY = 'tmods-active-project';
+
+// scripts/register-home-project.mjs registers the same entry.
+const DEFAULT_PROJECT = { id: APP_ID, name: 'MCR4', description: 'Unit 4 Major Component Replacement', readOnly: false };
+
+// A `?project=` URL parameter wins (so links can point at a project), then the last project used on this device.
+const getInitialProjectId = () =>
+    new URLSearchParams(window.location.search).get('project') || localStorage.getItem(PROJECT_STORAGE_KEY) || APP_ID;
+
+// Resolves with the first complete set of scopes an adapter reports, then stops listening.
+const readScopesOnce = (adapter) => new Promise((resolve, reject) => {
+    let settled = false;
+    const unsubscribe = adapter.subscribeScopes((scopes) => {
+        if (settled) return;
+        settled = true;
+        resolve(scopes);
+        Promise.resolve().then(() => unsubscribe());
+    }, (message) => {
+        if (settled) return;
+        settled = true;
+        reject(new Error(message));
+    });
+});
+
+// A cloned step starts open: its completion, completion comment and verdict are cleared; the plan is kept.
+const resetSteps = (steps) => (steps || []).map(step => ({ ...step, ...getStepCompletionFields(false) }));
+
+const resetPrereq = (prereq) => {
+    if (!prereq || typeof prereq !== 'object') return prereq === 'N/A' ? prereq : 'Not Started';
+    return { ...prereq, status: prereq.status === 'N/A' ? 'N/A' : 'Not Started', notes: '', steps: resetSteps(prereq.steps) };
+};
+
+// Copies a scope's structure (parts, actions and step lists) into a new project with all progress cleared.
+// Recycle Bin contents are not carried over.
+// IDs are kept: they only need to be unique within a project, and keeping them preserves part links.
+const cloneScopeStructure = (scope, projectName) => {
+    if (scope.type === 'summary') return { ...scope, title: `${projectName} TMODs Summary` };
+
+    return {
+        ...scope,
+        prereqStatusLeadAbatement: resetPrereq(scope.prereqStatusLeadAbatement),
+        prereqStatusMaterials: resetPrereq(scope.prereqStatusMaterials),
+        prereqStatusGeneral: resetPrereq(scope.prereqStatusGeneral),
+        parts: (scope.parts || []).filter(part => !isTrashed(part)).map(part => ({
+            ...part,
+            photos: [],
+            documents: [],
+            percentComplete: 0,
+            actualStart: null,
+            actualFinish: null,
+            actions: (part.actions || []).filter(action => !isTrashed(action)).map(action => ({
+                ...action,
+                notes: '',
+                photos: [],
+                documents: [],
+                percentComplete: 0,
+                completed: false,
+                actualStart: null,
+                actualFinish: null,
+                steps: resetSteps(action.steps),
+            })),
+        })),
+    };
+};
+
+
+// --- Permissions ---
+// Roles are assigned in a project's registry entry: `roles: { [userId]: role }` for the whole project and
+// `scopeRoles: { [scopeId]: { [userId]: role } }` to override it for one scope (null clears an entry, since
+// registry writes are merged). Without an assignment the project's creator is its admin and everyone else a
+// viewer. A project that is not registered is read-only for everyone; the rules only let a home admin create
+// its documents, to seed it before registering it (see createProject). firestore.rules and storage.rules
+// enforce the same matrix; keep them in step with ROLE_PERMISSIONS and getOperationPermission.
+
+const ROLES = [
+    { id: 'viewer', label: 'Viewer', description: 'Sees everything, changes nothing' },
+    { id: 'field_editor', label: 'Field Editor', description: 'Updates steps, notes and prerequisites; uploads photos and documents' },
+    { id: 'supervisor', label: 'Supervisor', description: 'Also verifies completed work, adds, renames, deletes and restores parts and actions, and links scopes and dependencies' },
+    { id: 'admin', label: 'Admin', description: 'Also manages the scope catalogue, project settings, roles and storage' },
+];
+
+const PERMISSION_NAMES = ['editProgress', 'upload', 'verifyWork', 'editStructure', 'deleteItems', 'linkScopes', 'manageProject'];
+
+const ROLE_PERMISSIONS = {
+    viewer: [],
+    field_editor: ['editProgress', 'upload'],
+    supervisor: ['editProgress', 'upload', 'verifyWork', 'editStructure', 'deleteItems', 'linkScopes'],
+    admin: PERMISSION_NAMES,
+};
+
+// Prerequisite statuses are progress; every other scope field belongs to the catalogue.
+const PROGRESS_SCOPE_FIELDS = ['prereqStatusLeadAbatement', 'prereqStatusMaterials', 'prereqStatusGeneral'];
+
+// Action fields that belong to planning rather than progress.
+const ACTION_STRUCTURE_FIELDS = ['title', 'weight', 'plannedStart', 'plannedFinish'];
+
+// Step fields that belong to planning rather than progress. They travel in an operation's `stepChanges`.
+const STEP_STRUCTURE_FIELDS = ['weight', 'assigneeId', 'dueDate'];
+
+const changesStepStructure = (stepChanges) => Boolean(stepChanges) && (
+    Object.values(stepChanges.updated || {}).some(patch => STEP_STRUCTURE_FIELDS.some(key => key in patch))
+    || (stepChanges.added || []).some(step => STEP_STRUCTURE_FIELDS.some(key => step[key] != null))
+);
+
+// Fields that link an item to other scopes or items.
+const LINK_FIELDS = ['relatedScopeId', 'dependsOn'];
+
+const OPERATION_PERMISSIONS = {
+    createScope: 'manageProject',
+    updatePrereq: 'editProgress',
+    addPart: 'editStructure',
+    deletePart: 'deleteItems',
+    trashPart: 'deleteItems',
+    restorePart: 'deleteItems',
+    addAction: 'editStructure',
+    updateAction: 'editProgress',
+    setActionCompletion: 'editProgress',
+    deleteAction: 'deleteItems',
+    trashAction: 'deleteItems',
+    restoreAction: 'deleteItems',
+    addPhoto: 'upload',
+    updatePhoto: 'upload',
+    removePhoto: 'upload',
+    movePhoto: 'upload',
+    addDocument: 'upload',
+    updateDocument: 'upload',
+    removeDocument: 'upload',
+};
+
+// The permission a scope operation needs. Unknown operations need the highest one. Verdicts and step plans
+// travel in `stepChanges`; the rules check them, and who completed and verified a step, on each step document.
+const getOperationPermission = (op) => {
+    if (isVerdictOperation(op)) return 'verifyWork';
+    if (changesStepStructure(op.stepChanges)) return 'editStructure';
+    const fieldKeys = Object.keys(op.fields || {});
+    switch (op.type) {
+        case 'updateScopeFields':
+            return fieldKeys.every(key => PROGRESS_SCOPE_FIELDS.includes(key)) ? 'editProgress' : 'manageProject';
+        case 'updatePart':
+            if (fieldKeys.some(key => LINK_FIELDS.includes(key))) return 'linkScopes';
+            return fieldKeys.length > 0 && fieldKeys.every(key => ACTUAL_DATE_FIELDS.includes(key)) ? 'editProgress' : 'editStructure';
+        case 'updateAction':
+            if (fieldKeys.some(key => LINK_FIELDS.includes(key))) return 'linkScopes';
+            return fieldKeys.some(key => ACTION_STRUCTURE_FIELDS.includes(key)) ? 'editStructure' : 'editProgress';
+        default:
+            return OPERATION_PERMISSIONS[op.type] || 'manageProject';
+    }
+};
+
+// `project.registered` is undefined while the registry loads and false for an unregistered project; either
+// way nobody may edit it yet.
+const getUserRole = (project, userId, scopeId) => {
+    if (!project.registered) return 'viewer';
+    return project.scopeRoles?.[scopeId]?.[userId]
+        || project.roles?.[userId]
+        || (userId && project.createdBy === userId ? 'admin' : 'viewer');
+};
+
+// Everything the user may do in a scope (or project-wide, without a scopeId). Read-only projects allow nothing.
+const getPermissions = (project, userId, scopeId) => {
+    const role = getUserRole(project, userId, scopeId);
+    const granted = project.readOnly ? [] : (ROLE_PERMISSIONS[role] || []);
+    return { role, ...Object.fromEntries(PERMISSION_NAMES.map(name => [name, granted.includes(name)])) };
+};
+
+const getRoleLabel = (roleId) => ROLES.find(role => role.id === roleId)?.label || roleId;
+
+
+// --- Firebase Hook ---
+// Despite the name (kept for history), this hook talks to whichever persistence adapter STORAGE_BACKEND selects.
+
+const useFirebase = () => {
+    // 'pending' until the backend reports the session, then 'signedIn' or 'signedOut'
+    const [authStatus, setAuthStatus] = useState('pending');
+    const [userId, setUserId] = useState(null);
+    const [userEmail, setUserEmail] = useState('');
+    const [snapshotScopes, setSnapshotScopes] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const firebaseConfig = useMemo(() => {
+        if (STORAGE_BACKEND !== 'firestore') return {};
+        try {
+            return getFirebaseConfig();
+        } catch (e) {
+            setError(e.message);
+            return {};
+        }
+    }, []);
+
+    const firebaseApp = useMemo(() => {
+        if (STORAGE_BACKEND !== 'firestore') return null;
+
+        // Log levels for better debugging in the console
+        setLogLevel('debug');
+
+        const config = firebaseConfig;
+
+        if (!config.apiKey) {
+            if (!error) { // Only set this generic error if a more specific one hasn't been thrown by getFirebaseConfig
+                setError("Configuration Error: Firebase settings are missing. Please ensure Firebase Config is correctly provided.");
+            }
+            setIsLoading(false);
+            return null;
+        }
+        return initializeApp(config);
+    }, [firebaseConfig, error]); // Depend on error to potentially re-run if error state clears
+
+    const [projectId, setProjectId] = useState(getInitialProjectId);
+    const [projects, setProjects] = useState([]);
+    const [projectsLoaded, setProjectsLoaded] = useState(false);
+
+    const createAdapter = useCallback((id) => {
+        if (STORAGE_BACKEND === 'local') return createIndexedDbAdapter(id);
+        return firebaseApp ? createFirestoreAdapter(firebaseApp, id) : null;
+    }, [firebaseApp]);
+
+    const adapter = useMemo(() => createAdapter(projectId), [createAdapter, projectId]);
+
+    // 1. Authentication
+    useEffect(() => {
+        if (!adapter) return;
+        return adapter.connectUser((id, email) => {
+            setUserId(id);
+            setUserEmail(email || '');
+            setAuthStatus(id ? 'signedIn' : 'signedOut');
+        }, setError);
+    }, [adapter]);
+
+    // User profiles, keyed by user ID, so every change, completion and upload can show a name.
+    const [profiles, setProfiles] = useState({});
+    const [profilesLoaded, setProfilesLoaded] = useState(false);
+    useEffect(() => {
+        if (!adapter || !userId) return;
+        setProfilesLoaded(false);
+        return adapter.subscribeProfiles((fetchedProfiles) => {
+            setProfiles(Object.fromEntries(fetchedProfiles.map(p => [p.id, p])));
+            setProfilesLoaded(true);
+        }, (message) => console.error(message));
+    }, [adapter, userId]);
+
+    const saveProfile = useCallback((fields) => adapter.saveProfile({
+        ...profiles[userId],
+        ...fields,
+        id: userId,
+        email: userEmail,
+        updatedAt: new Date().toISOString(),
+    }), [adapter, profiles, userId, userEmail]);
+
+    const signInWithPassword = useCallback((email, password) => adapter.signInWithPassword(email, password), [adapter]);
+    const createAccount = useCallback((email, password) => adapter.createAccount(email, password), [adapter]);
+    const sendSignInLink = useCallback((email) => adapter.sendSignInLink(email), [adapter]);
+    const signOut = useCallback(() => adapter.signOut(), [adapter]);
+
+    // Uploads an image through the active adapter. Uploads run in the background queue so they carry on when
+    // the modal that started them closes. The Firebase SDK retries dropped connections itself; an upload that
+    // still fails stays in the footer, marked failed, until dismissed, and the file has to be added again. So
+    // does one stopped by a project switch or sign-out.
+    const { uploads, enqueueUpload: uploadImage, cancelUpload, dismissUpload } = useUploadQueue(adapter, `${projectId}-${userId}`);
+
+
+    // 2. Project registry. Clients never register the home project: its entry, and so its first admin, is set up
+    // by scripts/register-home-project.mjs when the app is deployed (see "Projects").
+    useEffect(() => {
+        if (!adapter || !userId) return;
+        return adapter.subscribeProjects((fetchedProjects) => {
+            setProjects(fetchedProjects);
+            setProjectsLoaded(true);
+        }, (message) => console.error(message));
+    }, [adapter, userId]);
+
+    // An unregistered project (e.g. from a shared link) still opens, read-only (see "Permissions"). Whether it
+    // is registered is unknown until the registry has loaded.
+    const project = useMemo(() => {
+        const registeredProject = projects.find(p => p.id === projectId);
+        if (registeredProject) return { ...registeredProject, registered: true };
+        const fallback = projectId === DEFAULT_PROJECT.id ? DEFAULT_PROJECT : { id: projectId, name: projectId, description: '', readOnly: false };
+        return projectsLoaded ? { ...fallback, registered: false } : fallback;
+    }, [projects, projectsLoaded, projectId]);
+
+    // 3. Data Synchronization (Scopes and Parts)
+    const [needsSeeding, setNeedsSeeding] = useState(false);
+    const [unmigratedScopeIds, setUnmigratedScopeIds] = useState([]);
+    useEffect(() => {
+        // Wait for the adapter and authenticated userId to be ready, or if an error occurred.
+        if (!adapter || !userId || error) return;
+
+        // Never show the previous project's scopes while the new project loads
+        setSnapshotScopes([]);
+        setNeedsSeeding(false);
+        setUnmigratedScopeIds([]);
+        setIsLoading(true);
+
+        const unsubscribe = adapter.subscribeScopes((fetchedScopes, unmigratedIds = []) => {
+            setUnmigratedScopeIds(current => current.join() === unmigratedIds.join() ? current : unmigratedIds);
+            if (fetchedScopes.length === 0) {
+                // Keep loading until the project is seeded below and the next snapshot confirms data presence
+                setIsLoading(true);
+                setNeedsSeeding(true);
+                return;
+            }
+            setNeedsSeeding(false);
+
+            // The scope catalogue comes from the backend; only the summary page is guaranteed to exist.
+            const summaryScope = fetchedScopes.find(s => s.type === 'summary') || initialScopesData[0];
+            const updatedScopes = sortCatalogue([summaryScope, ...fetchedScopes.filter(s => s.type !== 'summary')]);
+
+            console.log(`Found ${updatedScopes.length} scopes. Loading complete.`);
+            setSnapshotScopes(updatedScopes);
+            setIsLoading(false);
+
+        }, (message) => {
+            setError(message);
+            setIsLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [adapter, userId, error]);
+
+    // An empty project is seeded by its admin once the registry has loaded. Nobody may write to an unregistered
+    // project, and anyone else sees it empty until its admin opens it.
+    useEffect(() => {
+        if (!needsSeeding || !adapter || project.registered === undefined) return;
+        if (!getPermissions(project, userId).manageProject) {
+            setSnapshotScopes([initialScopesData[0]]);
+            setIsLoading(false);
+            return;
+        }
+        setNeedsSeeding(false);
+        console.log("Scopes collection is empty. Initializing data...");
+        adapter.initializeDefaults(userId)
+            .then(() => console.log("Default data committed. Waiting for Snapshot update..."))
+            .catch(e => {
+                console.error("Default data initialization failed:", e);
+                setError(`Database Initialization Failed: ${e.message}. Please verify your network connection and Firebase security rules.`);
+            });
+    }, [needsSeeding, adapter, project, userId]);
+
+    // Scopes stored in an old shape are moved to the current one by a project admin's app; the rules let nobody
+    // else rewrite them. Until then they load as they are, and only admins can change them.
+    useEffect(() => {
+        if (!adapter || unmigratedScopeIds.length === 0 || !getPermissions(project, userId).manageProject) return;
+        adapter.migrateScopes(unmigratedScopeIds);
+    }, [adapter, unmigratedScopeIds, project, userId]);
+
+
+    const { outbox, enqueueWrite, retryFailedWrites, discardFailedWrites, syncStatusByPart } = useWriteQueue(adapter, getOutboxKey(projectId, userId));
+
+    // The last snapshot with any not-yet-acknowledged edits applied on top. Undo and purging work on this
+    // full tree; the UI renders `scopes`, where Recycle Bin items are split out.
+    const fullScopes = useMemo(() => applyOutboxToScopes(snapshotScopes, outbox), [snapshotScopes, outbox]);
+    const scopes = useMemo(() => fullScopes.map(separateRecycleBin), [fullScopes]);
+
+    // Update function for scope data: takes a scope operation (see "Scope Operations").
+    // Writes go through the outbox, so a failure never takes down the app.
+    // Archived (read-only) projects, and edits the user's role does not allow, are refused here as well as in
+    // the UI; the security rules would reject them anyway.
+    const applyEdit = useCallback((scopeId, op) => {
+        if (project.readOnly) {
+            console.warn(`Project "${project.name}" is read-only; edit to ${scopeId} ignored.`);
+            return false;
+        }
+        if (!getPermissions(project, userId, scopeId)[getOperationPermission(op)]) {
+            console.warn(`Your role does not allow "${op.type}" in ${scopeId}; edit ignored.`);
+            return false;
+        }
+        enqueueWrite(scopeId, op, userId);
+        return true;
+    }, [enqueueWrite, project, userId]);
+
+    // Every edit made through the UI can be undone for the rest of the session, by whoever made it.
+    const {
+        recordEdit: updateScopeData, undo, redo, canUndo, canRedo, notice: undoNotice, dismissNotice: dismissUndoNotice, isReferencedInHistory,
+    } = useUndoHistory(fullScopes, applyEdit, `${projectId}-${userId}`);
+
+    // Files that were replaced or abandoned. Each is deleted, through the adapter of the project it belongs
+    // to, as soon as neither the scopes nor the undo history refer to it.
+    const [discardedFiles, setDiscardedFiles] = useState([]);
+    const discardStoredFile = useCallback((path) => {
+        if (!path || !adapter) return;
+        setDiscardedFiles(files => [...files, { path, adapter }]);
+    }, [adapter]);
+
+    useEffect(() => {
+        if (discardedFiles.length === 0) return;
+        const referencedPaths = collectReferencedStoragePaths(fullScopes);
+        const releasable = discardedFiles.filter(file => !referencedPaths.has(file.path) && !isReferencedInHistory(file.path));
+        if (releasable.length === 0) return;
+        setDiscardedFiles(files => files.filter(file => !releasable.includes(file)));
+        releasable.forEach(file => {
+            file.adapter.deleteBlob(file.path)
+                .catch(e => console.warn(`Could not delete replaced file ${file.path}; the storage audit will list it:`, e));
+        });
+    }, [discardedFiles, fullScopes, isReferencedInHistory]);
+
+    // Storage audit: files under this project's image and document folders that no part or action references.
+    const findOrphanedFiles = useCallback(async () => {
+        const paths = (await Promise.all(getStoragePrefixes(projectId).map(prefix => adapter.listBlobs(prefix)))).flat();
+        const referencedPaths = collectReferencedStoragePaths(fullScopes);
+        const orphans = findOrphanedPaths(paths, referencedPaths, Date.now()).filter(path => !isReferencedInHistory(path));
+        return { scannedCount: paths.length, orphans };
+    }, [adapter, projectId, fullScopes, isReferencedInHistory]);
+
+    // Resolves with the paths that could not be deleted.
+    const deleteStoredFiles = useCallback(async (paths) => {
+        const results = await Promise.allSettled(paths.map(path => adapter.deleteBlob(path)));
+        return paths.filter((path, index) => results[index].status === 'rejected');
+    }, [adapter]);
+
+    // Purges Recycle Bin items past their retention period. Files go first; a file whose deletion fails is
+    // left for the storage audit to clean up, it never blocks the purge itself.
+    const purgedItemsRef = useRef(new Set());
+    useEffect(() => {
+        if (isLoading || !adapter || project.readOnly) return;
+        findExpiredRecycleBinItems(fullScopes, Date.now()).forEach(({ scopeId, op, storagePaths }) => {
+            if (!getPermissions(project, userId, scopeId).deleteItems) return;
+            const itemKey = `${scopeId}/${op.partId}/${op.actionId || ''}`;
+            if (purgedItemsRef.current.has(itemKey)) return;
+            purgedItemsRef.current.add(itemKey);
+            storagePaths.forEach(path => {
+                adapter.deleteBlob(path).catch(e => console.warn(`Could not delete purged file ${path}:`, e));
+            });
+            applyEdit(scopeId, op);
+        });
+    }, [fullScopes, isLoading, adapter, project, userId, applyEdit]);
+
+    const switchProject = useCallback((id) => {
+        localStorage.setItem(PROJECT_STORAGE_KEY, id);
+        setProjectId(id);
+    }, []);
+
+    // Creates a project, optionally cloning the scope structure of an existing one, and switches to it once
+    // seeded. It is registered first: nobody may write to an unregistered project.
+    const createProject = useCallback(async ({ name, description, sourceProjectId }) => {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24);
+        const newProjectId = `${slug || 'project'}-${crypto.randomUUID().slice(0, 4)}`;
+
+        let seedScopes;
+        if (sourceProjectId) {
+            const sourceScopes = sourceProjectId === projectId ? snapshotScopes : await readScopesOnce(createAdapter(sourceProjectId));
+            seedScopes = sourceScopes.map(scope => cloneScopeStructure(scope, name));
+        } else {
+            seedScopes = buildDefaultScopes().map(scope => cloneScopeStructure(scope, name));
+        }
+
+        // Seeded before it is registered: if seeding fails, the error reaches the caller and the half-written
+        // project stays unregistered, out of the switcher, instead of becoming a registered project nobody can
+        // remove (the rules allow no registry deletes).
+        await createAdapter(newProjectId).initializeDefaults(userId, seedScopes);
+        await adapter.saveProject({
+            id: newProjectId,
+            name,
+            description,
+            readOnly: false,
+            clonedFrom: sourceProjectId || null,
+            createdAt: new Date().toISOString(),
+            createdBy: userId,
+            roles: { [userId]: 'admin' },
+        });
+        switchProject(newProjectId);
+    }, [adapter, createAdapter, projectId, snapshotScopes, switchProject, userId]);
+
+    const updateProject = useCallback((fields) => adapter.saveProject({ id: projectId, ...fields }), [adapter, projectId]);
+
+    // `scopeId` null sets the project-wide role; a null role clears the assignment.
+    const assignRole = useCallback((memberId, role, scopeId = null) => updateProject(scopeId
+        ? { scopeRoles: { ...project.scopeRoles, [scopeId]: { ...project.scopeRoles?.[scopeId], [memberId]: role } } }
+        : { roles: { ...project.roles, [memberId]: role } }
+    ), [updateProject, project]);
+
+    // Progress history (see "Progress History"): `{ projectId, list }`. Null until loaded, so today's snapshot is
+    // only written once the existing ones are known. Right after a project switch this still holds the previous
+    // project's list, so it is only used when its `projectId` matches.
+    const [progressHistory, setProgressHistory] = useState(null);
+    const progressSnapshots = progressHistory?.projectId === projectId ? progressHistory.list : null;
+
+    useEffect(() => {
+        if (!adapter || !userId) return;
+        let cancelled = false;
+        setProgressHistory(null);
+        adapter.listProgressSnapshots()
+            .then(list => { if (!cancelled) setProgressHistory({ projectId, list }); })
+            .catch(e => console.error("Failed to load progress history:", e));
+        return () => { cancelled = true; };
+    }, [adapter, userId, projectId]);
+
+    // The first client to load the project each day records its progress. Read-only and unregistered projects
+    // keep no history.
+    useEffect(() => {
+        if (isLoading || !progressSnapshots || project.readOnly || !project.registered) return;
+        const todayKey = toDateKey(new Date());
+        if (progressSnapshots.some(snapshot => snapshot.date === todayKey)) return;
+        const snapshot = buildProgressSnapshot(scopes, project, todayKey, userId);
+        if (!snapshot) return;
+
+        const replaceSnapshot = (current, entry) => (current?.projectId === projectId
+            ? { projectId, list: [...current.list.filter(other => other.date !== entry.date), entry] }
+            : current);
+        setProgressHistory(current => replaceSnapshot(current, snapshot));
+        adapter.saveProgressSnapshot(snapshot)
+            .then(stored => setProgressHistory(current => replaceSnapshot(current, stored)))
+            .catch(e => console.warn("Could not save today's progress snapshot:", e));
+    }, [isLoading, progressSnapshots, scopes, project, projectId, userId, adapter]);
+
+    // Reads a scope's audit trail; entries for edits still waiting in the outbox appear once they are sent.
+    const loadHistory = useCallback(async (scopeId, range) => {
+        if (!adapter) return [];
+        return adapter.listAuditEntries(scopeId, range);
+    }, [adapter]);
+
+    const homeProject = projects.find(p => p.id === DEFAULT_PROJECT.id);
+    const canCreateProjects = Boolean(homeProject) && getPermissions({ ...homeProject, registered: true }, userId).manageProject;
+
+    const pendingWriteCount = outbox.filter(entry => entry.status === 'pending').length;
+    const failedWriteCount = outbox.filter(entry => entry.status === 'failed').length;
+
+
+    return {
+        scopes, userId, updateScopeData, isLoading, error, backend: adapter?.name || STORAGE_BACKEND, uploadImage, uploads, cancelUpload, dismissUpload,
+        authStatus, userEmail, profiles, profile: profiles[userId] || null, needsProfile: profilesLoaded && !profiles[userId], saveProfile, signInWithPassword, createAccount, sendSignInLink, signOut,
+        syncStatusByPart, pendingWriteCount, failedWriteCount, retryFailedWrites, discardFailedWrites,
+        projectId, project, projects, switchProject, createProject, canCreateProjects, updateProject, assignRole, loadHistory,
+        progressSnapshots: progressSnapshots || [],
+        undo, redo, canUndo, canRedo, undoNotice, dismissUndoNotice,
+        discardStoredFile, findOrphanedFiles, deleteStoredFiles,
+    };
+};
+
+
+// --- Component Utilities ---
+
+// How a user ID is shown wherever a change, completion or upload is credited: the profile's display name,
+// or a short ID for users who have not set one up yet.
+const formatUserLabel = (id, currentUserId, profiles = {}) => {
+    if (!id) return 'Unknown user';
+    const name = profiles[id]?.displayName || `User ${id.slice(0, 8)}`;
+    return id === currentUserId ? `${name} (you)` : name;
+};
+
+const VerificationBadge = ({ state }) => {
+    if (!state) return null;
+    const { label, className } = VERIFICATION_STATES[state];
+    return <span className={`text-[11px] font-semibold px-2 py-0.5 rounded-full whitespace-nowrap ${className}`}>{label}</span>;
+};
+
+// A step's verification state, with who completed, verified or rejected it and the verifier's comment.
+const StepVerificationNote = ({ step, userId, profiles }) => {
+    const state = getStepVerification(step);
+    if (!state) return null;
+    const completedBy = step.completedBy && `Completed by ${formatUserLabel(step.completedBy, userId, profiles)}`
+        + (step.completedAt ? ` on ${new Date(step.completedAt).toLocaleDateString()}` : '');
+    const verdictBy = step.verifiedBy && `${state === 'rejected' ? 'Rejected' : 'Verified'} by ${formatUserLabel(step.verifiedBy, userId, profiles)}`;
+    return (
+        <span className="flex flex-wrap items-center gap-x-2 mt-0.5 text-xs text-gray-500">
+            <VerificationBadge state={state} />
+            <span>{[state !== 'rejected' && completedBy, state !== 'pending' && verdictBy].filter(Boolean).join(' · ')}</span>
+            {step.verificationComment && (
+                <span className={state === 'rejected' ? 'text-red-700' : 'italic'}>
+                    {state === 'pending' ? `Previously rejected: ${step.verificationComment}` : `"${step.verificationComment}"`}
+                </span>
+            )}
+        </span>
+    );
+};
+
+// Effort estimate field; blank means "no estimate". `onChange` receives the raw input value.
+const WeightInput = ({ value, onChange, onBlur, unit, disabled, className = '' }) => (
+    <span className={`flex items-center text-xs text-gray-500 ${className}`} title={`Effort estimate (${unit.label.toLowerCase()})`}>
+        <input
+            type="number"
+            min="0"
+            step="any"
+            value={value ?? ''}
+            onChange={(e) => onChange(e.target.value)}
+            onBlur={onBlur}
+            onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+            onClick={(e) => e.stopPropagation()}
+            disabled={disabled}
+            placeholder="-"
+            className="w-16 p-1 border border-gray-300 rounded text-right focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <span className="ml-1">{unit.short}</span>
+    </span>
+);
+
+// Generates a status indicator circle and label
+const StatusBadge = ({ percent, readOnly }) => {
+    const color = getStatusColor(percent);
+    const label = getStatusLabel(percent);
+    // const icon = percent === 100 ? CheckCircle : percent > 0 ? Clock : XOctagon;
+
+    return (
+        <div className={`flex items-center space-x-2 text-sm font-semibold ${readOnly ? 'text-gray-500' : 'text-gray-800'}`}>
+            <span className={`w-3 h-3 rounded-full ${color}`} />
+            <span>{label}</span>
+        </div>
+    );
+};
+
+// Shows whether a part's latest edits have reached the backend. Refused edits are no longer shown on the
+// card; the badge retries or discards them.
+const SyncBadge = ({ status, count, onRetry, onDiscard }) => {
+    if (status === 'failed') {
+        return (
+            <span
+                title="The server refused these edits, so the card shows what was saved before them."
+                className="flex items-center rounded-full text-xs font-semibold bg-red-100 text-red-700"
+            >
+                <button onClick={onRetry} className="flex items-center pl-2 pr-1 py-0.5 rounded-l-full hover:bg-red-200 transition">
+                    <AlertTriangle size={12} className="mr-1" /> {count} edit(s) rejected - Retry
+                </button>
+                <button onClick={onDiscard} className="px-2 py-0.5 border-l border-red-200 rounded-r-full hover:bg-red-200 transition">
+                    Discard
+                </button>
+            </span>
+        );
+    }
+    if (status === 'pending') {
+        return (
+            <span title="Saved on this device, waiting for a connection." className="flex items-center px-2 py-0.5 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">
+                <CloudOff size={12} className="mr-1" /> {count} edit(s) pending sync
+            </span>
+        );
+    }
+    return (
+        <span className="flex items-center px-2 py-0.5 rounded-full text-xs font-semibold bg-green-50 text-green-700">
+            <Check size={12} className="mr-1" /> Synced
+        </span>
+    );
+};
+
+// Bottom-corner notice after an edit, undo or redo. Hides itself after a few seconds.
+const UNDO_NOTICE_MS = 6000;
+
+const UndoToast = ({ notice, onUndo, onRedo, onDismiss }) => {
+    useEffect(() => {
+        if (!notice) return;
+        const timer = setTimeout(onDismiss, UNDO_NOTICE_MS);
+        return () => clearTimeout(timer);
+    }, [notice, onDismiss]);
+
+    if (!notice) return null;
+
+    return (
+        <div className="fixed bottom-16 right-4 z-50 flex items-center space-x-4 bg-gray-800 text-white text-sm px-4 py-3 rounded-lg shadow-2xl">
+            <span>{notice.message}</span>
+            {notice.available === 'undo' && (
+                <button onClick={onUndo} className="font-bold text-indigo-300 hover:text-indigo-100">Undo</button>
+            )}
+            {notice.available === 'redo' && (
+                <button onClick={onRedo} className="font-bold text-indigo-300 hover:text-indigo-100">Redo</button>
+            )}
+            <button onClick={onDismiss} className="text-gray-400 hover:text-white">
+                <X size={16} />
+            </button>
+        </div>
+    );
+};
+
+// Footer summary of the upload queue; opens a panel with per-file progress and cancel buttons.
+const UploadQueueIndicator = ({ uploads, onCancel, onDismiss }) => {
+    const [panelOpen, setPanelOpen] = useState(false);
+    const activeCount = uploads.filter(upload => upload.status !== 'failed').length;
+    const failedCount = uploads.length - activeCount;
+
+    if (uploads.length === 0) return null;
+
+    return (
+        <span className="relative">
+            <button onClick={() => setPanelOpen(open => !open)} className={`font-semibold flex items-center hover:underline ${failedCount > 0 ? 'text-red-600' : 'text-blue-700'}`}>
+                {activeCount > 0 && <Loader2 size={12} className="mr-1 animate-spin" />}
+                {activeCount > 0 && `${activeCount} upload(s) in progress`}
+                {activeCount > 0 && failedCount > 0 && ', '}
+                {failedCount > 0 && `${failedCount} failed`}
+            </button>
+            {panelOpen && (
+                <div className="absolute bottom-6 right-0 z-40 w-80 bg-white border rounded-lg shadow-2xl p-3 space-y-3 text-left">
+                    {uploads.map(upload => (
+                        <div key={upload.id} className="space-y-1">
+                            <div className="flex justify-between items-center text-gray-700">
+                                <span className="truncate font-medium mr-2">{upload.label}</span>
+                                {upload.status === 'failed' ? (
+                                    <button onClick={() => onDismiss(upload.id)} title="Dismiss" className="text-gray-400 hover:text-gray-700"><X size={14} /></button>
+                                ) : (
+                                    <button onClick={() => onCancel(upload.id)} className="text-red-500 hover:text-red-700 font-semibold">Cancel</button>
+                                )}
+                            </div>
+                            {upload.status === 'failed' ? (
+                                <p className="text-red-600">Failed: {upload.error}</p>
+                            ) : (
+                                <>
+                                    <div className="w-full bg-gray-200 rounded-full h-1.5">
+                                        <div className="h-1.5 rounded-full bg-blue-500 transition-all" style={{ width: `${upload.progress}%` }} />
+                                    </div>
+                                    <p className="text-gray-500">{upload.status === 'queued' ? 'Waiting...' : `${upload.progress}%`}</p>
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </span>
+    );
+};
+
+// Generates a small progress circle for the summary view
+const MiniCircularProgress = ({ percent }) => {
+    const radius = 15;
+    const circumference = 2 * Math.PI * radius;
+    const offset = circumference - (percent / 100) * circumference;
+    const strokeColor = getTextColor(percent);
+
+    return (
+        <div className="relative w-10 h-10 flex items-center justify-center">
+            <svg className="w-full h-full transform -rotate-90" viewBox="0 0 32 32">
+                {/* Background track */}
+                <circle
+                    cx="16"
+                    cy="16"
+                    r={radius}
+                    fill="transparent"
+                    stroke="#e5e7eb"
+                    strokeWidth="3"
+                />
+                {/* Progress bar */}
+                <circle
+                    cx="16"
+                    cy="16"
+                    r={radius}
+                    fill="transparent"
+                    stroke="currentColor"
+                    strokeWidth="3"
+                    strokeDasharray={circumference}
+                    strokeDashoffset={offset}
+                    className={strokeColor}
+                />
+            </svg>
+            <span className="absolute text-[10px] font-bold text-gray-700">
+                {percent}%
+            </span>
+        </div>
+    );
+};
+
+// Calculates overall progress for Lead Abatement based on linked parts from every abatement-type scope.
+// Weighted projects count each linked part by its effort estimate (see "Progress Roll-up"); otherwise the
+// steps `isCounted` accepts are counted, so a roll-up of verified work only counts verified abatement steps.
+const getLeadAbatementProgressForScope = (scopeId, allScopes, { weighted = false, isCounted = (step) => step.completed } = {}) => {
+    const abatementScopes = allScopes.filter(s => isAbatementScope(s) && s.parts);
+    if (abatementScopes.length === 0) {
+        return { percent: 0, count: 0 };
+    }
+
+    const linkedParts = abatementScopes.flatMap(s => s.parts).filter(part => part.relatedScopeId === scopeId);
+
+    if (linkedParts.length === 0) {
+        return { percent: 0, count: 0, isLinked: false };
+    }
+
+    if (weighted) {
+        const percent = calculateWeightedCompletion(linkedParts.map(part => part.percentComplete || 0), linkedParts.map(getPartEffort));
+        return { percent, count: linkedParts.length, isLinked: true };
+    }
+
+    // Calculate total steps completed vs total steps available across all linked parts
+    const totalSteps = linkedParts.reduce((sum, part) => sum + part.actions.reduce((s, a) => s + (a.steps?.length || 0), 0), 0);
+    const completedSteps = linkedParts.reduce((sum, part) => sum + part.actions.reduce((s, a) => s + (a.steps?.filter(isCounted).length || 0), 0), 0);
+    
+    const percent = totalSteps === 0 ? 0 : Math.round((completedSteps / totalSteps) * 100);
+
+    return { percent, count: linkedParts.length, isLinked: true };
+};
+
+
+// --- Image Processing ---
+// Phone photos are several megabytes, so images are downscaled and recompressed in the browser before
+// they are uploaded. Every photo is stored twice: a full-size copy for the lightbox and a small thumbnail
+// that cards, gallery grids and reports load instead.
+const IMAGE_MAX_DIMENSION = 2048;
+const THUMBNAIL_MAX_DIMENSION = 400;
+const JPEG_QUALITY_STEPS = [0.85, 0.7, 0.55];
+const THUMBNAIL_QUALITY = 0.7;
+// Note: Real file size limit is set by Firebase Storage rules; uploads are kept under it after processing.
+const MAX_UPLOAD_BYTES = 1024 * 1024;
+
+// Used by the local backend, which keeps files as data URLs.
+const readBlobAsDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const loadImageElement = (blob) => new Promise((resolve, reject) => {
+    const objectUrl = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onload = () => { URL.revokeObjectURL(objectUrl); resolve(image); };
+    image.onerror = () => { URL.revokeObjectURL(objectUrl); reject(new Error('The file could not be read as an image.')); };
+    image.src = objectUrl;
+});
+
+// Draws the image scaled to fit `maxDimension` and encodes it as a JPEG Blob. Transparent PNG areas become white.
+const encodeScaledJpeg = (image, maxDimension, quality) => new Promise((resolve, reject) => {
+    const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image could not be compressed.')), 'image/jpeg', quality);
+});
+
+// Returns { full, thumbnail } Blobs and the original pixel `size`. A file that is already small enough is uploaded unchanged;
+// anything else is downscaled and recompressed at falling quality until it fits MAX_UPLOAD_BYTES.
+const prepareImageUpload = async (file) => {
+    const image = await loadImageElement(file);
+    const thumbnail = await encodeScaledJpeg(image, THUMBNAIL_MAX_DIMENSION, THUMBNAIL_QUALITY);
+    const size = { width: image.naturalWidth, height: image.naturalHeight };
+
+    const fitsAsIs = file.size <= MAX_UPLOAD_BYTES && Math.max(image.naturalWidth, image.naturalHeight) <= IMAGE_MAX_DIMENSION;
+    if (fitsAsIs) return { full: file, thumbnail, size, resized: false };
+
+    for (const quality of JPEG_QUALITY_STEPS) {
+        const full = await encodeScaledJpeg(image, IMAGE_MAX_DIMENSION, quality);
+        if (full.size <= MAX_UPLOAD_BYTES) return { full, thumbnail, size, resized: true };
+    }
+    throw new Error('The image is still larger than 1MB after compression.');
+};
+
+// Re-encoded images are JPEGs, so their stored name gets a matching extension.
+const toJpegFileName = (fileName) => `${fileName.replace(/\.[^.]+$/, '')}.jpg`;
+
+
+// --- Photo Annotations ---
+// Markup drawn over a photo (pen strokes, arrows, rectangles, text callouts) is stored on the photo as
+// vector data, never burned into the image file, so it can be edited later and switched off in the
+// viewer. Points are stored as fractions of the image width/height; shapes are drawn in a viewBox
+// ANNOTATION_VIEW_WIDTH units wide, so stroke widths and text scale with the image. Only photos take markup:
+// drawings are PDF documents (see Documents), shown page by page in PdfViewer and not annotatable, so a
+// drawing is marked up by adding a photo or screenshot of it to the gallery.
+const ANNOTATION_VIEW_WIDTH = 1000;
+const ANNOTATION_STROKE_WIDTH = 5;
+const ANNOTATION_FONT_SIZE = 32;
+const ANNOTATION_COLORS = ['#ef4444', '#f59e0b', '#22c55e', '#3b82f6', '#111827', '#ffffff'];
+const ANNOTATION_TOOLS = [
+    { id: 'pen', label: 'Pen', icon: Pencil },
+    { id: 'arrow', label: 'Arrow', icon: MoveUpRight },
+    { id: 'rect', label: 'Rectangle', icon: Square },
+    { id: 'text', label: 'Text callout', icon: Type },
+    { id: 'erase', label: 'Erase a shape', icon: Eraser },
+];
+
+// Height of the drawing area for a photo; photos record their pixel size when uploaded or first annotated.
+const getAnnotationViewHeight = (photo) => photo.width && photo.height
+    ? Math.round(ANNOTATION_VIEW_WIDTH * photo.height / photo.width)
+    : Math.round(ANNOTATION_VIEW_WIDTH * 3 / 4);
+
+const toViewPoint = ([x, y], viewHeight) => [x * ANNOTATION_VIEW_WIDTH, y * viewHeight];
+
+// Two barbs at the `to` end of an arrow.
+const getArrowHeadPoints = (from, to) => {
+    const angle = Math.atan2(to[1] - from[1], to[0] - from[0]);
+    const length = ANNOTATION_STROKE_WIDTH * 5;
+    return [-0.45, 0.45].map(spread => [to[0] - length * Math.cos(angle + spread), to[1] - length * Math.sin(angle + spread)]);
+};
+
+// Describes an annotation as SVG elements ({ tag, attributes, text? }), shared by the viewer and the report.
+const getAnnotationElements = (annotation, viewHeight) => {
+    const stroke = { stroke: annotation.color, 'stroke-width': ANNOTATION_STROKE_WIDTH, fill: 'none', 'stroke-linecap': 'round', 'stroke-linejoin': 'round' };
+    switch (annotation.type) {
+        case 'pen':
+            return [{ tag: 'polyline', attributes: { ...stroke, points: annotation.points.map(point => toViewPoint(point, viewHeight).join(',')).join(' ') } }];
+        case 'arrow': {
+            const from = toViewPoint(annotation.from, viewHeight);
+            const to = toViewPoint(annotation.to, viewHeight);
+            const barbs = getArrowHeadPoints(from, to);
+            return [
+                { tag: 'line', attributes: { ...stroke, x1: from[0], y1: from[1], x2: to[0], y2: to[1] } },
+                { tag: 'polyline', attributes: { ...stroke, points: [barbs[0], to, barbs[1]].map(point => point.join(',')).join(' ') } },
+            ];
+        }
+        case 'rect': {
+            const from = toViewPoint(annotation.from, viewHeight);
+            const to = toViewPoint(annotation.to, viewHeight);
+            return [{ tag: 'rect', attributes: { ...stroke, x: Math.min(from[0], to[0]), y: Math.min(from[1], to[1]), width: Math.abs(to[0] - from[0]), height: Math.abs(to[1] - from[1]) } }];
+        }
+        case 'text': {
+            const [x, y] = toViewPoint(annotation.at, viewHeight);
+            // A dark outline keeps light text readable on any background
+            return [{
+                tag: 'text',
+                attributes: { x, y, fill: annotation.color, 'font-size': ANNOTATION_FONT_SIZE, 'font-weight': 'bold', 'font-family': 'sans-serif', stroke: '#000000', 'stroke-width': 1.5, 'paint-order': 'stroke' },
+                text: annotation.text,
+            }];
+        }
+        default:
+            return [];
+    }
+};
+
+// React wants camelCase SVG attribute names.
+const toSvgProps = (attributes) => Object.fromEntries(Object.entries(attributes).map(([name, value]) => [name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase()), value]));
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+// The photo with its markup as one standalone SVG, for the printable report.
+const renderAnnotatedPhotoSvg = (imageUrl, photo) => {
+    const viewHeight = getAnnotationViewHeight(photo);
+    const shapes = (photo.annotations || []).flatMap(annotation => getAnnotationElements(annotation, viewHeight)).map(({ tag, attributes, text }) => {
+        const attributeText = Object.entries(attributes).map(([name, value]) => `${name}="${escapeHtml(value)}"`).join(' ');
+        return text === undefined ? `<${tag} ${attributeText} />` : `<${tag} ${attributeText}>${escapeHtml(text)}</${tag}>`;
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${ANNOTATION_VIEW_WIDTH} ${viewHeight}"><image href="${escapeHtml(imageUrl)}" width="${ANNOTATION_VIEW_WIDTH}" height="${viewHeight}" preserveAspectRatio="none" />${shapes.join('')}</svg>`;
+};
+
+// Shapes for use inside an SVG whose viewBox is ANNOTATION_VIEW_WIDTH x viewHeight.
+const AnnotationShapes = ({ annotations = [], viewHeight, onShapeClick }) => annotations.map(annotation => (
+    <g key={annotation.id} onClick={onShapeClick && (() => onShapeClick(annotation))} className={onShapeClick ? 'cursor-pointer' : ''}>
+        {getAnnotationElements(annotation, viewHeight).map(({ tag: Tag, attributes, text }, index) => (
+            <Tag key={index} {...toSvgProps(attributes)}>{text}</Tag>
+        ))}
+    </g>
+));
+
+// The image with its markup layered on top, letterboxed into the available space.
+const AnnotatedImage = ({ photo, showAnnotations = true, className = '', children, svgRef, ...svgProps }) => {
+    const viewHeight = getAnnotationViewHeight(photo);
+    return (
+        <svg ref={svgRef} viewBox={`0 0 ${ANNOTATION_VIEW_WIDTH} ${viewHeight}`} preserveAspectRatio="xMidYMid meet" className={className} {...svgProps}>
+            <image href={photo.url} width={ANNOTATION_VIEW_WIDTH} height={viewHeight} preserveAspectRatio="none" />
+            {showAnnotations && <AnnotationShapes annotations={photo.annotations} viewHeight={viewHeight} />}
+            {children}
+        </svg>
+    );
+};
+
+const roundFraction = (value) => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+
+// Markup editor for one photo. Nothing is stored until "Save", which hands back
+// { annotations, width, height } for an updatePhoto operation.
+const AnnotationEditor = ({ photo, onSave, onClose }) => {
+    const [annotations, setAnnotations] = useState(photo.annotations || []);
+    const [tool, setTool] = useState('pen');
+    const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+    const [draft, setDraft] = useState(null);
+    // Photos uploaded before sizes were recorded are measured once here
+    const [size, setSize] = useState(photo.width && photo.height ? { width: photo.width, height: photo.height } : null);
+    const [loadFailed, setLoadFailed] = useState(false);
+    const svgRef = useRef(null);
+
+    useEffect(() => {
+        if (size) return;
+        const image = new Image();
+        image.onload = () => setSize({ width: image.naturalWidth, height: image.naturalHeight });
+        image.onerror = () => setLoadFailed(true);
+        image.src = photo.url;
+        return () => {
+            image.onload = null;
+            image.onerror = null;
+        };
+    }, [photo.url, size]);
+
+    if (!size) {
+        return (
+            <div className="fixed inset-0 z-[70] flex flex-col items-center justify-center gap-4 bg-black bg-opacity-90 text-white">
+                {loadFailed
+                    ? <p className="flex items-center"><AlertTriangle size={20} className="mr-2 text-yellow-400" /> The photo could not be loaded for markup.</p>
+                    : <Loader2 size={32} className="animate-spin" />}
+                <button onClick={onClose} className="px-4 py-2 text-sm font-semibold rounded-lg bg-white bg-opacity-10 hover:bg-opacity-20">
+                    {loadFailed ? 'Close' : 'Cancel'}
+                </button>
+            </div>
+        );
+    }
+
+    const sizedPhoto = { ...photo, ...size, annotations };
+    const viewHeight = getAnnotationViewHeight(sizedPhoto);
+
+    const toFractionPoint = (e) => {
+        const point = svgRef.current.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        const { x, y } = point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+        return [roundFraction(x / ANNOTATION_VIEW_WIDTH), roundFraction(y / viewHeight)];
+    };
+
+    const handlePointerDown = (e) => {
+        if (tool === 'erase') return;
+        const point = toFractionPoint(e);
+        if (tool === 'text') {
+            const text = window.prompt('Callout text:');
+            if (text?.trim()) setAnnotations(list => [...list, { id: crypto.randomUUID(), type: 'text', color, at: point, text: text.trim() }]);
+            return;
+        }
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDraft(tool === 'pen'
+            ? { id: crypto.randomUUID(), type: 'pen', color, points: [point] }
+            : { id: crypto.randomUUID(), type: tool, color, from: point, to: point });
+    };
+
+    const handlePointerMove = (e) => {
+        if (!draft) return;
+        const point = toFractionPoint(e);
+        setDraft(current => current.type === 'pen' ? { ...current, points: [...current.points, point] } : { ...current, to: point });
+    };
+
+    const handlePointerUp = () => {
+        if (!draft) return;
+        const isDot = draft.type === 'pen' ? draft.points.length < 2 : draft.from[0] === draft.to[0] && draft.from[1] === draft.to[1];
+        if (!isDot) setAnnotations(list => [...list, draft]);
+        setDraft(null);
+    };
+
+    return (
+        <div className="fixed inset-0 z-[70] flex flex-col bg-black bg-opacity-90 p-4">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <div className="flex items-center space-x-1 bg-white rounded-lg p-1">
+                    {ANNOTATION_TOOLS.map(({ id, label, icon: Icon }) => (
+                        <button key={id} onClick={() => setTool(id)} title={label} className={`p-2 rounded-md transition ${tool === id ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
+                            <Icon size={18} />
+                        </button>
+                    ))}
+                    <span className="w-px h-6 bg-gray-200 mx-1" />
+                    {ANNOTATION_COLORS.map(swatch => (
+                        <button
+                            key={swatch}
+                            onClick={() => setColor(swatch)}
+                            title={swatch}
+                            className={`w-6 h-6 rounded-full border border-gray-300 ${color === swatch ? 'ring-2 ring-offset-1 ring-indigo-600' : ''}`}
+                            style={{ backgroundColor: swatch }}
+                        />
+                    ))}
+                    <span className="w-px h-6 bg-gray-200 mx-1" />
+                    <button onClick={() => setAnnotations(list => list.slice(0, -1))} disabled={annotations.length === 0} title="Remove the last shape" className="p-2 rounded-md text-gray-700 hover:bg-gray-100 disabled:opacity-30">
+                        <Undo2 size={18} />
+                    </button>
+                    <button onClick={() => setAnnotations([])} disabled={annotations.length === 0} className="px-2 py-1 text-sm font-semibold rounded-md text-red-600 hover:bg-red-50 disabled:opacity-30">
+                        Clear
+                    </button>
+                </div>
+                <div className="flex items-center space-x-2">
+                    <button onClick={onClose} className="px-4 py-2 rounded-lg text-white hover:bg-white hover:bg-opacity-10">Cancel</button>
+                    <button onClick={() => onSave({ annotations, ...size })} className="px-4 py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700">Save Markup</button>
+                </div>
+            </div>
+            <div className="flex-grow min-h-0 flex items-center justify-center">
+                <AnnotatedImage
+                    svgRef={svgRef}
+                    photo={sizedPhoto}
+                    className={`w-full h-full touch-none ${tool === 'erase' ? '' : 'cursor-crosshair'}`}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    showAnnotations={tool !== 'erase'}
+                >
+                    {tool === 'erase' && (
+                        <AnnotationShapes annotations={annotations} viewHeight={viewHeight} onShapeClick={(shape) => setAnnotations(list => list.filter(a => a.id !== shape.id))} />
+                    )}
+                    {draft && <AnnotationShapes annotations={[draft]} viewHeight={viewHeight} />}
+                </AnnotatedImage>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Photo Gallery ---
+// Parts and actions carry an ordered list of photos, each with a caption, a tag (PHOTO_TAGS), the uploader
+// and the upload time, plus a thumbnail copy (see Image Processing). Gallery edits are applied straight away as photo operations rather than on "Save",
+// so they are audited and undoable one by one.
+
+// Photos uploaded before thumbnails existed only have the full-size image.
+const getThumbnailUrl = (photo) => photo.thumbnailUrl || photo.url;
+
+const getPhotoTag = (tagId) => PHOTO_TAGS.find(tag => tag.id === tagId) || PHOTO_TAGS[PHOTO_TAGS.length - 1];
+
+const formatUploadCredit = (photo, userId, profiles) =>
+    [formatUserLabel(photo.uploadedBy, userId, profiles), photo.uploadedAt && new Date(photo.uploadedAt).toLocaleString()].filter(Boolean).join(' · ');
+
+// Default before/after pair: the first as-found photo against the last as-left one.
+const pickComparisonPair = (photos) => {
+    const before = photos.find(photo => photo.tag === 'as-found') || photos[0];
+    const after = [...photos].reverse().find(photo => photo.tag === 'as-left') || photos[photos.length - 1];
+    return [before?.id || '', after?.id || ''];
+};
+
+const PhotoTagBadge = ({ tag }) => {
+    const photoTag = getPhotoTag(tag);
+    return <span className={`text-[10px] font-semibold px-1.5 py-0.5 rounded-full ${photoTag.className}`}>{photoTag.label}</span>;
+};
+
+// Full-screen viewer; arrow keys step through the gallery and Escape closes it.
+const PhotoLightbox = ({ photos, index, onIndexChange, onClose, userId, profiles, onAnnotate }) => {
+    const photo = photos[index];
+    const [showAnnotations, setShowAnnotations] = useState(true);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (e.key === 'ArrowLeft' && index > 0) onIndexChange(index - 1);
+            if (e.key === 'ArrowRight' && index < photos.length - 1) onIndexChange(index + 1);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [index, photos.length, onIndexChange, onClose]);
+
+    if (!photo) return null;
+
+    return (
+        <div className="fixed inset-0 z-[60] flex flex-col bg-black bg-opacity-90 p-4" onClick={onClose}>
+            <div className="flex justify-between items-center text-white mb-3" onClick={(e) => e.stopPropagation()}>
+                <span className="text-sm">{index + 1} / {photos.length}</span>
+                <div className="flex items-center space-x-2">
+                    {photo.annotations?.length > 0 && (
+                        <button onClick={() => setShowAnnotations(shown => !shown)} className="flex items-center text-sm px-3 py-1 rounded-full hover:bg-white hover:bg-opacity-10 transition">
+                            {showAnnotations ? <><EyeOff size={16} className="mr-1" /> Hide Markup</> : <><Eye size={16} className="mr-1" /> Show Markup</>}
+                        </button>
+                    )}
+                    {onAnnotate && (
+                        <button onClick={() => onAnnotate(photo)} className="flex items-center text-sm px-3 py-1 rounded-full hover:bg-white hover:bg-opacity-10 transition">
+                            <PenLine size={16} className="mr-1" /> {photo.annotations?.length > 0 ? 'Edit Markup' : 'Add Markup'}
+                        </button>
+                    )}
+                    <button onClick={onClose} className="p-2 rounded-full hover:bg-white hover:bg-opacity-10 transition">
+                        <X size={22} />
+                    </button>
+                </div>
+            </div>
+            <div className="flex-grow flex items-center justify-between min-h-0" onClick={(e) => e.stopPropagation()}>
+                <button onClick={() => onIndexChange(index - 1)} disabled={index === 0} className="text-white p-2 disabled:opacity-20">
+                    <ChevronLeft size={36} />
+                </button>
+                {photo.annotations?.length > 0 ? (
+                    <AnnotatedImage photo={photo} showAnnotations={showAnnotations} className="flex-grow h-full min-w-0" />
+                ) : (
+                    <img src={photo.url} alt={photo.caption || 'Photo'} className="max-h-full max-w-full object-contain mx-auto" />
+                )}
+                <button onClick={() => onIndexChange(index + 1)} disabled={index === photos.length - 1} className="text-white p-2 disabled:opacity-20">
+                    <ChevronRight size={36} />
+                </button>
+            </div>
+            <div className="text-center text-white mt-3 space-y-1" onClick={(e) => e.stopPropagation()}>
+                <div className="flex justify-center items-center space-x-2">
+                    <PhotoTagBadge tag={photo.tag} />
+                    <span className="font-medium">{photo.caption || 'No caption'}</span>
+                </div>
+                <p className="text-xs text-gray-300">{formatUploadCredit(photo, userId, profiles)}</p>
+            </div>
+        </div>
+    );
+};
+
+// Side-by-side view of two photos from the same gallery.
+const PhotoCompare = ({ photos, onClose, userId, profiles }) => {
+    const [[beforeId, afterId], setPair] = useState(() => pickComparisonPair(photos));
+    const sides = [
+        { label: 'Before', photoId: beforeId, choose: (id) => setPair([id, afterId]) },
+        { label: 'After', photoId: afterId, choose: (id) => setPair([beforeId, id]) },
+    ];
+
+    return (
+        <div className="fixed inset-0 z-[60] flex flex-col bg-black bg-opacity-90 p-4">
+            <div className="flex justify-between items-center text-white mb-3">
+                <h3 className="text-lg font-bold flex items-center"><Columns2 size={20} className="mr-2" /> Before / After</h3>
+                <button onClick={onClose} className="p-2 rounded-full hover:bg-white hover:bg-opacity-10 transition">
+                    <X size={22} />
+                </button>
+            </div>
+            <div className="flex-grow grid grid-cols-1 md:grid-cols-2 gap-4 min-h-0">
+                {sides.map(side => {
+                    const photo = photos.find(p => p.id === side.photoId);
+                    return (
+                        <div key={side.label} className="flex flex-col min-h-0">
+                            <select
+                                value={side.photoId}
+                                onChange={(e) => side.choose(e.target.value)}
+                                className="mb-2 p-2 rounded-lg text-sm bg-white"
+                            >
+                                {photos.map((p, index) => (
+                                    <option key={p.id} value={p.id}>{side.label}: #{index + 1} {getPhotoTag(p.tag).label}{p.caption ? ` – ${p.caption}` : ''}</option>
+                                ))}
+                            </select>
+                            <div className="flex-grow flex items-center justify-center min-h-0 bg-black rounded-lg">
+                                {photo && (photo.annotations?.length > 0
+                                    ? <AnnotatedImage photo={photo} className="w-full h-full" />
+                                    : <img src={photo.url} alt={photo.caption || side.label} className="max-h-full max-w-full object-contain" />
+                                )}
+                            </div>
+                            {photo && <p className="text-xs text-gray-300 mt-2 text-center">{formatUploadCredit(photo, userId, profiles)}</p>}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// Ordered gallery for one part (no actionId) or one action. `storageFolder` is where new uploads are stored.
+const PhotoGallery = ({ photos = [], scopeId, partId, actionId, updateScopeData, uploadImage, discardStoredFile, userId, profiles, storageFolder, readOnly }) => {
+    const [newPhotoTag, setNewPhotoTag] = useState('in-progress');
+    const [preparingCount, setPreparingCount] = useState(0);
+    const [uploadError, setUploadError] = useState('');
+    const [captionDrafts, setCaptionDrafts] = useState({});
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+    const [compareOpen, setCompareOpen] = useState(false);
+    const [annotatingPhotoId, setAnnotatingPhotoId] = useState(null);
+    const annotatingPhoto = photos.find(photo => photo.id === annotatingPhotoId);
+    const target = { partId, actionId };
+    const inputId = `photo-upload-${actionId || partId}`;
+
+    // Resizes the selected files one after another and hands each to the upload queue. The queue keeps
+    // going after this gallery closes; each photo is added once its full-size image and thumbnail are stored.
+    const handleUpload = async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        setUploadError('');
+        const tag = newPhotoTag;
+        const failures = [];
+
+        setPreparingCount(files.length);
+        for (const file of files) {
+            try {
+                const { full, thumbnail, size, resized } = await prepareImageUpload(file);
+                const now = Date.now();
+                const uploadId = createUploadId(now);
+                const storagePath = `${storageFolder}/${uploadId}_${resized ? toJpegFileName(file.name) : file.name}`;
+                const thumbnailStoragePath = `${storageFolder}/thumbnails/${uploadId}_${toJpegFileName(file.name)}`;
+
+                uploadImage({
+                    label: file.name,
+                    files: [{ blob: full, path: storagePath }, { blob: thumbnail, path: thumbnailStoragePath }],
+                }).then(urls => {
+                    if (!urls) return;
+                    const [url, thumbnailUrl] = urls;
+                    updateScopeData(scopeId, {
+                        type: 'addPhoto',
+                        ...target,
+                        photo: {
+                            id: crypto.randomUUID(), url, storagePath, thumbnailUrl, thumbnailStoragePath, ...size,
+                            caption: '', tag, uploadedBy: userId, uploadedAt: new Date(now).toISOString(),
+                        },
+                    });
+                });
+            } catch (error) {
+                failures.push(`${file.name}: ${error.message}`);
+            } finally {
+                setPreparingCount(count => count - 1);
+            }
+        }
+        if (failures.length > 0) setUploadError(failures.join(' '));
+    };
+
+    const handleCaptionCommit = (photo) => {
+        const caption = (captionDrafts[photo.id] ?? photo.caption).trim();
+        setCaptionDrafts(drafts => omitKeys(drafts, [photo.id]));
+        if (caption === photo.caption) return;
+        updateScopeData(scopeId, { type: 'updatePhoto', ...target, photoId: photo.id, fields: { caption } });
+    };
+
+    // Markup is saved with the photo's pixel size so it can be drawn over any copy of the image.
+    const handleAnnotationSave = (markup) => {
+        const fields = pickChangedFields(annotatingPhoto, markup);
+        if (Object.keys(fields).length > 0) updateScopeData(scopeId, { type: 'updatePhoto', ...target, photoId: annotatingPhoto.id, fields });
+        setAnnotatingPhotoId(null);
+    };
+
+    const handleRemove = (photo) => {
+        if (!window.confirm('Remove this photo from the gallery?')) return;
+        updateScopeData(scopeId, { type: 'removePhoto', ...target, photoId: photo.id });
+        // Deleted from storage once undo can no longer bring it back
+        discardStoredFile(photo.storagePath);
+        discardStoredFile(photo.thumbnailStoragePath);
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">{photos.length} photo(s)</span>
+                <button
+                    onClick={() => setCompareOpen(true)}
+                    disabled={photos.length < 2}
+                    className="text-sm font-semibold text-indigo-600 hover:text-indigo-700 disabled:text-gray-400 flex items-center"
+                >
+                    <Columns2 size={16} className="mr-1" /> Compare
+                </button>
+            </div>
+
+            {!readOnly && (
+                <div className="border-2 border-dashed border-gray-300 rounded-xl p-4 text-center bg-white space-y-2">
+                    <div className="flex flex-wrap justify-center items-center gap-2">
+                        <select
+                            value={newPhotoTag}
+                            onChange={(e) => setNewPhotoTag(e.target.value)}
+                            className="p-2 border border-gray-300 rounded-lg text-sm bg-white"
+                        >
+                            {PHOTO_TAGS.map(tag => <option key={tag.id} value={tag.id}>{tag.label}</option>)}
+                        </select>
+                        <input id={inputId} type="file" accept="image/jpeg, image/png, image/jpg" multiple onChange={handleUpload} className="hidden" disabled={preparingCount > 0} />
+                        <label htmlFor={inputId} className={`cursor-pointer text-white px-4 py-2 rounded-lg font-semibold transition inline-flex items-center shadow-md ${preparingCount > 0 ? 'bg-gray-400' : 'bg-blue-500 hover:bg-blue-600'}`}>
+                            {preparingCount > 0 ? (
+                                <><Loader2 size={18} className="mr-2 animate-spin" /> Preparing {preparingCount}...</>
+                            ) : (
+                                <><ImagePlus size={18} className="mr-2" /> Add Photos</>
+                            )}
+                        </label>
+                    </div>
+                    <p className="text-xs text-gray-500">Large photos are resized before upload. Progress is shown in the footer, and uploads continue if you close this window.</p>
+                    {uploadError && <p className="text-sm text-red-500 font-medium">{uploadError}</p>}
+                </div>
+            )}
+
+            {photos.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-6 bg-gray-50 rounded-lg">No photos yet.</p>
+            ) : (
+                <div className="grid grid-cols-2 gap-3">
+                    {photos.map((photo, index) => (
+                        <div key={photo.id} className="border rounded-lg overflow-hidden shadow-sm bg-white">
+                            <button onClick={() => setLightboxIndex(index)} className="relative block w-full aspect-[4/3] bg-gray-100">
+                                <img src={getThumbnailUrl(photo)} alt={photo.caption || 'Photo'} loading="lazy" className="w-full h-full object-cover" />
+                                <span className="absolute top-1 left-1"><PhotoTagBadge tag={photo.tag} /></span>
+                                {photo.annotations?.length > 0 && (
+                                    <span title="Has markup" className="absolute top-1 right-1 bg-white bg-opacity-90 rounded-full p-1 text-indigo-600"><PenLine size={12} /></span>
+                                )}
+                            </button>
+                            <div className="p-2 space-y-1">
+                                {readOnly ? (
+                                    <p className="text-sm text-gray-700 truncate">{photo.caption || <span className="text-gray-400">No caption</span>}</p>
+                                ) : (
+                                    <>
+                                        <input
+                                            type="text"
+                                            value={captionDrafts[photo.id] ?? photo.caption}
+                                            onChange={(e) => setCaptionDrafts(drafts => ({ ...drafts, [photo.id]: e.target.value }))}
+                                            onBlur={() => handleCaptionCommit(photo)}
+                                            onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                                            placeholder="Add a caption..."
+                                            className="w-full text-sm p-1 border-b border-transparent focus:border-indigo-500 focus:outline-none"
+                                        />
+                                        <div className="flex items-center justify-between">
+                                            <select
+                                                value={photo.tag}
+                                                onChange={(e) => updateScopeData(scopeId, { type: 'updatePhoto', ...target, photoId: photo.id, fields: { tag: e.target.value } })}
+                                                className="text-xs p-1 border border-gray-200 rounded bg-white"
+                                            >
+                                                {PHOTO_TAGS.map(tag => <option key={tag.id} value={tag.id}>{tag.label}</option>)}
+                                            </select>
+                                            <div className="flex items-center">
+                                                <button onClick={() => updateScopeData(scopeId, { type: 'movePhoto', ...target, photoId: photo.id, toIndex: index - 1 })} disabled={index === 0} className="text-gray-400 hover:text-indigo-600 disabled:opacity-30 p-0.5">
+                                                    <ChevronLeft size={16} />
+                                                </button>
+                                                <button onClick={() => updateScopeData(scopeId, { type: 'movePhoto', ...target, photoId: photo.id, toIndex: index + 1 })} disabled={index === photos.length - 1} className="text-gray-400 hover:text-indigo-600 disabled:opacity-30 p-0.5">
+                                                    <ChevronRight size={16} />
+                                                </button>
+                                                <button onClick={() => handleRemove(photo)} className="text-red-400 hover:text-red-600 p-0.5 ml-1">
+                                                    <Trash2 size={14} />
+                                                </button>
+                                            </div>
+                                        </div>
+                                    </>
+                                )}
+                                <p className="text-[11px] text-gray-500 truncate">{formatUploadCredit(photo, userId, profiles)}</p>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {lightboxIndex !== null && (
+                <PhotoLightbox
+                    photos={photos}
+                    index={lightboxIndex}
+                    onIndexChange={setLightboxIndex}
+                    onClose={() => setLightboxIndex(null)}
+                    userId={userId}
+                    profiles={profiles}
+                    onAnnotate={readOnly ? null : (photo) => setAnnotatingPhotoId(photo.id)}
+                />
+            )}
+            {annotatingPhoto && (
+                <AnnotationEditor photo={annotatingPhoto} onSave={handleAnnotationSave} onClose={() => setAnnotatingPhotoId(null)} />
+            )}
+            {compareOpen && <PhotoCompare photos={photos} onClose={() => setCompareOpen(false)} userId={userId} profiles={profiles} />}
+        </div>
+    );
+};
+
+// The gallery of a part, opened from its card.
+const PartPhotosModal = ({ isOpen, onClose, part, ...galleryProps }) => {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
+                    <h2 className="text-xl font-bold text-gray-800 flex items-center"><Images size={20} className="mr-2" /> Photos: {part.title}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
+                        <X size={20} />
+                    </button>
+                </div>
+                <div className="overflow-y-auto p-6">
+                    <PhotoGallery photos={part.photos} partId={part.id} {...galleryProps} />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Documents ---
+// PDF drawings, procedures and data sheets attached to parts and actions. Each upload is one revision of
+// a document, identified by its document number (or title when there is none). Older revisions stay
+// attached as history. A part whose newest revision of a document is behind the newest revision uploaded
+// anywhere in the project is flagged as outdated.
+const MAX_DOCUMENT_BYTES = 25 * 1024 * 1024;
+
+const getDocumentKind = (kindId) => DOCUMENT_KINDS.find(kind => kind.id === kindId) || DOCUMENT_KINDS[DOCUMENT_KINDS.length - 1];
+
+const getDocumentKey = (document) => (document.documentNumber || document.title || '').trim().toLowerCase();
+
+// Revisions are compared naturally, so "B" < "C", "2" < "10" and "A1" < "A2".
+const compareRevisions = (a, b) => String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+
+const isNewerDocument = (candidate, current) => !current || compareRevisions(candidate.revision, current.revision) > 0
+    || (compareRevisions(candidate.revision, current.revision) === 0 && (candidate.uploadedAt || '') > (current.uploadedAt || ''));
+
+// Newest revision per document key across every part and action of the given scopes.
+const collectLatestRevisions = (scopes) => {
+    const latest = new Map();
+    scopes.forEach(scope => (scope.parts || []).forEach(part => {
+        [part, ...(part.actions || [])].forEach(entity => (entity.documents || []).forEach(document => {
+            const key = getDocumentKey(document);
+            if (key && isNewerDocument(document, latest.get(key))) latest.set(key, document);
+        }));
+    }));
+    return latest;
+};
+
+// The newest attached revision of each document in `documents`.
+const getCurrentRevisions = (documents) => {
+    const current = new Map();
+    documents.forEach(document => {
+        const key = getDocumentKey(document);
+        if (isNewerDocument(document, current.get(key))) current.set(key, document);
+    });
+    return [...current.values()];
+};
+
+// Returns [{ document, latest }] for every attached document that a newer upload elsewhere has superseded.
+const findOutdatedDocuments = (documents, latestRevisions) => getCurrentRevisions(documents)
+    .map(document => ({ document, latest: latestRevisions.get(getDocumentKey(document)) }))
+    .filter(({ document, latest }) => latest && compareRevisions(latest.revision, document.revision) > 0);
+
+// pdf.js is only downloaded the first time a document is opened.
+let pdfJsPromise = null;
+const loadPdfJs = () => {
+    pdfJsPromise = pdfJsPromise || Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]).then(([pdfjs, worker]) => {
+        pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+        return pdfjs;
+    });
+    return pdfJsPromise;
+};
+
+const PdfPage = ({ pdf, pageNumber, scale }) => {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        let renderTask = null;
+        let cancelled = false;
+        pdf.getPage(pageNumber).then(page => {
+            if (cancelled || !canvasRef.current) return;
+            const viewport = page.getViewport({ scale });
+            const canvas = canvasRef.current;
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+            renderTask.promise.catch(() => {}); // Cancelled by a zoom change or unmount
+        });
+        return () => {
+            cancelled = true;
+            renderTask?.cancel();
+        };
+    }, [pdf, pageNumber, scale]);
+
+    return <canvas ref={canvasRef} className="bg-white shadow-lg mx-auto max-w-none" />;
+};
+
+// Multi-page viewer: every page is rendered in one scrolling column.
+const PdfViewer = ({ document, onClose }) => {
+    const [pdf, setPdf] = useState(null);
+    const [loadError, setLoadError] = useState('');
+    const [scale, setScale] = useState(1.25);
+
+    useEffect(() => {
+        let loaded = null;
+        let cancelled = false;
+        loadPdfJs()
+            .then(pdfjs => pdfjs.getDocument(document.url).promise)
+            .then(result => {
+                loaded = result;
+                if (cancelled) result.destroy();
+                else setPdf(result);
+            })
+            .catch(e => {
+                console.error('Could not open document:', e);
+                if (!cancelled) setLoadError(e.message);
+            });
+        return () => {
+            cancelled = true;
+            loaded?.destroy();
+        };
+    }, [document.url]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-[60] flex flex-col bg-gray-800 bg-opacity-95">
+            <div className="flex justify-between items-center text-white px-4 py-3 bg-gray-900">
+                <div className="min-w-0">
+                    <h3 className="font-bold truncate">{document.title}</h3>
+                    <p className="text-xs text-gray-300">
+                        {[document.documentNumber, `Rev ${document.revision}`, pdf && `${pdf.numPages} page(s)`].filter(Boolean).join(' · ')}
+                    </p>
+                </div>
+                <div className="flex items-center space-x-2 ml-4">
+                    <button onClick={() => setScale(value => Math.max(0.5, value - 0.25))} title="Zoom out" className="p-2 rounded-full hover:bg-white hover:bg-opacity-10"><ZoomOut size={18} /></button>
+                    <span className="text-sm w-12 text-center">{Math.round(scale * 100)}%</span>
+                    <button onClick={() => setScale(value => Math.min(4, value + 0.25))} title="Zoom in" className="p-2 rounded-full hover:bg-white hover:bg-opacity-10"><ZoomIn size={18} /></button>
+                    <a href={document.url} target="_blank" rel="noreferrer" title="Open in a new tab" className="p-2 rounded-full hover:bg-white hover:bg-opacity-10"><ExternalLink size={18} /></a>
+                    <button onClick={onClose} className="p-2 rounded-full hover:bg-white hover:bg-opacity-10"><X size={22} /></button>
+                </div>
+            </div>
+            <div className="flex-grow overflow-auto p-4 space-y-4">
+                {loadError ? (
+                    <p className="text-center text-red-300 mt-10">Could not open this document: {loadError}</p>
+                ) : !pdf ? (
+                    <div className="flex justify-center mt-10 text-white"><Loader2 size={32} className="animate-spin" /></div>
+                ) : (
+                    Array.from({ length: pdf.numPages }, (_, index) => (
+                        <PdfPage key={index} pdf={pdf} pageNumber={index + 1} scale={scale} />
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+const emptyDocumentForm = { file: null, kind: 'drawing', title: '', documentNumber: '', revision: '' };
+
+// Attached documents of one part (no actionId) or one action, with an upload form for new documents and
+// new revisions of existing ones.
+const DocumentList = ({ documents = [], scopeId, partId, actionId, updateScopeData, uploadImage, discardStoredFile, userId, profiles, storageFolder, readOnly, latestRevisions }) => {
+    const [form, setForm] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [viewedDocument, setViewedDocument] = useState(null);
+    const target = { partId, actionId };
+
+    const currentRevisions = getCurrentRevisions(documents);
+    const outdatedIds = new Set(findOutdatedDocuments(documents, latestRevisions).map(({ document }) => document.id));
+    // Grouped by document, newest revision first
+    const sortedDocuments = [...documents].sort((a, b) =>
+        getDocumentKey(a).localeCompare(getDocumentKey(b)) || compareRevisions(b.revision, a.revision));
+
+    const openForm = (base) => {
+        setFormError('');
+        setForm(base ? { ...emptyDocumentForm, kind: base.kind, title: base.title, documentNumber: base.documentNumber } : emptyDocumentForm);
+    };
+
+    const handleSubmit = () => {
+        const title = form.title.trim() || form.file?.name.replace(/\.pdf$/i, '') || '';
+        const revision = form.revision.trim();
+        if (!form.file) return setFormError('Choose a PDF file.');
+        if (form.file.type !== 'application/pdf') return setFormError('Only PDF files can be attached.');
+        if (form.file.size > MAX_DOCUMENT_BYTES) return setFormError('The file is larger than 25MB.');
+        if (!revision) return setFormError('Enter the revision shown on the document.');
+
+        const now = Date.now();
+        const storagePath = `${storageFolder}/${createUploadId(now)}_${form.file.name}`;
+        const details = { kind: form.kind, title, documentNumber: form.documentNumber.trim(), revision, fileName: form.file.name };
+        uploadImage({ label: form.file.name, files: [{ blob: form.file, path: storagePath }] }).then(urls => {
+            if (!urls) return;
+            updateScopeData(scopeId, {
+                type: 'addDocument',
+                ...target,
+                document: { id: crypto.randomUUID(), ...details, url: urls[0], storagePath, uploadedBy: userId, uploadedAt: new Date(now).toISOString() },
+            });
+        });
+        setForm(null);
+    };
+
+    const handleRemove = (document) => {
+        if (!window.confirm(`Remove ${document.title} Rev ${document.revision}?`)) return;
+        updateScopeData(scopeId, { type: 'removeDocument', ...target, documentId: document.id });
+        // Deleted from storage once undo can no longer bring it back
+        discardStoredFile(document.storagePath);
+    };
+
+    return (
+        <div className="space-y-3">
+            {sortedDocuments.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-4 bg-gray-50 rounded-lg">No documents attached.</p>
+            ) : (
+                <ul className="space-y-2">
+                    {sortedDocuments.map(document => {
+                        const superseded = !currentRevisions.includes(document);
+                        const latest = latestRevisions.get(getDocumentKey(document));
+                        return (
+                            <li key={document.id} className={`p-3 border rounded-lg flex items-start justify-between ${superseded ? 'bg-gray-50 opacity-70' : 'bg-white'}`}>
+                                <button onClick={() => setViewedDocument(document)} className="flex items-start text-left min-w-0 flex-grow">
+                                    <FileText size={20} className="text-indigo-500 mr-2 mt-0.5 flex-shrink-0" />
+                                    <span className="min-w-0">
+                                        <span className="block text-sm font-semibold text-gray-800 truncate hover:underline">{document.title}</span>
+                                        <span className="flex flex-wrap items-center gap-1 text-xs text-gray-500 mt-0.5">
+                                            <span className="font-semibold px-1.5 py-0.5 rounded-full bg-indigo-50 text-indigo-700">{getDocumentKind(document.kind).label}</span>
+                                            {document.documentNumber && <span>{document.documentNumber}</span>}
+                                            <span className="font-bold text-gray-700">Rev {document.revision}</span>
+                                            {superseded && <span className="italic">superseded</span>}
+                                            {outdatedIds.has(document.id) && (
+                                                <span className="font-semibold px-1.5 py-0.5 rounded-full bg-amber-100 text-amber-800 flex items-center">
+                                                    <FileWarning size={12} className="mr-1" /> Rev {latest.revision} available
+                                                </span>
+                                            )}
+                                        </span>
+                                        <span className="block text-[11px] text-gray-400 mt-0.5">{formatUploadCredit(document, userId, profiles)}</span>
+                                    </span>
+                                </button>
+                                {!readOnly && (
+                                    <span className="flex items-center ml-2 flex-shrink-0">
+                                        {!superseded && (
+                                            <button onClick={() => openForm(document)} title="Upload a new revision" className="text-indigo-500 hover:text-indigo-700 p-1"><FilePlus size={16} /></button>
+                                        )}
+                                        <button onClick={() => handleRemove(document)} className="text-red-400 hover:text-red-600 p-1"><Trash2 size={14} /></button>
+                                    </span>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {!readOnly && !form && (
+                <button onClick={() => openForm(null)} className="text-sm font-semibold text-green-600 hover:text-green-700 flex items-center">
+                    <Plus size={16} className="mr-1" /> Attach Document
+                </button>
+            )}
+
+            {!readOnly && form && (
+                <div className="border rounded-lg p-3 bg-gray-50 space-y-2 text-sm">
+                    <input type="file" accept="application/pdf" onChange={(e) => setForm({ ...form, file: e.target.files[0] || null })} className="block w-full text-sm" />
+                    <div className="grid grid-cols-2 gap-2">
+                        <select value={form.kind} onChange={(e) => setForm({ ...form, kind: e.target.value })} className="p-2 border border-gray-300 rounded-lg bg-white">
+                            {DOCUMENT_KINDS.map(kind => <option key={kind.id} value={kind.id}>{kind.label}</option>)}
+                        </select>
+                        <input type="text" value={form.revision} onChange={(e) => setForm({ ...form, revision: e.target.value })} placeholder="Revision (e.g. C)" className="p-2 border border-gray-300 rounded-lg" />
+                        <input type="text" value={form.documentNumber} onChange={(e) => setForm({ ...form, documentNumber: e.target.value })} placeholder="Document number" className="p-2 border border-gray-300 rounded-lg" />
+                        <input type="text" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} placeholder="Title (defaults to file name)" className="p-2 border border-gray-300 rounded-lg" />
+                    </div>
+                    {formError && <p className="text-red-500 font-medium">{formError}</p>}
+                    <div className="flex justify-end space-x-2">
+                        <button onClick={() => setForm(null)} className="px-3 py-1.5 rounded-lg text-gray-600 hover:bg-gray-200">Cancel</button>
+                        <button onClick={handleSubmit} className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 flex items-center">
+                            <Upload size={14} className="mr-1" /> Upload
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {viewedDocument && <PdfViewer document={viewedDocument} onClose={() => setViewedDocument(null)} />}
+        </div>
+    );
+};
+
+// The documents of a part, opened from its card.
+const PartDocumentsModal = ({ isOpen, onClose, part, ...listProps }) => {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
+                    <h2 className="text-xl font-bold text-gray-800 flex items-center"><FileText size={20} className="mr-2" /> Documents: {part.title}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
+                        <X size={20} />
+                    </button>
+                </div>
+                <div className="overflow-y-auto p-6">
+                    <DocumentList documents={part.documents} partId={part.id} {...listProps} />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Gantt Schedule ---
+// Planned bars are coloured like the status badges and can be dragged to move an item or, by their right
+// edge, to change its finish. The thin bar underneath shows actual dates (open-ended while in progress).
+// Unplanned rows are planned by clicking the timeline on the start day.
+
+const GANTT_DAY_WIDTH = 24;
+const GANTT_LABEL_WIDTH = 260;
+
+// New planned dates for a bar dragged by `deltaDays`; a finish is never dragged before its start.
+const getDraggedDates = (item, mode, deltaDays) => {
+    if (mode === 'move') {
+        return { plannedStart: addDays(item.plannedStart, deltaDays), plannedFinish: addDays(item.plannedFinish, deltaDays) };
+    }
+    const plannedFinish = addDays(item.plannedFinish, deltaDays);
+    return { plannedFinish: plannedFinish < item.plannedStart ? item.plannedStart : plannedFinish };
+};
+
+const formatDateRange = (start, finish) => (start ? `${formatDateKey(start)} - ${finish ? formatDateKey(finish) : '...'}` : 'not set');
+
+// Planned and actual date inputs for a part card or ActionModal. `onChange` receives the changed fields.
+const ScheduleFields = ({ item, onChange, canPlan }) => {
+    const derived = getActualDates({ ...item, actualStart: null, actualFinish: null });
+    // `min` only guards the picker, so a start moved past its finish drags the finish along, and a finish
+    // typed before its start is raised to it.
+    const handleChange = (key, value) => {
+        const [startKey, finishKey] = key.startsWith('planned') ? ['plannedStart', 'plannedFinish'] : ['actualStart', 'actualFinish'];
+        if (key === startKey && value && item[finishKey] && item[finishKey] < value) onChange({ [startKey]: value, [finishKey]: value });
+        else if (key === finishKey && value && item[startKey] && value < item[startKey]) onChange({ [finishKey]: item[startKey] });
+        else onChange({ [key]: value });
+    };
+    const dateInput = (key, min, disabled) => (
+        <input
+            type="date"
+            value={item[key] || ''}
+            min={min || undefined}
+            onChange={(e) => handleChange(key, e.target.value || null)}
+            disabled={disabled}
+            className="p-1 border border-gray-300 rounded bg-white disabled:bg-gray-100"
+        />
+    );
+    return (
+        <div className="grid grid-cols-[auto_1fr_1fr] items-center gap-1 text-xs text-gray-600">
+            <span className="font-medium">Planned</span>
+            {dateInput('plannedStart', null, !canPlan)}
+            {dateInput('plannedFinish', item.plannedStart, !canPlan)}
+            <span className="font-medium">Actual</span>
+            {dateInput('actualStart', null, false)}
+            {dateInput('actualFinish', item.actualStart, false)}
+            {!item.actualStart && derived.actualStart && (
+                <span className="col-span-3 text-gray-400">From completed steps: {formatDateRange(derived.actualStart, derived.actualFinish)}</span>
+            )}
+        </div>
+    );
+};
+
+const GanttChart = ({ rows, canReschedule, onReschedule }) => {
+    const todayKey = toDateKey(new Date());
+    // Bar being dragged: { rowId, mode: 'move' | 'resize', originX, deltaDays }
+    const [drag, setDrag] = useState(null);
+
+    // Planned bars need both dates; a lone start is drawn as a one-day bar.
+    const getPlan = (item) => (item.plannedStart ? { plannedStart: item.plannedStart, plannedFinish: item.plannedFinish || item.plannedStart } : null);
+
+    const datedRows = rows.map(row => ({ ...row, plan: getPlan(row.item), actual: getActualDates(row.item), flag: getScheduleFlag(row.item, todayKey) }));
+    const dateKeys = datedRows
+        .flatMap(({ plan, actual }) => [plan?.plannedStart, plan?.plannedFinish, actual.actualStart, actual.actualFinish])
+        .filter(Boolean)
+        .concat(todayKey)
+        .sort();
+    const rangeStart = addDays(dateKeys[0], -3);
+    const rangeEnd = addDays(dateKeys[dateKeys.length - 1], 14);
+    const dayCount = daysBetween(rangeStart, rangeEnd) + 1;
+    const dayKeys = Array.from({ length: dayCount }, (_, index) => addDays(rangeStart, index));
+    const xOf = (dateKey) => daysBetween(rangeStart, dateKey) * GANTT_DAY_WIDTH;
+
+    const startDrag = (e, row, mode) => {
+        if (!canReschedule(row)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDrag({ rowId: row.id, mode, originX: e.clientX, deltaDays: 0 });
+    };
+
+    const moveDrag = (e) => {
+        if (!drag) return;
+        const deltaDays = Math.round((e.clientX - drag.originX) / GANTT_DAY_WIDTH);
+        if (deltaDays !== drag.deltaDays) setDrag({ ...drag, deltaDays });
+    };
+
+    const endDrag = (row) => {
+        if (!drag) return;
+        setDrag(null);
+        if (drag.deltaDays !== 0) onReschedule(row, getDraggedDates(row.plan, drag.mode, drag.deltaDays));
+    };
+
+    const handlePlanClick = (e, row) => {
+        if (row.plan || !canReschedule(row)) return;
+        const dayIndex = Math.floor((e.clientX - e.currentTarget.getBoundingClientRect().left) / GANTT_DAY_WIDTH);
+        const plannedStart = addDays(rangeStart, dayIndex);
+        onReschedule(row, { plannedStart, plannedFinish: addDays(plannedStart, DEFAULT_PLANNED_DAYS - 1) });
+    };
+
+    if (rows.length === 0) {
+        return <p className="text-center text-gray-500 p-8 border border-dashed rounded-lg">Nothing to schedule yet.</p>;
+    }
+
+    return (
+        <div className="overflow-x-auto border rounded-lg bg-white">
+            <div className="relative" style={{ width: GANTT_LABEL_WIDTH + dayCount * GANTT_DAY_WIDTH }}>
+                {/* Week header */}
+                <div className="flex border-b bg-gray-50 text-[10px] text-gray-500">
+                    <div className="sticky left-0 z-20 bg-gray-50 border-r p-2 text-xs font-semibold text-gray-700" style={{ width: GANTT_LABEL_WIDTH, flexShrink: 0 }}>
+                        Item
+                    </div>
+                    <div className="relative h-8" style={{ width: dayCount * GANTT_DAY_WIDTH }}>
+                        {dayKeys.filter(dateKey => parseDateKey(dateKey).getUTCDay() === 1).map(dateKey => (
+                            <span key={dateKey} className="absolute top-0 h-full border-l border-gray-200 pl-1 pt-2 whitespace-nowrap" style={{ left: xOf(dateKey) }}>
+                                {formatDateKey(dateKey)}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+
+                {datedRows.map(row => {
+                    const percent = row.item.percentComplete || 0;
+                    const draggable = canReschedule(row);
+                    const preview = drag?.rowId === row.id && row.plan ? { ...row.plan, ...getDraggedDates(row.plan, drag.mode, drag.deltaDays) } : row.plan;
+                    const actualEnd = row.actual.actualFinish || (row.actual.actualStart ? todayKey : null);
+                    return (
+                        <div key={`${row.kind}-${row.id}`} className={`flex border-b last:border-b-0 ${row.kind === 'scope' ? 'bg-indigo-50/40' : ''}`}>
+                            <div
+                                className="sticky left-0 z-20 bg-white border-r flex items-center justify-between gap-2 pr-2 h-10 text-sm"
+                                style={{ width: GANTT_LABEL_WIDTH, flexShrink: 0, paddingLeft: 8 + row.depth * 16 }}
+                            >
+                                <span className="flex items-center min-w-0">
+                                    <span className={`truncate ${row.depth === 0 ? 'font-semibold text-gray-800' : 'text-gray-600'}`} title={row.label}>{row.label}</span>
+                                    <BlockedIcon blockers={row.blockers} />
+                                </span>
+                                {row.flag && (
+                                    <span className={`text-[10px] font-semibold px-1.5 py-0.5 rounded-full whitespace-nowrap ${SCHEDULE_FLAGS[row.flag].className}`}>
+                                        {SCHEDULE_FLAGS[row.flag].label}
+                                    </span>
+                                )}
+                            </div>
+                            <div
+                                className={`relative h-10 ${!row.plan && draggable ? 'cursor-copy hover:bg-indigo-50' : ''}`}
+                                style={{ width: dayCount * GANTT_DAY_WIDTH }}
+                                onClick={(e) => handlePlanClick(e, row)}
+                                title={!row.plan && draggable ? 'Click the start day to plan this item' : undefined}
+                            >
+                                {preview && (
+                                    <div
+                                        className={`absolute top-2 h-4 rounded ${getStatusColor(percent)} ${row.flag === 'late' || row.flag === 'lateStart' ? 'ring-2 ring-red-600 ring-offset-1' : ''} ${draggable ? 'cursor-grab active:cursor-grabbing' : ''} select-none touch-none`}
+                                        style={{ left: xOf(preview.plannedStart), width: (daysBetween(preview.plannedStart, preview.plannedFinish) + 1) * GANTT_DAY_WIDTH }}
+                                        title={`Planned: ${formatDateRange(preview.plannedStart, preview.plannedFinish)}\nActual: ${formatDateRange(row.actual.actualStart, row.actual.actualFinish)}\n${percent}% complete`}
+                                        onPointerDown={(e) => startDrag(e, row, 'move')}
+                                        onPointerMove={moveDrag}
+                                        onPointerUp={() => endDrag(row)}
+                                        onPointerCancel={() => setDrag(null)}
+                                        onClick={(e) => e.stopPropagation()}
+                                    >
+                                        <span className="px-1 text-[10px] font-bold text-white leading-4">{percent}%</span>
+                                        {draggable && (
+                                            <span className="absolute right-0 top-0 h-full w-2 cursor-ew-resize" onPointerDown={(e) => startDrag(e, row, 'resize')} />
+                                        )}
+                                    </div>
+                                )}
+                                {row.actual.actualStart && (
+                                    <div
+                                        className={`absolute top-7 h-1.5 rounded ${row.actual.actualFinish ? 'bg-gray-700' : 'bg-gray-400'}`}
+                                        style={{ left: xOf(row.actual.actualStart), width: (daysBetween(row.actual.actualStart, actualEnd) + 1) * GANTT_DAY_WIDTH }}
+                                    />
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+
+                {/* Today line */}
+                <div
+                    className="absolute top-0 bottom-0 w-0.5 bg-red-500 pointer-events-none z-10"
+                    style={{ left: GANTT_LABEL_WIDTH + xOf(todayKey) + GANTT_DAY_WIDTH / 2 }}
+                />
+            </div>
+        </div>
+    );
+};
+
+
+// --- Progress Charts ---
+// SVG line charts for the progress history on the SummaryPage (see "Progress History"). Time runs along the
+// x axis, from the start of the first day to the end of the last; the red line marks now.
+
+const CHART_WIDTH = 600;
+const CHART_PADDING = { top: 10, right: 12, bottom: 22, left: 34 };
+
+// Days from the start of `startDate` to a moment, in local time like the date keys.
+const getDayOffset = (startDate, timestamp) => {
+    const moment = new Date(timestamp);
+    return daysBetween(startDate, toDateKey(moment)) + (moment.getHours() * 60 + moment.getMinutes()) / (24 * 60);
+};
+
+// series: [{ id, label, colorClass (a text-* class, used as the stroke), dashed, points: [{ at, value }] }]
+// A point's `at` is a timestamp, or a date key standing for the start of that day.
+const LineChart = ({ series, yMax, startDate, endDate, height = 220, formatValue = (value) => value }) => {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+    const totalDays = daysBetween(startDate, endDate) + 1;
+    const xAt = (dayOffset) => CHART_PADDING.left + (dayOffset / totalDays) * plotWidth;
+    const x = (at) => xAt(at.length === 10 ? daysBetween(startDate, at) : getDayOffset(startDate, at));
+    const y = (value) => CHART_PADDING.top + plotHeight - (value / yMax) * plotHeight;
+    const nowOffset = getDayOffset(startDate, new Date().toISOString());
+    // The first and last labels sit at the ends of the axis, any other in the middle of its day
+    const xLabels = [...new Set([startDate, addDays(startDate, Math.floor(totalDays / 2)), endDate])].map((dateKey, index, keys) => ({
+        dateKey,
+        offset: index === 0 ? 0 : index === keys.length - 1 ? totalDays : daysBetween(startDate, dateKey) + 0.5,
+    }));
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${height}`} className="w-full h-auto text-[10px]">
+                {[0, 0.25, 0.5, 0.75, 1].map(fraction => (
+                    <g key={fraction} className="text-gray-400">
+                        <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={y(yMax * fraction)} y2={y(yMax * fraction)} stroke="#e5e7eb" />
+                        <text x={CHART_PADDING.left - 4} y={y(yMax * fraction) + 3} textAnchor="end" fill="currentColor">{formatValue(Math.round(yMax * fraction))}</text>
+                    </g>
+                ))}
+                {xLabels.map(({ dateKey, offset }, index) => (
+                    <text
+                        key={dateKey}
+                        x={xAt(offset)}
+                        y={height - 6}
+                        textAnchor={index === 0 ? 'start' : index === xLabels.length - 1 ? 'end' : 'middle'}
+                        className="text-gray-400"
+                        fill="currentColor"
+                    >
+                        {formatDateKey(dateKey)}
+                    </text>
+                ))}
+                {nowOffset >= 0 && nowOffset <= totalDays && (
+                    <line x1={xAt(nowOffset)} x2={xAt(nowOffset)} y1={CHART_PADDING.top} y2={CHART_PADDING.top + plotHeight} stroke="#ef4444" strokeWidth="1" />
+                )}
+                {series.filter(line => line.points.length > 0).map(line => (
+                    <g key={line.id} className={line.colorClass}>
+                        <polyline
+                            fill="none"
+                            stroke="currentColor"
+                            strokeWidth="2"
+                            strokeDasharray={line.dashed ? '6 4' : undefined}
+                            points={line.points.map(point => `${x(point.at)},${y(point.value)}`).join(' ')}
+                        />
+                        {line.points.length === 1 && <circle cx={x(line.points[0].at)} cy={y(line.points[0].value)} r="3" fill="currentColor" />}
+                    </g>
+                ))}
+            </svg>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+                {series.map(line => (
+                    <span key={line.id} className="flex items-center">
+                        <span className={`inline-block w-4 border-t-2 mr-1 ${line.colorClass} ${line.dashed ? 'border-dashed' : ''}`} style={{ borderColor: 'currentColor' }} />
+                        {line.label}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Every day from `startDate` to `endDate`, inclusive.
+const listDateKeys = (startDate, endDate) => Array.from({ length: daysBetween(startDate, endDate) + 1 }, (_, index) => addDays(startDate, index));
+
+// S-curve of field work against the plan for the project or one scope, the change over the last week, and a
+// burndown of remaining actions per scope with an ideal line to the scope's planned finish.
+const ProgressHistoryPanel = ({ scopes, snapshots, weighted }) => {
+    const [scopeFilter, setScopeFilter] = useState('all');
+    const todayKey = toDateKey(new Date());
+
+    if (snapshots.length === 0) {
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <h2 className="text-xl font-bold text-gray-700 mb-2 border-b pb-2">Progress Over Time</h2>
+                <p className="text-sm text-gray-500">The history starts with today's snapshot, which is recorded once the project has loaded.</p>
+            </div>
+        );
+    }
+
+    const selectedScopes = scopeFilter === 'all' ? scopes : scopes.filter(scope => scope.id === scopeFilter);
+    const pickEntry = (snapshot) => (scopeFilter === 'all' ? snapshot : snapshot.scopes?.[scopeFilter]);
+    const plannedRange = getPlannedRange(selectedScopes);
+    const dateKeys = [...snapshots.map(snapshot => snapshot.date), todayKey, ...(plannedRange ? [plannedRange.start, plannedRange.finish] : [])].sort();
+    const startDate = dateKeys[0];
+    const endDate = dateKeys[dateKeys.length - 1];
+
+    const actualPoints = snapshots
+        .filter(snapshot => pickEntry(snapshot)?.fieldWork !== undefined)
+        .map(snapshot => ({ at: snapshot.takenAt, value: pickEntry(snapshot).fieldWork }));
+    // Each planned day's share is due by its end, which is where the plan reaches it
+    const plannedPoints = plannedRange
+        ? listDateKeys(addDays(plannedRange.start, -1), plannedRange.finish).map(dateKey => ({ at: addDays(dateKey, 1), value: calculatePlannedPercent(selectedScopes, dateKey, weighted) }))
+        : [];
+
+    // "How far did we get this week?": the latest field work against the last snapshot at least a week old.
+    const latest = [...snapshots].reverse().find(snapshot => pickEntry(snapshot));
+    const weekAgo = [...snapshots].reverse().find(snapshot => snapshot.date <= addDays(todayKey, -7) && pickEntry(snapshot));
+    const weeklyGain = latest && weekAgo ? pickEntry(latest).fieldWork - pickEntry(weekAgo).fieldWork : null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 border-b pb-2">
+                <h2 className="text-xl font-bold text-gray-700">Progress Over Time</h2>
+                <select
+                    value={scopeFilter}
+                    onChange={(e) => setScopeFilter(e.target.value)}
+                    className="p-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                    <option value="all">Whole project</option>
+                    {scopes.map(scope => <option key={scope.id} value={scope.id}>{scope.title}</option>)}
+                </select>
+            </div>
+
+            <div>
+                <h3 className="font-semibold text-gray-700 mb-1">Field Work: Planned vs. Actual</h3>
+                <p className="text-xs text-gray-500 mb-2">
+                    {weeklyGain === null
+                        ? 'The weekly change shows once the history is a week old.'
+                        : `Last 7 days: ${weeklyGain >= 0 ? '+' : ''}${weeklyGain} points of field work (${pickEntry(weekAgo).fieldWork}% on ${new Date(weekAgo.takenAt).toLocaleString()}, ${pickEntry(latest).fieldWork}% on ${new Date(latest.takenAt).toLocaleString()}).`}
+                    {!plannedRange && ' Add planned dates to parts to draw the plan.'}
+                </p>
+                <LineChart
+                    series={[
+                        { id: 'planned', label: 'Planned', colorClass: 'text-gray-400', dashed: true, points: plannedPoints },
+                        { id: 'actual', label: 'Actual', colorClass: 'text-indigo-600', points: actualPoints },
+                    ]}
+                    yMax={100}
+                    startDate={startDate}
+                    endDate={endDate}
+                    formatValue={(value) => `${value}%`}
+                />
+            </div>
+
+            <div>
+                <h3 className="font-semibold text-gray-700 mb-2">Remaining Actions per Scope</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {selectedScopes.map(scope => {
+                        const scopeSnapshots = snapshots.filter(snapshot => snapshot.scopes?.[scope.id]);
+                        const points = scopeSnapshots.map(snapshot => ({ at: snapshot.takenAt, value: snapshot.scopes[scope.id].remaining }));
+                        const scopeRange = getPlannedRange([scope]);
+                        // The ideal line runs from the first snapshot to nothing left at the end of the planned finish
+                        const idealPoints = points.length > 0 && scopeRange && scopeRange.finish >= scopeSnapshots[0].date
+                            ? [points[0], { at: addDays(scopeRange.finish, 1), value: 0 }]
+                            : [];
+                        const scopeDates = [...scopeSnapshots.map(snapshot => snapshot.date), todayKey, ...(idealPoints.length ? [scopeRange.finish] : [])].sort();
+                        return (
+                            <div key={scope.id} className="p-3 bg-gray-50 rounded-lg">
+                                <h4 className="text-sm font-semibold text-gray-700 truncate mb-1">{scope.title}</h4>
+                                <LineChart
+                                    series={[
+                                        { id: 'ideal', label: 'Ideal', colorClass: 'text-gray-400', dashed: true, points: idealPoints },
+                                        { id: 'remaining', label: 'Remaining', colorClass: 'text-orange-500', points },
+                                    ]}
+                                    yMax={Math.max(1, ...points.map(point => point.value))}
+                                    startDate={scopeDates[0]}
+                                    endDate={scopeDates[scopeDates.length - 1]}
+                                    height={160}
+                                />
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Dependency Links ---
+// The "Waits On" list of a part card or ActionModal (see "Dependencies"). Finished predecessors are ticked,
+// unfinished ones locked. The picker only offers items that would not close a loop.
+
+// Lock shown next to an action or Gantt row that is waiting on unfinished predecessors.
+const BlockedIcon = ({ blockers }) => (blockers.length > 0 ? (
+    <span title={describeBlockers(blockers)} className="inline-flex ml-2 text-amber-600 align-middle">
+        <Lock size={12} aria-label="Blocked" />
+    </span>
+) : null);
+
+// `onChange` receives the new `dependsOn` list.
+const DependencyLinks = ({ itemRef, dependsOn, items, canLink, onChange }) => {
+    const itemKey = getDependencyKey(itemRef);
+    const candidatesByScope = new Map();
+    items.forEach(candidate => {
+        if (!canDependOn(items, itemKey, candidate.key)) return;
+        candidatesByScope.set(candidate.scope.id, [...(candidatesByScope.get(candidate.scope.id) || []), candidate]);
+    });
+
+    const handleAdd = (e) => {
+        const candidate = items.get(e.target.value);
+        if (candidate) onChange([...dependsOn, candidate.ref]);
+    };
+
+    return (
+        <div className="space-y-1 text-xs">
+            {dependsOn.length === 0 && <p className="text-gray-400">Not waiting on anything.</p>}
+            {dependsOn.map(ref => {
+                const refKey = getDependencyKey(ref);
+                const predecessor = items.get(refKey);
+                const finished = predecessor?.percent >= 100;
+                return (
+                    <div key={refKey} className="flex items-center justify-between p-1.5 bg-white rounded border">
+                        <span className={`flex items-center min-w-0 ${finished ? 'text-gray-500' : 'text-gray-700'}`} title={predecessor ? formatDependencyLabel(predecessor) : undefined}>
+                            {finished
+                                ? <Check size={12} className="mr-1 flex-shrink-0 text-green-600" />
+                                : <Lock size={12} className="mr-1 flex-shrink-0 text-amber-600" />}
+                            <span className="truncate">{predecessor ? formatDependencyLabel(predecessor) : '(Trashed, archived or removed item)'}</span>
+                            {predecessor && <span className="ml-1 text-gray-400">{predecessor.percent}%</span>}
+                        </span>
+                        {canLink && (
+                            <button
+                                onClick={() => onChange(dependsOn.filter(other => getDependencyKey(other) !== refKey))}
+                                title="Remove link"
+                                className="text-gray-400 hover:text-red-600 ml-1 flex-shrink-0"
+                            >
+                                <X size={12} />
+                            </button>
+                        )}
+                    </div>
+                );
+            })}
+            {canLink && (
+                <select value="" onChange={handleAdd} className="w-full p-1 border border-gray-300 rounded bg-white">
+                    <option value="">+ Add a predecessor...</option>
+                    {[...candidatesByScope.values()].map(candidates => (
+                        <optgroup key={candidates[0].scope.id} label={candidates[0].scope.title}>
+                            {candidates.map(candidate => (
+                                <option key={candidate.key} value={candidate.key}>
+                                    {candidate.action ? `${candidate.part.title} › ${candidate.action.title}` : candidate.part.title}
+                                </option>
+                            ))}
+                        </optgroup>
+                    ))}
+                </select>
+            )}
+        </div>
+    );
+};
+
+
+// --- Modals ---
+
+// Assignee, due date and completion comment of a step being edited in ActionModal or PrereqModal. Assigning
+// and scheduling are planning, so only planners may change the first two.
+const StepDetailsEditor = ({ step, onChange, userId, profiles, canPlan }) => {
+    const overdue = isStepOverdue(step, toDateKey(new Date()));
+    // Someone assigned before leaving the team keeps their entry, so the select never silently blanks.
+    const assigneeIds = [...new Set([...Object.keys(profiles), ...(step.assigneeId ? [step.assigneeId] : [])])]
+        .sort((a, b) => formatUserLabel(a, userId, profiles).localeCompare(formatUserLabel(b, userId, profiles)));
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mt-2 pl-8 text-xs text-gray-600">
+            <select
+                value={step.assigneeId || ''}
+                onChange={(e) => onChange({ assigneeId: e.target.value || null })}
+                disabled={!canPlan}
+                title="Assignee"
+                className="p-1 border border-gray-300 rounded bg-white disabled:bg-gray-100 disabled:text-gray-500"
+            >
+                <option value="">Unassigned</option>
+                {assigneeIds.map(id => <option key={id} value={id}>{formatUserLabel(id, userId, profiles)}</option>)}
+            </select>
+            <input
+                type="date"
+                value={step.dueDate || ''}
+                onChange={(e) => onChange({ dueDate: e.target.value || null })}
+                disabled={!canPlan}
+                title="Due date"
+                className={`p-1 border rounded disabled:opacity-75 ${overdue ? 'border-red-400 bg-red-50 text-red-700' : 'border-gray-300'}`}
+            />
+            {overdue && <span className="font-semibold text-red-600 flex items-center"><AlarmClock size={12} className="mr-1" /> Overdue</span>}
+            {step.completed && (
+                <input
+                    type="text"
+                    value={step.completionComment || ''}
+                    onChange={(e) => onChange({ completionComment: e.target.value || null })}
+                    maxLength={STEP_COMMENT_MAX_LENGTH}
+                    placeholder="Completion comment..."
+                    className="flex-grow min-w-[8rem] p-1 border border-gray-300 rounded"
+                />
+            )}
+        </div>
+    );
+};
+
+// Modal for tracking steps and notes for Materials and General Prerequisites (No change needed here)
+const PrereqModal = ({ isOpen, onClose, prereqKey, scope, updateScopeData, userId, profiles, readOnly, canPlan }) => {
+    if (!isOpen) return null;
+
+    const prereqData = scope[prereqKey];
+    const [notes, setNotes] = useState(prereqData.notes || '');
+    const [steps, setSteps] = useState(prereqData.steps || []);
+    const [newStepText, setNewStepText] = useState('');
+
+    const calculatedPercent = calculateStepCompletion(steps);
+
+    const handleStepToggle = (id) => {
+        setSteps(steps.map(step =>
+            step.id === id ? { ...step, ...getStepCompletionFields(!step.completed, userId, new Date().toISOString()) } : step
+        ));
+    };
+
+    const handleAddStep = () => {
+        if (newStepText.trim()) {
+            setSteps([...steps, { id: crypto.randomUUID(), text: newStepText.trim(), completed: false }]);
+            setNewStepText('');
+        }
+    };
+
+    const handleDeleteStep = (id) => {
+        setSteps(steps.filter(step => step.id !== id));
+    };
+
+    const handleStepDetailsChange = (id, patch) => {
+        setSteps(steps.map(step => step.id === id ? { ...step, ...patch } : step));
+    };
+
+    const handleSave = () => {
+        // Only send what changed in this session; status is recalculated from the merged steps.
+        updateScopeData(scope.id, {
+            type: 'updatePrereq',
+            prereqKey,
+            fields: pickChangedFields(prereqData, { notes }),
+            stepChanges: diffSteps(prereqData.steps, steps),
+        });
+        onClose();
+    };
+
+    const titleMap = {
+        prereqStatusMaterials: 'Materials Tracking',
+        prereqStatusGeneral: 'General Prereqs Tracking',
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                {/* Header */}
+                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
+                    <h2 className="text-xl font-bold text-gray-800">{titleMap[prereqKey]}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
+                        <X size={20} />
+                    </button>
+                </div>
+                
+                <fieldset disabled={readOnly} className="overflow-y-auto p-6 space-y-6 min-w-0">
+                    {/* Progress Bar */}
+                    <div className="bg-gray-100 rounded-lg p-4">
+                        <div className="font-semibold text-lg mb-2 text-gray-700">Completion: {calculatedPercent}%</div>
+                        <div className="w-full bg-gray-200 rounded-full h-3">
+                            <div 
+                                className={`h-3 rounded-full transition-all duration-500 ${getStatusColor(calculatedPercent)}`} 
+                                style={{ width: `${calculatedPercent}%` }}
+                            />
+                        </div>
+                    </div>
+
+                    {/* Step List */}
+                    <div className="space-y-3">
+                        <h3 className="text-lg font-bold text-gray-800 border-b pb-2">Execution Steps ({steps.length})</h3>
+                        {steps.map(step => (
+                            <div key={step.id} className="bg-white p-3 border rounded-lg shadow-sm">
+                                <div className="flex items-center justify-between">
+                                    <label className="flex items-center flex-grow cursor-pointer">
+                                        <input 
+                                            type="checkbox" 
+                                            checked={step.completed} 
+                                            onChange={() => handleStepToggle(step.id)} 
+                                            className="form-checkbox h-5 w-5 text-indigo-600 rounded"
+                                        />
+                                        <span className="ml-3 min-w-0">
+                                            <span className={`block text-gray-700 ${step.completed ? 'line-through text-gray-500' : ''}`}>{step.text}</span>
+                                            <StepVerificationNote step={step} userId={userId} profiles={profiles} />
+                                        </span>
+                                    </label>
+                                    <button onClick={() => handleDeleteStep(step.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full transition ml-4">
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                                <StepDetailsEditor step={step} onChange={(patch) => handleStepDetailsChange(step.id, patch)} userId={userId} profiles={profiles} canPlan={canPlan} />
+                            </div>
+                        ))}
+
+                        {/* Add Step Input */}
+                        <div className="flex space-x-2 pt-2">
+                            <input 
+                                type="text" 
+                                value={newStepText} 
+                                onChange={(e) => setNewStepText(e.target.value)} 
+                                placeholder="Add new step..."
+                                className="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                            <button onClick={handleAddStep} className="bg-indigo-600 text-white p-2 rounded-lg hover:bg-indigo-700 transition flex items-center">
+                                <Plus size={18} />
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Notes Section */}
+                    <div>
+                        <h3 className="text-lg font-bold text-gray-800 mb-2 border-b pb-1">Notes</h3>
+                        <textarea
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            rows="4"
+                            placeholder="Add detailed notes here..."
+                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none"
+                        />
+                    </div>
+                </fieldset>
+
+                {/* Footer */}
+                <div className="p-4 border-t flex justify-end bg-gray-50 rounded-b-xl">
+                    {readOnly ? (
+                        <span className="text-sm text-gray-500 flex items-center"><Lock size={14} className="mr-1" /> View only: the project is read-only or your role cannot edit this.</span>
+                    ) : (
+                        <button 
+                            onClick={handleSave} 
+                            className="bg-green-600 text-white px-5 py-2 rounded-lg font-semibold hover:bg-green-700 transition shadow-md"
+                        >
+                            Save Changes
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// Modal for tracking steps, notes, and PERMANENT image for Part Actions
+// `weightUnit` is set in weighted projects, which show and edit effort estimates (see "Progress Roll-up").
+const ActionModal = ({ isOpen, onClose, action, scope, part, updateScopeData, uploadImage, userId, profiles, projectId, readOnly, canUpload, canPlan, canLink, discardStoredFile, latestRevisions, weightUnit, dependencyItems }) => {
+    if (!isOpen) return null;
+
+    // Steps and notes are diffed against the action as it was when the modal opened, so concurrent edits by
+    // others are preserved. The gallery follows the live action because its edits apply immediately.
+    const [openedAction] = useState(action);
+    const [steps, setSteps] = useState(action.steps || []);
+    const [notes, setNotes] = useState(action.notes || '');
+    const [weight, setWeight] = useState(getWeight(action));
+    const [schedule, setSchedule] = useState(pickScheduleDates(action));
+    const [newStepText, setNewStepText] = useState('');
+    
+    const calculatedPercent = weightUnit
+        ? calculateWeightedCompletion(steps.map(step => (step.completed ? 100 : 0)), steps.map(getWeight))
+        : calculateStepCompletion(steps);
+
+    const handleStepToggle = (id) => {
+        setSteps(steps.map(step =>
+            step.id === id ? { ...step, ...getStepCompletionFields(!step.completed, userId, new Date().toISOString()) } : step
+        ));
+    };
+
+    const handleAddStep = () => {
+        if (newStepText.trim()) {
+            setSteps([...steps, { id: crypto.randomUUID(), text: newStepText.trim(), completed: false }]);
+            setNewStepText('');
+        }
+    };
+
+    const handleDeleteStep = (id) => {
+        setSteps(steps.filter(step => step.id !== id));
+    };
+
+    const handleStepDetailsChange = (id, patch) => {
+        setSteps(steps.map(step => step.id === id ? { ...step, ...patch } : step));
+    };
+
+    const handleSave = () => {
+        // Targeted update: only this action's changed fields and steps are sent, so another user's
+        // concurrent edits to other actions or steps are preserved.
+        updateScopeData(scope.id, {
+            type: 'updateAction',
+            partId: part.id,
+            actionId: action.id,
+            fields: pickChangedFields({ ...openedAction, weight: getWeight(openedAction), ...pickScheduleDates(openedAction) }, { notes: notes, weight, ...schedule }),
+            stepChanges: diffSteps(openedAction.steps, steps),
+        });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+                {/* Header */}
+                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
+                    <h2 className="text-xl font-bold text-gray-800">Action: {action.title}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
+                        <X size={20} />
+                    </button>
+                </div>
+                
+                <div className="overflow-y-auto p-6 grid grid-cols-1 md:grid-cols-2 gap-8">
+                    {/* Left Column: Steps and Notes */}
+                    <fieldset disabled={readOnly} className="space-y-6 min-w-0">
+                        {/* Progress Bar */}
+                        <div className="bg-gray-100 rounded-lg p-4 shadow-inner">
+                            <div className="font-semibold text-lg mb-2 text-gray-700">Action Progress: {calculatedPercent}%</div>
+                            <div className="w-full bg-gray-200 rounded-full h-3">
+                                <div 
+                                    className={`h-3 rounded-full transition-all duration-500 ${getStatusColor(calculatedPercent)}`} 
+                                    style={{ width: `${calculatedPercent}%` }}
+                                />
+                            </div>
+                        </div>
+
+                        {weightUnit && (
+                            <label className="flex items-center justify-between text-sm text-gray-600">
+                                <span className="flex items-center"><Scale size={16} className="mr-2" /> Action estimate (blank: sum of its steps)</span>
+                                <WeightInput value={weight} onChange={(value) => setWeight(parseWeight(value))} unit={weightUnit} disabled={!canPlan} />
+                            </label>
+                        )}
 
                         {/* Step List */}
                         <div className="space-y-3">
                             <h3 className="text-lg font-bold text-gray-800 border-b pb-2">Execution Steps ({steps.length})</h3>
                             {steps.map(step => (
-                                <div key={step.id} className="flex items-center justify-between bg-white p-3 border rounded-lg shadow-sm transition hover:shadow-md">
-                                    <label className="flex items-center flex-grow cursor-pointer">
-                                        <input 
-                                            type="checkbox" 
-                                            checked={step.completed} 
-                                            onChange={() => handleStepToggle(step.id)} 
-                                            className="form-checkbox h-5 w-5 text-indigo-600 rounded"
-                                        />
-                                        <span className={`ml-3 text-gray-700 ${step.completed ? 'line-through text-gray-500' : ''}`}>
-                                            {step.text}
+                                <div key={step.id} className="bg-white p-3 border rounded-lg shadow-sm transition hover:shadow-md">
+                                    <div className="flex items-center justify-between">
+                                        <label className="flex items-center flex-grow cursor-pointer">
+                                            <input 
+                                                type="checkbox" 
+                                                checked={step.completed} 
+                                                onChange={() => handleStepToggle(step.id)} 
+                                                className="form-checkbox h-5 w-5 text-indigo-600 rounded"
+                                            />
+                                            <span className="ml-3 min-w-0">
+                                                <span className={`block text-gray-700 ${step.completed ? 'line-through text-gray-500' : ''}`}>{step.text}</span>
+                                                <StepVerificationNote step={step} userId={userId} profiles={profiles} />
+                                            </span>
+                                        </label>
+                                        {weightUnit && (
+                                            <WeightInput value={getWeight(step)} onChange={(value) => handleStepDetailsChange(step.id, { weight: parseWeight(value) })} unit={weightUnit} disabled={!canPlan} />
+                                        )}
+                                        <button onClick={() => handleDeleteStep(step.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full transition ml-4">
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                    <StepDetailsEditor step={step} onChange={(patch) => handleStepDetailsChange(step.id, patch)} userId={userId} profiles={profiles} canPlan={canPlan} />
+                                </div>
+                            ))}
+
+                            {/* Add Step Input */}
+                            <div className="flex space-x-2 pt-2">
+                                <input 
+                                    type="text" 
+                                    value={newStepText} 
+                                    onChange={(e) => setNewStepText(e.target.value)} 
+                                    placeholder="Add new step..."
+                                    className="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                                <button onClick={handleAddStep} className="bg-indigo-600 text-white p-2 rounded-lg hover:bg-indigo-700 transition flex items-center">
+                                    <Plus size={18} />
+                                </button>
+                            </div>
+                        </div>
+
+                        {/* Schedule */}
+                        <div>
+                            <h3 className="text-lg font-bold text-gray-800 mb-2 border-b pb-1 flex items-center"><CalendarRange size={18} className="mr-2" /> Schedule</h3>
+                            <ScheduleFields
+                                item={{ ...action, ...schedule, steps, percentComplete: calculatedPercent }}
+                                onChange={(fields) => setSchedule(current => ({ ...current, ...fields }))}
+                                canPlan={canPlan}
+                            />
+                        </div>
+
+                        {/* Predecessors: links apply immediately, like the gallery */}
+                        <div>
+                            <h3 className="text-lg font-bold text-gray-800 mb-2 border-b pb-1 flex items-center"><Link2 size={18} className="mr-2" /> Waits On</h3>
+                            <DependencyLinks
+                                itemRef={{ actionId: action.id }}
+                                dependsOn={action.dependsOn || []}
+                                items={dependencyItems}
+                                canLink={canLink}
+                                onChange={(dependsOn) => updateScopeData(scope.id, { type: 'updateAction', partId: part.id, actionId: action.id, fields: { dependsOn } })}
+                            />
+                        </div>
+
+                        {/* Notes Section */}
+                        <div>
+                            <h3 className="text-lg font-bold text-gray-800 mb-2 border-b pb-1">Notes</h3>
+                            <textarea
+                                value={notes}
+                                onChange={(e) => setNotes(e.target.value)}
+                                rows="3"
+                                placeholder="Add detailed notes here..."
+                                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none shadow-sm"
+                            />
+                        </div>
+                    </fieldset>
+                    
+                    {/* Right Column: Photos and Documents (outside the fieldset so they stay viewable when read-only) */}
+                    <div className="space-y-4 min-w-0">
+                        <h3 className="text-lg font-bold text-gray-800 border-b pb-2">Photos</h3>
+                        <PhotoGallery
+                            photos={action.photos}
+                            scopeId={scope.id}
+                            partId={part.id}
+                            actionId={action.id}
+                            updateScopeData={updateScopeData}
+                            uploadImage={uploadImage}
+                            discardStoredFile={discardStoredFile}
+                            userId={userId}
+                            profiles={profiles}
+                            storageFolder={`${getImagesPrefix(projectId)}actions/${scope.id}/${part.id}/${action.id}`}
+                            readOnly={!canUpload}
+                        />
+
+                        <h3 className="text-lg font-bold text-gray-800 border-b pb-2 pt-2">Documents</h3>
+                        <DocumentList
+                            documents={action.documents}
+                            scopeId={scope.id}
+                            partId={part.id}
+                            actionId={action.id}
+                            updateScopeData={updateScopeData}
+                            uploadImage={uploadImage}
+                            discardStoredFile={discardStoredFile}
+                            userId={userId}
+                            profiles={profiles}
+                            storageFolder={`${getDocumentsPrefix(projectId)}actions/${scope.id}/${part.id}/${action.id}`}
+                            readOnly={!canUpload}
+                            latestRevisions={latestRevisions}
+                        />
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="p-4 border-t flex justify-end bg-gray-50 rounded-b-xl">
+                    {readOnly ? (
+                        <span className="text-sm text-gray-500 flex items-center"><Lock size={14} className="mr-1" /> View only: the project is read-only or your role cannot edit this.</span>
+                    ) : (
+                        <button 
+                            onClick={handleSave} 
+                            className="text-white px-6 py-3 rounded-xl font-bold transition shadow-lg bg-green-600 hover:bg-green-700"
+                        >
+                            Save Action Progress
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// Short, readable rendering of a recorded value; step lists are summarised rather than dumped.
+const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (Array.isArray(value)) {
+        if (value.every(item => item && typeof item === 'object' && 'completed' in item)) {
+            return `${value.length} step(s), ${value.filter(item => item.completed).length} done`;
+        }
+        if (value.every(item => item && typeof item === 'object' && 'tag' in item)) return `${value.length} photo(s)`;
+        if (value.every(item => item && typeof item === 'object' && 'revision' in item)) return `${value.length} document(s)`;
+        return `${value.length} item(s)`;
+    }
+    if (typeof value === 'object') {
+        if ('status' in value) return `${value.status}${value.steps ? ` (${formatAuditValue(value.steps)})` : ''}`;
+        return JSON.stringify(value);
+    }
+    const text = String(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+// Timeline of a scope's audit entries, optionally narrowed to one part (and its actions), a user and a date range.
+const HistoryModal = ({ isOpen, onClose, scope, initialPartId, loadHistory, userId, profiles }) => {
+    const [entries, setEntries] = useState([]);
+    const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+    const [historyError, setHistoryError] = useState('');
+    const [partFilter, setPartFilter] = useState('all');
+    const [userFilter, setUserFilter] = useState('all');
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+
+    useEffect(() => {
+        if (isOpen) setPartFilter(initialPartId || 'all');
+    }, [isOpen, initialPartId]);
+
+    // Reloads when the scope changes so the timeline follows live edits while open
+    useEffect(() => {
+        if (!isOpen) return;
+        let cancelled = false;
+        setIsLoadingHistory(true);
+        setHistoryError('');
+        loadHistory(scope.id, {
+            from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : null,
+            to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : null,
+        })
+            .then(loaded => { if (!cancelled) setEntries(loaded); })
+            .catch(e => {
+                console.error("Failed to load history:", e);
+                if (!cancelled) setHistoryError(`Could not load history: ${e.message}`);
+            })
+            .finally(() => { if (!cancelled) setIsLoadingHistory(false); });
+        return () => { cancelled = true; };
+    }, [isOpen, scope, fromDate, toDate, loadHistory]);
+
+    // Parts that were deleted only survive in the log, so their names come from the entries themselves.
+    const partOptions = useMemo(() => {
+        const titles = new Map((scope.parts || []).map(part => [part.id, part.title]));
+        entries.forEach(entry => {
+            if (entry.kind === 'part' && entry.partId && !titles.has(entry.partId)) {
+                titles.set(entry.partId, `${entry.entityTitle || 'Untitled part'} (deleted)`);
+            }
+        });
+        return [...titles.entries()];
+    }, [scope.parts, entries]);
+
+    const userOptions = useMemo(() => [...new Set(entries.map(entry => entry.userId).filter(Boolean))], [entries]);
+
+    const visibleEntries = entries.filter(entry =>
+        (partFilter === 'all' || (partFilter === 'scope' ? entry.kind === 'scope' : entry.partId === partFilter))
+        && (userFilter === 'all' || entry.userId === userFilter)
+    );
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+                {/* Header */}
+                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
+                    <h2 className="text-xl font-bold text-gray-800 flex items-center"><History size={20} className="mr-2" /> History: {scope.title}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {/* Filters */}
+                <div className="p-4 border-b grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                    <select value={partFilter} onChange={(e) => setPartFilter(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white">
+                        <option value="all">Whole scope</option>
+                        <option value="scope">Scope settings only</option>
+                        {partOptions.map(([partId, title]) => (
+                            <option key={partId} value={partId}>{title}</option>
+                        ))}
+                    </select>
+                    <select value={userFilter} onChange={(e) => setUserFilter(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white">
+                        <option value="all">All users</option>
+                        {userOptions.map(id => (
+                            <option key={id} value={id}>{formatUserLabel(id, userId, profiles)}</option>
+                        ))}
+                    </select>
+                    <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} title="From" className="p-2 border border-gray-300 rounded-lg" />
+                    <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} title="To" className="p-2 border border-gray-300 rounded-lg" />
+                </div>
+
+                {/* Timeline */}
+                <div className="overflow-y-auto p-6">
+                    {historyError && <p className="text-sm text-red-500 font-medium mb-4">{historyError}</p>}
+                    {isLoadingHistory && entries.length === 0 ? (
+                        <div className="flex justify-center p-8"><Loader2 size={28} className="animate-spin text-indigo-500" /></div>
+                    ) : visibleEntries.length === 0 ? (
+                        <p className="text-center text-gray-500 p-8 border border-dashed rounded-lg">No changes recorded for this selection.</p>
+                    ) : (
+                        <ol className="relative border-l-2 border-indigo-100 ml-2 space-y-5">
+                            {visibleEntries.map(entry => (
+                                <li key={entry.id} className="ml-4">
+                                    <div className="absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full bg-indigo-400" />
+                                    <div className="flex flex-wrap items-baseline justify-between gap-2">
+                                        <span className="font-semibold text-gray-800">
+                                            {AUDIT_OPERATION_LABELS[entry.opType] || entry.opType}
+                                            {entry.entityTitle && <span className="font-normal text-gray-600">: {entry.entityTitle}</span>}
+                                        </span>
+                                        <span className="text-xs text-gray-500">{formatUserLabel(entry.userId, userId, profiles)} | {new Date(entry.timestamp).toLocaleString()}</span>
+                                    </div>
+                                    <p className="text-xs font-mono text-gray-400">{entry.entityPath}</p>
+                                    {entry.before && entry.after && (
+                                        <ul className="mt-1 text-sm text-gray-600 space-y-0.5">
+                                            {Object.keys(entry.after).map(key => (
+                                                <li key={key}>
+                                                    <span className="font-medium">{key}</span>: <span className="line-through text-red-500">{formatAuditValue(entry.before[key])}</span> {'->'} <span className="text-green-700">{formatAuditValue(entry.after[key])}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                    {entries.length >= AUDIT_PAGE_SIZE && (
+                        <p className="text-xs text-gray-500 mt-4">Showing the latest {AUDIT_PAGE_SIZE} changes. Narrow the date range to see older entries.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// Lists a scope's trashed parts and actions with who deleted them and when they will be purged.
+const RecycleBinModal = ({ isOpen, onClose, scope, updateScopeData, userId, profiles, readOnly }) => {
+    if (!isOpen) return null;
+
+    const { parts = [], actions = [] } = scope.recycleBin || {};
+    const items = [
+        ...parts.map(part => ({ ...part, kind: 'Part', restoreOp: { type: 'restorePart', partId: part.id } })),
+        ...actions.map(action => ({
+            ...action,
+            kind: `Action in ${action.partTitle}`,
+            restoreOp: { type: 'restoreAction', partId: action.partId, actionId: action.id },
+        })),
+    ].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                {/* Header */}
+                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
+                    <h2 className="text-xl font-bold text-gray-800 flex items-center"><Trash2 size={20} className="mr-2" /> Recycle Bin: {scope.title}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="overflow-y-auto p-6 space-y-3">
+                    <p className="text-sm text-gray-500">
+                        Deleted items are kept for {RECYCLE_BIN_RETENTION_DAYS} days, then permanently removed together with their images.
+                    </p>
+                    {items.length === 0 && (
+                        <p className="text-center text-gray-500 p-8 border border-dashed rounded-lg">The Recycle Bin is empty.</p>
+                    )}
+                    {items.map(item => (
+                        <div key={item.id} className="flex items-center justify-between p-3 rounded-lg border bg-gray-50">
+                            <div className="min-w-0">
+                                <p className="font-medium text-gray-800 truncate">{item.title}</p>
+                                <p className="text-xs text-gray-500">
+                                    {item.kind} | Deleted by {formatUserLabel(item.deletedBy, userId, profiles)} on {new Date(item.deletedAt).toLocaleString()}
+                                </p>
+                                <p className="text-xs text-gray-400">Permanently deleted after {getPurgeDate(item).toLocaleDateString()}</p>
+                            </div>
+                            {!readOnly && (
+                                <button
+                                    onClick={() => updateScopeData(scope.id, item.restoreOp)}
+                                    className="ml-3 flex items-center text-sm font-semibold px-3 py-1 rounded-lg text-green-700 bg-green-50 hover:bg-green-100 transition"
+                                >
+                                    <RotateCcw size={14} className="mr-1" /> Restore
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Core Components ---
+
+// Renders the details for a single Part/Drawing/Thing needing Abating
+const DrawingCard = ({ part, scope, updateScopeData, allScopes, isLeadAbatementScope, otherScopeIds, uploadImage, userId, profiles, syncStatus, onRetrySync, onDiscardSync, projectId, readOnly, permissions, onShowHistory, discardStoredFile, latestRevisions, weightUnit, dependencyItems }) => {
+    const [isEditingTitle, setIsEditingTitle] = useState(false);
+    const [newTitle, setNewTitle] = useState(part.title);
+    const [weightDraft, setWeightDraft] = useState(null);
+    const [actionModalOpen, setActionModalOpen] = useState(false);
+    const [selectedAction, setSelectedAction] = useState(null);
+    const [galleryOpen, setGalleryOpen] = useState(false);
+    const [documentsOpen, setDocumentsOpen] = useState(false);
+
+    // Determine the color for the Part card border
+    const borderColor = useMemo(() => {
+        if (part.percentComplete === 100) return 'border-green-600';
+        if (part.percentComplete > 0) return 'border-yellow-500';
+        return 'border-red-500';
+    }, [part.percentComplete]);
+
+
+    const handleRename = () => {
+        if (newTitle.trim() === part.title) {
+            setIsEditingTitle(false);
+            return;
+        }
+
+        updateScopeData(scope.id, { type: 'updatePart', partId: part.id, fields: { title: newTitle.trim() } });
+        setIsEditingTitle(false);
+    };
+
+    const handleDeletePart = () => {
+        // Use a custom confirmation modal in a real app, but using window.confirm for simplicity here.
+        if (!window.confirm(`Move Part: ${part.title} to the Recycle Bin?`)) return;
+
+        updateScopeData(scope.id, { type: 'trashPart', partId: part.id, deletedBy: userId, deletedAt: new Date().toISOString() });
+    };
+
+    const handleActionToggle = (actionId) => {
+        // Only for Lead Abatement (simple checkbox toggle)
+        if (!isLeadAbatementScope) return;
+
+        const action = part.actions.find(a => a.id === actionId);
+        if (!action) return;
+
+        updateScopeData(scope.id, {
+            type: 'setActionCompletion',
+            partId: part.id,
+            actionId,
+            completed: action.percentComplete !== 100,
+            completedBy: userId,
+            completedAt: new Date().toISOString(),
+        });
+    };
+
+
+    const handleActionClick = (action) => {
+        if (isLeadAbatementScope) {
+            // If Lead Abatement, clicking toggles completion directly (handled by handleActionToggle)
+            handleActionToggle(action.id);
+        } else {
+            // For standard scopes, clicking opens the modal for step tracking
+            setSelectedAction(action);
+            setActionModalOpen(true);
+        }
+    };
+
+
+    // The estimate is saved when the field loses focus, not on every keystroke.
+    const handleWeightCommit = () => {
+        if (weightDraft === null) return;
+        const weight = parseWeight(weightDraft);
+        setWeightDraft(null);
+        if (weight !== getWeight(part)) updateScopeData(scope.id, { type: 'updatePart', partId: part.id, fields: { weight } });
+    };
+
+    const handleRelatedScopeChange = (e) => {
+        const newScopeId = e.target.value;
+        updateScopeData(scope.id, { type: 'updatePart', partId: part.id, fields: { relatedScopeId: newScopeId } });
+    };
+
+    const handleAddAction = () => {
+        // Use a custom modal instead of prompt in a real app
+        const newActionTitle = window.prompt("Enter title for new action:");
+        if (newActionTitle) {
+            const newAction = {
+                id: crypto.randomUUID(),
+                title: newActionTitle,
+                percentComplete: 0,
+                notes: '',
+                photos: [],
+                documents: [],
+                schemaVersion: CURRENT_SCHEMA_VERSION,
+                steps: isLeadAbatementScope ? [{ id: crypto.randomUUID(), text: 'Complete Abatement Task', completed: false }] : [{ id: crypto.randomUUID(), text: 'Perform Task 1', completed: false }],
+            };
+            // Part completion is recalculated by the operation
+            updateScopeData(scope.id, { type: 'addAction', partId: part.id, action: newAction });
+        }
+    };
+    
+    const handleDeleteAction = (actionId) => {
+        updateScopeData(scope.id, { type: 'trashAction', partId: part.id, actionId, deletedBy: userId, deletedAt: new Date().toISOString() });
+    };
+
+    const partCompletionPercent = part.percentComplete || 0;
+    
+    // The most recent photo stands in for the part on its card
+    const photos = part.photos || [];
+    const coverPhoto = photos[photos.length - 1];
+    // The modal follows the live action so gallery changes show up while it is open
+    const openAction = selectedAction && (part.actions.find(a => a.id === selectedAction.id) || selectedAction);
+    // Documents on the part or its actions with a newer revision uploaded elsewhere in the project
+    const outdatedDocuments = [part, ...part.actions].flatMap(entity => findOutdatedDocuments(entity.documents || [], latestRevisions));
+    const overdueSteps = collectOverdueSteps(part, toDateKey(new Date()));
+    const scheduleFlag = getScheduleFlag(part, toDateKey(new Date()));
+    const overdueActionIds = new Set(overdueSteps.map(({ action }) => action.id));
+    const blockers = findBlockers(dependencyItems, { partId: part.id });
+    const getActionBlockers = (action) => findBlockers(dependencyItems, { actionId: action.id });
+    const documentCount = (part.documents || []).length;
+
+    return (
+        <div className={`bg-white rounded-xl shadow-lg border-b-4 ${borderColor} transition-shadow duration-300 hover:shadow-xl`}>
+            {/* Action Modal (only for standard scopes) */}
+            <PartPhotosModal
+                isOpen={galleryOpen}
+                onClose={() => setGalleryOpen(false)}
+                part={part}
+                scopeId={scope.id}
+                updateScopeData={updateScopeData}
+                uploadImage={uploadImage}
+                discardStoredFile={discardStoredFile}
+                userId={userId}
+                profiles={profiles}
+                storageFolder={`${getImagesPrefix(projectId)}parts/${scope.id}/${part.id}`}
+                readOnly={!permissions.upload}
+            />
+            <PartDocumentsModal
+                isOpen={documentsOpen}
+                onClose={() => setDocumentsOpen(false)}
+                part={part}
+                scopeId={scope.id}
+                updateScopeData={updateScopeData}
+                uploadImage={uploadImage}
+                discardStoredFile={discardStoredFile}
+                userId={userId}
+                profiles={profiles}
+                storageFolder={`${getDocumentsPrefix(projectId)}parts/${scope.id}/${part.id}`}
+                readOnly={!permissions.upload}
+                latestRevisions={latestRevisions}
+            />
+
+            {openAction && !isLeadAbatementScope && (
+                <ActionModal 
+                    isOpen={actionModalOpen} 
+                    onClose={() => setActionModalOpen(false)} 
+                    action={openAction} 
+                    scope={scope} 
+                    part={part}
+                    updateScopeData={updateScopeData} 
+                    uploadImage={uploadImage}
+                    userId={userId}
+                    profiles={profiles}
+                    projectId={projectId}
+                    readOnly={readOnly}
+                    canUpload={permissions.upload}
+                    canPlan={permissions.editStructure}
+                    canLink={permissions.linkScopes}
+                    discardStoredFile={discardStoredFile}
+                    latestRevisions={latestRevisions}
+                    weightUnit={weightUnit}
+                    dependencyItems={dependencyItems}
+                />
+            )}
+
+            <div className="p-5 space-y-4">
+                {/* Header (Title & Controls) */}
+                <div className="flex justify-between items-center border-b pb-3">
+                    <div className="flex items-center space-x-2">
+                        {isEditingTitle ? (
+                            <input
+                                type="text"
+                                value={newTitle}
+                                onChange={(e) => setNewTitle(e.target.value)}
+                                onBlur={handleRename}
+                                onKeyDown={(e) => { if (e.key === 'Enter') handleRename(); }}
+                                className="text-lg font-bold p-1 border-b border-indigo-500 focus:outline-none"
+                                autoFocus
+                            />
+                        ) : (
+                            <h3 className="text-lg font-bold text-gray-800 flex items-center">
+                                {part.title}
+                                {permissions.editStructure && (
+                                    <button onClick={() => setIsEditingTitle(true)} className="ml-2 text-gray-400 hover:text-indigo-500 transition">
+                                        <Edit size={16} />
+                                    </button>
+                                )}
+                            </h3>
+                        )}
+                    </div>
+                    
+                    <div className="flex items-center space-x-2">
+                        {outdatedDocuments.length > 0 && (
+                            <span
+                                title={outdatedDocuments.map(({ document, latest }) => `${document.documentNumber || document.title}: Rev ${document.revision} attached, Rev ${latest.revision} is the latest`).join('\n')}
+                                className="text-xs font-semibold px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 flex items-center"
+                            >
+                                <FileWarning size={12} className="mr-1" /> Outdated revision
+                            </span>
+                        )}
+                        {blockers.length > 0 && (
+                            <span title={describeBlockers(blockers)} className="text-xs font-semibold px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 flex items-center">
+                                <Lock size={12} className="mr-1" /> Blocked
+                            </span>
+                        )}
+                        {scheduleFlag && (
+                            <span
+                                title={`Planned: ${formatDateRange(part.plannedStart, part.plannedFinish)}`}
+                                className={`text-xs font-semibold px-2 py-0.5 rounded-full flex items-center ${SCHEDULE_FLAGS[scheduleFlag].className}`}
+                            >
+                                <CalendarRange size={12} className="mr-1" /> {SCHEDULE_FLAGS[scheduleFlag].label}
+                            </span>
+                        )}
+                        {overdueSteps.length > 0 && (
+                            <span
+                                title={overdueSteps.map(({ action, step }) => `${action.title}: ${step.text}, due ${formatDateKey(step.dueDate)}${step.assigneeId ? `, ${formatUserLabel(step.assigneeId, userId, profiles)}` : ''}`).join('\n')}
+                                className="text-xs font-semibold px-2 py-0.5 rounded-full bg-red-100 text-red-800 flex items-center"
+                            >
+                                <AlarmClock size={12} className="mr-1" /> {overdueSteps.length} overdue
+                            </span>
+                        )}
+                        <SyncBadge status={syncStatus?.status} count={syncStatus?.count} onRetry={onRetrySync} onDiscard={onDiscardSync} />
+                        <StatusBadge percent={partCompletionPercent} />
+                        <button onClick={() => onShowHistory(part.id)} title="Part history" className="text-gray-500 hover:text-indigo-600 p-1 rounded-full transition bg-gray-50 hover:bg-indigo-50">
+                            <History size={18} />
+                        </button>
+                        {permissions.deleteItems && (
+                            <button onClick={handleDeletePart} className="text-red-500 hover:text-red-700 p-1 rounded-full transition bg-red-50 hover:bg-red-100">
+                                <Trash2 size={18} />
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {/* Main Content Area */}
+                <fieldset disabled={readOnly} className="grid grid-cols-1 md:grid-cols-3 gap-4 min-w-0">
+                    {/* Left Column: Photos */}
+                    <div className="md:col-span-1 space-y-3">
+                        {/* Not a button: the fieldset would disable it, and photos stay viewable when read-only */}
+                        <div
+                            role="button"
+                            tabIndex={0}
+                            onClick={() => setGalleryOpen(true)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') setGalleryOpen(true); }}
+                            className="relative w-full aspect-[4/3] bg-gray-100 rounded-lg overflow-hidden shadow-inner flex items-center justify-center border cursor-pointer hover:ring-2 hover:ring-indigo-300 transition"
+                        >
+                            {coverPhoto ? (
+                                <img src={getThumbnailUrl(coverPhoto)} alt={coverPhoto.caption || part.title} className="w-full h-full object-cover" />
+                            ) : (
+                                <span className="text-gray-500 text-sm flex items-center"><Camera size={16} className="mr-1" /> No Photos</span>
+                            )}
+                            {coverPhoto && <span className="absolute top-1 left-1"><PhotoTagBadge tag={coverPhoto.tag} /></span>}
+                        </div>
+                        <div
+                            role="button"
+                            tabIndex={0}
+                            onClick={() => setGalleryOpen(true)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') setGalleryOpen(true); }}
+                            className="text-sm font-semibold text-indigo-600 hover:text-indigo-700 flex items-center justify-center cursor-pointer"
+                        >
+                            <Images size={14} className="mr-1" />
+                            {permissions.upload ? `Photos (${photos.length}) · Add / Manage` : `View Photos (${photos.length})`}
+                        </div>
+                        <div
+                            role="button"
+                            tabIndex={0}
+                            onClick={() => setDocumentsOpen(true)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') setDocumentsOpen(true); }}
+                            className="text-sm font-semibold text-indigo-600 hover:text-indigo-700 flex items-center justify-center cursor-pointer"
+                        >
+                            <FileText size={14} className="mr-1" /> Documents ({documentCount})
+                        </div>
+                    </div>
+                    
+                    {/* Middle Column: Progress Bar & Related Scope Picker */}
+                    <div className="md:col-span-1 space-y-3">
+                        {/* Progress Bar */}
+                        <div className="p-3 bg-gray-50 rounded-lg shadow-sm border">
+                            <h4 className="text-sm font-semibold mb-1 text-gray-700" title={part.progressBreakdown}>Completion: {partCompletionPercent}%</h4>
+                            <div className="w-full bg-gray-200 rounded-full h-2">
+                                <div 
+                                    className={`h-2 rounded-full transition-all duration-500 ${getStatusColor(partCompletionPercent)}`} 
+                                    style={{ width: `${partCompletionPercent}%` }}
+                                />
+                            </div>
+                            {weightUnit && (
+                                <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                                    <span className="flex items-center" title="Blank: the sum of its actions' estimates">
+                                        <Scale size={12} className="mr-1" /> Estimate
+                                    </span>
+                                    <WeightInput
+                                        value={weightDraft ?? getWeight(part) ?? ''}
+                                        onChange={setWeightDraft}
+                                        onBlur={handleWeightCommit}
+                                        unit={weightUnit}
+                                        disabled={!permissions.editStructure}
+                                    />
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Planned and Actual Dates */}
+                        <div className="p-3 bg-gray-50 rounded-lg shadow-sm border space-y-2">
+                            <h4 className="text-sm font-semibold text-gray-700 flex items-center"><CalendarRange size={14} className="mr-1" /> Schedule</h4>
+                            <ScheduleFields
+                                item={part}
+                                onChange={(fields) => updateScopeData(scope.id, { type: 'updatePart', partId: part.id, fields })}
+                                canPlan={permissions.editStructure}
+                            />
+                        </div>
+
+                        {/* Predecessors */}
+                        <div className="p-3 bg-gray-50 rounded-lg shadow-sm border space-y-2">
+                            <h4 className="text-sm font-semibold text-gray-700 flex items-center"><Link2 size={14} className="mr-1" /> Waits On</h4>
+                            <DependencyLinks
+                                itemRef={{ partId: part.id }}
+                                dependsOn={part.dependsOn || []}
+                                items={dependencyItems}
+                                canLink={permissions.linkScopes}
+                                onChange={(dependsOn) => updateScopeData(scope.id, { type: 'updatePart', partId: part.id, fields: { dependsOn } })}
+                            />
+                        </div>
+
+                        {/* Related Scope Picker (Lead Abatement Only) */}
+                        {isLeadAbatementScope && (
+                            <div className="mt-4 p-3 bg-indigo-50 rounded-lg border border-indigo-200">
+                                <label className="block text-sm font-medium text-indigo-700 mb-1">Related TMOD Scope</label>
+                                <select 
+                                    value={part.relatedScopeId || 'none'}
+                                    onChange={handleRelatedScopeChange}
+                                    disabled={!permissions.linkScopes}
+                                    className="w-full p-2 border border-indigo-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                                >
+                                    <option value="none">-- Select Scope (Not Linked) --</option>
+                                    {part.relatedScopeId && part.relatedScopeId !== 'none' && !otherScopeIds.includes(part.relatedScopeId) && (
+                                        <option value={part.relatedScopeId}>(Archived or removed scope)</option>
+                                    )}
+                                    {otherScopeIds.map(id => {
+                                        const scopeTitle = allScopes.find(s => s.id === id)?.title;
+                                        return (
+                                            <option key={id} value={id}>
+                                                {scopeTitle}
+                                            </option>
+                                        );
+                                    })}
+                                </select>
+                                <p className="text-xs text-indigo-600 mt-1">Links this abatement item to a dependent scope.</p>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Right Column: Actions List */}
+                    <div className="md:col-span-1 space-y-2">
+                        <div className="flex justify-between items-center border-b pb-2">
+                            <h4 className="text-sm font-bold text-gray-800">Action Items ({part.actions.length})</h4>
+                            {permissions.editStructure && (
+                                <button onClick={handleAddAction} className="text-green-600 hover:text-green-700 transition flex items-center text-xs font-semibold">
+                                    <Plus size={16} className="mr-1" /> Add
+                                </button>
+                            )}
+                        </div>
+                        
+                        <div className="max-h-36 overflow-y-auto pr-1 space-y-1">
+                            {part.actions.map(action => (
+                                <div 
+                                    key={action.id} 
+                                    className={`flex justify-between items-center p-2 rounded-lg transition ${isLeadAbatementScope ? 'bg-indigo-50 hover:bg-indigo-100 cursor-pointer' : 'bg-gray-50 hover:bg-gray-100 cursor-pointer'}`}
+                                    onClick={() => handleActionClick(action)}
+                                >
+                                    {isLeadAbatementScope ? (
+                                        // Simple checkbox for Lead Abatement
+                                        <label className="flex items-center flex-grow text-sm font-medium text-gray-700 cursor-pointer">
+                                            <input 
+                                                type="checkbox" 
+                                                checked={action.percentComplete === 100} 
+                                                onChange={() => handleActionToggle(action.id)} 
+                                                className="form-checkbox h-4 w-4 text-green-600 rounded"
+                                                onClick={(e) => e.stopPropagation()} // Stop propagation to prevent modal logic
+                                            />
+                                            <span className={`ml-2 ${action.percentComplete === 100 ? 'line-through text-gray-500' : ''}`}>
+                                                {action.title}
+                                            </span>
+                                            <span className="ml-2"><VerificationBadge state={getActionVerification(action)} /></span>
+                                            <BlockedIcon blockers={getActionBlockers(action)} />
+                                        </label>
+                                    ) : (
+                                        // Complex action with progress for standard scopes
+                                        <div className="flex-grow text-sm font-medium text-gray-700 truncate">
+                                            {action.title}
+                                            <span className="text-xs font-semibold text-indigo-500 ml-2" title={action.progressBreakdown}>
+                                                ({action.percentComplete}%)
+                                            </span>
+                                            {weightUnit && getActionEffort(action) !== null && (
+                                                <span className="text-xs text-gray-400 ml-2">{getActionEffort(action)} {weightUnit.short}</span>
+                                            )}
+                                            <span className="ml-2"><VerificationBadge state={getActionVerification(action)} /></span>
+                                            {overdueActionIds.has(action.id) && (
+                                                <AlarmClock size={12} className="inline ml-2 text-red-600" aria-label="Has overdue steps" />
+                                            )}
+                                            <BlockedIcon blockers={getActionBlockers(action)} />
+                                        </div>
+                                    )}
+                                    
+                                    {permissions.deleteItems && (
+                                        <button onClick={(e) => { e.stopPropagation(); handleDeleteAction(action.id); }} className="text-red-400 hover:text-red-600 p-1 rounded-full transition ml-2">
+                                            <Trash2 size={14} />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </fieldset>
+            </div>
+        </div>
+    );
+};
+
+
+// Renders the main content for any given scope page
+const ScopePage = ({ scope, updateScopeData, allScopes, setCurrentPage, uploadImage, userId, profiles, syncStatusByPart, retryFailedWrites, discardFailedWrites, project, loadHistory, discardStoredFile }) => {
+    // Determine if this is the special Lead Abatement page
+    const isLeadAbatementScope = isAbatementScope(scope);
+    
+    // Get all other standard scope IDs for the Lead Abatement picker
+    const nonSummaryAndSelfScopes = allScopes.filter(s => s.type === 'scope' && s.id !== scope.id && !isAbatementScope(s));
+    const otherScopeIds = nonSummaryAndSelfScopes.map(s => s.id);
+
+    // Filter out the summary scope for calculations
+    const nonSummaryScopes = allScopes.filter(s => s.type === 'scope');
+
+    // Newest revision of every document in the project, for the outdated-revision badges
+    const latestRevisions = useMemo(() => collectLatestRevisions(allScopes), [allScopes]);
+    // Parts and actions of every scope, for the "Waits On" links and lock badges
+    const dependencyItems = useMemo(() => indexDependencyItems(allScopes), [allScopes]);
+
+    const permissions = getPermissions(project, userId, scope.id);
+
+    // --- Prerequisite Section Handlers ---
+    const [modalOpen, setModalOpen] = useState(false);
+    const [selectedPrereqKey, setSelectedPrereqKey] = useState(null);
+    // null: closed, 'all': whole scope, otherwise the part whose history is shown
+    const [historyPartId, setHistoryPartId] = useState(null);
+    const [recycleBinOpen, setRecycleBinOpen] = useState(false);
+    // 'cards' or 'gantt'
+    const [partsView, setPartsView] = useState('cards');
+    const recycleBinCount = (scope.recycleBin?.parts.length || 0) + (scope.recycleBin?.actions.length || 0);
+    
+    const openPrereqModal = (key) => {
+        setSelectedPrereqKey(key);
+        setModalOpen(true);
+    };
+
+    // Calculate Lead Abatement progress from linked items
+    const leadAbatementProgress = useMemo(() => {
+        if (isLeadAbatementScope) return { percent: 100, isLinked: true }; // N/A, but forced to 100 to show 'N/A' status
+        return getLeadAbatementProgressForScope(scope.id, nonSummaryScopes, { weighted: isWeightedProject(project) });
+    }, [scope.id, nonSummaryScopes, isLeadAbatementScope, project]);
+
+
+    const handlePrereqDropdownChange = (key, value) => {
+        // Only updates the Lead Abatement status dropdown on non-Lead Abatement pages
+        if (key === 'prereqStatusLeadAbatement' && !isLeadAbatementScope) return;
+
+        updateScopeData(scope.id, { type: 'updateScopeFields', fields: { [key]: value } });
+    };
+
+    const handleAddPart = () => {
+        const newPart = createDefaultPart();
+        updateScopeData(scope.id, { type: 'addPart', part: newPart });
+    };
+
+    // --- Report Export Function (No change needed here) ---
+    const handleExport = () => {
+        const printWindow = window.open('', '', 'height=800,width=800');
+        printWindow.document.write(`<html><head><title>${escapeHtml(project.name)} TMOD Report</title>`);
+        printWindow.document.write('<style>');
+        printWindow.document.write(`
+            @import url('https://fonts.googleapis.com/css2?family=Inter:wght@100..900&display=swap');
+            body { font-family: 'Inter', sans-serif; margin: 0; padding: 20px; background-color: #ffffff; }
+            h1 { color: #1f2937; border-bottom: 3px solid #6366f1; padding-bottom: 10px; margin-bottom: 25px; }
+            h2 { color: #374151; border-bottom: 1px solid #e5e7eb; padding-bottom: 8px; margin-top: 30px; margin-bottom: 15px; }
+            .part-card { border: 2px solid #e5e7eb; border-radius: 8px; margin-bottom: 25px; padding: 15px; page-break-inside: avoid; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+            .part-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; }
+            .part-title { font-size: 1.1rem; font-weight: bold; }
+            .status { font-weight: bold; padding: 4px 8px; border-radius: 4px; font-size: 0.8rem; }
+            .status.notstarted { background-color: #fca5a5; color: #b91c1c; } /* red-300 */
+            .status.inprogress { background-color: #fde68a; color: #b45309; } /* yellow-300 */
+            .status.complete { background-color: #a7f3d0; color: #065f46; } /* green-300 */
+            .progress-bar-container { background-color: #e5e7eb; border-radius: 5px; height: 10px; margin-top: 5px; }
+            .progress-bar { height: 100%; border-radius: 5px; transition: width 0.5s; }
+            .bg-green-600 { background-color: #059669; }
+            .bg-yellow-500 { background-color: #f59e0b; }
+            .bg-red-500 { background-color: #ef4444; }
+            .progress-percent { font-size: 0.9rem; margin-top: 5px; text-align: right; }
+            .actions-list { list-style: none; padding: 0; margin-top: 10px; }
+            .actions-list li { padding: 5px 0; border-bottom: 1px dotted #f3f4f6; font-size: 0.9rem; display: flex; justify-content: space-between; }
+            .actions-list li:last-child { border-bottom: none; }
+            .image-container { width: 150px; height: 100px; overflow: hidden; margin-right: 15px; border-radius: 4px; border: 1px solid #ddd; float: left; }
+            .image-container img { width: 100%; height: 100%; object-fit: cover; }
+            .photo-grid { display: flex; flex-wrap: wrap; gap: 10px; margin-top: 10px; }
+            .photo-grid figure { width: 180px; margin: 0; page-break-inside: avoid; }
+            .photo-grid img { width: 180px; height: 135px; object-fit: cover; border-radius: 4px; border: 1px solid #ddd; }
+            .photo-grid svg { width: 180px; height: auto; display: block; border-radius: 4px; border: 1px solid #ddd; }
+            .photo-grid figcaption { font-size: 0.75rem; color: #4b5563; margin-top: 3px; }
+            .photo-tag { font-weight: bold; text-transform: uppercase; font-size: 0.65rem; color: #4338ca; }
+        `);
+        printWindow.document.write('</style>');
+        printWindow.document.write('</head><body>');
+
+        printWindow.document.write(`<h1>TMOD Report: ${escapeHtml(scope.title)}</h1>`);
+        
+        // --- Parts Tracking Section ---
+        const partSectionTitle = isLeadAbatementScope ? 'Things needing Abating' : 'Parts Tracking';
+        printWindow.document.write(`<h2>${partSectionTitle} (${scope.parts?.length || 0})</h2>`);
+
+        if (scope.parts && scope.parts.length > 0) {
+            scope.parts.forEach(part => {
+                const percent = part.percentComplete || 0;
+                const statusLabel = getStatusLabel(percent);
+                const statusClass = statusLabel.toLowerCase().replace(' ', '');
+                const colorClass = getStatusColor(percent).replace('bg-', 'bg-');
+
+                let actionsListHtml = '';
+                if (part.actions) {
+                    part.actions.forEach(action => {
+                        const actionPercent = action.percentComplete || 0;
+                        const actionStatus = actionPercent === 100 ? ' (Complete)' : actionPercent > 0 ? ` (${actionPercent}%)` : '';
+                        actionsListHtml += `<li><span>${escapeHtml(action.title)}</span><span style="font-weight: 500;">${actionStatus}</span></li>`;
+                    });
+                }
+                
+                // Tagged photos of the part and its actions, in gallery order; untagged ("Other") photos are left out
+                const photoFigures = [
+                    ...(part.photos || []).map(photo => ({ photo, owner: null })),
+                    ...(part.actions || []).flatMap(action => (action.photos || []).map(photo => ({ photo, owner: action.title }))),
+                ]
+                    .filter(({ photo }) => photo.tag !== 'other')
+                    .map(({ photo, owner }) => `
+                        <figure>
+                            ${photo.annotations?.length > 0
+                                ? renderAnnotatedPhotoSvg(getThumbnailUrl(photo), photo) // Markup flattened over the image
+                                : `<img src="${getThumbnailUrl(photo)}" alt="${escapeHtml(photo.caption || 'Photo')}" />`}
+                            <figcaption>
+                                <span class="photo-tag">${getPhotoTag(photo.tag).label}</span>${owner ? ` · ${escapeHtml(owner)}` : ''}<br />
+                                ${photo.caption ? `${escapeHtml(photo.caption)}<br />` : ''}
+                                ${escapeHtml(formatUploadCredit(photo, userId, profiles))}
+                            </figcaption>
+                        </figure>
+                    `);
+                const taggedPhotosHtml = photoFigures.length > 0
+                    ? `<h4 style="font-size: 1rem; margin-top: 15px; margin-bottom: 5px; font-weight: bold;">Photos</h4><div class="photo-grid">${photoFigures.join('')}</div>`
+                    : '';
+
+                // The most recent photo is the part's cover image
+                const coverPhoto = part.photos?.[part.photos.length - 1];
+                const imageHtml = coverPhoto ? 
+                    `<div class="image-container"><img src="${getThumbnailUrl(coverPhoto)}" alt="Part Image" /></div>` : 
+                    `<div class="image-container" style="display:flex; align-items:center; justify-content:center; background-color:#f0f0f0; color:#999; font-size:10px;">No Image</div>`;
+
+                printWindow.document.write(`
+                    <div class="part-card">
+                        <div class="part-header">
+                            <div class="part-title">${escapeHtml(part.title)}</div>
+                            <span class="status ${statusClass}">${statusLabel}</span>
+                        </div>
+                        
+                        <div style="clear: both;">
+                            ${imageHtml}
+                            <div style="margin-left: 175px;">
+                                <div class="progress-bar-container">
+                                    <div class="progress-bar ${colorClass}" style="width: ${percent}%;"></div>
+                                </div>
+                                <div class="progress-percent">${percent}% Complete</div>
+                                
+                                <h4 style="font-size: 1rem; margin-top: 15px; margin-bottom: 5px; font-weight: bold;">Actions</h4>
+                                <ul class="actions-list">
+                                    ${actionsListHtml}
+                                </ul>
+                            </div>
+                        </div>
+                        <div style="clear: both;"></div>
+                        ${taggedPhotosHtml}
+                    </div>
+                `);
+            });
+        } else {
+            printWindow.document.write('<p>No parts or items have been added to this scope yet.</p>');
+        }
+
+
+        printWindow.document.write('</body></html>');
+        printWindow.document.close();
+        
+        // Use a timeout to ensure all content is rendered before printing.
+        setTimeout(() => {
+            printWindow.print();
+            printWindow.close();
+        }, 500); 
+    };
+
+
+    return (
+        <div className="p-4 md:p-8 w-full">
+            <PrereqModal 
+                isOpen={modalOpen} 
+                onClose={() => setModalOpen(false)} 
+                prereqKey={selectedPrereqKey} 
+                scope={scope} 
+                updateScopeData={updateScopeData} 
+                userId={userId}
+                profiles={profiles}
+                readOnly={!permissions.editProgress}
+                canPlan={permissions.editStructure}
+            />
+            <HistoryModal
+                isOpen={historyPartId !== null}
+                onClose={() => setHistoryPartId(null)}
+                scope={scope}
+                initialPartId={historyPartId}
+                loadHistory={loadHistory}
+                userId={userId}
+                profiles={profiles}
+            />
+            <RecycleBinModal
+                isOpen={recycleBinOpen}
+                onClose={() => setRecycleBinOpen(false)}
+                scope={scope}
+                updateScopeData={updateScopeData}
+                userId={userId}
+                profiles={profiles}
+                readOnly={!permissions.deleteItems}
+            />
+
+            {project.readOnly && (
+                <div className="mb-6 p-3 rounded-lg bg-gray-100 border border-gray-300 text-gray-700 text-sm flex items-center">
+                    <Lock size={16} className="mr-2" /> {project.name} is archived and read-only. Progress can be viewed and exported but not changed.
+                </div>
+            )}
+            {!project.readOnly && !permissions.editProgress && (
+                <div className="mb-6 p-3 rounded-lg bg-gray-100 border border-gray-300 text-gray-700 text-sm flex items-center">
+                    <Lock size={16} className="mr-2" /> You have view-only access to this scope. Ask a project admin for a role that can edit it.
+                </div>
+            )}
+
+            {/* Header and Controls */}
+            <div className="flex justify-between items-center mb-6 border-b pb-4">
+                <h1 className="text-3xl font-extrabold text-gray-800 flex items-center">
+                    {scope.title}
+                    <span className="ml-3 text-xs font-semibold px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700">{getRoleLabel(permissions.role)}</span>
+                </h1>
+                <div className="flex space-x-3">
+                    <button 
+                        onClick={() => setHistoryPartId('all')}
+                        className="bg-white text-indigo-700 border border-indigo-200 px-4 py-2 rounded-lg font-semibold hover:bg-indigo-50 transition shadow-md flex items-center"
+                    >
+                        <History size={18} className="mr-2" /> History
+                    </button>
+                    <button 
+                        onClick={() => setRecycleBinOpen(true)}
+                        className="bg-white text-gray-700 border border-gray-200 px-4 py-2 rounded-lg font-semibold hover:bg-gray-50 transition shadow-md flex items-center"
+                    >
+                        <Trash2 size={18} className="mr-2" /> Recycle Bin ({recycleBinCount})
+                    </button>
+                    <button 
+                        onClick={handleExport}
+                        className="bg-indigo-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md flex items-center"
+                    >
+                        Export Report (PDF)
+                    </button>
+                </div>
+            </div>
+
+            {/* --- PREREQUISITE SECTION --- */}
+            {!isLeadAbatementScope && (
+                <div className="mb-8 p-6 bg-white rounded-xl shadow-lg space-y-4">
+                    <h2 className="text-2xl font-bold text-gray-700 border-b pb-2">Prerequisite Status</h2>
+
+                    {/* Prereq Row Helper Component */}
+                    {([
+                        { key: 'prereqStatusMaterials', title: 'Materials', isStepPrereq: true, isReadOnly: false },
+                        { key: 'prereqStatusGeneral', title: 'General Prereqs', isStepPrereq: true, isReadOnly: false },
+                        { key: 'prereqStatusLeadAbatement', title: 'Lead Abatement', isStepPrereq: false, isReadOnly: true },
+                    ]).map(({ key, title, isStepPrereq, isReadOnly }) => {
+                        
+                        let currentStatus = scope[key];
+                        let percent = 0;
+                        let isLinked = true;
+                        
+                        if (key === 'prereqStatusLeadAbatement' && isReadOnly) {
+                            // Lead Abatement is cross-linked
+                            const progress = leadAbatementProgress;
+                            percent = progress.percent;
+                            isLinked = progress.isLinked;
+                            currentStatus = getStatusLabel(percent);
+                        } else if (isStepPrereq) {
+                            // Materials & General are step-tracked
+                            percent = calculateStepCompletion(currentStatus?.steps);
+                            currentStatus = currentStatus?.status || 'Not Started'; // Use status from the object
+                        } else {
+                            // Default simple status
+                            currentStatus = currentStatus || 'Not Started';
+                            percent = getStatusPercent(currentStatus);
+                        }
+
+                        const overdueCount = isStepPrereq ? (scope[key]?.steps || []).filter(step => isStepOverdue(step, toDateKey(new Date()))).length : 0;
+
+                        // Determine the status text based on the lead abatement link status
+                        const statusDisplay = key === 'prereqStatusLeadAbatement' && !isLinked
+                            ? 'N/A (No Abatement items linked to this scope)'
+                            : isStepPrereq 
+                            ? `${currentStatus} (${percent}%)`
+                            : currentStatus;
+
+                        return (
+                            <div key={key} className="flex items-center justify-between p-3 border-b last:border-b-0">
+                                <span className="text-lg font-medium text-gray-600">{title}</span>
+                                
+                                <div className="flex items-center space-x-3">
+                                    {overdueCount > 0 && (
+                                        <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-red-100 text-red-800 flex items-center">
+                                            <AlarmClock size={12} className="mr-1" /> {overdueCount} overdue
                                         </span>
-                                    </label>
-                                    <button onClick={() => handleDeleteStep(step.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full transition ml-4">
-                                        <Trash2 size={16} />
-                                    </button>
-                                </div>
-                            ))}
+                                    )}
 
-                            {/* Add Step Input */}
-                            <div className="flex space-x-2 pt-2">
-                                <input 
-                                    type="text" 
-                                    value={newStepText} 
-                                    onChange={(e) => setNewStepText(e.target.value)} 
-                                    placeholder="Add new step..."
-                                    className="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                                />
-                                <button onClick={handleAddStep} className="bg-indigo-600 text-white p-2 rounded-lg hover:bg-indigo-700 transition flex items-center">
-                                    <Plus size={18} />
-                                </button>
+                                    {/* Detailed Tracking Button/Status */}
+                                    {isStepPrereq && (
+                                        <button 
+                                            onClick={() => openPrereqModal(key)} 
+                                            className="bg-gray-200 text-gray-700 px-3 py-1 rounded-full text-sm font-semibold hover:bg-gray-300 transition"
+                                        >
+                                            Track Steps ({percent}%)
+                                        </button>
+                                    )}
+
+                                    {/* Read-Only Status Badge (Lead Abatement) */}
+                                    {isReadOnly && (
+                                        <div className={`px-3 py-1 rounded-full text-sm font-semibold ${getStatusColor(percent).replace('bg', 'bg')}`}>
+                                            {statusDisplay}
+                                        </div>
+                                    )}
+
+                                    {/* Dropdown Status (Only for simple/non-read-only) */}
+                                    {!isReadOnly && !isStepPrereq && (
+                                        <div className="relative">
+                                            <select
+                                                value={currentStatus}
+                                                disabled={!permissions.editProgress}
+                                                onChange={(e) => handlePrereqDropdownChange(key, e.target.value)}
+                                                className="block appearance-none bg-white border border-gray-300 text-gray-700 py-2 px-4 pr-8 rounded-lg shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-base"
+                                            >
+                                                {['Not Started', 'In Progress', 'Complete'].map(status => (
+                                                    <option key={status} value={status}>{status}</option>
+                                                ))}
+                                            </select>
+                                            <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
+                                                <ChevronDown size={16} />
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
                             </div>
-                        </div>
+                        );
+                    })}
+                </div>
+            )}
 
-                        {/* Notes Section */}
-                        <div>
-                            <h3 className="text-lg font-bold text-gray-800 mb-2 border-b pb-1">Notes</h3>
-                            <textarea
-                                value={notes}
-                                onChange={(e) => setNotes(e.target.value)}
-                                rows="3"
-                                placeholder="Add detailed notes here..."
-                                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none shadow-sm"
+            {/* --- PARTS TRACKING SECTION --- */}
+            <div className="p-6 bg-white rounded-xl shadow-lg space-y-6">
+                <div className="flex justify-between items-center border-b pb-3">
+                    <h2 className="text-2xl font-bold text-gray-700">
+                        {isLeadAbatementScope ? 'Things needing Abating' : 'Parts Tracking'} ({scope.parts?.length || 0})
+                    </h2>
+                    <div className="flex space-x-3">
+                        <button
+                            onClick={() => setPartsView(partsView === 'cards' ? 'gantt' : 'cards')}
+                            className="bg-white text-indigo-700 border border-indigo-200 px-4 py-2 rounded-lg font-semibold hover:bg-indigo-50 transition shadow-md flex items-center"
+                        >
+                            {partsView === 'cards'
+                                ? <><GanttChartSquare size={18} className="mr-2" /> Schedule</>
+                                : <><LayoutGrid size={18} className="mr-2" /> Cards</>}
+                        </button>
+                        {permissions.editStructure && (
+                            <button onClick={handleAddPart} className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition shadow-md flex items-center">
+                                <Plus size={18} className="mr-2" /> Add New
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {partsView === 'gantt' ? (
+                    <GanttChart
+                        rows={buildScheduleRows([scope], { dependencyItems })}
+                        canReschedule={() => permissions.editStructure}
+                        onReschedule={(row, fields) => updateScopeData(scope.id, createScheduleOperation(row, fields))}
+                    />
+                ) : (
+                    <div className="grid grid-cols-1 gap-6">
+                        {scope.parts && scope.parts.map(part => (
+                            <DrawingCard 
+                                key={part.id} 
+                                part={part} 
+                                scope={scope} 
+                                updateScopeData={updateScopeData} 
+                                allScopes={nonSummaryAndSelfScopes}
+                                isLeadAbatementScope={isLeadAbatementScope}
+                                otherScopeIds={otherScopeIds}
+                                uploadImage={uploadImage}
+                                userId={userId}
+                                profiles={profiles}
+                                syncStatus={syncStatusByPart[part.id]}
+                                onRetrySync={retryFailedWrites}
+                                onDiscardSync={() => {
+                                    if (window.confirm(`Discard the rejected edits to ${part.title}? They cannot be recovered.`)) discardFailedWrites(part.id);
+                                }}
+                                projectId={project.id}
+                                readOnly={!permissions.editProgress}
+                                permissions={permissions}
+                                onShowHistory={setHistoryPartId}
+                                discardStoredFile={discardStoredFile}
+                                latestRevisions={latestRevisions}
+                                weightUnit={isWeightedProject(project) ? getWeightUnit(project) : null}
+                                dependencyItems={dependencyItems}
                             />
-                        </div>
+                        ))}
+                        {(!scope.parts || scope.parts.length === 0) && (
+                            <p className="text-center text-gray-500 p-8 border border-dashed rounded-lg">Click "Add New" to start tracking parts for this scope.</p>
+                        )}
                     </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+
+// Renders the main summary page (No change needed here)
+const SummaryPage = ({ scopes, setCurrentPage, project, snapshots }) => {
+    const countsVerifiedOnly = project.countUnverifiedWork === false;
+    const rollUpOptions = getRollUpOptions(project);
+    const { weighted } = rollUpOptions;
+    const nonSummaryScopes = (countsVerifiedOnly ? rollUpProgress(scopes, getSummaryRollUpOptions(project)) : scopes).filter(s => s.type === 'scope');
+    const totalScopes = nonSummaryScopes.length;
+    
+    // Calculate total project progress
+    const overallCompletionPercent = calculateProjectCompletion(nonSummaryScopes, weighted);
+    const overallBreakdown = describeProjectCompletion(nonSummaryScopes, rollUpOptions);
+    
+    const scopeDataWithProgress = nonSummaryScopes.map(scope => ({ ...scope, percent: scope.percentComplete || 0 }));
+
+    return (
+        <div className="p-4 md:p-8 w-full space-y-8">
+            <h1 className="text-3xl font-extrabold text-gray-800 border-b pb-4">Project Overview</h1>
+            <p className="text-sm text-gray-500 -mt-4">
+                Scope totals are {100 - rollUpOptions.prereqShare}% field work and {rollUpOptions.prereqShare}% prerequisites
+                {countsVerifiedOnly && ', counting verified work only'}
+                {weighted && `, weighted by effort (${rollUpOptions.weightUnit.label.toLowerCase()})`}. Hover a percentage for its breakdown.
+            </p>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                {/* 1. Overall Completion Ring */}
+                <div className="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg flex flex-col items-center">
+                    <h2 className="text-xl font-bold text-gray-700 mb-4 border-b pb-2 w-full text-center">TMODs Completion</h2>
                     
-                    {/* Right Column: Image Attachment (Now Persistent) */}
-                    <div className="space-y-4">
-                        <h3 className="text-lg font-bold text-gray-800 border-b pb-2">Image Attachment (Persistent)</h3>
-                        
-                        <div className="border-2 border-dashed border-gray-300 rounded-xl p-6 text-center shadow-inner bg-white">
-                            <input 
-                                id={`image-upload-${action.id}`} 
-                                type="file" 
-                                accept="image/jpeg, image/png, image/jpg" 
-                                onChange={handleImageUpload} 
-                                className="hidden"
-                                disabled={isUploading}
+                    {/* Ring Chart */}
+                    <div className="relative w-48 h-48 my-4" title={overallBreakdown}>
+                        <svg className="w-full h-full transform -rotate-90" viewBox="0 0 100 100">
+                            {/* Background track */}
+                            <circle
+                                cx="50"
+                                cy="50"
+                                r="45"
+                                fill="transparent"
+                                stroke="#e5e7eb"
+                                strokeWidth="10"
                             />
-                            <label htmlFor={`image-upload-${action.id}`} className={`cursor-pointer text-white px-4 py-2 rounded-lg font-semibold transition inline-flex items-center shadow-md ${isUploading ? 'bg-gray-400' : 'bg-blue-500 hover:bg-blue-600'}`}>
-                                {isUploading ? (
-                                    <>
-                                        <Loader2 size={18} className="mr-2 animate-spin" /> Uploading...
-                                    </>
-                                ) : (
-                                    <>
-                                        <Upload size={18} className="mr-2" /> 
-                                        {displayImageUrl ? 'Change Image' : 'Upload Image'}
-                                    </>
-                                )}
-                            </label>
-                            <p className="text-xs text-gray-500 mt-2">Max 1MB. Image is saved to Firebase Storage.</p>
-                            {uploadError && <p className="text-sm text-red-500 mt-2 font-medium">{uploadError}</p>}
+                            {/* Progress bar */}
+                            <circle
+                                cx="50"
+                                cy="50"
+                                r="45"
+                                fill="transparent"
+                                stroke="currentColor"
+                                strokeWidth="10"
+                                strokeDasharray={2 * Math.PI * 45}
+                                strokeDashoffset={2 * Math.PI * 45 * (1 - overallCompletionPercent / 100)}
+                                className={getTextColor(overallCompletionPercent)}
+                            />
+                        </svg>
+                        <div className="absolute inset-0 flex flex-col items-center justify-center">
+                            <span className="text-5xl font-extrabold text-gray-800">
+                                {overallCompletionPercent}%
+                            </span>
+                            <span className="text-sm font-medium text-gray-500 mt-1">
+                                {totalScopes} Scopes
+                            </span>
                         </div>
+                    </div>
+                    
+                    <StatusBadge percent={overallCompletionPercent} />
+                </div>
 
-                        {displayImageUrl && (
-                            <div className="relative border rounded-lg overflow-hidden shadow-lg">
-                                <img 
-                                    src={displayImageUrl} 
-                                    alt="Attachment Preview" 
-                                    className="w-full h-auto object-cover max-h-64"
-                                />
+                {/* 2. Scope Breakdown Table/Chart */}
+                <div className="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg">
+                    <h2 className="text-xl font-bold text-gray-700 mb-4 border-b pb-2">Scope Breakdown</h2>
+                    
+                    <div className="space-y-3">
+                        {scopeDataWithProgress.map(scope => (
+                            <div 
+                                key={scope.id} 
+                                className="flex items-center justify-between p-3 bg-gray-50 rounded-lg shadow-sm border border-transparent transition duration-200 hover:shadow-md hover:border-indigo-300 cursor-pointer"
+                                onClick={() => setCurrentPage(scope.id)}
+                                title={scope.progressBreakdown}
+                            >
+                                <span className="text-lg font-medium text-gray-700 w-2/5 truncate">
+                                    {scope.title}
+                                </span>
+                                <div className="flex items-center space-x-4">
+                                    <StatusBadge percent={scope.percent} readOnly={true} />
+                                    <MiniCircularProgress percent={scope.percent} />
+                                </div>
                             </div>
-                        )}
+                        ))}
                     </div>
                 </div>
-
-                {/* Footer */}
-                <div className="p-4 border-t flex justify-end bg-gray-50 rounded-b-xl">
-                    <button 
-                        onClick={handleSave} 
-                        disabled={isUploading}
-                        className={`text-white px-6 py-3 rounded-xl font-bold transition shadow-lg ${isUploading ? 'bg-gray-500 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'}`}
-                    >
-                        Save Action Progress
-                    </button>
-                </div>
             </div>
+
+            {/* 3. Progress History */}
+            <ProgressHistoryPanel scopes={nonSummaryScopes} snapshots={snapshots} weighted={weighted} />
         </div>
     );
 };
 
 
-// --- Core Components ---
-
-// Renders the details for a single Part/Drawing/Thing needing Abating
-const DrawingCard = ({ part, scope, updateScopeData, allScopes, isLeadAbatementScope, otherScopeIds, uploadImage, userId }) => { // NEW: added uploadImage and userId
-    const [isEditingTitle, setIsEditingTitle] = useState(false);
-    const [newTitle, setNewTitle] = useState(part.title);
-    const [actionModalOpen, setActionModalOpen] = useState(false);
-    const [selectedAction, setSelectedAction] = useState(null);
-    const [localImageUrl, setLocalImageUrl] = useState(null); // Used for image upload preview/loading
-    const [isImageUploading, setIsImageUploading] = useState(false);
-    const [imageUploadError, setImageUploadError] = useState('');
-
-    // Determine the color for the Part card border
-    const borderColor = useMemo(() => {
-        if (part.percentComplete === 100) return 'border-green-600';
-        if (part.percentComplete > 0) return 'border-yellow-500';
-        return 'border-red-500';
-    }, [part.percentComplete]);
-
-
-    const handleRename = () => {
-        if (newTitle.trim() === part.title) {
-            setIsEditingTitle(false);
-            return;
-        }
-
-        const updatedParts = scope.parts.map(p =>
-            p.id === part.id ? { ...p, title: newTitle.trim() } : p
-        );
-        updateScopeData(scope.id, { ...scope, parts: updatedParts });
-        setIsEditingTitle(false);
+// --- Scope Catalogue Admin Page ---
+// Creates, renames, reorders and archives scopes. Archived scopes keep their data but are hidden from the
+// Sidebar, the SummaryPage and the Lead Abatement "Related TMOD Scope" picker until restored.
+// Also holds the active project's settings, including the read-only switch used to archive a finished outage,
+// and its team's roles. Only project admins reach this page.
+// One team member on the admin page: their project role and any per-scope overrides.
+const MemberRoleRow = ({ member, project, catalogue, assignRole, isCurrentUser }) => {
+    const [overrideScopeId, setOverrideScopeId] = useState('');
+    const [overrideRole, setOverrideRole] = useState('supervisor');
+    const isCreator = project.createdBy === member.id;
+    const scopeOverrides = catalogue
+        .map(scope => ({ scope, role: project.scopeRoles?.[scope.id]?.[member.id] }))
+        .filter(({ role }) => role);
+
+    const handleProjectRoleChange = (role) => {
+        if (isCurrentUser && role !== 'admin' && !window.confirm('Change your own role? You will lose access to this page.')) return;
+        assignRole(member.id, role || null).catch(e => console.error("Failed to assign role:", e));
     };
 
-    const handleDeletePart = () => {
-        // Use a custom confirmation modal in a real app, but using window.confirm for simplicity here.
-        if (!window.confirm(`Are you sure you want to delete Part: ${part.title}?`)) return;
-
-        const updatedParts = scope.parts.filter(p => p.id !== part.id);
-        updateScopeData(scope.id, { ...scope, parts: updatedParts });
+    const handleAddOverride = () => {
+        if (!overrideScopeId) return;
+        assignRole(member.id, overrideRole, overrideScopeId).catch(e => console.error("Failed to assign scope role:", e));
+        setOverrideScopeId('');
     };
 
-    const handleActionToggle = (actionId) => {
-        // Only for Lead Abatement (simple checkbox toggle)
-        if (!isLeadAbatementScope) return;
+    return (
+        <div className="p-3 rounded-lg border bg-gray-50 space-y-2">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                <div className="min-w-0">
+                    <p className="font-medium text-gray-800 truncate">{member.displayName}{isCurrentUser && ' (you)'}</p>
+                    <p className="text-xs text-gray-500 truncate">{[member.company, member.trade, member.email].filter(Boolean).join(' · ')}</p>
+                </div>
+                <select
+                    value={project.roles?.[member.id] || ''}
+                    onChange={(e) => handleProjectRoleChange(e.target.value)}
+                    className="p-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                    <option value="">Default ({isCreator ? 'Admin, project creator' : 'Viewer'})</option>
+                    {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                </select>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+                {scopeOverrides.map(({ scope, role }) => (
+                    <span key={scope.id} className="text-xs font-semibold px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 flex items-center">
+                        {scope.title}: {getRoleLabel(role)}
+                        <button onClick={() => assignRole(member.id, null, scope.id).catch(e => console.error("Failed to clear scope role:", e))} title="Remove scope role" className="ml-1 text-indigo-400 hover:text-indigo-700">
+                            <X size={12} />
+                        </button>
+                    </span>
+                ))}
+                <select
+                    value={overrideScopeId}
+                    onChange={(e) => setOverrideScopeId(e.target.value)}
+                    className="p-1 text-xs border border-gray-300 rounded-lg bg-white"
+                >
+                    <option value="">Scope role...</option>
+                    {catalogue.map(scope => <option key={scope.id} value={scope.id}>{scope.title}</option>)}
+                </select>
+                {overrideScopeId && (
+                    <>
+                        <select
+                            value={overrideRole}
+                            onChange={(e) => setOverrideRole(e.target.value)}
+                            className="p-1 text-xs border border-gray-300 rounded-lg bg-white"
+                        >
+                            {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                        </select>
+                        <button onClick={handleAddOverride} className="text-xs font-semibold text-green-700 bg-green-50 hover:bg-green-100 px-2 py-1 rounded-lg flex items-center">
+                            <Plus size={12} className="mr-1" /> Assign
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
 
-        const updatedActions = part.actions.map(a => 
-            a.id === actionId ? { ...a, percentComplete: a.percentComplete === 100 ? 0 : 100, steps: a.steps.map(s => ({...s, completed: a.percentComplete === 0})) } : a
-        );
-        
-        const partCompletion = calculateOverallCompletion(updatedActions);
+// Everyone with a profile can be given a role; people who have never signed in don't appear until they do.
+const TeamRolesPanel = ({ project, profiles, catalogue, assignRole, userId }) => {
+    const members = Object.values(profiles).sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''));
 
-        const updatedParts = scope.parts.map(p =>
-            p.id === part.id ? { ...p, actions: updatedActions, percentComplete: partCompletion } : p
-        );
-        updateScopeData(scope.id, { ...scope, parts: updatedParts });
-    };
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+            <h2 className="text-xl font-bold text-gray-700 border-b pb-2">Team & Roles ({members.length})</h2>
+            <ul className="text-xs text-gray-500 space-y-0.5">
+                {ROLES.map(role => <li key={role.id}><span className="font-semibold text-gray-700">{role.label}:</span> {role.description}</li>)}
+                <li>A scope role replaces the project role in that scope only.</li>
+            </ul>
+            <div className="space-y-2">
+                {members.map(member => (
+                    <MemberRoleRow
+                        key={member.id}
+                        member={member}
+                        project={project}
+                        catalogue={catalogue}
+                        assignRole={assignRole}
+                        isCurrentUser={member.id === userId}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
 
+const ScopeCatalogueAdmin = ({ scopes, updateScopeData, project, updateProject, profiles, assignRole, userId }) => {
+    const catalogue = scopes.filter(s => s.type === 'scope');
+    const [newTitle, setNewTitle] = useState('');
+    const [newScopeType, setNewScopeType] = useState('standard');
+    const [titleDrafts, setTitleDrafts] = useState({});
+    const [projectDraft, setProjectDraft] = useState({ name: project.name, description: project.description || '' });
+    const [prereqShareDraft, setPrereqShareDraft] = useState(null);
 
-    const handleActionClick = (action) => {
-        if (isLeadAbatementScope) {
-            // If Lead Abatement, clicking toggles completion directly (handled by handleActionToggle)
-            handleActionToggle(action.id);
-        } else {
-            // For standard scopes, clicking opens the modal for step tracking
-            setSelectedAction(action);
-            setActionModalOpen(true);
-        }
+    useEffect(() => {
+        setProjectDraft({ name: project.name, description: project.description || '' });
+    }, [project.id, project.name, project.description]);
+
+    const handleSaveProject = () => {
+        const name = projectDraft.name.trim();
+        if (!name) return;
+        updateProject({ name, description: projectDraft.description.trim() })
+            .catch(e => console.error("Failed to save project settings:", e));
     };
 
-
-    // NEW: Handles permanent image upload for the Part card itself
-    const handleImageUpload = async (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        setImageUploadError('');
-        setLocalImageUrl(null); // Clear previous preview
-        
-        const reader = new FileReader();
-        reader.onloadend = async () => {
-            const base64Data = reader.result;
-            setLocalImageUrl(base64Data); // Show instant preview
-            setIsImageUploading(true);
-            
-            const now = new Date().getTime();
-            // Store images publicly under /artifacts/{appId}/public/images/parts/{scopeId}/{partId}/{userId}_{timestamp}_{filename}
-            const storagePath = `artifacts/${APP_ID}/public/images/parts/${scope.id}/${part.id}/${userId}_${now}_${file.name}`;
-            
-            // Upload to Firebase Storage
-            const permanentUrl = await uploadImage(base64Data, storagePath);
-
-            setIsImageUploading(false);
-            setLocalImageUrl(null); // Clear temp URL after upload is complete
-
-            if (permanentUrl) {
-                // Update Firestore with the permanent URL
-                const updatedParts = scope.parts.map(p => 
-                    p.id === part.id ? { ...p, imageUrl: permanentUrl, imageStoragePath: storagePath } : p
-                );
-                updateScopeData(scope.id, { ...scope, parts: updatedParts });
-            } else {
-                setImageUploadError('Part image upload failed. Check the console.');
-            }
-        };
-        reader.readAsDataURL(file);
+    const handlePrereqShareCommit = () => {
+        if (prereqShareDraft === null) return;
+        const share = Math.min(100, Math.max(0, Math.round(Number(prereqShareDraft) || 0)));
+        setPrereqShareDraft(null);
+        if (share === getPrereqShare(project)) return;
+        updateProject({ prereqShare: share }).catch(e => console.error("Failed to save project settings:", e));
     };
-    
-    const handleRelatedScopeChange = (e) => {
-        const newScopeId = e.target.value;
-        const updatedParts = scope.parts.map(p => 
-            p.id === part.id ? { ...p, relatedScopeId: newScopeId } : p
-        );
-        updateScopeData(scope.id, { ...scope, parts: updatedParts });
+
+    const handleReadOnlyToggle = () => {
+        const message = project.readOnly
+            ? `Re-open "${project.name}" for editing?`
+            : `Mark "${project.name}" as read-only? Its progress stays visible but can no longer be changed.`;
+        if (!window.confirm(message)) return;
+        updateProject({ readOnly: !project.readOnly })
+            .catch(e => console.error("Failed to change the project's read-only setting:", e));
     };
 
-    const handleAddAction = () => {
-        // Use a custom modal instead of prompt in a real app
-        const newActionTitle = window.prompt("Enter title for new action:");
-        if (newActionTitle) {
-            const newAction = {
-                id: crypto.randomUUID(),
-                title: newActionTitle,
-                percentComplete: 0,
-                notes: '',
-                imageUrl: '', // New: Persistent image URL for action
-                imageStoragePath: '', // New: Path for action image
-                steps: isLeadAbatementScope ? [{ id: crypto.randomUUID(), text: 'Complete Abatement Task', completed: false }] : [{ id: crypto.randomUUID(), text: 'Perform Task 1', completed: false }],
-            };
-            const updatedParts = scope.parts.map(p =>
-                p.id === part.id ? { ...p, actions: [...p.actions, newAction] } : p
-            );
-            
-            // Recalculate part completion
-            const newPart = updatedParts.find(p => p.id === part.id);
-            if (newPart) {
-                newPart.percentComplete = calculateOverallCompletion(newPart.actions);
-            }
+    const handleCreate = () => {
+        const title = newTitle.trim();
+        if (!title) return;
+
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 24);
+        const scopeId = `${slug || 'scope'}_${crypto.randomUUID().slice(0, 4)}`;
+        const nextOrder = catalogue.reduce((max, s) => Math.max(max, s.order ?? 0), 0) + 1;
+
+        updateScopeData(scopeId, {
+            type: 'createScope',
+            scope: {
+                ...omitKeys(createDefaultScopeData(scopeId, newScopeType), ['parts']),
+                title,
+                type: 'scope',
+                order: nextOrder,
+                createdAt: new Date().toISOString(),
+            },
+        });
+        setNewTitle('');
+    };
 
-            updateScopeData(scope.id, { ...scope, parts: updatedParts });
-        }
+    const handleRename = (scope) => {
+        const title = (titleDrafts[scope.id] ?? scope.title).trim();
+        setTitleDrafts(drafts => omitKeys(drafts, [scope.id]));
+        if (!title || title === scope.title) return;
+        updateScopeData(scope.id, { type: 'updateScopeFields', fields: { title } });
     };
-    
-    const handleDeleteAction = (actionId) => {
-        const updatedActions = part.actions.filter(a => a.id !== actionId);
-        const partCompletion = calculateOverallCompletion(updatedActions);
 
-        const updatedParts = scope.parts.map(p =>
-            p.id === part.id ? { ...p, actions: updatedActions, percentComplete: partCompletion } : p
-        );
-        updateScopeData(scope.id, { ...scope, parts: updatedParts });
+    // Swaps a scope with its neighbour, then renumbers; only scopes whose order actually changed are written.
+    const handleMove = (index, direction) => {
+        if (!catalogue[index + direction]) return;
+        const reordered = [...catalogue];
+        [reordered[index], reordered[index + direction]] = [reordered[index + direction], reordered[index]];
+        reordered.forEach((scope, order) => {
+            if (scope.order !== order) updateScopeData(scope.id, { type: 'updateScopeFields', fields: { order } });
+        });
     };
 
-    const partCompletionPercent = part.percentComplete || 0;
-    
-    // Display permanent image first, fallback to local preview if uploading
-    const displayImageUrl = part.imageUrl || localImageUrl; 
+    const handleArchiveToggle = (scope) => {
+        if (!scope.archived && !window.confirm(`Archive "${scope.title}"? It will be hidden from navigation and the summary, but its data is kept.`)) return;
+        updateScopeData(scope.id, { type: 'updateScopeFields', fields: { archived: !scope.archived } });
+    };
 
     return (
-        <div className={`bg-white rounded-xl shadow-lg border-b-4 ${borderColor} transition-shadow duration-300 hover:shadow-xl`}>
-            {/* Action Modal (only for standard scopes) */}
-            {selectedAction && !isLeadAbatementScope && (
-                <ActionModal 
-                    isOpen={actionModalOpen} 
-                    onClose={() => setActionModalOpen(false)} 
-                    action={selectedAction} 
-                    scope={scope} 
-                    part={part}
-                    updateScopeData={updateScopeData} 
-                    uploadImage={uploadImage} // NEW: Pass uploadImage
-                    userId={userId} // NEW: Pass userId
-                />
-            )}
-
-            <div className="p-5 space-y-4">
-                {/* Header (Title & Controls) */}
-                <div className="flex justify-between items-center border-b pb-3">
-                    <div className="flex items-center space-x-2">
-                        {isEditingTitle ? (
-                            <input
-                                type="text"
-                                value={newTitle}
-                                onChange={(e) => setNewTitle(e.target.value)}
-                                onBlur={handleRename}
-                                onKeyDown={(e) => { if (e.key === 'Enter') handleRename(); }}
-                                className="text-lg font-bold p-1 border-b border-indigo-500 focus:outline-none"
-                                autoFocus
-                            />
-                        ) : (
-                            <h3 className="text-lg font-bold text-gray-800 flex items-center">
-                                {part.title}
-                                <button onClick={() => setIsEditingTitle(true)} className="ml-2 text-gray-400 hover:text-indigo-500 transition">
-                                    <Edit size={16} />
-                                </button>
-                            </h3>
-                        )}
-                    </div>
-                    
-                    <div className="flex items-center space-x-2">
-                        <StatusBadge percent={partCompletionPercent} />
-                        <button onClick={handleDeletePart} className="text-red-500 hover:text-red-700 p-1 rounded-full transition bg-red-50 hover:bg-red-100">
-                            <Trash2 size={18} />
-                        </button>
-                    </div>
+        <div className="p-4 md:p-8 w-full space-y-8">
+            <h1 className="text-3xl font-extrabold text-gray-800 border-b pb-4">Manage Scopes</h1>
+
+            {/* Project Settings */}
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <h2 className="text-xl font-bold text-gray-700 border-b pb-2">Project Settings</h2>
+                <div className="flex flex-col md:flex-row md:space-x-3 space-y-3 md:space-y-0">
+                    <input
+                        type="text"
+                        value={projectDraft.name}
+                        onChange={(e) => setProjectDraft(draft => ({ ...draft, name: e.target.value }))}
+                        placeholder="Project name"
+                        className="md:w-1/3 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <input
+                        type="text"
+                        value={projectDraft.description}
+                        onChange={(e) => setProjectDraft(draft => ({ ...draft, description: e.target.value }))}
+                        placeholder="Description"
+                        className="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <button onClick={handleSaveProject} className="bg-indigo-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md">
+                        Save
+                    </button>
                 </div>
-
-                {/* Main Content Area */}
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    {/* Left Column: Image / Status */}
-                    <div className="md:col-span-1 space-y-3">
-                        <div className="relative w-full aspect-[4/3] bg-gray-100 rounded-lg overflow-hidden shadow-inner flex items-center justify-center border">
-                            {isImageUploading ? (
-                                <Loader2 size={32} className="animate-spin text-indigo-500" />
-                            ) : displayImageUrl ? (
-                                <img src={displayImageUrl} alt={part.title} className="w-full h-full object-cover" />
-                            ) : (
-                                <span className="text-gray-500 text-sm">No Part Image</span>
-                            )}
-                        </div>
-
-                        {/* Image Upload */}
-                        <div className="flex flex-col items-center">
-                            <input 
-                                id={`image-upload-${part.id}`} 
-                                type="file" 
-                                accept="image/jpeg, image/png, image/jpg" 
-                                onChange={handleImageUpload} 
-                                className="hidden"
-                                disabled={isImageUploading}
-                            />
-                            <label 
-                                htmlFor={`image-upload-${part.id}`} 
-                                className={`cursor-pointer text-sm font-semibold transition flex items-center ${isImageUploading ? 'text-gray-500' : 'text-indigo-600 hover:text-indigo-700'}`}
-                            >
-                                <Upload size={14} className="mr-1" />
-                                {isImageUploading ? 'Uploading...' : 'Upload/Change Part Image'}
-                            </label>
-                            {imageUploadError && <p className="text-xs text-red-500 mt-1">{imageUploadError}</p>}
-                            {!isImageUploading && !imageUploadError && (
-                                <p className="text-xs text-gray-500 mt-1">Image is saved permanently.</p>
-                            )}
-                        </div>
+                <div className="flex items-center justify-between p-3 rounded-lg bg-gray-50">
+                    <span className="text-sm text-gray-600 flex items-center">
+                        <Lock size={16} className="mr-2" />
+                        {project.readOnly ? 'This project is read-only.' : 'This project is open for editing.'}
+                    </span>
+                    <button
+                        onClick={handleReadOnlyToggle}
+                        className={`text-sm font-semibold px-3 py-1 rounded-lg transition ${project.readOnly ? 'text-green-700 bg-green-50 hover:bg-green-100' : 'text-gray-600 bg-gray-200 hover:bg-gray-300'}`}
+                    >
+                        {project.readOnly ? 'Re-open for Editing' : 'Mark Read-Only'}
+                    </button>
+                </div>
+                <label className="flex items-center justify-between p-3 rounded-lg bg-gray-50 cursor-pointer">
+                    <span className="text-sm text-gray-600 flex items-center">
+                        <ClipboardCheck size={16} className="mr-2" />
+                        Count completed steps that are not verified yet in the summary percentages
+                    </span>
+                    <input
+                        type="checkbox"
+                        checked={project.countUnverifiedWork !== false}
+                        onChange={(e) => updateProject({ countUnverifiedWork: e.target.checked }).catch(err => console.error("Failed to save project settings:", err))}
+                        className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+                    />
+                </label>
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 p-3 rounded-lg bg-gray-50">
+                    <span className="text-sm text-gray-600 flex items-center">
+                        <Scale size={16} className="mr-2" />
+                        {(PROGRESS_MODES.find(mode => mode.id === project.progressMode) || PROGRESS_MODES[0]).description}
+                    </span>
+                    <div className="flex space-x-2">
+                        <select
+                            value={isWeightedProject(project) ? 'weighted' : 'count'}
+                            onChange={(e) => updateProject({ progressMode: e.target.value }).catch(err => console.error("Failed to save project settings:", err))}
+                            className="p-1 text-sm border border-gray-300 rounded-lg bg-white"
+                        >
+                            {PROGRESS_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+                        </select>
+                        <select
+                            value={getWeightUnit(project).id}
+                            onChange={(e) => updateProject({ weightUnit: e.target.value }).catch(err => console.error("Failed to save project settings:", err))}
+                            disabled={!isWeightedProject(project)}
+                            title="Unit of effort estimates"
+                            className="p-1 text-sm border border-gray-300 rounded-lg bg-white disabled:opacity-50"
+                        >
+                            {WEIGHT_UNITS.map(unit => <option key={unit.id} value={unit.id}>{unit.label}</option>)}
+                        </select>
                     </div>
-                    
-                    {/* Middle Column: Progress Bar & Related Scope Picker */}
-                    <div className="md:col-span-1 space-y-3">
-                        {/* Progress Bar */}
-                        <div className="p-3 bg-gray-50 rounded-lg shadow-sm border">
-                            <h4 className="text-sm font-semibold mb-1 text-gray-700">Completion: {partCompletionPercent}%</h4>
-                            <div className="w-full bg-gray-200 rounded-full h-2">
-                                <div 
-                                    className={`h-2 rounded-full transition-all duration-500 ${getStatusColor(partCompletionPercent)}`} 
-                                    style={{ width: `${partCompletionPercent}%` }}
-                                />
-                            </div>
-                        </div>
+                </div>
+                <label className="flex items-center justify-between p-3 rounded-lg bg-gray-50">
+                    <span className="text-sm text-gray-600 flex items-center">
+                        <ClipboardList size={16} className="mr-2" />
+                        Share of each scope's total taken by its prerequisites (field work counts for the rest)
+                    </span>
+                    <span className="flex items-center text-sm text-gray-500">
+                        <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={prereqShareDraft ?? getPrereqShare(project)}
+                            onChange={(e) => setPrereqShareDraft(e.target.value)}
+                            onBlur={handlePrereqShareCommit}
+                            onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                            className="w-16 p-1 border border-gray-300 rounded text-right focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <span className="ml-1">%</span>
+                    </span>
+                </label>
+            </div>
 
-                        {/* Related Scope Picker (Lead Abatement Only) */}
-                        {isLeadAbatementScope && (
-                            <div className="mt-4 p-3 bg-indigo-50 rounded-lg border border-indigo-200">
-                                <label className="block text-sm font-medium text-indigo-700 mb-1">Related TMOD Scope</label>
-                                <select 
-                                    value={part.relatedScopeId || 'none'}
-                                    onChange={handleRelatedScopeChange}
-                                    className="w-full p-2 border border-indigo-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500 bg-white"
-                                >
-                                    <option value="none">-- Select Scope (Not Linked) --</option>
-                                    {otherScopeIds.map(id => {
-                                        const scopeTitle = allScopes.find(s => s.id === id)?.title;
-                                        return (
-                                            <option key={id} value={id}>
-                                                {scopeTitle}
-                                            </option>
-                                        );
-                                    })}
-                                </select>
-                                <p className="text-xs text-indigo-600 mt-1">Links this abatement item to a dependent scope.</p>
-                            </div>
-                        )}
+            <TeamRolesPanel project={project} profiles={profiles} catalogue={catalogue} assignRole={assignRole} userId={userId} />
+
+            <fieldset disabled={project.readOnly} className="space-y-8 min-w-0">
+                {/* Create Scope */}
+                <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                    <h2 className="text-xl font-bold text-gray-700 border-b pb-2">Add a Scope</h2>
+                    <div className="flex flex-col md:flex-row md:space-x-3 space-y-3 md:space-y-0">
+                        <input
+                            type="text"
+                            value={newTitle}
+                            onChange={(e) => setNewTitle(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') handleCreate(); }}
+                            placeholder="e.g. 4220 Calandria Vault Cooling"
+                            className="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <select
+                            value={newScopeType}
+                            onChange={(e) => setNewScopeType(e.target.value)}
+                            className="p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                        >
+                            {SCOPE_TYPES.map(scopeType => (
+                                <option key={scopeType.id} value={scopeType.id}>{scopeType.label}</option>
+                            ))}
+                        </select>
+                        <button onClick={handleCreate} className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition shadow-md flex items-center justify-center">
+                            <Plus size={18} className="mr-2" /> Add Scope
+                        </button>
                     </div>
+                </div>
 
-                    {/* Right Column: Actions List */}
-                    <div className="md:col-span-1 space-y-2">
-                        <div className="flex justify-between items-center border-b pb-2">
-                            <h4 className="text-sm font-bold text-gray-800">Action Items ({part.actions.length})</h4>
-                            <button onClick={handleAddAction} className="text-green-600 hover:text-green-700 transition flex items-center text-xs font-semibold">
-                                <Plus size={16} className="mr-1" /> Add
-                            </button>
-                        </div>
-                        
-                        <div className="max-h-36 overflow-y-auto pr-1 space-y-1">
-                            {part.actions.map(action => (
-                                <div 
-                                    key={action.id} 
-                                    className={`flex justify-between items-center p-2 rounded-lg transition ${isLeadAbatementScope ? 'bg-indigo-50 hover:bg-indigo-100 cursor-pointer' : 'bg-gray-50 hover:bg-gray-100 cursor-pointer'}`}
-                                    onClick={() => handleActionClick(action)}
-                                >
-                                    {isLeadAbatementScope ? (
-                                        // Simple checkbox for Lead Abatement
-                                        <label className="flex items-center flex-grow text-sm font-medium text-gray-700 cursor-pointer">
-                                            <input 
-                                                type="checkbox" 
-                                                checked={action.percentComplete === 100} 
-                                                onChange={() => handleActionToggle(action.id)} 
-                                                className="form-checkbox h-4 w-4 text-green-600 rounded"
-                                                onClick={(e) => e.stopPropagation()} // Stop propagation to prevent modal logic
-                                            />
-                                            <span className={`ml-2 ${action.percentComplete === 100 ? 'line-through text-gray-500' : ''}`}>
-                                                {action.title}
-                                            </span>
-                                        </label>
-                                    ) : (
-                                        // Complex action with progress for standard scopes
-                                        <div className="flex-grow text-sm font-medium text-gray-700 truncate">
-                                            {action.title}
-                                            <span className="text-xs font-semibold text-indigo-500 ml-2">
-                                                ({action.percentComplete}%)
-                                            </span>
-                                        </div>
-                                    )}
-                                    
-                                    <button onClick={(e) => { e.stopPropagation(); handleDeleteAction(action.id); }} className="text-red-400 hover:text-red-600 p-1 rounded-full transition ml-2">
-                                        <Trash2 size={14} />
-                                    </button>
+                {/* Catalogue List */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h2 className="text-xl font-bold text-gray-700 mb-4 border-b pb-2">Scope Catalogue ({catalogue.length})</h2>
+                    <div className="space-y-2">
+                        {catalogue.map((scope, index) => (
+                            <div key={scope.id} className={`flex items-center justify-between p-3 rounded-lg border ${scope.archived ? 'bg-gray-100 border-dashed' : 'bg-gray-50'}`}>
+                                <div className="flex items-center space-x-3 flex-grow min-w-0">
+                                    <div className="flex flex-col">
+                                        <button onClick={() => handleMove(index, -1)} disabled={index === 0} className="text-gray-400 hover:text-indigo-600 disabled:opacity-30">
+                                            <ChevronUp size={16} />
+                                        </button>
+                                        <button onClick={() => handleMove(index, 1)} disabled={index === catalogue.length - 1} className="text-gray-400 hover:text-indigo-600 disabled:opacity-30">
+                                            <ChevronDown size={16} />
+                                        </button>
+                                    </div>
+                                    <input
+                                        type="text"
+                                        value={titleDrafts[scope.id] ?? scope.title}
+                                        onChange={(e) => setTitleDrafts(drafts => ({ ...drafts, [scope.id]: e.target.value }))}
+                                        onBlur={() => handleRename(scope)}
+                                        onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                                        className={`flex-grow min-w-0 p-1 bg-transparent border-b border-transparent focus:border-indigo-500 focus:outline-none font-medium ${scope.archived ? 'text-gray-400' : 'text-gray-700'}`}
+                                    />
                                 </div>
-                            ))}
-                        </div>
+                                <div className="flex items-center space-x-3 ml-3">
+                                    <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700">
+                                        {SCOPE_TYPES.find(t => t.id === scope.scopeType)?.label || scope.scopeType}
+                                    </span>
+                                    {scope.archived && <span className="text-xs font-semibold text-gray-500">Archived</span>}
+                                    <button
+                                        onClick={() => handleArchiveToggle(scope)}
+                                        className={`flex items-center text-sm font-semibold px-3 py-1 rounded-lg transition ${scope.archived ? 'text-green-700 bg-green-50 hover:bg-green-100' : 'text-gray-600 bg-gray-200 hover:bg-gray-300'}`}
+                                    >
+                                        {scope.archived ? <><ArchiveRestore size={14} className="mr-1" /> Restore</> : <><Archive size={14} className="mr-1" /> Archive</>}
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
                     </div>
                 </div>
-            </div>
+            </fieldset>
         </div>
     );
 };
 
 
-// Renders the main content for any given scope page
-const ScopePage = ({ scope, updateScopeData, allScopes, setCurrentPage, uploadImage, userId }) => { // NEW: added uploadImage and userId
-    // Determine if this is the special Lead Abatement page
-    const isLeadAbatementScope = scope.id === 'lead_abatement';
-    
-    // Get all other scope IDs for the Lead Abatement picker
-    const nonSummaryAndSelfScopes = allScopes.filter(s => s.type === 'scope' && s.id !== scope.id);
-    const otherScopeIds = nonSummaryAndSelfScopes.map(s => s.id);
+// --- Storage Audit Page ---
+// Lists stored files that no part or action references and deletes the selected ones in bulk.
+const StorageAuditPage = ({ project, findOrphanedFiles, deleteStoredFiles }) => {
+    const [scanResult, setScanResult] = useState(null);
+    const [selectedPaths, setSelectedPaths] = useState([]);
+    const [isBusy, setIsBusy] = useState(false);
+    const [auditError, setAuditError] = useState('');
 
-    // Filter out the summary scope for calculations
-    const nonSummaryScopes = allScopes.filter(s => s.type === 'scope');
+    const handleScan = async () => {
+        setIsBusy(true);
+        setAuditError('');
+        try {
+            const result = await findOrphanedFiles();
+            setScanResult(result);
+            setSelectedPaths(result.orphans);
+        } catch (e) {
+            console.error("Storage audit failed:", e);
+            setAuditError(`Could not list stored files: ${e.message}`);
+        } finally {
+            setIsBusy(false);
+        }
+    };
 
-    // --- Prerequisite Section Handlers ---
-    const [modalOpen, setModalOpen] = useState(false);
-    const [selectedPrereqKey, setSelectedPrereqKey] = useState(null);
-    
-    const openPrereqModal = (key) => {
-        setSelectedPrereqKey(key);
-        setModalOpen(true);
+    const handleDelete = async () => {
+        if (!window.confirm(`Permanently delete ${selectedPaths.length} unreferenced file(s)? This cannot be undone.`)) return;
+        setIsBusy(true);
+        setAuditError('');
+        const failedPaths = await deleteStoredFiles(selectedPaths);
+        setScanResult(result => ({ ...result, orphans: result.orphans.filter(path => !selectedPaths.includes(path) || failedPaths.includes(path)) }));
+        setSelectedPaths(failedPaths);
+        if (failedPaths.length > 0) setAuditError(`${failedPaths.length} file(s) could not be deleted. Check the console for details.`);
+        setIsBusy(false);
     };
 
-    // Calculate Lead Abatement progress from linked items
-    const leadAbatementProgress = useMemo(() => {
-        if (isLeadAbatementScope) return { percent: 100, isLinked: true }; // N/A, but forced to 100 to show 'N/A' status
-        return getLeadAbatementProgressForScope(scope.id, nonSummaryScopes);
-    }, [scope.id, nonSummaryScopes, isLeadAbatementScope]);
+    const togglePath = (path) => {
+        setSelectedPaths(paths => paths.includes(path) ? paths.filter(p => p !== path) : [...paths, path]);
+    };
 
+    return (
+        <div className="p-4 md:p-8 w-full space-y-8">
+            <h1 className="text-3xl font-extrabold text-gray-800 border-b pb-4">Storage Audit</h1>
+
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <p className="text-sm text-gray-600">
+                    Finds files under {getStoragePrefixes(project.id).map(prefix => (
+                        <code key={prefix} className="font-mono text-xs bg-gray-100 px-1 rounded mr-1">{prefix}</code>
+                    ))}that
+                    no part or action (including archived scopes and the Recycle Bin) refers to. Files uploaded in the last 24 hours are skipped
+                    because they may belong to an edit that is still being made.
+                </p>
+                <button
+                    onClick={handleScan}
+                    disabled={isBusy}
+                    className={`text-white px-4 py-2 rounded-lg font-semibold transition shadow-md flex items-center ${isBusy ? 'bg-gray-400' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+                >
+                    {isBusy ? <Loader2 size={18} className="mr-2 animate-spin" /> : <HardDrive size={18} className="mr-2" />}
+                    {scanResult ? 'Scan Again' : 'Scan Storage'}
+                </button>
+                {auditError && <p className="text-sm text-red-500 font-medium">{auditError}</p>}
+            </div>
 
-    const handlePrereqDropdownChange = (key, value) => {
-        // Only updates the Lead Abatement status dropdown on non-Lead Abatement pages
-        if (key === 'prereqStatusLeadAbatement' && !isLeadAbatementScope) return;
+            {scanResult && (
+                <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                    <div className="flex justify-between items-center border-b pb-2">
+                        <h2 className="text-xl font-bold text-gray-700">
+                            Unreferenced Files ({scanResult.orphans.length} of {scanResult.scannedCount} scanned)
+                        </h2>
+                        {scanResult.orphans.length > 0 && !project.readOnly && (
+                            <button
+                                onClick={handleDelete}
+                                disabled={isBusy || selectedPaths.length === 0}
+                                className="bg-red-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-red-700 transition shadow-md flex items-center disabled:bg-gray-400"
+                            >
+                                <Trash2 size={18} className="mr-2" /> Delete Selected ({selectedPaths.length})
+                            </button>
+                        )}
+                    </div>
+                    {scanResult.orphans.length === 0 ? (
+                        <p className="text-center text-gray-500 p-8 border border-dashed rounded-lg">Every stored file is in use.</p>
+                    ) : (
+                        <div className="space-y-1">
+                            {scanResult.orphans.map(path => (
+                                <label key={path} className="flex items-center p-2 rounded-lg hover:bg-gray-50 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedPaths.includes(path)}
+                                        onChange={() => togglePath(path)}
+                                        className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+                                    />
+                                    <span className="ml-3 font-mono text-xs text-gray-600 break-all">{path}</span>
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
 
-        updateScopeData(scope.id, { ...scope, [key]: value });
-    };
 
-    const handleAddPart = () => {
-        const newPart = createDefaultPart();
-        updateScopeData(scope.id, { ...scope, parts: [...scope.parts, newPart] });
-    };
+// App-level pages that are not scopes. They are listed under "Tools" in the Sidebar.
+// --- Verification Queue Page ---
+// Completed steps waiting for a supervisor's verdict, across every active scope of the project.
+const VerificationQueuePage = ({ scopes, project, userId, profiles, updateScopeData, setCurrentPage }) => {
+    const queue = useMemo(() => collectPendingVerifications(scopes), [scopes]);
+    const [scopeFilter, setScopeFilter] = useState('all');
+    const [rejectingStepId, setRejectingStepId] = useState(null);
+    const [rejectComment, setRejectComment] = useState('');
 
-    // --- Report Export Function (No change needed here) ---
-    const handleExport = () => {
-        const printWindow = window.open('', '', 'height=800,width=800');
-        printWindow.document.write('<html><head><title>MCR4 TMOD Report</title>');
-        printWindow.document.write('<style>');
-        printWindow.document.write(`
-            @import url('https://fonts.googleapis.com/css2?family=Inter:wght@100..900&display=swap');
-            body { font-family: 'Inter', sans-serif; margin: 0; padding: 20px; background-color: #ffffff; }
-            h1 { color: #1f2937; border-bottom: 3px solid #6366f1; padding-bottom: 10px; margin-bottom: 25px; }
-            h2 { color: #374151; border-bottom: 1px solid #e5e7eb; padding-bottom: 8px; margin-top: 30px; margin-bottom: 15px; }
-            .part-card { border: 2px solid #e5e7eb; border-radius: 8px; margin-bottom: 25px; padding: 15px; page-break-inside: avoid; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
-            .part-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; }
-            .part-title { font-size: 1.1rem; font-weight: bold; }
-            .status { font-weight: bold; padding: 4px 8px; border-radius: 4px; font-size: 0.8rem; }
-            .status.notstarted { background-color: #fca5a5; color: #b91c1c; } /* red-300 */
-            .status.inprogress { background-color: #fde68a; color: #b45309; } /* yellow-300 */
-            .status.complete { background-color: #a7f3d0; color: #065f46; } /* green-300 */
-            .progress-bar-container { background-color: #e5e7eb; border-radius: 5px; height: 10px; margin-top: 5px; }
-            .progress-bar { height: 100%; border-radius: 5px; transition: width 0.5s; }
-            .bg-green-600 { background-color: #059669; }
-            .bg-yellow-500 { background-color: #f59e0b; }
-            .bg-red-500 { background-color: #ef4444; }
-            .progress-percent { font-size: 0.9rem; margin-top: 5px; text-align: right; }
-            .actions-list { list-style: none; padding: 0; margin-top: 10px; }
-            .actions-list li { padding: 5px 0; border-bottom: 1px dotted #f3f4f6; font-size: 0.9rem; display: flex; justify-content: space-between; }
-            .actions-list li:last-child { border-bottom: none; }
-            .image-container { width: 150px; height: 100px; overflow: hidden; margin-right: 15px; border-radius: 4px; border: 1px solid #ddd; float: left; }
-            .image-container img { width: 100%; height: 100%; object-fit: cover; }
-        `);
-        printWindow.document.write('</style>');
-        printWindow.document.write('</head><body>');
+    const visibleItems = scopeFilter === 'all' ? queue : queue.filter(item => item.scope.id === scopeFilter);
+    const queuedScopes = scopes.filter(scope => queue.some(item => item.scope.id === scope.id));
 
-        printWindow.document.write(`<h1>TMOD Report: ${scope.title}</h1>`);
-        
-        // --- Parts Tracking Section ---
-        const partSectionTitle = isLeadAbatementScope ? 'Things needing Abating' : 'Parts Tracking';
-        printWindow.document.write(`<h2>${partSectionTitle} (${scope.parts?.length || 0})</h2>`);
+    const recordVerdict = (item, verdict, comment) => {
+        updateScopeData(item.scope.id, createStepUpdateOperation(item, getVerdictFields(verdict, userId, new Date().toISOString(), comment)));
+    };
 
-        if (scope.parts && scope.parts.length > 0) {
-            scope.parts.forEach(part => {
-                const percent = part.percentComplete || 0;
-                const statusLabel = getStatusLabel(percent);
-                const statusClass = statusLabel.toLowerCase().replace(' ', '');
-                const colorClass = getStatusColor(percent).replace('bg-', 'bg-');
+    const handleReject = (item) => {
+        if (!rejectComment.trim()) return;
+        recordVerdict(item, 'rejected', rejectComment.trim());
+        setRejectingStepId(null);
+        setRejectComment('');
+    };
 
-                let actionsListHtml = '';
-                if (part.actions) {
-                    part.actions.forEach(action => {
-                        const actionPercent = action.percentComplete || 0;
-                        const actionStatus = actionPercent === 100 ? ' (Complete)' : actionPercent > 0 ? ` (${actionPercent}%)` : '';
-                        actionsListHtml += `<li><span>${action.title}</span><span style="font-weight: 500;">${actionStatus}</span></li>`;
-                    });
-                }
-                
-                // Use the permanent image URL saved in Firestore
-                const imageHtml = part.imageUrl ? 
-                    `<div class="image-container"><img src="${part.imageUrl}" alt="Part Image" /></div>` : 
-                    `<div class="image-container" style="display:flex; align-items:center; justify-content:center; background-color:#f0f0f0; color:#999; font-size:10px;">No Image</div>`;
+    // Why the current user can't give a verdict on an item, or null when they can.
+    const getBlockedReason = (item) => {
+        if (!getPermissions(project, userId, item.scope.id).verifyWork) return 'Your role in this scope cannot verify work.';
+        if (item.step.completedBy === userId) return 'You completed this step; someone else has to verify it.';
+        return null;
+    };
 
-                printWindow.document.write(`
-                    <div class="part-card">
-                        <div class="part-header">
-                            <div class="part-title">${part.title}</div>
-                            <span class="status ${statusClass}">${statusLabel}</span>
-                        </div>
-                        
-                        <div style="clear: both;">
-                            ${imageHtml}
-                            <div style="margin-left: 175px;">
-                                <div class="progress-bar-container">
-                                    <div class="progress-bar ${colorClass}" style="width: ${percent}%;"></div>
+    return (
+        <div className="p-4 md:p-8 w-full space-y-8">
+            <h1 className="text-3xl font-extrabold text-gray-800 border-b pb-4">Verification Queue ({queue.length})</h1>
+
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                    <p className="text-sm text-gray-600">
+                        {project.countUnverifiedWork === false
+                            ? 'Progress on the summary counts verified steps only.'
+                            : 'Progress on the summary counts completed steps whether or not they are verified.'}
+                    </p>
+                    <select
+                        value={scopeFilter}
+                        onChange={(e) => setScopeFilter(e.target.value)}
+                        className="p-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                        <option value="all">All scopes</option>
+                        {queuedScopes.map(scope => <option key={scope.id} value={scope.id}>{scope.title}</option>)}
+                    </select>
+                </div>
+
+                <div className="space-y-2">
+                    {visibleItems.map(item => {
+                        const blockedReason = getBlockedReason(item);
+                        const location = item.prereqKey
+                            ? ['Prerequisites', STEP_PREREQ_TITLES[item.prereqKey]]
+                            : [item.part.title, item.action.title];
+                        return (
+                            <div key={item.step.id} className="p-3 rounded-lg border bg-gray-50 space-y-2">
+                                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-2">
+                                    <div className="min-w-0">
+                                        <button onClick={() => setCurrentPage(item.scope.id)} className="text-xs font-semibold text-indigo-600 hover:underline text-left">
+                                            {[item.scope.title, ...location].join(' › ')}
+                                        </button>
+                                        <p className="font-medium text-gray-800">{item.step.text}</p>
+                                        <p className="text-xs text-gray-500">
+                                            Completed by {formatUserLabel(item.step.completedBy, userId, profiles)}
+                                            {item.step.completedAt && ` · ${new Date(item.step.completedAt).toLocaleString()}`}
+                                        </p>
+                                        {item.step.verificationComment && (
+                                            <p className="text-xs text-red-700">Previously rejected: {item.step.verificationComment}</p>
+                                        )}
+                                    </div>
+                                    <div className="flex items-center space-x-2 flex-shrink-0">
+                                        <button
+                                            onClick={() => recordVerdict(item, 'verified')}
+                                            disabled={Boolean(blockedReason)}
+                                            title={blockedReason || 'Verify this step'}
+                                            className="text-sm font-semibold px-3 py-1 rounded-lg transition text-green-700 bg-green-50 hover:bg-green-100 disabled:opacity-40 disabled:cursor-not-allowed flex items-center"
+                                        >
+                                            <Check size={14} className="mr-1" /> Verify
+                                        </button>
+                                        <button
+                                            onClick={() => { setRejectingStepId(item.step.id); setRejectComment(''); }}
+                                            disabled={Boolean(blockedReason)}
+                                            title={blockedReason || 'Reject with a comment'}
+                                            className="text-sm font-semibold px-3 py-1 rounded-lg transition text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-40 disabled:cursor-not-allowed flex items-center"
+                                        >
+                                            <X size={14} className="mr-1" /> Reject
+                                        </button>
+                                    </div>
                                 </div>
-                                <div class="progress-percent">${percent}% Complete</div>
-                                
-                                <h4 style="font-size: 1rem; margin-top: 15px; margin-bottom: 5px; font-weight: bold;">Actions</h4>
-                                <ul class="actions-list">
-                                    ${actionsListHtml}
-                                </ul>
+                                {rejectingStepId === item.step.id && (
+                                    <div className="flex flex-col md:flex-row gap-2">
+                                        <input
+                                            type="text"
+                                            value={rejectComment}
+                                            onChange={(e) => setRejectComment(e.target.value)}
+                                            onKeyDown={(e) => { if (e.key === 'Enter') handleReject(item); }}
+                                            placeholder="What needs to be redone?"
+                                            autoFocus
+                                            className="flex-grow p-2 text-sm border border-gray-300 rounded-lg focus:ring-red-500 focus:border-red-500"
+                                        />
+                                        <button
+                                            onClick={() => handleReject(item)}
+                                            disabled={!rejectComment.trim()}
+                                            className="text-sm font-semibold px-3 py-1 rounded-lg text-white bg-red-600 hover:bg-red-700 disabled:bg-gray-400"
+                                        >
+                                            Reject Step
+                                        </button>
+                                        <button onClick={() => setRejectingStepId(null)} className="text-sm font-semibold px-3 py-1 rounded-lg text-gray-600 bg-gray-200 hover:bg-gray-300">
+                                            Cancel
+                                        </button>
+                                    </div>
+                                )}
                             </div>
-                        </div>
-                        <div style="clear: both;"></div>
-                    </div>
-                `);
-            });
-        } else {
-            printWindow.document.write('<p>No parts or items have been added to this scope yet.</p>');
-        }
+                        );
+                    })}
+                    {visibleItems.length === 0 && (
+                        <p className="text-center text-gray-500 p-8 border border-dashed rounded-lg">Nothing is waiting for verification.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
 
 
-        printWindow.document.write('</body></html>');
-        printWindow.document.close();
-        
-        // Use a timeout to ensure all content is rendered before printing.
-        setTimeout(() => {
-            printWindow.print();
-            printWindow.close();
-        }, 500); 
-    };
+// --- Project Schedule Page ---
+// Every active scope on one Gantt chart: a summary row per scope, spanning its parts' plans, then its parts.
+const ProjectSchedulePage = ({ scopes, project, userId, updateScopeData }) => {
+    const [lateOnly, setLateOnly] = useState(false);
+    const todayKey = toDateKey(new Date());
 
+    const rows = buildScheduleRows(scopes.filter(scope => scope.type === 'scope'), { summarizeScopes: true, dependencyItems: indexDependencyItems(scopes) });
+    const lateRows = rows.filter(row => row.kind === 'part' && getScheduleFlag(row.item, todayKey));
+    const visibleRows = lateOnly
+        ? rows.filter(row => (row.kind === 'scope' ? lateRows.some(lateRow => lateRow.scope.id === row.scope.id) : lateRows.includes(row)))
+        : rows;
 
     return (
-        <div className="p-4 md:p-8 w-full">
-            <PrereqModal 
-                isOpen={modalOpen} 
-                onClose={() => setModalOpen(false)} 
-                prereqKey={selectedPrereqKey} 
-                scope={scope} 
-                updateScopeData={updateScopeData} 
-            />
-
-            {/* Header and Controls */}
-            <div className="flex justify-between items-center mb-6 border-b pb-4">
-                <h1 className="text-3xl font-extrabold text-gray-800">{scope.title}</h1>
-                <div className="flex space-x-3">
-                    <button 
-                        onClick={handleExport}
-                        className="bg-indigo-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md flex items-center"
-                    >
-                        Export Report (PDF)
-                    </button>
+        <div className="p-4 md:p-8 w-full space-y-8">
+            <h1 className="text-3xl font-extrabold text-gray-800 border-b pb-4">Project Schedule</h1>
+
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                    <p className="text-sm text-gray-600">
+                        {lateRows.length} part(s) behind plan. Drag a bar to reschedule it; the red line marks today.
+                    </p>
+                    <label className="flex items-center text-sm text-gray-600 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={lateOnly}
+                            onChange={(e) => setLateOnly(e.target.checked)}
+                            className="form-checkbox h-4 w-4 text-indigo-600 rounded mr-2"
+                        />
+                        Late parts only
+                    </label>
                 </div>
+                <GanttChart
+                    rows={visibleRows}
+                    canReschedule={(row) => row.kind === 'part' && getPermissions(project, userId, row.scope.id).editStructure}
+                    onReschedule={(row, fields) => updateScopeData(row.scope.id, createScheduleOperation(row, fields))}
+                />
             </div>
+        </div>
+    );
+};
 
-            {/* --- PREREQUISITE SECTION --- */}
-            {!isLeadAbatementScope && (
-                <div className="mb-8 p-6 bg-white rounded-xl shadow-lg space-y-4">
-                    <h2 className="text-2xl font-bold text-gray-700 border-b pb-2">Prerequisite Status</h2>
-
-                    {/* Prereq Row Helper Component */}
-                    {([
-                        { key: 'prereqStatusMaterials', title: 'Materials', isStepPrereq: true, isReadOnly: false },
-                        { key: 'prereqStatusGeneral', title: 'General Prereqs', isStepPrereq: true, isReadOnly: false },
-                        { key: 'prereqStatusLeadAbatement', title: 'Lead Abatement', isStepPrereq: false, isReadOnly: true },
-                    ]).map(({ key, title, isStepPrereq, isReadOnly }) => {
-                        
-                        let currentStatus = scope[key];
-                        let percent = 0;
-                        let isLinked = true;
-                        
-                        if (key === 'prereqStatusLeadAbatement' && isReadOnly) {
-                            // Lead Abatement is cross-linked
-                            const progress = leadAbatementProgress;
-                            percent = progress.percent;
-                            isLinked = progress.isLinked;
-                            currentStatus = getStatusLabel(percent);
-                        } else if (isStepPrereq) {
-                            // Materials & General are step-tracked
-                            percent = calculateStepCompletion(currentStatus?.steps);
-                            currentStatus = currentStatus?.status || 'Not Started'; // Use status from the object
-                        } else {
-                            // Default simple status
-                            currentStatus = currentStatus || 'Not Started';
-                            percent = currentStatus === 'Complete' ? 100 : currentStatus === 'In Progress' ? 50 : 0;
-                        }
 
-                        // Determine the status text based on the lead abatement link status
-                        const statusDisplay = key === 'prereqStatusLeadAbatement' && !isLinked
-                            ? 'N/A (No Abatement items linked to this scope)'
-                            : isStepPrereq 
-                            ? `${currentStatus} (${percent}%)`
-                            : currentStatus;
+// --- Dependency Graph Page ---
+// Every linked part and action, with predecessors to the left of their successors. The critical chain is drawn
+// in red and listed above the graph; a lock marks items still waiting on unfinished predecessors. Clicking an
+// item opens its scope.
 
-                        return (
-                            <div key={key} className="flex items-center justify-between p-3 border-b last:border-b-0">
-                                <span className="text-lg font-medium text-gray-600">{title}</span>
-                                
-                                <div className="flex items-center space-x-3">
-                                    {/* Detailed Tracking Button/Status */}
-                                    {isStepPrereq && (
-                                        <button 
-                                            onClick={() => openPrereqModal(key)} 
-                                            className="bg-gray-200 text-gray-700 px-3 py-1 rounded-full text-sm font-semibold hover:bg-gray-300 transition"
-                                        >
-                                            Track Steps ({percent}%)
-                                        </button>
-                                    )}
+const DEPENDENCY_NODE_WIDTH = 200;
+const DEPENDENCY_NODE_HEIGHT = 56;
+const DEPENDENCY_COLUMN_GAP = 64;
+const DEPENDENCY_ROW_GAP = 16;
 
-                                    {/* Read-Only Status Badge (Lead Abatement) */}
-                                    {isReadOnly && (
-                                        <div className={`px-3 py-1 rounded-full text-sm font-semibold ${getStatusColor(percent).replace('bg', 'bg')}`}>
-                                            {statusDisplay}
-                                        </div>
-                                    )}
+const DependencyGraphPage = ({ scopes, setCurrentPage }) => {
+    const graph = useMemo(() => buildDependencyGraph(scopes), [scopes]);
+    const nodesByKey = new Map(graph.nodes.map(node => [node.key, node]));
+    const columnCount = Math.max(0, ...graph.nodes.map(node => node.column)) + 1;
+    const rowCount = Math.max(0, ...graph.nodes.map(node => node.row)) + 1;
+    const width = columnCount * (DEPENDENCY_NODE_WIDTH + DEPENDENCY_COLUMN_GAP) - DEPENDENCY_COLUMN_GAP;
+    const height = rowCount * (DEPENDENCY_NODE_HEIGHT + DEPENDENCY_ROW_GAP) - DEPENDENCY_ROW_GAP;
+    const getX = (node) => node.column * (DEPENDENCY_NODE_WIDTH + DEPENDENCY_COLUMN_GAP);
+    const getY = (node) => node.row * (DEPENDENCY_NODE_HEIGHT + DEPENDENCY_ROW_GAP);
 
-                                    {/* Dropdown Status (Only for simple/non-read-only) */}
-                                    {!isReadOnly && !isStepPrereq && (
-                                        <div className="relative">
-                                            <select
-                                                value={currentStatus}
-                                                onChange={(e) => handlePrereqDropdownChange(key, e.target.value)}
-                                                className="block appearance-none bg-white border border-gray-300 text-gray-700 py-2 px-4 pr-8 rounded-lg shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-base"
-                                            >
-                                                {['Not Started', 'In Progress', 'Complete'].map(status => (
-                                                    <option key={status} value={status}>{status}</option>
-                                                ))}
-                                            </select>
-                                            <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
-                                                <ChevronDown size={16} />
-                                            </div>
+    return (
+        <div className="p-4 md:p-8 w-full space-y-8">
+            <h1 className="text-3xl font-extrabold text-gray-800 border-b pb-4">Dependencies</h1>
+
+            {graph.nodes.length === 0 ? (
+                <div className="bg-white p-6 rounded-xl shadow-lg text-sm text-gray-500">
+                    Nothing is linked yet. Add predecessors in a part card's "Waits On" box or in an action's details.
+                </div>
+            ) : (
+                <>
+                    {/* Critical Chain */}
+                    <div className="bg-white p-6 rounded-xl shadow-lg">
+                        <h2 className="text-xl font-bold text-gray-700 mb-2 border-b pb-2">Critical Chain</h2>
+                        {graph.criticalChain.length === 0 ? (
+                            <p className="text-sm text-gray-500">Every linked item is finished.</p>
+                        ) : (
+                            <>
+                                <p className="text-sm text-gray-500 mb-3">
+                                    {graph.criticalChain.length} unfinished items in a row, about {graph.criticalDays} working days of work left
+                                    (planned spans, or {DEFAULT_PLANNED_DAYS} days when unplanned, scaled by the work remaining).
+                                </p>
+                                <ol className="space-y-1 text-sm">
+                                    {graph.criticalChain.map((item, index) => (
+                                        <li key={item.key} className="flex items-center">
+                                            <span className="w-6 text-right mr-2 text-gray-400">{index + 1}.</span>
+                                            <button onClick={() => setCurrentPage(item.scope.id)} className="text-left text-indigo-700 hover:underline truncate">
+                                                {formatDependencyLabel(item)}
+                                            </button>
+                                            <span className="ml-2 text-xs text-gray-500 whitespace-nowrap">{item.percent}% · {Math.round(getRemainingDays(item) * 10) / 10} d left</span>
+                                        </li>
+                                    ))}
+                                </ol>
+                            </>
+                        )}
+                    </div>
+
+                    {/* Graph */}
+                    <div className="bg-white p-6 rounded-xl shadow-lg">
+                        <h2 className="text-xl font-bold text-gray-700 mb-4 border-b pb-2 flex items-center justify-between">
+                            <span>Links ({graph.edges.filter(edge => !edge.contains).length})</span>
+                            <span className="flex items-center space-x-4 text-xs font-normal text-gray-500">
+                                <span className="flex items-center"><span className="inline-block w-4 border-t-2 border-red-600 mr-1" /> Critical chain</span>
+                                <span className="flex items-center"><span className="inline-block w-4 border-t-2 border-dashed border-gray-400 mr-1" /> Action of a part</span>
+                                <span className="flex items-center"><Lock size={12} className="mr-1 text-amber-600" /> Waiting</span>
+                            </span>
+                        </h2>
+                        <div className="overflow-auto">
+                            <div className="relative" style={{ width, height }}>
+                                <svg className="absolute inset-0" width={width} height={height}>
+                                    <defs>
+                                        <marker id="dependency-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                                            <path d="M 0 0 L 10 5 L 0 10 z" fill="context-stroke" />
+                                        </marker>
+                                    </defs>
+                                    {graph.edges.map(edge => {
+                                        const from = nodesByKey.get(edge.from);
+                                        const to = nodesByKey.get(edge.to);
+                                        const x1 = getX(from) + DEPENDENCY_NODE_WIDTH;
+                                        const y1 = getY(from) + DEPENDENCY_NODE_HEIGHT / 2;
+                                        const x2 = getX(to);
+                                        const y2 = getY(to) + DEPENDENCY_NODE_HEIGHT / 2;
+                                        const bend = DEPENDENCY_COLUMN_GAP / 2;
+                                        return (
+                                            <path
+                                                key={`${edge.from}>${edge.to}`}
+                                                d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+                                                fill="none"
+                                                stroke={edge.critical ? '#dc2626' : '#9ca3af'}
+                                                strokeWidth={edge.critical ? 2.5 : 1.5}
+                                                strokeDasharray={edge.contains ? '4 3' : undefined}
+                                                markerEnd="url(#dependency-arrow)"
+                                            />
+                                        );
+                                    })}
+                                </svg>
+                                {graph.nodes.map(node => (
+                                    <button
+                                        key={node.key}
+                                        onClick={() => setCurrentPage(node.scope.id)}
+                                        title={[formatDependencyLabel(node), node.blockers.length > 0 ? describeBlockers(node.blockers) : null].filter(Boolean).join('\n')}
+                                        className={`absolute text-left p-2 rounded-lg border-2 bg-white shadow-sm hover:shadow-md transition ${node.critical ? 'border-red-500' : 'border-gray-200'}`}
+                                        style={{ left: getX(node), top: getY(node), width: DEPENDENCY_NODE_WIDTH, height: DEPENDENCY_NODE_HEIGHT }}
+                                    >
+                                        <div className="text-[10px] text-gray-500 truncate">{node.action ? `${node.scope.title} › ${node.part.title}` : node.scope.title}</div>
+                                        <div className="flex items-center justify-between text-sm">
+                                            <span className={`truncate font-semibold ${node.percent >= 100 ? 'text-gray-400 line-through' : 'text-gray-800'}`}>{node.title}</span>
+                                            <span className="flex items-center ml-1 text-xs text-gray-500 flex-shrink-0">
+                                                {node.blockers.length > 0 && <Lock size={12} className="mr-1 text-amber-600" />}
+                                                {node.percent}%
+                                            </span>
                                         </div>
-                                    )}
-                                </div>
+                                    </button>
+                                ))}
                             </div>
-                        );
-                    })}
-                </div>
+                        </div>
+                    </div>
+                </>
             )}
+        </div>
+    );
+};
 
-            {/* --- PARTS TRACKING SECTION --- */}
-            <div className="p-6 bg-white rounded-xl shadow-lg space-y-6">
-                <div className="flex justify-between items-center border-b pb-3">
-                    <h2 className="text-2xl font-bold text-gray-700">
-                        {isLeadAbatementScope ? 'Things needing Abating' : 'Parts Tracking'} ({scope.parts?.length || 0})
-                    </h2>
-                    <button onClick={handleAddPart} className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition shadow-md flex items-center">
-                        <Plus size={18} className="mr-2" /> Add New
-                    </button>
+
+// Tool pages marked adminOnly are for project admins; their role is checked without the read-only switch so
+// they can undo it.
+const TOOL_PAGES = [
+    { id: 'verification_queue', title: 'Verification Queue', icon: ClipboardCheck, adminOnly: false },
+    { id: 'project_schedule', title: 'Project Schedule', icon: CalendarRange, adminOnly: false },
+    { id: 'dependencies', title: 'Dependencies', icon: Network, adminOnly: false },
+    { id: 'manage_scopes', title: 'Manage Scopes', icon: Settings, adminOnly: true },
+    { id: 'storage_audit', title: 'Storage Audit', icon: HardDrive, adminOnly: true },
+];
+
+// --- Accounts ---
+// Sign-in, the user's profile and the account menu. Profiles are shared by all projects; the display name
+// is what history, the Recycle Bin, galleries, documents and the report show instead of a user ID.
+
+// Suggestions only; any trade can be typed in.
+const TRADES = ['Millwright', 'Pipefitter', 'Electrician', 'Instrumentation', 'Boilermaker', 'Welder', 'Insulator', 'Engineering', 'Quality Control', 'Supervision'];
+
+// Firebase reports sign-in problems as error codes; the common ones get a readable message.
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'That email address is not valid.',
+    'auth/invalid-credential': 'Incorrect email or password.',
+    'auth/wrong-password': 'Incorrect email or password.',
+    'auth/user-not-found': 'Incorrect email or password.',
+    'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+    'auth/weak-password': 'Passwords need at least 6 characters.',
+    'auth/too-many-requests': 'Too many attempts. Wait a few minutes and try again.',
+};
+
+const describeAuthError = (e) => AUTH_ERROR_MESSAGES[e?.code] || e?.message || 'Sign-in failed.';
+
+const SignInPage = ({ signInWithPassword, createAccount, sendSignInLink }) => {
+    const [mode, setMode] = useState('password'); // 'password' | 'link'
+    const [isNewAccount, setIsNewAccount] = useState(false);
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState('');
+    const [authError, setAuthError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!email.trim()) return;
+        setIsWorking(true);
+        setAuthError('');
+        setMessage('');
+        try {
+            if (mode === 'link') {
+                await sendSignInLink(email.trim());
+                setMessage(`We sent a sign-in link to ${email.trim()}. Open it on this device to continue.`);
+            } else if (isNewAccount) {
+                await createAccount(email.trim(), password);
+            } else {
+                await signInWithPassword(email.trim(), password);
+            }
+        } catch (err) {
+            console.error("Sign-in failed:", err);
+            setAuthError(describeAuthError(err));
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const tabClass = (tab) => `flex-1 flex items-center justify-center py-2 text-sm font-semibold rounded-lg transition ${mode === tab ? 'bg-white text-indigo-700 shadow' : 'text-gray-500 hover:text-gray-700'}`;
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-4 bg-gray-50">
+            <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-2xl w-full max-w-sm p-6 space-y-4">
+                <div>
+                    <h1 className="text-2xl font-extrabold text-indigo-700">TMODs Progress Tracker</h1>
+                    <p className="text-sm text-gray-500 mt-1">{isNewAccount && mode === 'password' ? 'Create your account' : 'Sign in to continue'}</p>
                 </div>
 
-                <div className="grid grid-cols-1 gap-6">
-                    {scope.parts && scope.parts.map(part => (
-                        <DrawingCard 
-                            key={part.id} 
-                            part={part} 
-                            scope={scope} 
-                            updateScopeData={updateScopeData} 
-                            allScopes={nonSummaryAndSelfScopes}
-                            isLeadAbatementScope={isLeadAbatementScope}
-                            otherScopeIds={otherScopeIds}
-                            uploadImage={uploadImage} // NEW: Pass uploadImage
-                            userId={userId} // NEW: Pass userId
-                        />
-                    ))}
-                    {(!scope.parts || scope.parts.length === 0) && (
-                        <p className="text-center text-gray-500 p-8 border border-dashed rounded-lg">Click "Add New" to start tracking parts for this scope.</p>
-                    )}
+                <div className="flex p-1 bg-gray-100 rounded-lg">
+                    <button type="button" onClick={() => setMode('password')} className={tabClass('password')}>
+                        <KeyRound size={14} className="mr-1" /> Password
+                    </button>
+                    <button type="button" onClick={() => setMode('link')} className={tabClass('link')}>
+                        <Mail size={14} className="mr-1" /> Email Link
+                    </button>
                 </div>
-            </div>
+
+                <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="Email"
+                    autoComplete="email"
+                    required
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                {mode === 'password' && (
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Password"
+                        autoComplete={isNewAccount ? 'new-password' : 'current-password'}
+                        required
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                )}
+
+                {authError && <p className="text-sm text-red-500 font-medium">{authError}</p>}
+                {message && <p className="text-sm text-green-700 bg-green-50 p-2 rounded-lg">{message}</p>}
+
+                <button
+                    type="submit"
+                    disabled={isWorking}
+                    className={`w-full text-white py-2 rounded-lg font-semibold transition shadow-md flex items-center justify-center ${isWorking ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+                >
+                    {isWorking && <Loader2 size={16} className="mr-2 animate-spin" />}
+                    {mode === 'link' ? 'Email Me a Sign-In Link' : (isNewAccount ? 'Create Account' : 'Sign In')}
+                </button>
+
+                {mode === 'password' && (
+                    <p className="text-sm text-center text-gray-500">
+                        {isNewAccount ? 'Already have an account?' : 'New to the tracker?'}{' '}
+                        <button type="button" onClick={() => { setIsNewAccount(!isNewAccount); setAuthError(''); }} className="text-indigo-600 font-semibold hover:underline">
+                            {isNewAccount ? 'Sign in' : 'Create an account'}
+                        </button>
+                    </p>
+                )}
+            </form>
         </div>
     );
 };
 
+// Opened from the account menu, and on its own (without a close button) until a new user has a display name.
+const ProfileModal = ({ isOpen, onClose, profile, email, saveProfile, required }) => {
+    const [displayName, setDisplayName] = useState('');
+    const [company, setCompany] = useState('');
+    const [trade, setTrade] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState('');
 
-// Renders the main summary page (No change needed here)
-const SummaryPage = ({ scopes, setCurrentPage }) => {
-    const nonSummaryScopes = scopes.filter(s => s.type === 'scope');
-    const totalScopes = nonSummaryScopes.length;
-    
-    // Calculate total project progress
-    const overallCompletionPercent = calculateOverallCompletion(nonSummaryScopes);
-    
-    const scopeDataWithProgress = nonSummaryScopes.map(scope => {
-        const percent = calculateOverallCompletion(scope.parts);
-        return { ...scope, percent };
-    });
+    useEffect(() => {
+        if (!isOpen) return;
+        setDisplayName(profile?.displayName || '');
+        setCompany(profile?.company || '');
+        setTrade(profile?.trade || '');
+        setSaveError('');
+    }, [isOpen, profile]);
+
+    if (!isOpen) return null;
+
+    const handleSave = async () => {
+        if (!displayName.trim()) return;
+        setIsSaving(true);
+        setSaveError('');
+        try {
+            await saveProfile({ displayName: displayName.trim(), company: company.trim(), trade: trade.trim() });
+            onClose();
+        } catch (e) {
+            console.error("Profile save failed:", e);
+            setSaveError(`Could not save your profile: ${e.message}`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
 
     return (
-        <div className="p-4 md:p-8 w-full space-y-8">
-            <h1 className="text-3xl font-extrabold text-gray-800 border-b pb-4">Project Overview</h1>
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg flex flex-col">
+                {/* Header */}
+                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
+                    <h2 className="text-xl font-bold text-gray-800">{required ? 'Set Up Your Profile' : 'Your Profile'}</h2>
+                    {!required && (
+                        <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
+                            <X size={20} />
+                        </button>
+                    )}
+                </div>
 
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-                {/* 1. Overall Completion Ring */}
-                <div className="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg flex flex-col items-center">
-                    <h2 className="text-xl font-bold text-gray-700 mb-4 border-b pb-2 w-full text-center">TMODs Completion</h2>
-                    
-                    {/* Ring Chart */}
-                    <div className="relative w-48 h-48 my-4">
-                        <svg className="w-full h-full transform -rotate-90" viewBox="0 0 100 100">
-                            {/* Background track */}
-                            <circle
-                                cx="50"
-                                cy="50"
-                                r="45"
-                                fill="transparent"
-                                stroke="#e5e7eb"
-                                strokeWidth="10"
+                <div className="p-6 space-y-4">
+                    {required && <p className="text-sm text-gray-600">Your name is shown on every change, step completion and upload you make.</p>}
+                    {email && <p className="text-sm text-gray-500">Signed in as <span className="font-semibold text-gray-700">{email}</span></p>}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Display name</label>
+                        <input
+                            type="text"
+                            value={displayName}
+                            onChange={(e) => setDisplayName(e.target.value)}
+                            placeholder="e.g. Jordan Smith"
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Company</label>
+                            <input
+                                type="text"
+                                value={company}
+                                onChange={(e) => setCompany(e.target.value)}
+                                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
                             />
-                            {/* Progress bar */}
-                            <circle
-                                cx="50"
-                                cy="50"
-                                r="45"
-                                fill="transparent"
-                                stroke="currentColor"
-                                strokeWidth="10"
-                                strokeDasharray={2 * Math.PI * 45}
-                                strokeDashoffset={2 * Math.PI * 45 * (1 - overallCompletionPercent / 100)}
-                                className={getTextColor(overallCompletionPercent)}
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Trade</label>
+                            <input
+                                type="text"
+                                list="profile-trades"
+                                value={trade}
+                                onChange={(e) => setTrade(e.target.value)}
+                                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
                             />
-                        </svg>
-                        <div className="absolute inset-0 flex flex-col items-center justify-center">
-                            <span className="text-5xl font-extrabold text-gray-800">
-                                {overallCompletionPercent}%
-                            </span>
-                            <span className="text-sm font-medium text-gray-500 mt-1">
-                                {totalScopes} Scopes
-                            </span>
+                            <datalist id="profile-trades">
+                                {TRADES.map(t => <option key={t} value={t} />)}
+                            </datalist>
                         </div>
                     </div>
-                    
-                    <StatusBadge percent={overallCompletionPercent} />
+                    {saveError && <p className="text-sm text-red-500 font-medium">{saveError}</p>}
                 </div>
 
-                {/* 2. Scope Breakdown Table/Chart */}
-                <div className="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg">
-                    <h2 className="text-xl font-bold text-gray-700 mb-4 border-b pb-2">Scope Breakdown</h2>
-                    
-                    <div className="space-y-3">
-                        {scopeDataWithProgress.map(scope => (
-                            <div 
-                                key={scope.id} 
-                                className="flex items-center justify-between p-3 bg-gray-50 rounded-lg shadow-sm border border-transparent transition duration-200 hover:shadow-md hover:border-indigo-300 cursor-pointer"
-                                onClick={() => setCurrentPage(scope.id)}
-                            >
-                                <span className="text-lg font-medium text-gray-700 w-2/5 truncate">
-                                    {scope.title}
-                                </span>
-                                <div className="flex items-center space-x-4">
-                                    <StatusBadge percent={scope.percent} readOnly={true} />
-                                    <MiniCircularProgress percent={scope.percent} />
-                                </div>
-                            </div>
-                        ))}
+                {/* Footer */}
+                <div className="p-4 border-t flex justify-end bg-gray-50 rounded-b-xl">
+                    <button
+                        onClick={handleSave}
+                        disabled={isSaving || !displayName.trim()}
+                        className={`text-white px-5 py-2 rounded-lg font-semibold transition shadow-md flex items-center ${isSaving || !displayName.trim() ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'}`}
+                    >
+                        {isSaving ? <Loader2 size={16} className="mr-2 animate-spin" /> : <Check size={16} className="mr-2" />}
+                        Save Profile
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Bottom of the Sidebar: who is signed in, with profile editing and sign-out.
+const AccountMenu = ({ userId, profile, email, onEditProfile, signOut, canSignOut }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const details = [profile?.company, profile?.trade].filter(Boolean).join(' · ');
+
+    const handleSignOut = () => {
+        setIsOpen(false);
+        signOut().catch(e => console.error("Sign-out failed:", e));
+    };
+
+    return (
+        <div className="relative border-t p-2">
+            {isOpen && (
+                <div className="absolute bottom-full left-2 right-2 mb-1 bg-white border rounded-lg shadow-lg py-1 z-10">
+                    <button onClick={() => { setIsOpen(false); onEditProfile(); }} className="w-full flex items-center px-3 py-2 text-sm text-gray-700 hover:bg-gray-50">
+                        <UserCog size={16} className="mr-2 text-indigo-500" /> Edit Profile
+                    </button>
+                    {canSignOut && (
+                        <button onClick={handleSignOut} className="w-full flex items-center px-3 py-2 text-sm text-red-600 hover:bg-red-50">
+                            <LogOut size={16} className="mr-2" /> Sign Out
+                        </button>
+                    )}
+                </div>
+            )}
+            <button onClick={() => setIsOpen(!isOpen)} className="w-full flex items-center px-3 py-2 rounded-lg hover:bg-gray-50 transition text-left">
+                <UserCircle size={28} className="mr-3 text-indigo-500 flex-shrink-0" />
+                <span className="min-w-0 flex-grow">
+                    <span className="block text-sm font-semibold text-gray-800 truncate">{profile?.displayName || email || formatUserLabel(userId)}</span>
+                    {details && <span className="block text-xs text-gray-500 truncate">{details}</span>}
+                </span>
+                {isOpen ? <ChevronDown size={16} className="text-gray-400" /> : <ChevronUp size={16} className="text-gray-400" />}
+            </button>
+        </div>
+    );
+};
+
+
+// --- Project Switcher ---
+// Modal for starting a new project, either from the default template or by cloning another project's scopes,
+// parts and step lists with all progress cleared.
+const NewProjectModal = ({ isOpen, onClose, projects, activeProjectId, createProject }) => {
+    const [name, setName] = useState('');
+    const [description, setDescription] = useState('');
+    const [sourceProjectId, setSourceProjectId] = useState(activeProjectId);
+    const [isCreating, setIsCreating] = useState(false);
+    const [createError, setCreateError] = useState('');
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setName('');
+        setDescription('');
+        setSourceProjectId(activeProjectId);
+        setCreateError('');
+    }, [isOpen, activeProjectId]);
+
+    if (!isOpen) return null;
+
+    const handleCreate = async () => {
+        if (!name.trim()) return;
+        setIsCreating(true);
+        setCreateError('');
+        try {
+            await createProject({ name: name.trim(), description: description.trim(), sourceProjectId: sourceProjectId || null });
+            onClose();
+        } catch (e) {
+            console.error("Project creation failed:", e);
+            setCreateError(`Could not create the project: ${e.message}`);
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg flex flex-col">
+                {/* Header */}
+                <div className="p-5 border-b flex justify-between items-center bg-gray-50 rounded-t-xl">
+                    <h2 className="text-xl font-bold text-gray-800">New Project</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-2 rounded-full transition">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Project name (e.g. MCR3)"
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <textarea
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                        rows="2"
+                        placeholder="Description"
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none"
+                    />
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Start from</label>
+                        <select
+                            value={sourceProjectId || ''}
+                            onChange={(e) => setSourceProjectId(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                        >
+                            <option value="">Default scope template</option>
+                            {projects.map(p => (
+                                <option key={p.id} value={p.id}>Copy structure of {p.name}</option>
+                            ))}
+                        </select>
+                        <p className="text-xs text-gray-500 mt-1">Copies scopes, parts and steps. Progress, notes and images are not copied.</p>
                     </div>
+                    {createError && <p className="text-sm text-red-500 font-medium">{createError}</p>}
+                </div>
+
+                {/* Footer */}
+                <div className="p-4 border-t flex justify-end bg-gray-50 rounded-b-xl">
+                    <button
+                        onClick={handleCreate}
+                        disabled={isCreating || !name.trim()}
+                        className={`text-white px-5 py-2 rounded-lg font-semibold transition shadow-md flex items-center ${isCreating || !name.trim() ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'}`}
+                    >
+                        {isCreating ? <><Loader2 size={18} className="mr-2 animate-spin" /> Creating...</> : 'Create Project'}
+                    </button>
                 </div>
             </div>
         </div>
@@ -1559,8 +7629,11 @@ const SummaryPage = ({ scopes, setCurrentPage }) => {
 };
 
 
-// --- Sidebar Navigation Component (No change needed here) ---
-const Sidebar = ({ isOpen, toggleSidebar, currentPage, setCurrentPage, scopes, userId }) => {
+// --- Sidebar Navigation Component ---
+const Sidebar = ({ isOpen, toggleSidebar, currentPage, setCurrentPage, scopes, isProjectAdmin, userId, profile, userEmail, onEditProfile, signOut, canSignOut, project, projects, switchProject, createProject }) => {
+    const [newProjectOpen, setNewProjectOpen] = useState(false);
+    const pendingVerificationCount = useMemo(() => collectPendingVerifications(scopes).length, [scopes]);
+
     const handleNavigation = (pageId) => {
         setCurrentPage(pageId);
         if (isOpen) {
@@ -1568,6 +7641,11 @@ const Sidebar = ({ isOpen, toggleSidebar, currentPage, setCurrentPage, scopes, u
         }
     };
 
+    const handleProjectChange = (projectId) => {
+        switchProject(projectId);
+        handleNavigation('summary');
+    };
+
     return (
         <>
             {/* Overlay */}
@@ -1583,12 +7661,43 @@ const Sidebar = ({ isOpen, toggleSidebar, currentPage, setCurrentPage, scopes, u
                 ${isOpen ? 'translate-x-0' : '-translate-x-full'} md:relative md:translate-x-0 md:shadow-lg md:h-screen md:flex md:flex-col`}>
                 
                 <div className="p-4 border-b flex justify-between items-center">
-                    <h2 className="text-xl font-bold text-indigo-700">MCR4 TMODs</h2>
+                    <h2 className="text-xl font-bold text-indigo-700 flex items-center">
+                        {project.name} TMODs
+                        {project.readOnly && <Lock size={16} className="ml-2 text-gray-400" />}
+                    </h2>
                     <button onClick={toggleSidebar} className="text-gray-500 hover:text-gray-800 md:hidden p-1">
                         <X size={24} />
                     </button>
                 </div>
 
+                {/* Project Switcher */}
+                <div className="p-3 border-b flex items-center space-x-2">
+                    <select
+                        value={project.id}
+                        onChange={(e) => handleProjectChange(e.target.value)}
+                        className="flex-grow min-w-0 p-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                        {!projects.some(p => p.id === project.id) && <option value={project.id}>{project.name}</option>}
+                        {projects.map(p => (
+                            <option key={p.id} value={p.id}>{p.name}{p.readOnly ? ' (read-only)' : ''}</option>
+                        ))}
+                    </select>
+                    {createProject && (
+                        <button onClick={() => setNewProjectOpen(true)} title="New Project" className="text-indigo-600 hover:text-indigo-800 p-2 rounded-lg bg-indigo-50 hover:bg-indigo-100 transition">
+                            <FolderPlus size={18} />
+                        </button>
+                    )}
+                </div>
+                {createProject && (
+                    <NewProjectModal
+                        isOpen={newProjectOpen}
+                        onClose={() => setNewProjectOpen(false)}
+                        projects={projects}
+                        activeProjectId={project.id}
+                        createProject={createProject}
+                    />
+                )}
+
                 <nav className="flex flex-col p-2 space-y-1 overflow-y-auto flex-grow">
                     {scopes.map(scope => (
                         <button
@@ -1600,7 +7709,7 @@ const Sidebar = ({ isOpen, toggleSidebar, currentPage, setCurrentPage, scopes, u
                                     : 'text-gray-600 hover:bg-gray-50 hover:text-gray-800'}`}
                         >
                             {/* FIX: Ensure SVG icons have a defined size to prevent stretching/overlap before styles load */}
-                            {scope.id === 'summary' ? (
+                            {scope.type === 'summary' ? (
                                 <svg className="w-5 h-5 mr-3 text-indigo-500" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"></path></svg>
                             ) : (
                                 <svg className="w-5 h-5 mr-3 text-indigo-500" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"></path></svg>
@@ -1608,7 +7717,29 @@ const Sidebar = ({ isOpen, toggleSidebar, currentPage, setCurrentPage, scopes, u
                             {scope.title}
                         </button>
                     ))}
+
+                    <div className="pt-4 mt-2 border-t">
+                        <p className="px-3 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">Tools</p>
+                        {TOOL_PAGES.filter(page => !page.adminOnly || isProjectAdmin).map(({ id, title, icon: Icon }) => (
+                            <button
+                                key={id}
+                                onClick={() => handleNavigation(id)}
+                                className={`w-full flex items-center px-3 py-2 rounded-lg text-sm font-medium transition duration-150 
+                                    ${currentPage === id 
+                                        ? 'bg-indigo-100 text-indigo-700 shadow-sm font-semibold' 
+                                        : 'text-gray-600 hover:bg-gray-50 hover:text-gray-800'}`}
+                            >
+                                <Icon size={18} className="mr-3 text-indigo-500" />
+                                {title}
+                                {id === 'verification_queue' && pendingVerificationCount > 0 && (
+                                    <span className="ml-auto text-xs font-semibold px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">{pendingVerificationCount}</span>
+                                )}
+                            </button>
+                        ))}
+                    </div>
                 </nav>
+
+                <AccountMenu userId={userId} profile={profile} email={userEmail} onEditProfile={onEditProfile} signOut={signOut} canSignOut={canSignOut} />
             </div>
         </>
     );
@@ -1617,19 +7748,57 @@ const Sidebar = ({ isOpen, toggleSidebar, currentPage, setCurrentPage, scopes, u
 
 // --- Main Application Component ---
 export default function App() {
-    const { scopes, userId, updateScopeData, isLoading, error, uploadImage } = useFirebase(); // NEW: Destructure uploadImage
+    const {
+        scopes, userId, updateScopeData, isLoading, error, backend, uploadImage,
+        syncStatusByPart, pendingWriteCount, failedWriteCount, retryFailedWrites, discardFailedWrites,
+        project, projects, switchProject, createProject, canCreateProjects, updateProject, assignRole, loadHistory, progressSnapshots,
+        undo, redo, canUndo, canRedo, undoNotice, dismissUndoNotice,
+        discardStoredFile, findOrphanedFiles, deleteStoredFiles,
+        uploads, cancelUpload, dismissUpload,
+        authStatus, userEmail, profiles, profile, needsProfile, saveProfile, signInWithPassword, createAccount, sendSignInLink, signOut,
+    } = useFirebase();
     const [currentPage, setCurrentPage] = useState('summary');
     const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+    const [profileOpen, setProfileOpen] = useState(false);
+
+    // Archived scopes stay in the catalogue (and on the admin page) but drop out of everything else.
+    // Completion is rolled up here once, in the project's progress mode, for every page below.
+    const activeScopes = useMemo(
+        () => rollUpProgress(scopes.filter(s => !s.archived), getRollUpOptions(project)),
+        [scopes, project]
+    );
+    const currentToolPage = TOOL_PAGES.find(page => page.id === currentPage);
+    const isProjectAdmin = getUserRole(project, userId) === 'admin';
 
     // Default to summary page if scope data loads and current page is missing
     useEffect(() => {
-        if (!isLoading && scopes.length > 0 && !scopes.some(s => s.id === currentPage)) {
+        if (!isLoading && activeScopes.length > 0 && !currentToolPage && !activeScopes.some(s => s.id === currentPage)) {
             setCurrentPage('summary');
         }
-    }, [isLoading, scopes, currentPage]);
+    }, [isLoading, activeScopes, currentPage, currentToolPage]);
+
+    useEffect(() => {
+        document.title = `${project.name} TMODs Progress Tracker`;
+    }, [project.name]);
 
-    const currentScope = scopes.find(s => s.id === currentPage);
-    const scopeTitle = currentScope?.title || 'Loading...';
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep the browser's own typing undo.
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            e.preventDefault();
+            if (e.shiftKey) {
+                if (canRedo) redo();
+            } else if (canUndo) {
+                undo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo, canUndo, canRedo]);
+
+    const currentScope = activeScopes.find(s => s.id === currentPage);
+    const scopeTitle = currentToolPage?.title || currentScope?.title || 'Loading...';
 
     if (error) {
         return (
@@ -1643,23 +7812,74 @@ export default function App() {
                     <code className="block mt-2 font-mono">__app_id, __firebase_config, __initial_auth_token</code> 
                     (If running in a production environment, these must be set as environment variables like VITE_...).
                 </p>
-                <p className="text-sm font-semibold mt-4">User ID: {userId}</p>
+                <p className="text-sm font-semibold mt-4">User ID: {userId || 'Not signed in'}</p>
             </div>
         );
     }
 
+    if (authStatus === 'signedOut') {
+        return <SignInPage signInWithPassword={signInWithPassword} createAccount={createAccount} sendSignInLink={sendSignInLink} />;
+    }
+
     if (isLoading || scopes.length === 0) {
         return (
             <div className="min-h-screen flex flex-col items-center justify-center p-4 bg-gray-50">
                 <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-indigo-500 mb-4" />
                 <h1 className="text-xl font-bold text-gray-700">Loading scope data or initializing...</h1>
-                <p className="text-sm text-gray-500 mt-2">Connecting to Firestore and checking for default data.</p>
-                <p className="text-sm font-semibold mt-4">User ID: {userId || 'Loading...'}</p>
+                <p className="text-sm text-gray-500 mt-2">Connecting to {backend === 'local' ? 'local storage' : 'Firestore'} and checking for default data.</p>
+                <p className="text-sm font-semibold mt-4">{userId ? `Signed in as ${formatUserLabel(userId, null, profiles)}` : 'Signing in...'}</p>
             </div>
         );
     }
 
     const renderPage = () => {
+        if (currentToolPage?.adminOnly && !isProjectAdmin) {
+            return (
+                <div className="p-8 text-center text-gray-500">
+                    {currentToolPage.title} is only available to project admins.
+                </div>
+            );
+        }
+
+        if (currentPage === 'manage_scopes') {
+            return (
+                <ScopeCatalogueAdmin
+                    scopes={scopes}
+                    updateScopeData={updateScopeData}
+                    project={project}
+                    updateProject={updateProject}
+                    profiles={profiles}
+                    assignRole={assignRole}
+                    userId={userId}
+                />
+            );
+        }
+
+        if (currentPage === 'verification_queue') {
+            return (
+                <VerificationQueuePage
+                    scopes={activeScopes}
+                    project={project}
+                    userId={userId}
+                    profiles={profiles}
+                    updateScopeData={updateScopeData}
+                    setCurrentPage={setCurrentPage}
+                />
+            );
+        }
+
+        if (currentPage === 'project_schedule') {
+            return <ProjectSchedulePage scopes={activeScopes} project={project} userId={userId} updateScopeData={updateScopeData} />;
+        }
+
+        if (currentPage === 'dependencies') {
+            return <DependencyGraphPage scopes={activeScopes} setCurrentPage={setCurrentPage} />;
+        }
+
+        if (currentPage === 'storage_audit') {
+            return <StorageAuditPage project={project} findOrphanedFiles={findOrphanedFiles} deleteStoredFiles={deleteStoredFiles} />;
+        }
+
         if (!currentScope) {
             return (
                 <div className="p-8 text-center text-gray-500">
@@ -1669,17 +7889,24 @@ export default function App() {
         }
         
         if (currentPage === 'summary') {
-            return <SummaryPage scopes={scopes} setCurrentPage={setCurrentPage} />;
+            return <SummaryPage scopes={activeScopes} setCurrentPage={setCurrentPage} project={project} snapshots={progressSnapshots} />;
         }
         
         return (
             <ScopePage 
                 scope={currentScope} 
                 updateScopeData={updateScopeData} 
-                allScopes={scopes} 
+                allScopes={activeScopes} 
                 setCurrentPage={setCurrentPage} 
-                uploadImage={uploadImage} // NEW: Pass uploadImage
-                userId={userId} // NEW: Pass userId
+                uploadImage={uploadImage}
+                userId={userId}
+                profiles={profiles}
+                syncStatusByPart={syncStatusByPart}
+                retryFailedWrites={retryFailedWrites}
+                discardFailedWrites={discardFailedWrites}
+                project={project}
+                loadHistory={loadHistory}
+                discardStoredFile={discardStoredFile}
             />
         );
     };
@@ -1692,8 +7919,28 @@ export default function App() {
                 toggleSidebar={() => setIsSidebarOpen(!isSidebarOpen)} 
                 currentPage={currentPage} 
                 setCurrentPage={setCurrentPage} 
-                scopes={scopes}
+                scopes={activeScopes}
+                isProjectAdmin={isProjectAdmin}
                 userId={userId}
+                profile={profile}
+                userEmail={userEmail}
+                onEditProfile={() => setProfileOpen(true)}
+                signOut={signOut}
+                canSignOut={backend !== 'local'}
+                project={project}
+                projects={projects}
+                switchProject={switchProject}
+                createProject={canCreateProjects ? createProject : null}
+            />
+
+            {/* A display name is required before the first edit, so nothing is ever credited to a bare ID */}
+            <ProfileModal
+                isOpen={profileOpen || needsProfile}
+                onClose={() => setProfileOpen(false)}
+                profile={profile}
+                email={userEmail}
+                saveProfile={saveProfile}
+                required={needsProfile}
             />
 
             {/* Main Content Area */}
@@ -1713,16 +7960,44 @@ export default function App() {
                     {renderPage()}
                 </main>
                 
-                {/* Footer showing User ID */}
+                <UndoToast notice={undoNotice} onUndo={undo} onRedo={redo} onDismiss={dismissUndoNotice} />
+
+                {/* Footer showing the signed-in user */}
                 <footer className="p-4 border-t bg-white text-xs text-gray-500 flex justify-between items-center">
                     <span>
-                        MCR4 TMODs Tracker v2.0 | Collaborative Progress
+                        {project.name} TMODs Tracker v2.0 | Collaborative Progress
+                        {backend === 'local' && ' | Local Demo Mode (data stays in this browser)'}
                     </span>
-                    <span>
-                        User ID: {userId}
+                    <span className="flex items-center space-x-3">
+                        <UploadQueueIndicator uploads={uploads} onCancel={cancelUpload} onDismiss={dismissUpload} />
+                        {pendingWriteCount > 0 && (
+                            <span className="text-yellow-700 font-semibold">{pendingWriteCount} edit(s) waiting to sync</span>
+                        )}
+                        <button onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)" className="font-semibold text-indigo-600 hover:underline disabled:text-gray-300 disabled:no-underline">Undo</button>
+                        <button onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" className="font-semibold text-indigo-600 hover:underline disabled:text-gray-300 disabled:no-underline">Redo</button>
+                        {failedWriteCount > 0 && (
+                            <span className="text-red-600 font-semibold">
+                                {failedWriteCount} edit(s) rejected -{' '}
+                                <button onClick={retryFailedWrites} className="font-semibold hover:underline">Retry</button>
+                                {' / '}
+                                <button
+                                    onClick={() => { if (window.confirm(`Discard ${failedWriteCount} rejected edit(s)? They cannot be recovered.`)) discardFailedWrites(); }}
+                                    className="font-semibold hover:underline"
+                                >
+                                    Discard
+                                </button>
+                            </span>
+                        )}
+                        <span>Signed in as {formatUserLabel(userId, null, profiles)}</span>
                     </span>
                 </footer>
             </div>
         </div>
     );
 }
+
+// Pure helpers covered by the unit tests (tests/unit).
+export {
+    applyScopeOperation, invertScopeOperation, SCHEMA_MIGRATIONS, CURRENT_SCHEMA_VERSION, migrateDocument,
+    rollUpProgress, applyOutboxToScopes, buildDependencyGraph, assembleScope, pickOwnedSteps,
+};
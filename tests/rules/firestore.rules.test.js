@@ -0,0 +1,230 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import {
+    ACTION_ID, HOME_APP_ID, PART_ID, PROJECT_ID, READ_ONLY_PROJECT_ID, ROLE_ORDER, SCOPE_ID, UNREGISTERED_PROJECT_ID, USERS,
+    actionPath, createTestEnvironment, expectMinimumRole, partPath, registryPath, scopePath, seedProjects, stepPath,
+} from './setup.js';
+
+let testEnv;
+const dbAs = (role) => testEnv.authenticatedContext(USERS[role]).firestore();
+
+before(async () => { testEnv = await createTestEnvironment(); });
+after(() => testEnv.cleanup());
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedProjects(testEnv);
+});
+
+describe('reads', () => {
+    it('needs a signed-in user', async () => {
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), scopePath())));
+        await assertSucceeds(getDoc(doc(dbAs('viewer'), scopePath())));
+    });
+});
+
+describe('scopes', () => {
+    it('take prerequisite progress from field editors', () =>
+        expectMinimumRole('field_editor', role => updateDoc(doc(dbAs(role), scopePath()), { prereqStatusMaterials: `In Progress (${role})` })));
+
+    it('take catalogue changes from admins only', () =>
+        expectMinimumRole('admin', role => updateDoc(doc(dbAs(role), scopePath()), { title: `4113a (${role})` })));
+
+    it('are created and deleted by admins only', async () => {
+        await expectMinimumRole('admin', role => setDoc(doc(dbAs(role), `artifacts/${PROJECT_ID}/public/data/scopes/new-${role}`), { title: 'New' }));
+        await assertFails(deleteDoc(doc(dbAs('supervisor'), scopePath())));
+        await assertSucceeds(deleteDoc(doc(dbAs('admin'), scopePath())));
+    });
+
+    it('keep the parts of a legacy scope document to admins', async () => {
+        await testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), scopePath()), {
+            parts: [{ id: PART_ID, title: 'Interference X', actions: [] }],
+        }));
+        await expectMinimumRole('admin', role => updateDoc(doc(dbAs(role), scopePath()), {
+            parts: [{ id: PART_ID, title: 'Interference X', notes: `Checked by ${role}`, actions: [] }],
+        }));
+    });
+
+    it('follow a scope role over the project role', async () => {
+        await testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), registryPath(PROJECT_ID)), {
+            scopeRoles: { [SCOPE_ID]: { [USERS.viewer]: 'field_editor', [USERS.field_editor]: 'viewer' } },
+        }));
+        await assertSucceeds(updateDoc(doc(dbAs('viewer'), scopePath()), { prereqStatusMaterials: 'Complete' }));
+        await assertFails(updateDoc(doc(dbAs('field_editor'), scopePath()), { prereqStatusMaterials: 'Not Started' }));
+    });
+});
+
+describe('parts and actions', () => {
+    for (const [kind, path, id] of [['part', partPath, PART_ID], ['action', actionPath, ACTION_ID]]) {
+        describe(`${kind}s`, () => {
+            it('take progress from field editors', () =>
+                expectMinimumRole('field_editor', role => updateDoc(doc(dbAs(role), path()), { notes: `Checked by ${role}` })));
+
+            for (const field of ['title', 'weight', 'plannedStart', 'relatedScopeId', 'dependsOn', 'deletedAt']) {
+                it(`take ${field} changes from supervisors`, () =>
+                    expectMinimumRole('supervisor', role => updateDoc(doc(dbAs(role), path()), { [field]: `${field} by ${role}` })));
+            }
+
+            it('are added and deleted by supervisors', async () => {
+                await expectMinimumRole('supervisor', role => setDoc(doc(dbAs(role), `${scopePath()}/${kind}s/${id}-${role}`), { title: 'New', scopeId: SCOPE_ID }));
+                await assertFails(deleteDoc(doc(dbAs('field_editor'), path())));
+                await assertSucceeds(deleteDoc(doc(dbAs('supervisor'), path())));
+            });
+        });
+    }
+});
+
+describe('steps', () => {
+    // The fields getStepCompletionFields and getVerdictFields in src/App.jsx write.
+    const completion = (role) => ({
+        completed: true, completedBy: USERS[role], completedAt: '2026-10-18T08:00:00.000Z', verification: 'pending', verifiedBy: null, verifiedAt: null,
+    });
+    const verdict = (role, verification) => ({
+        ...(verification === 'rejected' ? { completed: false } : {}),
+        verification, verifiedBy: USERS[role], verifiedAt: '2026-10-18T09:00:00.000Z', verificationComment: null,
+    });
+    const completeAs = (role) => testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), stepPath()), completion(role)));
+    const addStep = (role, id, fields = {}) => setDoc(doc(dbAs(role), `${scopePath()}/steps/${id}`), {
+        id, text: 'New', completed: false, scopeId: SCOPE_ID, partId: PART_ID, actionId: ACTION_ID, order: 1, ...fields,
+    });
+
+    it('are completed by field editors, only as themselves', async () => {
+        await expectMinimumRole('field_editor', role => updateDoc(doc(dbAs(role), stepPath()), completion(role)));
+        await assertFails(updateDoc(doc(dbAs('field_editor'), stepPath()), completion('supervisor')));
+        await assertSucceeds(updateDoc(doc(dbAs('field_editor'), stepPath()), { completionComment: 'Marked with paint' }));
+    });
+
+    it('are verified or rejected by supervisors, only as themselves', async () => {
+        await assertFails(updateDoc(doc(dbAs('admin'), stepPath()), verdict('admin', 'verified')));
+        await completeAs('field_editor');
+        await assertFails(updateDoc(doc(dbAs('field_editor'), stepPath()), { ...completion('field_editor'), ...verdict('field_editor', 'verified') }));
+        await expectMinimumRole('supervisor', role => updateDoc(doc(dbAs(role), stepPath()), verdict(role, 'verified')));
+        await assertFails(updateDoc(doc(dbAs('supervisor'), stepPath()), verdict('admin', 'rejected')));
+        await assertFails(updateDoc(doc(dbAs('supervisor'), stepPath()), { ...verdict('supervisor', 'verified'), completedBy: USERS.admin }));
+    });
+
+    it('are never verified by whoever completed them', async () => {
+        await completeAs('supervisor');
+        await assertFails(updateDoc(doc(dbAs('supervisor'), stepPath()), verdict('supervisor', 'verified')));
+        await assertFails(updateDoc(doc(dbAs('supervisor'), stepPath()), verdict('supervisor', 'rejected')));
+        await assertSucceeds(updateDoc(doc(dbAs('admin'), stepPath()), verdict('admin', 'rejected')));
+    });
+
+    for (const field of ['weight', 'assigneeId', 'dueDate', 'actionId']) {
+        it(`take ${field} changes from supervisors`, () =>
+            expectMinimumRole('supervisor', role => updateDoc(doc(dbAs(role), stepPath()), { [field]: `${field} by ${role}` })));
+    }
+
+    it('are added open by field editors, and completed, verified or planned only by supervisors', async () => {
+        await expectMinimumRole('field_editor', role => addStep(role, `open-${role}`));
+        await expectMinimumRole('field_editor', role => addStep(role, `own-${role}`, completion(role)));
+        await expectMinimumRole('supervisor', role => addStep(role, `restored-${role}`, { ...completion('field_editor'), ...verdict('admin', 'verified'), completed: true }));
+        await expectMinimumRole('supervisor', role => addStep(role, `planned-${role}`, { dueDate: '2026-11-01' }));
+        await assertFails(addStep('admin', 'self-verified', { ...completion('admin'), ...verdict('admin', 'verified'), completed: true }));
+    });
+
+    it('are removed by field editors', async () => {
+        await assertFails(deleteDoc(doc(dbAs('viewer'), stepPath())));
+        await assertSucceeds(deleteDoc(doc(dbAs('field_editor'), stepPath())));
+    });
+
+    it('are kept out of action and scope documents except by admins', async () => {
+        const steps = [{ id: 'forged', text: 'Forged', completed: true, verification: 'verified' }];
+        await expectMinimumRole('admin', role => updateDoc(doc(dbAs(role), actionPath()), { steps, notes: role }));
+        await expectMinimumRole('admin', role => updateDoc(doc(dbAs(role), scopePath()), { prereqStatusMaterials: { status: role, steps } }));
+        await assertFails(setDoc(doc(dbAs('admin'), `${scopePath()}/actions/action-2`), { id: 'action-2', title: 'New', scopeId: SCOPE_ID, partId: PART_ID, steps }));
+    });
+});
+
+describe('read-only and unregistered projects', () => {
+    for (const projectId of [READ_ONLY_PROJECT_ID, UNREGISTERED_PROJECT_ID]) {
+        it(`refuse changes in ${projectId}`, async () => {
+            await expectMinimumRole(null, role => updateDoc(doc(dbAs(role), partPath(projectId)), { notes: role }));
+            await expectMinimumRole(null, role => updateDoc(doc(dbAs(role), stepPath(projectId)), { text: role }));
+            await expectMinimumRole(null, role => updateDoc(doc(dbAs(role), scopePath(projectId)), { prereqStatusMaterials: 'Complete' }));
+            await expectMinimumRole(projectId === UNREGISTERED_PROJECT_ID ? 'admin' : null,
+                role => setDoc(doc(dbAs(role), `artifacts/${projectId}/public/data/scopes/new-${role}`), { title: 'New' }));
+            await assertSucceeds(getDoc(doc(dbAs('viewer'), partPath(projectId))));
+        });
+    }
+
+    // The admin is also an admin of the home project, who seeds a new project before registering it.
+    it('take new documents, but no changes, from home project admins until registered', async () => {
+        const db = dbAs('admin');
+        await assertSucceeds(setDoc(doc(db, `${scopePath(UNREGISTERED_PROJECT_ID)}/parts/part-2`), { id: 'part-2', title: 'New', scopeId: SCOPE_ID, order: 1 }));
+        await assertSucceeds(setDoc(doc(db, `${scopePath(UNREGISTERED_PROJECT_ID)}/actions/action-2`), { id: 'action-2', title: 'New', scopeId: SCOPE_ID, partId: 'part-2', order: 0 }));
+        await assertSucceeds(setDoc(doc(db, `${scopePath(UNREGISTERED_PROJECT_ID)}/steps/step-2`), { id: 'step-2', text: 'New', completed: false, scopeId: SCOPE_ID, partId: 'part-2', actionId: 'action-2', order: 0 }));
+        await assertFails(updateDoc(doc(db, stepPath(UNREGISTERED_PROJECT_ID)), { text: 'Renamed' }));
+        await assertFails(deleteDoc(doc(db, partPath(UNREGISTERED_PROJECT_ID))));
+        await assertFails(updateDoc(doc(db, actionPath(UNREGISTERED_PROJECT_ID)), { title: 'Renamed' }));
+    });
+
+    it('still let admins re-open a read-only project', async () => {
+        await assertFails(updateDoc(doc(dbAs('supervisor'), registryPath(READ_ONLY_PROJECT_ID)), { readOnly: false }));
+        await assertSucceeds(updateDoc(doc(dbAs('admin'), registryPath(READ_ONLY_PROJECT_ID)), { readOnly: false }));
+    });
+});
+
+describe('project registry', () => {
+    it('lets home project admins register a project with only themselves as admin', async () => {
+        await expectMinimumRole('admin', role => setDoc(doc(dbAs(role), registryPath(`unit-1-${role}`)), { name: 'Unit 1', createdBy: USERS[role], roles: { [USERS[role]]: 'admin' } }));
+        const db = dbAs('admin');
+        await assertFails(setDoc(doc(db, registryPath(UNREGISTERED_PROJECT_ID)), { name: 'Unit 2', createdBy: USERS.viewer }));
+        await assertFails(setDoc(doc(db, registryPath(UNREGISTERED_PROJECT_ID)), { name: 'Unit 2', createdBy: USERS.admin, roles: { [USERS.field_editor]: 'admin' } }));
+    });
+
+    it('never lets a client register the home project', async () => {
+        await testEnv.withSecurityRulesDisabled(context => deleteDoc(doc(context.firestore(), registryPath(HOME_APP_ID))));
+        for (const role of ROLE_ORDER) {
+            await assertFails(setDoc(doc(dbAs(role), registryPath(HOME_APP_ID)), { name: 'MCR4', createdBy: USERS[role], roles: { [USERS[role]]: 'admin' } }));
+        }
+    });
+
+    it('takes settings and roles from admins only, and never a new creator', async () => {
+        await expectMinimumRole('admin', role => updateDoc(doc(dbAs(role), registryPath(PROJECT_ID)), { name: `Unit 4 (${role})` }));
+        await assertFails(updateDoc(doc(dbAs('admin'), registryPath(PROJECT_ID)), { createdBy: USERS.supervisor }));
+        await assertFails(deleteDoc(doc(dbAs('admin'), registryPath(PROJECT_ID))));
+    });
+});
+
+describe('audit trail', () => {
+    const entryPath = (entryId) => `${scopePath()}/audit/${entryId}`;
+
+    it('takes entries written by their author from field editors', async () => {
+        await expectMinimumRole('field_editor', role => setDoc(doc(dbAs(role), entryPath(`entry-${role}`)), { userId: USERS[role], type: 'updateAction' }));
+        await assertFails(setDoc(doc(dbAs('supervisor'), entryPath('forged')), { userId: USERS.field_editor, type: 'updateAction' }));
+    });
+
+    it('is append-only', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('admin'), entryPath('entry')), { userId: USERS.admin, type: 'updateAction' }));
+        await assertFails(updateDoc(doc(dbAs('admin'), entryPath('entry')), { type: 'deleteAction' }));
+        await assertFails(deleteDoc(doc(dbAs('admin'), entryPath('entry'))));
+    });
+
+    it('refuses entries in unregistered projects', () =>
+        expectMinimumRole(null, role => setDoc(doc(dbAs(role), `${scopePath(UNREGISTERED_PROJECT_ID)}/audit/entry-${role}`), { userId: USERS[role] })));
+});
+
+describe('progress snapshots', () => {
+    const snapshotPath = (projectId, date) => `artifacts/${projectId}/public/data/snapshots/${date}`;
+    const snapshot = (date, takenBy) => ({ date, takenBy, percent: 40, fieldWork: 35, remaining: 12, scopes: {} });
+
+    it('are created once per day by any member, as themselves', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('viewer'), snapshotPath(PROJECT_ID, '2026-10-18')), snapshot('2026-10-18', USERS.viewer)));
+        await assertFails(setDoc(doc(dbAs('viewer'), snapshotPath(PROJECT_ID, '2026-10-19')), snapshot('2026-10-20', USERS.viewer)));
+        await assertFails(setDoc(doc(dbAs('viewer'), snapshotPath(PROJECT_ID, '2026-10-19')), snapshot('2026-10-19', USERS.admin)));
+    });
+
+    it('are never changed or removed', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('admin'), snapshotPath(PROJECT_ID, '2026-10-18')), snapshot('2026-10-18', USERS.admin)));
+        await assertFails(setDoc(doc(dbAs('admin'), snapshotPath(PROJECT_ID, '2026-10-18')), snapshot('2026-10-18', USERS.admin)));
+        await assertFails(updateDoc(doc(dbAs('admin'), snapshotPath(PROJECT_ID, '2026-10-18')), { percent: 90 }));
+        await assertFails(deleteDoc(doc(dbAs('admin'), snapshotPath(PROJECT_ID, '2026-10-18'))));
+    });
+
+    it('are not recorded for read-only or unregistered projects', async () => {
+        for (const projectId of [READ_ONLY_PROJECT_ID, UNREGISTERED_PROJECT_ID]) {
+            await assertFails(setDoc(doc(dbAs('admin'), snapshotPath(projectId, '2026-10-18')), snapshot('2026-10-18', USERS.admin)));
+        }
+    });
+});
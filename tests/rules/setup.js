@@ -0,0 +1,71 @@
+// Shared fixtures for the security rules tests. They run against the local Firestore and Storage emulators
+// (which need Java): npm run test:rules
+// Every test starts from the same registry: the home project and one registered project with a user per
+// role, one read-only project and one that is not registered, the last three holding the same scope, part,
+// action and open step.
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+// HARDCODED_APP_ID in src/App.jsx, where the project registry lives.
+export const HOME_APP_ID = 'tmods-overall';
+
+export const PROJECT_ID = 'unit-4';
+export const READ_ONLY_PROJECT_ID = 'unit-3';
+export const UNREGISTERED_PROJECT_ID = 'unit-2';
+export const SCOPE_ID = '4113a';
+export const PART_ID = 'part-1';
+export const ACTION_ID = 'action-1';
+export const STEP_ID = 'step-1';
+
+// The admin is the project's creator, without an entry in `roles`.
+export const USERS = {
+    viewer: 'viewer-uid',
+    field_editor: 'field-editor-uid',
+    supervisor: 'supervisor-uid',
+    admin: 'admin-uid',
+};
+
+export const ROLE_ORDER = ['viewer', 'field_editor', 'supervisor', 'admin'];
+
+export const registryPath = (projectId) => `artifacts/${HOME_APP_ID}/public/data/projects/${projectId}`;
+export const scopePath = (projectId = PROJECT_ID) => `artifacts/${projectId}/public/data/scopes/${SCOPE_ID}`;
+export const partPath = (projectId = PROJECT_ID) => `${scopePath(projectId)}/parts/${PART_ID}`;
+export const actionPath = (projectId = PROJECT_ID) => `${scopePath(projectId)}/actions/${ACTION_ID}`;
+export const stepPath = (projectId = PROJECT_ID) => `${scopePath(projectId)}/steps/${STEP_ID}`;
+
+export const createTestEnvironment = () => initializeTestEnvironment({
+    projectId: 'demo-tmods',
+    firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+    storage: { rules: readFileSync(new URL('../../storage.rules', import.meta.url), 'utf8') },
+});
+
+const registryEntry = (projectId, readOnly) => ({
+    id: projectId,
+    name: projectId,
+    readOnly,
+    createdBy: USERS.admin,
+    roles: { [USERS.viewer]: 'viewer', [USERS.field_editor]: 'field_editor', [USERS.supervisor]: 'supervisor' },
+});
+
+export const seedProjects = (testEnv) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, registryPath(HOME_APP_ID)), registryEntry(HOME_APP_ID, false));
+    await setDoc(doc(db, registryPath(PROJECT_ID)), registryEntry(PROJECT_ID, false));
+    await setDoc(doc(db, registryPath(READ_ONLY_PROJECT_ID)), registryEntry(READ_ONLY_PROJECT_ID, true));
+    for (const projectId of [PROJECT_ID, READ_ONLY_PROJECT_ID, UNREGISTERED_PROJECT_ID]) {
+        await setDoc(doc(db, scopePath(projectId)), { id: SCOPE_ID, type: 'scope', title: '4113a', prereqStatusMaterials: 'Not Started' });
+        await setDoc(doc(db, partPath(projectId)), { id: PART_ID, title: 'Interference X', scopeId: SCOPE_ID, order: 0, notes: '' });
+        await setDoc(doc(db, actionPath(projectId)), { id: ACTION_ID, title: 'Cut', scopeId: SCOPE_ID, partId: PART_ID, order: 0, notes: '' });
+        await setDoc(doc(db, stepPath(projectId)), { id: STEP_ID, text: 'Mark out', completed: false, scopeId: SCOPE_ID, partId: PART_ID, actionId: ACTION_ID, order: 0 });
+    }
+});
+
+// Runs `attempt(role)` as every role in turn: it must succeed from `minimumRole` up and fail below it.
+// `minimumRole` null means it fails for everyone.
+export const expectMinimumRole = async (minimumRole, attempt) => {
+    for (const role of ROLE_ORDER) {
+        const allowed = minimumRole !== null && ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(minimumRole);
+        await (allowed ? assertSucceeds(attempt(role)) : assertFails(attempt(role)));
+    }
+};
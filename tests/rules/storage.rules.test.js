@@ -0,0 +1,70 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteObject, getBytes, ref, uploadBytes } from 'firebase/storage';
+import {
+    PART_ID, PROJECT_ID, READ_ONLY_PROJECT_ID, SCOPE_ID, UNREGISTERED_PROJECT_ID, USERS,
+    createTestEnvironment, expectMinimumRole, seedProjects,
+} from './setup.js';
+
+const MB = 1024 * 1024;
+
+let testEnv;
+const storageAs = (role) => testEnv.authenticatedContext(USERS[role]).storage();
+
+const filePath = (folder, name, projectId = PROJECT_ID) => `artifacts/${projectId}/public/${folder}/parts/${SCOPE_ID}/${PART_ID}/${name}`;
+const upload = (storage, path, size, contentType = 'image/jpeg') => uploadBytes(ref(storage, path), new Uint8Array(size), { contentType });
+
+before(async () => { testEnv = await createTestEnvironment(); });
+after(() => testEnv.cleanup());
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await seedProjects(testEnv);
+});
+
+describe('uploads', () => {
+    it('are taken from field editors and above', () =>
+        expectMinimumRole('field_editor', role => upload(storageAs(role), filePath('images', `${role}.jpg`), 1024)));
+
+    it('keep images under 5 MB and documents under 25 MB', async () => {
+        const storage = storageAs('admin');
+        await assertSucceeds(upload(storage, filePath('images', 'large.jpg'), 5 * MB));
+        await assertFails(upload(storage, filePath('images', 'too-large.jpg'), 5 * MB + 1));
+        await assertSucceeds(upload(storage, filePath('documents', 'drawing.pdf'), 6 * MB, 'application/pdf'));
+        await assertFails(upload(storage, filePath('documents', 'too-large.pdf'), 25 * MB + 1, 'application/pdf'));
+    });
+
+    it('only go to the image and document folders of parts and actions', async () => {
+        const storage = storageAs('admin');
+        await assertFails(upload(storage, filePath('videos', 'clip.jpg'), 1024));
+        await assertFails(upload(storage, `artifacts/${PROJECT_ID}/public/images/scopes/${SCOPE_ID}/cover.jpg`, 1024));
+    });
+
+    it('are refused by read-only and unregistered projects', async () => {
+        for (const projectId of [READ_ONLY_PROJECT_ID, UNREGISTERED_PROJECT_ID]) {
+            await expectMinimumRole(null, role => upload(storageAs(role), filePath('images', `${role}.jpg`, projectId), 1024));
+        }
+    });
+});
+
+describe('reads and deletions', () => {
+    const seedFile = (path) => testEnv.withSecurityRulesDisabled(context => upload(context.storage(), path, 1024));
+
+    it('need a signed-in user to read', async () => {
+        await seedFile(filePath('images', 'photo.jpg'));
+        await assertFails(getBytes(ref(testEnv.unauthenticatedContext().storage(), filePath('images', 'photo.jpg'))));
+        await assertSucceeds(getBytes(ref(storageAs('viewer'), filePath('images', 'photo.jpg'))));
+    });
+
+    it("let field editors remove a scope's files", async () => {
+        for (const role of ['viewer', 'field_editor', 'supervisor', 'admin']) await seedFile(filePath('images', `${role}.jpg`));
+        await expectMinimumRole('field_editor', role => deleteObject(ref(storageAs(role), filePath('images', `${role}.jpg`))));
+    });
+
+    it('let only admins remove files outside the scope folders (the storage audit)', async () => {
+        const orphanPath = `artifacts/${PROJECT_ID}/public/documents/orphans/old.pdf`;
+        await seedFile(orphanPath);
+        await assertFails(deleteObject(ref(storageAs('supervisor'), orphanPath)));
+        await assertSucceeds(deleteObject(ref(storageAs('admin'), orphanPath)));
+    });
+});
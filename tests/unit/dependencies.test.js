@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDependencyGraph } from '../../src/App.jsx';
+
+const part = (id, fields = {}) => ({ id, title: id, percentComplete: 0, actions: [], ...fields });
+const scopeWith = (parts) => ({ id: '4113a', title: '4113a', type: 'scope', parts });
+
+// A part planned over `days` days, counting both ends.
+const planned = (days) => ({ plannedStart: '2026-01-01', plannedFinish: `2026-01-${String(days).padStart(2, '0')}` });
+
+describe('buildDependencyGraph', () => {
+    it('follows the chain with the most working days left', () => {
+        // p1 (10 days) leads to p2 (unplanned, 5 days) and p3 (1 day)
+        const graph = buildDependencyGraph([scopeWith([
+            part('p1', planned(10)),
+            part('p2', { dependsOn: [{ partId: 'p1' }] }),
+            part('p3', { ...planned(1), dependsOn: [{ partId: 'p1' }] }),
+        ])]);
+        assert.deepEqual(graph.criticalChain.map(item => item.key), ['p1', 'p2']);
+        assert.equal(graph.criticalDays, 15);
+        assert.deepEqual(graph.nodes.map(node => [node.key, node.column, node.critical]), [['p1', 0, true], ['p2', 1, true], ['p3', 1, false]]);
+        assert.deepEqual(graph.edges.map(edge => [edge.from, edge.to, edge.critical]), [['p1', 'p2', true], ['p1', 'p3', false]]);
+    });
+
+    it('counts only the work left', () => {
+        const graph = buildDependencyGraph([scopeWith([
+            part('p1', { ...planned(10), percentComplete: 50 }),
+            part('p2', { dependsOn: [{ partId: 'p1' }] }),
+            part('p3', { ...planned(8), dependsOn: [{ partId: 'p1' }] }),
+            part('p4', { percentComplete: 100, dependsOn: [{ partId: 'p3' }] }),
+        ])]);
+        assert.deepEqual(graph.criticalChain.map(item => item.key), ['p1', 'p3']);
+        assert.equal(graph.criticalDays, 13);
+    });
+
+    it('lets a part finish no sooner than its slowest action, even an unlinked one', () => {
+        // p4 itself has 5 days left, but its action a4 has 20
+        const graph = buildDependencyGraph([scopeWith([
+            part('p4', { actions: [{ id: 'a4', title: 'a4', percentComplete: 0, ...planned(20) }] }),
+            part('p5', { dependsOn: [{ partId: 'p4' }] }),
+        ])]);
+        assert.deepEqual(graph.criticalChain.map(item => item.key), ['p4', 'p5']);
+        assert.equal(graph.criticalDays, 25);
+    });
+
+    it('ignores links to trashed parts and archived scopes', () => {
+        const graph = buildDependencyGraph([
+            scopeWith([part('p1', { deletedAt: '2026-01-05T08:00:00.000Z' }), part('p2', { dependsOn: [{ partId: 'p1' }, { partId: 'x1' }] })]),
+            { id: 'old', title: 'Old', type: 'scope', archived: true, parts: [part('x1')] },
+        ]);
+        assert.deepEqual(graph.nodes, []);
+        assert.deepEqual(graph.criticalChain, []);
+    });
+
+    it('survives a loop written by an older client', () => {
+        const graph = buildDependencyGraph([scopeWith([
+            part('p1', { dependsOn: [{ partId: 'p2' }] }),
+            part('p2', { dependsOn: [{ partId: 'p1' }] }),
+        ])]);
+        assert.equal(graph.nodes.length, 2);
+        assert.ok(graph.criticalDays > 0);
+    });
+});
@@ -0,0 +1,11 @@
+// Module hooks that compile .jsx files with Vite's esbuild transform, as the dev server does.
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { transformWithEsbuild } from 'vite';
+
+export const load = async (url, context, nextLoad) => {
+    if (!url.endsWith('.jsx')) return nextLoad(url, context);
+    const path = fileURLToPath(url);
+    const { code } = await transformWithEsbuild(await readFile(path, 'utf8'), path, { jsx: 'automatic' });
+    return { format: 'module', source: code, shortCircuit: true };
+};
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rollUpProgress } from '../../src/App.jsx';
+
+const step = (completed, fields = {}) => ({ id: crypto.randomUUID(), text: 'Step', completed, ...fields });
+const action = (id, steps, fields = {}) => ({ id, title: id, percentComplete: 0, steps, ...fields });
+const part = (id, actions, fields = {}) => ({ id, title: id, percentComplete: 0, actions, ...fields });
+
+// Field work: p1 averages a half-done action and one set to 100% directly (75%), p2 has nothing done (0%).
+// Prerequisites: Materials 100% by its steps, General 50% as "In Progress".
+const buildScope = (fields = {}) => ({
+    id: '4113a',
+    title: '4113a',
+    type: 'scope',
+    scopeType: 'standard',
+    prereqStatusMaterials: { status: 'Complete', notes: '', steps: [step(true)] },
+    prereqStatusGeneral: { status: 'In Progress', notes: '', steps: [] },
+    parts: [
+        part('p1', [action('a1', [step(true), step(false)]), action('a2', [], { percentComplete: 100 })]),
+        part('p2', [action('a3', [step(false)])]),
+    ],
+    ...fields,
+});
+
+describe('rollUpProgress', () => {
+    it('counts every step, action and part the same by default', () => {
+        const [scope] = rollUpProgress([buildScope()]);
+        assert.equal(scope.parts[0].actions[0].percentComplete, 50);
+        assert.equal(scope.parts[0].actions[1].percentComplete, 100);
+        assert.equal(scope.parts[0].percentComplete, 75);
+        assert.equal(scope.fieldWorkPercent, 38);
+        assert.equal(scope.percentComplete, 38);
+    });
+
+    it('blends the prerequisites in by the prereq share', () => {
+        const [scope] = rollUpProgress([buildScope()], { prereqShare: 20 });
+        // (38% field work x 80) + (75% prerequisites x 20)
+        assert.equal(scope.percentComplete, 45);
+        assert.match(scope.progressBreakdown, /Prerequisites: 75% \(counts 20%\)/);
+    });
+
+    it('counts the Lead Abatement prerequisite from the abatement parts linked to the scope', () => {
+        const abatement = {
+            id: 'lead_abatement', title: 'Lead Abatement', type: 'scope', scopeType: 'lead_abatement',
+            parts: [part('la1', [action('la1-a', [step(true), step(false)])], { relatedScopeId: '4113a' })],
+        };
+        const [rolledAbatement, scope] = rollUpProgress([abatement, buildScope()], { prereqShare: 100 });
+        // (100% Materials + 50% General + 50% Lead Abatement) / 3
+        assert.equal(scope.percentComplete, 67);
+        // Abatement scopes have no prerequisites of their own
+        assert.equal(rolledAbatement.percentComplete, rolledAbatement.fieldWorkPercent);
+    });
+
+    it('leaves trashed parts and actions out', () => {
+        const scope = buildScope();
+        scope.parts[0].actions[0].deletedAt = '2026-01-05T08:00:00.000Z';
+        scope.parts[1].deletedAt = '2026-01-05T08:00:00.000Z';
+        const [rolled] = rollUpProgress([scope]);
+        assert.equal(rolled.parts[0].percentComplete, 100);
+        assert.equal(rolled.fieldWorkPercent, 100);
+    });
+
+    it('counts effort estimates in weighted mode, filling in unestimated items', () => {
+        const scope = buildScope({
+            parts: [
+                part('p1', [action('a1', [step(true)], { weight: 3 }), action('a2', [step(false)], { weight: 1 })]),
+                part('p2', [action('a3', [step(false)])]),
+            ],
+        });
+        const [counted] = rollUpProgress([scope]);
+        const [weighted] = rollUpProgress([scope], { weighted: true });
+        assert.equal(counted.parts[0].percentComplete, 50);
+        assert.equal(weighted.parts[0].percentComplete, 75);
+        // p2 has no estimate and counts as the average of p1's 4 hours
+        assert.equal(weighted.fieldWorkPercent, 38);
+        assert.match(weighted.parts[0].progressBreakdown, /a1: 100% of 3 h/);
+    });
+
+    it('only counts verified steps when asked', () => {
+        const scope = buildScope({
+            parts: [part('p1', [action('a1', [step(true, { verification: 'verified' }), step(true, { verification: 'pending' })])])],
+        });
+        const [done] = rollUpProgress([scope]);
+        const [verified] = rollUpProgress([scope], { verifiedOnly: true });
+        assert.equal(done.fieldWorkPercent, 100);
+        assert.equal(verified.fieldWorkPercent, 50);
+        assert.match(verified.parts[0].actions[0].progressBreakdown, /1 of 2 steps verified/);
+    });
+
+    it('leaves the summary page alone', () => {
+        const summary = { id: 'summary', type: 'summary' };
+        assert.equal(rollUpProgress([summary])[0], summary);
+    });
+});
@@ -0,0 +1,6 @@
+// Loaded before the unit tests (npm test) so they can import src/App.jsx under Node: JSX is compiled by the
+// hooks in jsx-hooks.js, and the local backend is selected, since picking one otherwise reads the page URL.
+import { register } from 'node:module';
+
+globalThis.__storage_backend = 'local';
+register('./jsx-hooks.js', import.meta.url);
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CURRENT_SCHEMA_VERSION, SCHEMA_MIGRATIONS, migrateDocument } from '../../src/App.jsx';
+
+describe('SCHEMA_MIGRATIONS', () => {
+    it('are listed in version order, the last being the current version', () => {
+        const versions = SCHEMA_MIGRATIONS.map(migration => migration.version);
+        assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+        assert.equal(new Set(versions).size, versions.length);
+        assert.equal(CURRENT_SCHEMA_VERSION, versions[versions.length - 1]);
+    });
+});
+
+describe('migrateDocument', () => {
+    it('upgrades a first-release scope (v1 prerequisites, v2 catalogue fields, v5 verification)', () => {
+        const { data, changed } = migrateDocument('scope', {
+            id: '4113a',
+            title: '4113a Civil Mod Interferences',
+            prereqStatusMaterials: 'In Progress',
+            prereqStatusGeneral: { status: 'Complete', steps: [{ id: 'g1', text: 'Welders Certified', completed: true }] },
+        });
+        assert.equal(changed, true);
+        assert.equal(data.schemaVersion, CURRENT_SCHEMA_VERSION);
+        assert.equal(data.prereqStatusLeadAbatement, 'Not Started');
+        assert.deepEqual(data.prereqStatusMaterials, { status: 'In Progress', notes: '', steps: [] });
+        assert.deepEqual(data.prereqStatusGeneral.steps, [{ verification: 'verified', id: 'g1', text: 'Welders Certified', completed: true }]);
+        assert.equal(data.scopeType, 'standard');
+        assert.equal(data.order, 2);
+        assert.equal(data.archived, false);
+    });
+
+    it('places scopes missing from the seed catalogue last, and recognises Lead Abatement (v2)', () => {
+        assert.equal(migrateDocument('scope', { id: 'added-later', title: 'Added later' }).data.order, 9);
+        assert.equal(migrateDocument('scope', { id: 'lead_abatement', title: 'Lead Abatement' }).data.scopeType, 'lead_abatement');
+    });
+
+    it('only stamps the version on the summary page', () => {
+        assert.deepEqual(migrateDocument('scope', { id: 'summary', type: 'summary' }).data, { id: 'summary', type: 'summary', schemaVersion: CURRENT_SCHEMA_VERSION });
+    });
+
+    it('upgrades a first-release part (v1 defaults, v3 gallery, v4 documents)', () => {
+        const { data } = migrateDocument('part', { id: 'p1', title: 'Drawing 01-A', imageUrl: 'https://example.com/p1.jpg', imageStoragePath: 'images/p1.jpg' });
+        assert.equal(data.relatedScopeId, 'none');
+        assert.deepEqual(data.photos, [{ id: 'p1-image', url: 'https://example.com/p1.jpg', storagePath: 'images/p1.jpg', caption: '', tag: 'other', uploadedBy: null, uploadedAt: null }]);
+        assert.deepEqual(data.documents, []);
+        assert.equal('imageUrl' in data, false);
+        assert.equal('imageStoragePath' in data, false);
+    });
+
+    it('upgrades a first-release action (v1 step IDs, v3 empty gallery, v5 verification)', () => {
+        const { data } = migrateDocument('action', { id: 'a1', title: 'Cut', steps: [{ text: 'Done', completed: true }, { text: 'Open' }] });
+        assert.equal(data.notes, '');
+        assert.equal(data.percentComplete, 0);
+        assert.deepEqual(data.photos, []);
+        assert.deepEqual(data.documents, []);
+        assert.ok(data.steps.every(step => typeof step.id === 'string' && step.id.length > 0));
+        assert.deepEqual(data.steps.map(step => [step.completed, step.verification]), [[true, 'verified'], [false, null]]);
+    });
+
+    it('only runs the migrations newer than the document', () => {
+        const { data, changed } = migrateDocument('action', {
+            id: 'a1', title: 'Cut', schemaVersion: 3, photos: [],
+            steps: [{ id: 's1', text: 'Done', completed: true, verification: 'pending' }],
+        });
+        assert.equal(changed, true);
+        assert.deepEqual(data.documents, []);
+        assert.equal(data.steps[0].verification, 'pending');
+        assert.equal('notes' in data, false);
+    });
+
+    it('leaves current documents as they are', () => {
+        const action = { id: 'a1', title: 'Cut', steps: [], schemaVersion: CURRENT_SCHEMA_VERSION };
+        const { data, changed } = migrateDocument('action', action);
+        assert.equal(changed, false);
+        assert.equal(data, action);
+    });
+});
@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyOutboxToScopes, applyScopeOperation, assembleScope, invertScopeOperation } from '../../src/App.jsx';
+
+const step = (id, completed = false) => ({ id, text: `Step ${id}`, completed });
+
+// A scope as the components see it: one part with a half-done action and a finished one, and an empty part.
+const buildScope = () => ({
+    id: '4113a',
+    title: '4113a Civil Mod Interferences',
+    type: 'scope',
+    order: 2,
+    prereqStatusMaterials: { status: 'Not Started', notes: '', steps: [step('m1'), step('m2')] },
+    parts: [
+        {
+            id: 'p1',
+            title: 'Drawing 01-A',
+            percentComplete: 50,
+            photos: [{ id: 'ph1' }, { id: 'ph2' }, { id: 'ph3' }],
+            documents: [],
+            actions: [
+                { id: 'a1', title: 'Cut', percentComplete: 0, photos: [], steps: [step('s1'), step('s2')] },
+                { id: 'a2', title: 'Weld', percentComplete: 100, photos: [], steps: [] },
+            ],
+        },
+        { id: 'p2', title: 'Drawing 01-B', percentComplete: 0, photos: [], documents: [], actions: [] },
+    ],
+});
+
+const noStepChanges = { added: [], removedIds: [], updated: {} };
+
+describe('applyScopeOperation', () => {
+    it('updates one step and recalculates its action and part', () => {
+        const scope = buildScope();
+        const result = applyScopeOperation(scope, {
+            type: 'updateAction', partId: 'p1', actionId: 'a1', fields: {},
+            stepChanges: { ...noStepChanges, updated: { s1: { completed: true } } },
+        });
+        const [a1] = result.parts[0].actions;
+        assert.deepEqual(a1.steps.map(s => s.completed), [true, false]);
+        assert.equal(a1.percentComplete, 50);
+        assert.equal(result.parts[0].percentComplete, 75);
+        assert.equal(result.parts[1], scope.parts[1]);
+    });
+
+    it('sets a prerequisite status from its steps', () => {
+        const result = applyScopeOperation(buildScope(), {
+            type: 'updatePrereq', prereqKey: 'prereqStatusMaterials', fields: { notes: 'Ordered' },
+            stepChanges: { ...noStepChanges, updated: { m1: { completed: true }, m2: { completed: true } } },
+        });
+        assert.equal(result.prereqStatusMaterials.status, 'Complete');
+        assert.equal(result.prereqStatusMaterials.notes, 'Ordered');
+    });
+
+    it('completes every step of an action at once', () => {
+        const result = applyScopeOperation(buildScope(), {
+            type: 'setActionCompletion', partId: 'p1', actionId: 'a1', completed: true, completedBy: 'user-1', completedAt: '2026-01-05T08:00:00.000Z',
+        });
+        const [a1] = result.parts[0].actions;
+        assert.equal(a1.percentComplete, 100);
+        assert.ok(a1.steps.every(s => s.completed && s.completedBy === 'user-1' && s.verification === 'pending'));
+        assert.equal(result.parts[0].percentComplete, 100);
+    });
+
+    it('leaves trashed actions out of the part completion', () => {
+        const result = applyScopeOperation(buildScope(), {
+            type: 'trashAction', partId: 'p1', actionId: 'a2', deletedBy: 'user-1', deletedAt: '2026-01-05T08:00:00.000Z',
+        });
+        assert.equal(result.parts[0].actions[1].deletedBy, 'user-1');
+        assert.equal(result.parts[0].percentComplete, 0);
+    });
+
+    it('puts a part back at the position it is given', () => {
+        const result = applyScopeOperation(buildScope(), { type: 'addPart', part: { id: 'p3', title: 'Drawing 01-C', actions: [] }, index: 1 });
+        assert.deepEqual(result.parts.map(part => part.id), ['p1', 'p3', 'p2']);
+    });
+
+    it('moves a photo within its gallery', () => {
+        const result = applyScopeOperation(buildScope(), { type: 'movePhoto', partId: 'p1', photoId: 'ph1', toIndex: 2 });
+        assert.deepEqual(result.parts[0].photos.map(photo => photo.id), ['ph2', 'ph3', 'ph1']);
+    });
+
+    it('leaves targets that no longer exist alone', () => {
+        const scope = buildScope();
+        assert.deepEqual(applyScopeOperation(scope, { type: 'updatePart', partId: 'gone', fields: { title: 'Renamed' } }), scope);
+        assert.deepEqual(applyScopeOperation(scope, { type: 'removePhoto', partId: 'p1', actionId: 'gone', photoId: 'ph1' }), scope);
+    });
+
+    it('never adds the same part twice or overwrites an existing scope', () => {
+        const scope = buildScope();
+        assert.equal(applyScopeOperation(scope, { type: 'addPart', part: { id: 'p1', title: 'Copy', actions: [] } }), scope);
+        assert.equal(applyScopeOperation(scope, { type: 'createScope', scope: { title: 'Other' } }), scope);
+    });
+});
+
+describe('invertScopeOperation', () => {
+    const roundTrips = {
+        updateScopeFields: { type: 'updateScopeFields', fields: { title: 'Renamed', order: 5 } },
+        updatePrereq: {
+            type: 'updatePrereq', prereqKey: 'prereqStatusMaterials', fields: { notes: 'Ordered' },
+            stepChanges: { added: [step('m3')], removedIds: [], updated: { m1: { completed: true } } },
+        },
+        updatePart: { type: 'updatePart', partId: 'p1', fields: { title: 'Renamed' } },
+        deletePart: { type: 'deletePart', partId: 'p1' },
+        updateAction: {
+            type: 'updateAction', partId: 'p1', actionId: 'a1', fields: { title: 'Grind' },
+            stepChanges: { added: [step('s3', true)], removedIds: [], updated: { s2: { completed: true } } },
+        },
+        deleteAction: { type: 'deleteAction', partId: 'p1', actionId: 'a1' },
+        removePhoto: { type: 'removePhoto', partId: 'p1', photoId: 'ph2' },
+        movePhoto: { type: 'movePhoto', partId: 'p1', photoId: 'ph1', toIndex: 2 },
+    };
+
+    Object.entries(roundTrips).forEach(([type, op]) => {
+        it(`undoes ${type}`, () => {
+            const scope = buildScope();
+            const inverse = invertScopeOperation(scope, op);
+            assert.deepEqual(applyScopeOperation(applyScopeOperation(scope, op), inverse), scope);
+        });
+    });
+
+    it('puts back each step of an action completed at once', () => {
+        const scope = applyScopeOperation(buildScope(), {
+            type: 'updateAction', partId: 'p1', actionId: 'a1', fields: {},
+            stepChanges: { ...noStepChanges, updated: { s1: { completed: true, completedBy: 'user-1' } } },
+        });
+        const op = { type: 'setActionCompletion', partId: 'p1', actionId: 'a1', completed: true, completedBy: 'user-2', completedAt: '2026-01-05T08:00:00.000Z' };
+        const undone = applyScopeOperation(applyScopeOperation(scope, op), invertScopeOperation(scope, op));
+        const [a1] = undone.parts[0].actions;
+        assert.deepEqual(a1.steps.map(s => [s.completed, s.completedBy]), [[true, 'user-1'], [false, null]]);
+        assert.equal(a1.percentComplete, 50);
+    });
+
+    it('takes a trashed action back out of the Recycle Bin', () => {
+        const scope = buildScope();
+        const op = { type: 'trashAction', partId: 'p1', actionId: 'a2', deletedBy: 'user-1', deletedAt: '2026-01-05T08:00:00.000Z' };
+        const undone = applyScopeOperation(applyScopeOperation(scope, op), invertScopeOperation(scope, op));
+        assert.equal(undone.parts[0].actions[1].deletedAt, null);
+        assert.equal(undone.parts[0].percentComplete, 50);
+    });
+
+    it('clears fields the edit set for the first time', () => {
+        assert.deepEqual(
+            invertScopeOperation(buildScope(), { type: 'updatePart', partId: 'p1', fields: { plannedStart: '2026-01-05' } }),
+            { type: 'updatePart', partId: 'p1', fields: { plannedStart: null } },
+        );
+    });
+
+    it('returns null when there is nothing to undo', () => {
+        const scope = buildScope();
+        assert.equal(invertScopeOperation(scope, { type: 'addPart', part: { id: 'p1' } }), null);
+        assert.equal(invertScopeOperation(scope, { type: 'updateAction', partId: 'p1', actionId: 'gone', fields: {} }), null);
+        assert.equal(invertScopeOperation(scope, { type: 'restorePart', partId: 'p1' }), null);
+        assert.equal(invertScopeOperation(scope, { type: 'createScope', scope: {} }), null);
+    });
+});
+
+describe('applyOutboxToScopes', () => {
+    it('shows queued edits over the snapshot, but not refused ones', () => {
+        const [scope] = applyOutboxToScopes([buildScope()], [
+            { scopeId: '4113a', op: { type: 'updatePart', partId: 'p1', fields: { title: 'Queued' } }, status: 'pending' },
+            { scopeId: '4113a', op: { type: 'updatePart', partId: 'p2', fields: { title: 'Refused' } }, status: 'failed' },
+        ]);
+        assert.equal(scope.parts[0].title, 'Queued');
+        assert.equal(scope.parts[1].title, 'Drawing 01-B');
+    });
+
+    it('shows a scope created offline in catalogue order, and skips edits to unknown scopes', () => {
+        const scopes = applyOutboxToScopes([{ id: 'summary', type: 'summary' }, buildScope()], [
+            { scopeId: 'new-scope', op: { type: 'createScope', scope: { title: 'New', type: 'scope', order: 0, parts: [] } }, status: 'pending' },
+            { scopeId: 'removed', op: { type: 'updateScopeFields', fields: { title: 'Gone' } }, status: 'pending' },
+        ]);
+        assert.deepEqual(scopes.map(scope => scope.id), ['summary', 'new-scope', '4113a']);
+    });
+});
+
+describe('assembleScope', () => {
+    it('rebuilds the nested scope from its part, action and step documents', () => {
+        const scope = assembleScope(
+            { id: '4113a', title: '4113a', prereqStatusMaterials: { status: 'Not Started', notes: '' } },
+            [{ id: 'p2', scopeId: '4113a', order: 1 }, { id: 'p1', scopeId: '4113a', order: 0 }],
+            [{ id: 'a1', scopeId: '4113a', partId: 'p1', order: 0, percentComplete: 40 }],
+            [
+                { id: 's2', scopeId: '4113a', partId: 'p1', actionId: 'a1', order: 1 },
+                { id: 's1', scopeId: '4113a', partId: 'p1', actionId: 'a1', order: 0 },
+                { id: 'm1', scopeId: '4113a', prereqKey: 'prereqStatusMaterials', order: 0 },
+            ],
+        );
+        assert.deepEqual(scope.parts.map(part => part.id), ['p1', 'p2']);
+        assert.deepEqual(scope.parts[0].actions[0].steps, [{ id: 's1' }, { id: 's2' }]);
+        assert.equal(scope.parts[0].percentComplete, 40);
+        assert.deepEqual(scope.prereqStatusMaterials.steps, [{ id: 'm1' }]);
+    });
+
+    it('keeps step lists and legacy scopes that are not migrated yet', () => {
+        const legacy = buildScope();
+        assert.equal(assembleScope(legacy), legacy);
+
+        const embedded = [step('s1', true)];
+        const scope = assembleScope({ id: '4113a' }, [{ id: 'p1', order: 0 }], [{ id: 'a1', partId: 'p1', steps: embedded }], [{ id: 's9', actionId: 'a1' }]);
+        assert.equal(scope.parts[0].actions[0].steps, embedded);
+    });
+});